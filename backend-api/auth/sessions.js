@@ -0,0 +1,104 @@
+// backend-api/auth/sessions.js - Session tokens issued to the frontend
+//
+// A user signs in with their username and password (`Authorization: Basic`, see auth/users.js)
+// and the browser gets an opaque token for their connection profile, which it sends as
+// `Authorization: Bearer <token>`. Sessions live in memory and expire after
+// SESSION_TTL_MINUTES (default 8 hours).
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MINUTES || 480) * 60 * 1000;
+
+// Fields that identify or authenticate a warehouse connection; only profiles may set them
+const CREDENTIAL_FIELDS = [
+  'account', 'username', 'user', 'password', 'privateKey', 'privateKeyPath', 'passphrase',
+  'authenticator', 'token', 'role', 'warehouse', 'database', 'schema'
+];
+
+const sessions = new Map();
+
+const createSession = (details) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = {
+    ...details,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  };
+  sessions.set(token, session);
+  return { token, ...session };
+};
+
+const getSession = (token) => {
+  const session = token && sessions.get(token);
+  if (!session) return null;
+
+  if (new Date(session.expiresAt).getTime() < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+};
+
+const revokeSession = (token) => sessions.delete(token);
+
+// Helper function to read the bearer token from a request
+const getRequestToken = (req) => {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Helper function to read the username and password of a Basic login, or null
+const getBasicCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (!header.startsWith('Basic ')) return null;
+
+  const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator > 0 ? { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) } : null;
+};
+
+// Middleware: attach req.session or answer 401
+const requireSession = (req, res, next) => {
+  const session = getSession(getRequestToken(req));
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Session required',
+      message: 'Create a session with POST /api/session and send it as "Authorization: Bearer <token>"',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.session = session;
+  next();
+};
+
+// Middleware: refuse any request body that carries connection credentials
+const rejectClientCredentials = (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  // Look one level deep too, so wrappers such as { snowflakeConfig: {...} } are caught
+  const objects = [body, ...Object.values(body).filter(value => value && typeof value === 'object' && !Array.isArray(value))];
+  const offending = [...new Set(objects.flatMap(object => Object.keys(object).filter(key => CREDENTIAL_FIELDS.includes(key))))];
+
+  if (offending.length > 0) {
+    console.log(`🚫 Rejected ${req.method} ${req.originalUrl}: request body contained credential fields (${offending.join(', ')})`);
+    return res.status(400).json({
+      success: false,
+      error: 'Credentials are not accepted in request bodies',
+      message: 'Connection credentials are configured on the server. Send only a session token.',
+      rejectedFields: offending,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  revokeSession,
+  getRequestToken,
+  getBasicCredentials,
+  requireSession,
+  rejectClientCredentials
+};
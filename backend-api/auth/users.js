@@ -0,0 +1,66 @@
+// backend-api/auth/users.js - User accounts that may sign in to the dashboard
+//
+// Users are read from a JSON secrets file (USERS_FILE) shaped as
+// { "<username>": { "passwordHash": "scrypt:<salt>:<hash>", "profile": "<connection profile>" } },
+// so each person signs in with their own password and gets a session for their organization's
+// connection profile. Nothing the browser holds grants access by itself. Hashes are made with
+// `npm run user:password -- <password>`.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_LENGTH = 64;
+
+// Helper function to hash a password with a fresh random salt
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+  const [scheme, salt, hash] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the username is unknown, so unknown and known users take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+let users = null;
+
+const loadUsers = () => {
+  if (!users) {
+    const file = process.env.USERS_FILE;
+    if (!file) {
+      users = {};
+    } else {
+      const fullPath = path.resolve(file);
+      if (!fs.existsSync(fullPath)) {
+        throw new Error(`Users file not found: ${fullPath}`);
+      }
+      users = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    }
+    console.log(`👤 Loaded ${Object.keys(users).length} user account(s)`);
+  }
+  return users;
+};
+
+const hasUsers = () => Object.keys(loadUsers()).length > 0;
+
+// Returns { username, profile } for a correct username and password, or null
+const authenticateUser = (username, password) => {
+  const user = Object.prototype.hasOwnProperty.call(loadUsers(), username) ? loadUsers()[username] : null;
+  const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+  return user && valid ? { username, profile: user.profile } : null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hasUsers,
+  authenticateUser
+};
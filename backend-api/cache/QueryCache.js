@@ -0,0 +1,109 @@
+// backend-api/cache/QueryCache.js - In-memory cache for repository query results
+//
+// Entries are keyed by tenant, query name and parameters, and tagged with the tables the
+// query reads. Concurrent requests for the same key share one in-flight load, and a write
+// to any tagged table drops the tenant's affected entries straight away.
+
+class QueryCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  // Helper function to build a stable key; parameter order doesn't matter
+  static key(tenant, name, params = {}) {
+    const sorted = Object.keys(params).sort().reduce((result, field) => ({ ...result, [field]: params[field] }), {});
+    return `${tenant}|${name}|${JSON.stringify(sorted)}`;
+  }
+
+  // Resolve with { value, cached }, calling loader() only when there is no fresh entry.
+  // Results that fail cacheable(value) are returned but not stored.
+  async getOrLoad({ tenant, name, params, ttlMs, tables = [], cacheable = () => true }, loader) {
+    const key = QueryCache.key(tenant, name, params);
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return { value: entry.value, cached: true };
+    }
+
+    // Stampede protection: everyone asking while a load runs waits for that same load
+    if (this.inFlight.has(key)) {
+      this.stats.hits++;
+      return { value: await this.inFlight.get(key).promise, cached: true };
+    }
+
+    this.stats.misses++;
+    const load = { tenant, tables, stale: false };
+    load.promise = (async () => {
+      try {
+        const value = await loader();
+        // Data written while we were loading may not be in this result; don't keep it
+        if (!load.stale && cacheable(value)) {
+          this.set(key, { tenant, tables, value, expiresAt: Date.now() + ttlMs });
+        }
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+    this.inFlight.set(key, load);
+
+    return { value: await load.promise, cached: false };
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Evict expired entries first, then the oldest ones
+    if (this.entries.size > this.maxEntries) {
+      const now = Date.now();
+      for (const [staleKey, { expiresAt }] of this.entries) {
+        if (expiresAt <= now) this.entries.delete(staleKey);
+      }
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+  }
+
+  // Drop the tenant's entries that read any of the given tables
+  invalidate(tenant, tables) {
+    const changed = new Set(tables.map(table => table.toUpperCase()));
+    const affected = ({ tables: read }) => read.some(table => changed.has(table));
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.tenant === tenant && affected(entry)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    for (const load of this.inFlight.values()) {
+      if (load.tenant === tenant && affected(load)) {
+        load.stale = true;
+      }
+    }
+
+    this.stats.invalidations++;
+    if (removed > 0) {
+      console.log(`🧹 Invalidated ${removed} cached result(s) for ${tenant} after writing ${[...changed].join(', ')}`);
+    }
+    return removed;
+  }
+
+  clear(tenant) {
+    for (const [key, entry] of this.entries) {
+      if (!tenant || entry.tenant === tenant) this.entries.delete(key);
+    }
+  }
+
+  getStatus() {
+    return { entries: this.entries.size, loading: this.inFlight.size, ...this.stats };
+  }
+}
+
+module.exports = QueryCache;
@@ -0,0 +1,63 @@
+// backend-api/config/cachePolicies.js - How long each endpoint's query results may be cached
+//
+// `tables` lists what the queries read; a write to any of them invalidates the entry early.
+// Set QUERY_CACHE_DISABLED=true to always query the warehouse. Predictions are never cached:
+// every prediction served must be scored and written to the prediction log.
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const CACHE_POLICIES = {
+  dashboard: {
+    ttlMs: 2 * MINUTE,
+    tables: ['EQUIPMENT', 'MODEL_PERFORMANCE', 'PREDICTIVE_ANALYTICS', 'JOB_SITES', 'WORK_AREAS', 'EQUIPMENT_CATEGORIES', 'ALERTS', 'WORK_ORDERS'],
+    // Keep retrying widgets that failed instead of serving them as unavailable for the whole TTL
+    cacheable: data => Object.values(data.sections || {}).every(section => section.status === 'ok')
+  },
+  equipment: {
+    ttlMs: 2 * MINUTE,
+    tables: ['EQUIPMENT', 'JOB_SITES', 'WORK_AREAS']
+  },
+  sensorData: {
+    ttlMs: 30 * SECOND,
+    tables: ['EQUIPMENT_METRICS', 'EQUIPMENT_METRIC_ROLLUPS', 'EQUIPMENT_SENSORS']
+  },
+  sensorSeries: {
+    ttlMs: 1 * MINUTE,
+    tables: ['EQUIPMENT_METRICS', 'EQUIPMENT_METRIC_ROLLUPS']
+  },
+  failureHistory: {
+    ttlMs: 5 * MINUTE,
+    tables: ['WORK_ORDERS']
+  },
+  latestReadings: {
+    ttlMs: 30 * SECOND,
+    tables: ['EQUIPMENT_METRICS']
+  },
+  anomalies: {
+    ttlMs: 1 * MINUTE,
+    tables: ['EQUIPMENT_METRICS', 'WORK_ORDERS']
+  },
+  modelMetrics: {
+    ttlMs: 10 * MINUTE,
+    tables: ['ML_MODEL_PERFORMANCE']
+  },
+  modelRegistry: {
+    ttlMs: 10 * MINUTE,
+    tables: ['MODEL_REGISTRY', 'EQUIPMENT_CATEGORIES']
+  },
+  maintenance: {
+    ttlMs: 5 * MINUTE,
+    tables: ['WORK_ORDERS', 'PREDICTIVE_ANALYTICS']
+  },
+  analytics: {
+    ttlMs: 5 * MINUTE,
+    tables: ['EQUIPMENT', 'FUEL_CONSUMPTION', 'ML_MODEL_PERFORMANCE', 'PREDICTIVE_ANALYTICS']
+  }
+};
+
+const isQueryCacheEnabled = () => process.env.QUERY_CACHE_DISABLED !== 'true';
+
+module.exports = {
+  CACHE_POLICIES,
+  isQueryCacheEnabled
+};
@@ -0,0 +1,65 @@
+// backend-api/config/connectionProfiles.js - Server-side data source connection profiles
+//
+// Credentials never come from the browser. Profiles are read from a JSON secrets file
+// (CONNECTION_PROFILES_FILE) shaped as { "<name>": { account, username, privateKey, ... } },
+// and the SNOWFLAKE_* environment variables define the "default" profile. Clients refer to
+// a profile by name only.
+//
+// Users sign in to a profile with their own password (see auth/users.js); the profile itself
+// holds no secret the browser could present.
+//
+// A profile may also set `organization` (defaults to the profile name); profiles of the same
+// organization share one tenant connection. SQLite profiles set `sqlitePath` to give the
+// organization its own database file. The "default" profile reads these from ORGANIZATION
+// and SQLITE_PATH.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE = process.env.DEFAULT_CONNECTION_PROFILE || 'default';
+
+// Helper function to build the default profile from SNOWFLAKE_* environment variables
+const profileFromEnv = () => ({
+  account: process.env.SNOWFLAKE_ACCOUNT,
+  username: process.env.SNOWFLAKE_USERNAME,
+  privateKey: process.env.SNOWFLAKE_PRIVATE_KEY,
+  passphrase: process.env.SNOWFLAKE_PASSPHRASE,
+  warehouse: process.env.SNOWFLAKE_WAREHOUSE,
+  database: process.env.SNOWFLAKE_DATABASE,
+  schema: process.env.SNOWFLAKE_SCHEMA,
+  organization: process.env.ORGANIZATION,
+  sqlitePath: process.env.SQLITE_PATH
+});
+
+// Helper function to read profiles from the secrets file, if one is configured
+const profilesFromFile = () => {
+  const file = process.env.CONNECTION_PROFILES_FILE;
+  if (!file) return {};
+
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Connection profiles file not found: ${fullPath}`);
+  }
+  return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+};
+
+let profiles = null;
+
+const loadConnectionProfiles = () => {
+  if (!profiles) {
+    profiles = { [DEFAULT_PROFILE]: profileFromEnv(), ...profilesFromFile() };
+    console.log(`🔐 Loaded connection profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+  return profiles;
+};
+
+// Returns { name, config } or null for an unknown profile
+const getConnectionProfile = (name = DEFAULT_PROFILE) => {
+  const config = loadConnectionProfiles()[name];
+  return config ? { name, config } : null;
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  loadConnectionProfiles,
+  getConnectionProfile
+};
@@ -0,0 +1,299 @@
+// backend-api/db/SnowflakeConnectionPool.js - Self-healing pool of Snowflake connections
+//
+// Queries run through run(), which borrows a connection, retries transient failures with
+// exponential backoff and replaces connections that were dropped (warehouse suspends,
+// expired session tokens, network blips). While the pool is reconnecting, new queries
+// wait in a queue instead of failing straight away. Only operations that are safe to run
+// twice are retried: a write that failed with a lost connection may still have been applied.
+
+// Errors that mean the connection itself is unusable and has to be replaced
+const CONNECTION_ERROR_CODES = new Set([
+  '401001', // ERR_SF_NETWORK_COULD_NOT_CONNECT
+  '401004', // ERR_SF_RESPONSE_INVALID_TOKEN
+  '402001', // ERR_LARGE_RESULT_SET_NETWORK_COULD_NOT_CONNECT
+  '405503', // ERR_CONN_CONNECT_STATUS_DISCONNECTED
+  '407001', // ERR_CONN_REQUEST_STATUS_CONNECTING
+  '407002', // ERR_CONN_REQUEST_STATUS_DISCONNECTED
+  '390111', // GONE_SESSION
+  '390112', // SESSION_TOKEN_EXPIRED
+  '390114', // MASTER_TOKEN_EXPIRED
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+// Errors worth retrying on a healthy connection after a short wait
+const TRANSIENT_ERROR_CODES = new Set([
+  '401002', // ERR_SF_RESPONSE_FAILURE (HTTP 5xx from Snowflake)
+  '402002', // ERR_LARGE_RESULT_SET_RESPONSE_FAILURE
+  '000603', // SQL execution internal error
+  '000630'  // Statement reached its statement or warehouse timeout while queued
+]);
+
+const isConnectionError = (error) => !!error && (
+  CONNECTION_ERROR_CODES.has(String(error.code)) || error.sqlState === '08003' || error.sqlState === '08006'
+);
+
+const isTransientError = (error) => !!error && TRANSIENT_ERROR_CODES.has(String(error.code));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to destroy a connection without caring whether it is still alive
+const destroyQuietly = (connection) => {
+  try {
+    connection.destroy(() => {});
+  } catch (error) {
+    // Already gone
+  }
+};
+
+class SnowflakeConnectionPool {
+  // createConnection() must resolve with a connected snowflake-sdk connection
+  constructor(createConnection, options = {}) {
+    this.createConnection = createConnection;
+    this.size = options.size || 4;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs || 500;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+    this.acquireTimeoutMs = options.acquireTimeoutMs || 10000;
+    this.healthCheckIntervalMs = options.healthCheckIntervalMs ?? 60000;
+
+    this.idle = [];
+    this.busy = new Set();
+    this.waiters = [];
+    this.pending = 0;
+    this.reconnecting = null;
+    this.closed = false;
+    this.lastHealthCheck = null;
+    this.healthTimer = null;
+  }
+
+  // Seed the pool with an already connected connection and start the health checks
+  start(initialConnection) {
+    if (initialConnection) {
+      this.idle.push(initialConnection);
+    }
+
+    if (this.healthCheckIntervalMs > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+      this.healthTimer.unref();
+    }
+    return this;
+  }
+
+  get total() {
+    return this.idle.length + this.busy.size + this.pending;
+  }
+
+  isUp() {
+    return !this.closed;
+  }
+
+  getStatus() {
+    return {
+      size: this.size,
+      idle: this.idle.length,
+      busy: this.busy.size,
+      waiting: this.waiters.length,
+      reconnecting: !!this.reconnecting,
+      lastHealthCheck: this.lastHealthCheck
+    };
+  }
+
+  backoffDelay(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    // Jitter keeps many waiting dashboards from retrying in lockstep
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new Error('Snowflake connection pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a Snowflake connection`));
+      }, this.acquireTimeoutMs);
+
+      this.waiters.push(waiter);
+      this.drainQueue();
+    });
+  }
+
+  release(connection, broken = false) {
+    this.busy.delete(connection);
+
+    if (this.closed || broken || (typeof connection.isUp === 'function' && !connection.isUp())) {
+      destroyQuietly(connection);
+    } else {
+      this.idle.push(connection);
+    }
+    this.drainQueue();
+  }
+
+  // Hand idle connections to queued callers, opening new ones while under the pool size
+  drainQueue() {
+    if (this.closed || this.reconnecting) return;
+
+    while (this.waiters.length > 0 && this.idle.length > 0) {
+      const waiter = this.waiters.shift();
+      const connection = this.idle.pop();
+      clearTimeout(waiter.timer);
+      this.busy.add(connection);
+      waiter.resolve(connection);
+    }
+
+    if (this.waiters.length > this.pending && this.total < this.size) {
+      this.grow();
+    }
+  }
+
+  async grow() {
+    this.pending++;
+    try {
+      const connection = await this.createConnection();
+      this.pending--;
+      if (this.closed) {
+        destroyQuietly(connection);
+        return;
+      }
+      this.idle.push(connection);
+    } catch (error) {
+      this.pending--;
+      console.error('❌ Failed to open pooled Snowflake connection:', error.message);
+      this.reconnect();
+      return;
+    }
+    this.drainQueue();
+  }
+
+  // Replace the idle connections, retrying with backoff until one connects or the pool closes.
+  // Queued queries resume as soon as a connection is back.
+  reconnect() {
+    if (this.reconnecting || this.closed) return this.reconnecting;
+
+    this.idle.splice(0).forEach(destroyQuietly);
+
+    this.reconnecting = (async () => {
+      for (let attempt = 0; !this.closed; attempt++) {
+        try {
+          console.log(`🔄 Reconnecting to Snowflake (attempt ${attempt + 1})...`);
+          const connection = await this.createConnection();
+          if (this.closed) {
+            destroyQuietly(connection);
+            return;
+          }
+          this.idle.push(connection);
+          console.log('✅ Snowflake connection restored');
+          return;
+        } catch (error) {
+          const delay = this.backoffDelay(attempt);
+          console.error(`❌ Reconnect attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    })().finally(() => {
+      this.reconnecting = null;
+      this.drainQueue();
+    });
+
+    return this.reconnecting;
+  }
+
+  // Run operation(connection), retrying transient and connection errors with backoff. Pass
+  // `retry: false` for operations that must not run twice, such as plain INSERTs; a lost
+  // connection is still replaced, but the error goes back to the caller.
+  async run(operation, { retry = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const connection = await this.acquire();
+
+      try {
+        const result = await operation(connection);
+        this.release(connection);
+        return result;
+      } catch (error) {
+        const connectionLost = isConnectionError(error);
+        this.release(connection, connectionLost);
+        if (connectionLost) {
+          this.reconnect();
+        }
+
+        if (!retry || attempt >= this.maxRetries || !(connectionLost || isTransientError(error))) {
+          throw error;
+        }
+
+        const delay = this.backoffDelay(attempt);
+        console.warn(`⚠️ Snowflake query failed with ${error.code || error.message}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Validate idle connections; drop dead ones and reconnect if nothing usable is left
+  async checkHealth() {
+    if (this.closed || this.reconnecting) return;
+
+    // Connections being checked count as pending, so the pool doesn't open more than its size
+    // in the meantime; each goes back to work as soon as it has passed
+    const connections = this.idle.splice(0);
+    this.pending += connections.length;
+    let healthy = 0;
+
+    for (const connection of connections) {
+      let valid = false;
+      try {
+        valid = await connection.isValidAsync();
+      } catch (error) {
+        valid = false;
+      }
+      this.pending--;
+
+      if (valid && !this.closed) {
+        healthy++;
+        this.idle.push(connection);
+        this.drainQueue();
+      } else {
+        destroyQuietly(connection);
+      }
+    }
+
+    this.lastHealthCheck = {
+      at: new Date().toISOString(),
+      checked: connections.length,
+      healthy
+    };
+
+    if (healthy < connections.length) {
+      console.warn(`⚠️ Health check dropped ${connections.length - healthy} dead Snowflake connection(s)`);
+    }
+    if (this.total === 0) {
+      this.reconnect();
+    } else {
+      this.drainQueue();
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Snowflake connection pool is closed'));
+    });
+    this.idle.splice(0).forEach(destroyQuietly);
+  }
+}
+
+module.exports = {
+  SnowflakeConnectionPool,
+  isConnectionError,
+  isTransientError
+};
@@ -0,0 +1,146 @@
+// backend-api/db/metricRollups.js - Hourly and daily rollups of EQUIPMENT_METRICS
+//
+// EQUIPMENT_METRIC_ROLLUPS holds the sample count, sum, min, max, p95 and last value of each
+// metric per equipment and hour or day, so a year-long trend reads a few hundred rows
+// instead of every raw reading. Uploads refresh the buckets they touched; readings loaded by
+// other means (bulk SQL, warehouse pipelines) are picked up by refreshStaleRollups(), which
+// the server runs on a schedule. Seeding and `npm run rollups:rebuild` recompute the whole
+// table. Each delete and the insert that replaces it run in one transaction, so readers
+// never see a bucket missing.
+const { BUCKET_SIZES, bucketStart } = require('../utils/sensorSeries');
+
+const ROLLUP_TABLE = 'EQUIPMENT_METRIC_ROLLUPS';
+const ROLLUP_BUCKETS = ['1h', '1d'];
+
+const ROLLUP_COLUMNS = [
+  'EQUIPMENT_ID', 'METRIC_TYPE', 'BUCKET_SIZE', 'BUCKET_START', 'SAMPLE_COUNT',
+  'VALUE_SUM', 'VALUE_MIN', 'VALUE_MAX', 'VALUE_P95', 'VALUE_LAST', 'REFRESHED_AT'
+];
+
+// Per-bucket statistics of raw readings, in rollup column order. Minute queries read raw
+// readings with these same expressions.
+const bucketAggregates = (bucket) => `
+  DATE_TRUNC(${BUCKET_SIZES[bucket].datePart}, RECORDED_TIMESTAMP) AS BUCKET_START,
+  COUNT(METRIC_VALUE) AS SAMPLE_COUNT,
+  SUM(METRIC_VALUE) AS VALUE_SUM,
+  MIN(METRIC_VALUE) AS VALUE_MIN,
+  MAX(METRIC_VALUE) AS VALUE_MAX,
+  APPROX_PERCENTILE(METRIC_VALUE, 0.95) AS VALUE_P95,
+  MAX_BY(METRIC_VALUE, RECORDED_TIMESTAMP) AS VALUE_LAST`;
+
+// Helper function to build the INSERT ... SELECT that fills one bucket size from raw readings
+const insertRollupsSql = (dbSchema, bucket, whereSql = '') => `
+  INSERT INTO ${dbSchema}.${ROLLUP_TABLE} (${ROLLUP_COLUMNS.join(', ')})
+  SELECT
+    EQUIPMENT_ID,
+    METRIC_TYPE,
+    '${bucket}' AS BUCKET_SIZE,
+    ${bucketAggregates(bucket)},
+    CURRENT_TIMESTAMP() AS REFRESHED_AT
+  FROM ${dbSchema}.EQUIPMENT_METRICS
+  WHERE METRIC_VALUE IS NOT NULL ${whereSql}
+  GROUP BY EQUIPMENT_ID, METRIC_TYPE, DATE_TRUNC(${BUCKET_SIZES[bucket].datePart}, RECORDED_TIMESTAMP)
+`;
+
+// Statements that recompute every rollup from scratch
+const rebuildRollupsSql = (dbSchema) => [
+  `DELETE FROM ${dbSchema}.${ROLLUP_TABLE}`,
+  ...ROLLUP_BUCKETS.map(bucket => insertRollupsSql(dbSchema, bucket))
+];
+
+const rebuildRollups = (repository) => repository.transaction(async ({ query }) => {
+  for (const statement of rebuildRollupsSql(repository.getDbSchemaPrefix())) {
+    await query(statement);
+  }
+});
+
+// A refresh deletes and re-inserts buckets, so two overlapping refreshes must not interleave
+const refreshQueues = new WeakMap();
+
+// Recompute the buckets covering the given EQUIPMENT_METRICS rows ({ EQUIPMENT_ID,
+// RECORDED_TIMESTAMP }). Whole days are refreshed, which covers their hours too.
+const refreshRollups = (repository, rows) => {
+  const dayMs = BUCKET_SIZES['1d'].ms;
+  const ranges = new Map();
+  rows.forEach(row => {
+    const day = bucketStart(row.RECORDED_TIMESTAMP, '1d');
+    const range = ranges.get(row.EQUIPMENT_ID);
+    ranges.set(row.EQUIPMENT_ID, range
+      ? { from: Math.min(range.from, day), to: Math.max(range.to, day + dayMs) }
+      : { from: day, to: day + dayMs });
+  });
+
+  const refresh = async () => {
+    const dbSchema = repository.getDbSchemaPrefix();
+    for (const [equipmentId, range] of ranges) {
+      const from = new Date(range.from).toISOString();
+      const to = new Date(range.to).toISOString();
+
+      await repository.transaction(async ({ query }) => {
+        for (const bucket of ROLLUP_BUCKETS) {
+          await query(`
+            DELETE FROM ${dbSchema}.${ROLLUP_TABLE}
+            WHERE EQUIPMENT_ID = ? AND BUCKET_SIZE = ? AND BUCKET_START >= ? AND BUCKET_START < ?
+          `, [equipmentId, bucket, from, to]);
+          await query(
+            insertRollupsSql(dbSchema, bucket, 'AND EQUIPMENT_ID = ? AND RECORDED_TIMESTAMP >= ? AND RECORDED_TIMESTAMP < ?'),
+            [equipmentId, from, to]
+          );
+        }
+      });
+    }
+  };
+
+  const queued = (refreshQueues.get(repository) || Promise.resolve()).then(refresh);
+  refreshQueues.set(repository, queued.catch(() => {}));
+  return queued;
+};
+
+// Days (per equipment) within the lookback whose daily rollups don't match the raw readings:
+// a metric with no rollup yet, a reading recorded after the rollup's REFRESHED_AT, or a
+// sample count that differs because readings arrived late
+const findStaleRollupDays = async (repository, since) => {
+  const dbSchema = repository.getDbSchemaPrefix();
+  const rows = await repository.query(`
+    SELECT m.EQUIPMENT_ID, DATE_TRUNC(DAY, m.RECORDED_TIMESTAMP) AS BUCKET_START
+    FROM ${dbSchema}.EQUIPMENT_METRICS m
+    LEFT JOIN ${dbSchema}.${ROLLUP_TABLE} r
+      ON r.EQUIPMENT_ID = m.EQUIPMENT_ID
+      AND r.METRIC_TYPE = m.METRIC_TYPE
+      AND r.BUCKET_SIZE = '1d'
+      AND r.BUCKET_START = DATE_TRUNC(DAY, m.RECORDED_TIMESTAMP)
+    WHERE m.RECORDED_TIMESTAMP >= ?
+      AND m.METRIC_VALUE IS NOT NULL
+    GROUP BY m.EQUIPMENT_ID, m.METRIC_TYPE, DATE_TRUNC(DAY, m.RECORDED_TIMESTAMP)
+    HAVING MAX(r.REFRESHED_AT) IS NULL
+      OR MAX(m.RECORDED_TIMESTAMP) >= MAX(r.REFRESHED_AT)
+      OR COUNT(m.METRIC_VALUE) <> MAX(r.SAMPLE_COUNT)
+  `, [since]);
+
+  const days = new Map(rows.map(row => {
+    const day = bucketStart(row.BUCKET_START, '1d');
+    return [`${row.EQUIPMENT_ID}|${day}`, { EQUIPMENT_ID: row.EQUIPMENT_ID, RECORDED_TIMESTAMP: day }];
+  }));
+  return [...days.values()];
+};
+
+// Bring the rollups of the last `lookbackDays` days up to date with the raw readings.
+// Resolves with the number of equipment days refreshed.
+const refreshStaleRollups = async (repository, { lookbackDays = 2, now = Date.now() } = {}) => {
+  const since = new Date(bucketStart(now, '1d') - (lookbackDays - 1) * BUCKET_SIZES['1d'].ms).toISOString();
+  const staleDays = await findStaleRollupDays(repository, since);
+  if (staleDays.length > 0) {
+    await refreshRollups(repository, staleDays);
+  }
+  return staleDays.length;
+};
+
+module.exports = {
+  ROLLUP_TABLE,
+  ROLLUP_BUCKETS,
+  bucketAggregates,
+  rebuildRollupsSql,
+  rebuildRollups,
+  refreshRollups,
+  refreshStaleRollups
+};
@@ -0,0 +1,110 @@
+// backend-api/db/migrator.js - Versioned schema migrations for SQL fleet repositories
+//
+// Migrations live in backend-api/migrations as NNN_name.js modules exporting
+// { description, up(dbSchema), down(dbSchema) }, where up/down return the SQL statements
+// to run against the repository's schema prefix. Applied versions are recorded in
+// SCHEMA_MIGRATIONS inside that same schema.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const HISTORY_TABLE = 'SCHEMA_MIGRATIONS';
+
+// Helper function to load migration modules in version order
+const loadMigrations = (directory = MIGRATIONS_DIR) => fs.readdirSync(directory)
+  .filter(file => /^\d+_.+\.js$/.test(file))
+  .sort()
+  .map(file => {
+    const migration = require(path.join(directory, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    return {
+      version: file.split('_')[0],
+      name: file.replace(/\.js$/, ''),
+      ...migration
+    };
+  });
+
+const ensureHistoryTable = async (repository) => {
+  await repository.query(`
+    CREATE TABLE IF NOT EXISTS ${repository.getDbSchemaPrefix()}.${HISTORY_TABLE} (
+      VERSION VARCHAR(20) PRIMARY KEY,
+      NAME VARCHAR(200) NOT NULL,
+      APPLIED_AT TIMESTAMP_NTZ NOT NULL
+    )
+  `);
+};
+
+const getAppliedMigrations = async (repository) => {
+  await ensureHistoryTable(repository);
+  return repository.query(`
+    SELECT VERSION, NAME, APPLIED_AT
+    FROM ${repository.getDbSchemaPrefix()}.${HISTORY_TABLE}
+    ORDER BY VERSION
+  `);
+};
+
+const runStatements = async (repository, statements) => {
+  for (const statement of statements) {
+    await repository.query(statement);
+  }
+};
+
+// Apply every pending migration (or up to and including `to`)
+const migrateUp = async (repository, { to, migrations = loadMigrations() } = {}) => {
+  const dbSchema = repository.getDbSchemaPrefix();
+  const applied = new Set((await getAppliedMigrations(repository)).map(row => row.VERSION));
+  const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+
+  for (const migration of pending) {
+    console.log(`⬆️ Applying migration ${migration.name}: ${migration.description || ''}`);
+    await runStatements(repository, migration.up(dbSchema));
+    await repository.query(
+      `INSERT INTO ${dbSchema}.${HISTORY_TABLE} (VERSION, NAME, APPLIED_AT) VALUES (?, ?, ?)`,
+      [migration.version, migration.name, new Date().toISOString()]
+    );
+  }
+
+  return pending.map(m => m.name);
+};
+
+// Revert the most recently applied migrations, newest first
+const migrateDown = async (repository, { steps = 1, migrations = loadMigrations() } = {}) => {
+  const dbSchema = repository.getDbSchemaPrefix();
+  const applied = (await getAppliedMigrations(repository)).map(row => row.VERSION).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const version of applied) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} has no file in ${MIGRATIONS_DIR}`);
+    }
+
+    console.log(`⬇️ Reverting migration ${migration.name}`);
+    await runStatements(repository, migration.down(dbSchema));
+    await repository.query(`DELETE FROM ${dbSchema}.${HISTORY_TABLE} WHERE VERSION = ?`, [version]);
+    reverted.push(migration.name);
+  }
+
+  return reverted;
+};
+
+const getMigrationStatus = async (repository, { migrations = loadMigrations() } = {}) => {
+  const applied = new Map((await getAppliedMigrations(repository)).map(row => [row.VERSION, row.APPLIED_AT]));
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    description: m.description,
+    appliedAt: applied.get(m.version) || null
+  }));
+};
+
+module.exports = {
+  HISTORY_TABLE,
+  loadMigrations,
+  getAppliedMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
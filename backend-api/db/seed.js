@@ -0,0 +1,287 @@
+// backend-api/db/seed.js - Populates a local SQLite store with a realistic, reproducible fleet
+//
+// Usage: node db/seed.js [--reset]
+// Sites, equipment, readings, services and failures come from the shared fleet simulator, so
+// the store holds exactly the fleet the mock backend and the browser fallback show for the
+// same FLEET_SEED. Timestamps are laid out relative to the moment the seed runs.
+const {
+  DEFAULT_SEED,
+  CATEGORIES,
+  SITES,
+  METRICS,
+  OPERATING_HOURS_METRIC,
+  createRandom,
+  getEquipmentProfile,
+  getMaintenanceState,
+  getMaintenanceEvents,
+  simulateReading,
+  simulateSiteEquipment,
+  simulatePrediction
+} = require('../utils/fleetSimulator');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toDate = (ms) => new Date(ms).toISOString().split('T')[0];
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const sensorIdFor = (equipmentId, metric) => `${equipmentId}-${metric.type.replace(/\s+/g, '').toUpperCase()}`;
+
+// Build the full set of rows without touching a database
+const generateFleet = ({ seed = DEFAULT_SEED, now = Date.now(), days = 14 } = {}) => {
+  // Costs, durations and other details the simulator doesn't model
+  const random = createRandom(`${seed}:seed-db`);
+  const between = (min, max) => min + random() * (max - min);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  const rows = {
+    EQUIPMENT_CATEGORIES: CATEGORIES.map(c => ({
+      CATEGORY_ID: c.id,
+      CATEGORY_NAME: c.name,
+      DESCRIPTION: `Multiquip ${c.name.toLowerCase()}`
+    })),
+    JOB_SITES: [],
+    WORK_AREAS: [],
+    EQUIPMENT: [],
+    EQUIPMENT_SENSORS: [],
+    EQUIPMENT_METRICS: [],
+    ALERTS: [],
+    WORK_ORDERS: [],
+    PREDICTIVE_ANALYTICS: [],
+    ML_MODEL_PERFORMANCE: [],
+    MODEL_PERFORMANCE: [],
+    FUEL_CONSUMPTION: []
+  };
+
+  const latestHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  let sequence = 1000;
+  const nextId = (prefix) => `${prefix}-${++sequence}`;
+
+  SITES.forEach(site => {
+    rows.JOB_SITES.push({
+      SITE_ID: site.id,
+      SITE_NAME: site.name,
+      PROJECT_MANAGER: site.manager,
+      ADDRESS: null,
+      GPS_LATITUDE: site.lat,
+      GPS_LONGITUDE: site.lng,
+      START_DATE: toDate(now - 400 * DAY_MS),
+      STATUS: 'ACTIVE'
+    });
+
+    site.areas.forEach((name, index) => {
+      rows.WORK_AREAS.push({ AREA_ID: `${site.id}-A${index + 1}`, SITE_ID: site.id, AREA_NAME: name });
+    });
+
+    simulateSiteEquipment(site.name, { now, seed }).forEach(equipment => {
+      const equipmentId = equipment.EQUIPMENT_ID;
+      const profile = getEquipmentProfile(equipmentId, seed);
+      const metrics = [...METRICS.filter(metric => profile.sensors.includes(metric.key)), OPERATING_HOURS_METRIC];
+
+      rows.EQUIPMENT.push({
+        EQUIPMENT_ID: equipmentId,
+        EQUIPMENT_NAME: equipment.EQUIPMENT_NAME,
+        EQUIPMENT_TYPE: equipment.EQUIPMENT_TYPE,
+        CATEGORY_ID: equipment.CATEGORY_ID,
+        SITE_ID: equipment.SITE_ID,
+        AREA_ID: equipment.AREA_ID,
+        STATUS: equipment.STATUS.toUpperCase(),
+        GPS_LATITUDE: equipment.GPS_LATITUDE,
+        GPS_LONGITUDE: equipment.GPS_LONGITUDE,
+        UPTIME_PERCENTAGE: equipment.UPTIME_PERCENTAGE,
+        OPERATING_HOURS: equipment.OPERATING_HOURS,
+        MANUFACTURER: equipment.MANUFACTURER,
+        MODEL_NUMBER: equipment.MODEL_NUMBER,
+        INSTALL_DATE: equipment.INSTALL_DATE
+      });
+
+      metrics.forEach(metric => {
+        rows.EQUIPMENT_SENSORS.push({
+          SENSOR_ID: sensorIdFor(equipmentId, metric),
+          EQUIPMENT_ID: equipmentId,
+          SENSOR_TYPE: metric.type,
+          METRIC_UNIT: metric.unit,
+          INSTALL_DATE: equipment.INSTALL_DATE
+        });
+      });
+
+      // Hourly readings, one row per metric
+      for (let h = days * 24 - 1; h >= 0; h--) {
+        const timestamp = latestHour - h * HOUR_MS;
+        const reading = simulateReading(equipmentId, timestamp, { seed });
+
+        metrics.forEach(metric => {
+          rows.EQUIPMENT_METRICS.push({
+            METRIC_ID: `MET-${sensorIdFor(equipmentId, metric)}-${timestamp}`,
+            EQUIPMENT_ID: equipmentId,
+            SENSOR_ID: sensorIdFor(equipmentId, metric),
+            METRIC_TYPE: metric.type,
+            METRIC_VALUE: reading[metric.key],
+            METRIC_UNIT: metric.unit,
+            RECORDED_TIMESTAMP: reading.timestamp,
+            DATE_RECORDED: toDate(timestamp)
+          });
+        });
+      }
+
+      // Work orders mirror the simulated services (preventive) and failures (emergency repairs)
+      getMaintenanceEvents(equipmentId, now - 180 * DAY_MS, now, { seed }).forEach(event => {
+        const createdAt = new Date(event.timestamp).getTime();
+        const isFailure = event.type === 'FAILURE';
+        const hours = round(isFailure ? between(4, 12) : between(1.5, 5), 1);
+        rows.WORK_ORDERS.push({
+          WORK_ORDER_ID: nextId('WO'),
+          EQUIPMENT_ID: equipmentId,
+          WORK_TYPE: isFailure ? 'EMERGENCY' : 'PREVENTIVE',
+          STATUS: 'COMPLETED',
+          DESCRIPTION: isFailure ? 'Unplanned breakdown repair' : pick(['Scheduled service', 'Oil and filter change', 'Belt inspection', 'Electrical check']),
+          TOTAL_COST: round(isFailure ? between(1800, 6500) : hours * between(95, 160) + between(50, 600), 2),
+          ESTIMATED_HOURS: hours,
+          ACTUAL_HOURS: round(hours * between(0.8, 1.3), 1),
+          CREATED_DATE: toDate(createdAt),
+          COMPLETED_DATE: toDate(createdAt + hours * HOUR_MS)
+        });
+      });
+
+      // The next service is already on the schedule; worn machines get an open repair and an alert
+      const state = getMaintenanceState(equipmentId, now, { seed });
+      rows.WORK_ORDERS.push({
+        WORK_ORDER_ID: nextId('WO'),
+        EQUIPMENT_ID: equipmentId,
+        WORK_TYPE: 'PREVENTIVE',
+        STATUS: 'SCHEDULED',
+        DESCRIPTION: 'Scheduled service',
+        TOTAL_COST: round(between(400, 1200), 2),
+        ESTIMATED_HOURS: round(between(1.5, 5), 1),
+        ACTUAL_HOURS: null,
+        CREATED_DATE: toDate(now - between(0, 7) * DAY_MS),
+        COMPLETED_DATE: null
+      });
+
+      if (state.wear > 0.65) {
+        const critical = state.wear > 0.85;
+        rows.WORK_ORDERS.push({
+          WORK_ORDER_ID: nextId('WO'),
+          EQUIPMENT_ID: equipmentId,
+          WORK_TYPE: 'CORRECTIVE',
+          STATUS: critical ? 'EMERGENCY' : pick(['IN_PROGRESS', 'PARTS_ORDERED']),
+          DESCRIPTION: 'Abnormal temperature and vibration trend',
+          TOTAL_COST: round(between(900, 3500), 2),
+          ESTIMATED_HOURS: round(between(3, 8), 1),
+          ACTUAL_HOURS: null,
+          CREATED_DATE: toDate(now - between(0, 2) * DAY_MS),
+          COMPLETED_DATE: null
+        });
+        rows.ALERTS.push({
+          ALERT_ID: nextId('ALT'),
+          EQUIPMENT_ID: equipmentId,
+          SEVERITY: critical ? 'CRITICAL' : 'HIGH',
+          MESSAGE: critical ? 'Engine temperature exceeding normal range' : 'Vibration trending above baseline',
+          STATUS: 'ACTIVE',
+          CREATED_DATE: new Date(now - between(0.5, 36) * HOUR_MS).toISOString()
+        });
+      }
+
+      // One active prediction per machine
+      const prediction = simulatePrediction(equipmentId, { now, seed });
+      const predictedCost = round(between(4000, 18000), 2);
+      const preventionCost = round(predictedCost * between(0.15, 0.35), 2);
+      rows.PREDICTIVE_ANALYTICS.push({
+        PREDICTION_ID: nextId('PRED'),
+        EQUIPMENT_ID: equipmentId,
+        MODEL_ID: `MODEL-${profile.category.prefix}`,
+        PREDICTION_TYPE: 'FAILURE',
+        CONFIDENCE_SCORE: Number(prediction.confidence),
+        RISK_LEVEL: prediction.riskLevel.toUpperCase(),
+        PREDICTED_DATE: toDate(now + prediction.daysUntilMaintenance * DAY_MS),
+        PREDICTED_COST: predictedCost,
+        PREVENTION_COST: preventionCost,
+        POTENTIAL_SAVINGS: round(predictedCost - preventionCost, 2),
+        STATUS: 'ACTIVE',
+        CREATED_DATE: toDate(now - between(0, 30) * DAY_MS)
+      });
+
+      // Refuelling history for the last quarter
+      for (let hour = profile.refuelIntervalHours; hour < 90 * 24; hour += profile.refuelIntervalHours) {
+        const gallons = round(between(8, 45), 2);
+        rows.FUEL_CONSUMPTION.push({
+          REFUEL_ID: nextId('FUEL'),
+          EQUIPMENT_ID: equipmentId,
+          FUEL_TYPE: profile.category.fuelType,
+          FUEL_AMOUNT_GALLONS: gallons,
+          FUEL_COST_USD: round(gallons * between(2.8, 3.4), 2),
+          REFUEL_DATE: toDate(now - hour * HOUR_MS)
+        });
+      }
+    });
+  });
+
+  [
+    { prefix: 'GEN', name: 'Generator Predictive Model', accuracy: 97.8, roi: 285.3 },
+    { prefix: 'MIX', name: 'Mixer Performance Optimizer', accuracy: 98.1, roi: 312.4 },
+    { prefix: 'PMP', name: 'Pump Failure Prediction', accuracy: 96.2, roi: 245.8 },
+    { prefix: 'COM', name: 'Compactor Maintenance Model', accuracy: 95.1, roi: 198.7 }
+  ].forEach(model => {
+    rows.ML_MODEL_PERFORMANCE.push({
+      MODEL_ID: `MODEL-${model.prefix}`,
+      MODEL_NAME: model.name,
+      MODEL_STATUS: 'ACTIVE',
+      ACCURACY_PERCENTAGE: model.accuracy,
+      PRECISION_RATE: round(model.accuracy - between(2, 6), 1),
+      RECALL_RATE: round(model.accuracy - between(4, 9), 1),
+      F1_SCORE: round(model.accuracy - between(3, 7), 1),
+      ROI_PERCENTAGE: model.roi,
+      LAST_TRAINED: new Date(now - between(1, 20) * DAY_MS).toISOString()
+    });
+    rows.MODEL_PERFORMANCE.push({
+      MODEL_ID: `MODEL-${model.prefix}`,
+      MODEL_NAME: model.name,
+      MODEL_STATUS: 'ACTIVE',
+      ACCURACY_PERCENTAGE: model.accuracy,
+      EVALUATION_DATE: toDate(now - between(1, 20) * DAY_MS)
+    });
+  });
+
+  return rows;
+};
+
+// Insert generated rows into a better-sqlite3 database in a single transaction
+const seedSqliteDatabase = (db, options = {}) => {
+  const rows = generateFleet(options);
+
+  db.transaction(() => {
+    Object.entries(rows).forEach(([table, tableRows]) => {
+      if (tableRows.length === 0) return;
+      const columns = Object.keys(tableRows[0]);
+      const insert = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+      tableRows.forEach(row => insert.run(columns.map(column => row[column])));
+    });
+  })();
+
+  return Object.fromEntries(Object.entries(rows).map(([table, tableRows]) => [table, tableRows.length]));
+};
+
+module.exports = { generateFleet, seedSqliteDatabase };
+
+// Allow running directly: node db/seed.js [--reset]
+if (require.main === module) {
+  require('dotenv').config();
+  const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+  const { rebuildRollups } = require('./metricRollups');
+
+  const repository = new SqliteFleetRepository({ seedIfEmpty: false });
+  repository.connect()
+    .then(() => {
+      if (process.argv.includes('--reset')) {
+        console.log('🧹 Clearing existing data...');
+        repository.clear();
+      }
+      const counts = seedSqliteDatabase(repository.db, { seed: process.env.FLEET_SEED || DEFAULT_SEED });
+      console.log(`🌱 Seeded ${repository.filename}:`, counts);
+      return rebuildRollups(repository);
+    })
+    .then(() => repository.close())
+    .catch(error => {
+      console.error('❌ Seeding failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,143 @@
+// backend-api/db/sqliteDialect.js - Runs Snowflake-dialect SQL on SQLite
+//
+// The repositories write their SQL for Snowflake. This shim rewrites the handful of
+// constructs SQLite cannot parse and registers JS implementations of the date functions
+// and of the aggregates the metric rollups use.
+// Timestamps are stored as ISO-8601 UTC strings and dates as YYYY-MM-DD, so string
+// comparison orders them the same way Snowflake does.
+
+const { percentile } = require('../utils/sensorSeries');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_ALIASES = {
+  YEAR: 'YEAR', YEARS: 'YEAR', YY: 'YEAR', YYYY: 'YEAR',
+  MONTH: 'MONTH', MONTHS: 'MONTH', MM: 'MONTH', MON: 'MONTH',
+  WEEK: 'WEEK', WEEKS: 'WEEK', WK: 'WEEK',
+  DAY: 'DAY', DAYS: 'DAY', DD: 'DAY', D: 'DAY',
+  HOUR: 'HOUR', HOURS: 'HOUR', HH: 'HOUR',
+  MINUTE: 'MINUTE', MINUTES: 'MINUTE', MI: 'MINUTE',
+  SECOND: 'SECOND', SECONDS: 'SECOND', SS: 'SECOND'
+};
+
+const normalizeUnit = (unit) => {
+  const normalized = UNIT_ALIASES[String(unit).toUpperCase()];
+  if (!normalized) {
+    throw new Error(`Unsupported date part: ${unit}`);
+  }
+  return normalized;
+};
+
+// SQLite hands dates back as strings (or numbers for epoch millis); keep date-only values date-only
+const parseDate = (value) => {
+  if (value === null || value === undefined) return null;
+  const date = typeof value === 'number' ? new Date(value) : new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const formatLike = (date, original) => (
+  typeof original === 'string' && DATE_ONLY.test(original)
+    ? date.toISOString().split('T')[0]
+    : date.toISOString()
+);
+
+const dateAdd = (unit, amount, value) => {
+  const date = parseDate(value);
+  if (!date) return null;
+  const n = Number(amount);
+
+  switch (normalizeUnit(unit)) {
+    case 'YEAR': date.setUTCFullYear(date.getUTCFullYear() + n); break;
+    case 'MONTH': date.setUTCMonth(date.getUTCMonth() + n); break;
+    case 'WEEK': date.setTime(date.getTime() + n * 7 * DAY_MS); break;
+    case 'DAY': date.setTime(date.getTime() + n * DAY_MS); break;
+    case 'HOUR': date.setTime(date.getTime() + n * 60 * 60 * 1000); break;
+    case 'MINUTE': date.setTime(date.getTime() + n * 60 * 1000); break;
+    default: date.setTime(date.getTime() + n * 1000);
+  }
+
+  return formatLike(date, value);
+};
+
+// DATE_TRUNC(HOUR, ts) -> start of the hour, in the same format as the input
+const dateTrunc = (unit, value) => {
+  const date = parseDate(value);
+  if (!date) return null;
+
+  switch (normalizeUnit(unit)) {
+    case 'YEAR': date.setUTCMonth(0, 1); date.setUTCHours(0, 0, 0, 0); break;
+    case 'MONTH': date.setUTCDate(1); date.setUTCHours(0, 0, 0, 0); break;
+    // Snowflake weeks start on Monday by default
+    case 'WEEK': date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7); date.setUTCHours(0, 0, 0, 0); break;
+    case 'DAY': date.setUTCHours(0, 0, 0, 0); break;
+    case 'HOUR': date.setUTCMinutes(0, 0, 0); break;
+    case 'MINUTE': date.setUTCSeconds(0, 0); break;
+    default: date.setUTCMilliseconds(0);
+  }
+
+  return formatLike(date, value);
+};
+
+// Like Snowflake, DATEDIFF counts unit boundaries crossed rather than elapsed time
+const dateDiff = (unit, startValue, endValue) => {
+  const start = parseDate(startValue);
+  const end = parseDate(endValue);
+  if (!start || !end) return null;
+
+  const truncate = (date, ms) => Math.floor(date.getTime() / ms);
+
+  switch (normalizeUnit(unit)) {
+    case 'YEAR': return end.getUTCFullYear() - start.getUTCFullYear();
+    case 'MONTH': return (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    case 'WEEK': return Math.floor((truncate(end, DAY_MS) + 3) / 7) - Math.floor((truncate(start, DAY_MS) + 3) / 7);
+    case 'DAY': return truncate(end, DAY_MS) - truncate(start, DAY_MS);
+    case 'HOUR': return truncate(end, 60 * 60 * 1000) - truncate(start, 60 * 60 * 1000);
+    case 'MINUTE': return truncate(end, 60 * 1000) - truncate(start, 60 * 1000);
+    default: return truncate(end, 1000) - truncate(start, 1000);
+  }
+};
+
+// APPROX_PERCENTILE(value, 0.95): SQLite has room to compute it exactly
+const approxPercentileAggregate = {
+  start: () => ({ values: [], fraction: null }),
+  step: (state, value, fraction) => {
+    if (value !== null) state.values.push(Number(value));
+    state.fraction = Number(fraction);
+    return state;
+  },
+  result: ({ values, fraction }) => (values.length === 0 ? null : percentile(values, fraction))
+};
+
+// MAX_BY(value, key): the value from the row with the largest key
+const maxByAggregate = {
+  start: () => null,
+  step: (best, value, key) => (key !== null && (best === null || key > best.key) ? { value, key } : best),
+  result: best => (best === null ? null : best.value)
+};
+
+// Rewrite Snowflake-only syntax into something SQLite parses
+const translateSnowflakeSql = (sql) => sql
+  // DATEADD(DAY, ...) -> DATEADD('DAY', ...): SQLite would read the bare date part as a column
+  .replace(/\b(DATEADD|DATEDIFF|DATE_TRUNC)\s*\(\s*([A-Za-z]+)\s*,/gi, (match, fn, unit) => `${fn.toUpperCase()}('${unit.toUpperCase()}',`)
+  .replace(/\bCURRENT_DATE\s*\(\s*\)/gi, 'SNOWFLAKE_CURRENT_DATE()')
+  .replace(/\bCURRENT_TIMESTAMP\s*\(\s*\)/gi, 'SNOWFLAKE_CURRENT_TIMESTAMP()');
+
+// Register the JS implementations on a better-sqlite3 database
+const registerSnowflakeFunctions = (db) => {
+  db.function('DATEADD', { deterministic: true }, dateAdd);
+  db.function('DATEDIFF', { deterministic: true }, dateDiff);
+  db.function('DATE_TRUNC', { deterministic: true }, dateTrunc);
+  db.function('SNOWFLAKE_CURRENT_DATE', () => new Date().toISOString().split('T')[0]);
+  db.function('SNOWFLAKE_CURRENT_TIMESTAMP', () => new Date().toISOString());
+  db.aggregate('APPROX_PERCENTILE', approxPercentileAggregate);
+  db.aggregate('MAX_BY', maxByAggregate);
+};
+
+module.exports = {
+  translateSnowflakeSql,
+  registerSnowflakeFunctions,
+  dateAdd,
+  dateDiff,
+  dateTrunc
+};
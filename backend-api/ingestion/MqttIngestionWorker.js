@@ -0,0 +1,218 @@
+// backend-api/ingestion/MqttIngestionWorker.js - Ingest equipment telemetry published over MQTT
+//
+// Gateways publish one reading per message on a topic shaped like MQTT_TOPIC, by default
+// `multiquip/{site}/{equipment}/{metric}`, e.g. `multiquip/SITE-001/GEN-105/temperature`.
+// The payload is either a bare number or JSON: { value, unit?, timestamp?, sensorId?, id? }.
+// Valid readings are buffered and flushed in batches through repository.uploadSensorReadings(),
+// the same path the upload route uses. Readings that could not be written stay buffered and
+// are retried on the next flush; their deterministic METRIC_IDs make the retry safe.
+const mqtt = require('mqtt');
+const { validateSensorReading, resolveMetric, toPlatformUnit } = require('./sensorReadings');
+
+const DEFAULT_TOPIC = 'multiquip/{site}/{equipment}/{metric}';
+
+// Helper function to turn a topic pattern into the wildcard subscription it covers
+const toSubscription = (pattern) => pattern.replace(/\{[^}]+\}/g, '+');
+
+// Helper function to read {placeholders} out of a topic, or null when it doesn't match
+const parseTopic = (pattern, topic) => {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+  if (patternLevels.length !== topicLevels.length) return null;
+
+  const fields = {};
+  for (let i = 0; i < patternLevels.length; i++) {
+    const placeholder = patternLevels[i].match(/^\{(.+)\}$/);
+    if (placeholder) {
+      if (!topicLevels[i]) return null;
+      fields[placeholder[1]] = decodeURIComponent(topicLevels[i]);
+    } else if (patternLevels[i] !== topicLevels[i]) {
+      return null;
+    }
+  }
+  return fields;
+};
+
+// Helper function to build a sensor reading from one MQTT message, or { error } when it is unusable
+const parseMessage = (pattern, topic, payload, receivedAt = new Date()) => {
+  const fields = parseTopic(pattern, topic);
+  if (!fields) return { error: `Topic does not match ${pattern}` };
+
+  const metric = resolveMetric(fields.metric);
+  if (!metric) return { error: `Unknown metric "${fields.metric}"` };
+
+  let body;
+  try {
+    const text = payload.toString('utf8').trim();
+    body = /^[{[]/.test(text) ? JSON.parse(text) : { value: text };
+  } catch (error) {
+    return { error: `Payload is not valid JSON: ${error.message}` };
+  }
+
+  const value = body.value === undefined || body.value === '' ? null : Number(body.value);
+  const reading = {
+    equipmentId: fields.equipment,
+    metricType: metric.type,
+    // Gateways configured for metric units are converted to the platform's units
+    ...toPlatformUnit(metric.type, value, body.unit),
+    timestamp: body.timestamp || receivedAt.toISOString(),
+    sensorId: body.sensorId || undefined,
+    // Gateways that resend with a message id get exactly-once storage even if the timestamp changes
+    idempotencyKey: body.id ? `mqtt|${fields.equipment}|${body.id}` : undefined
+  };
+
+  const reason = validateSensorReading(reading);
+  return reason ? { error: reason } : { reading, site: fields.site };
+};
+
+class MqttIngestionWorker {
+  // getRepository() resolves with the repository to write to, or null while it is unavailable
+  constructor({
+    url = process.env.MQTT_URL,
+    topic = process.env.MQTT_TOPIC || DEFAULT_TOPIC,
+    clientOptions = {},
+    getRepository,
+    batchSize = Number(process.env.MQTT_BATCH_SIZE || 500),
+    flushIntervalMs = Number(process.env.MQTT_FLUSH_INTERVAL_MS || 2000),
+    maxBufferSize = Number(process.env.MQTT_MAX_BUFFER || 50000)
+  } = {}) {
+    if (!url) throw new Error('MQTT_URL is required for MQTT ingestion');
+    if (!/\{equipment\}/.test(topic) || !/\{metric\}/.test(topic)) {
+      throw new Error(`MQTT topic pattern ${topic} must contain {equipment} and {metric}`);
+    }
+
+    this.url = url;
+    this.topic = topic;
+    this.clientOptions = {
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      clientId: process.env.MQTT_CLIENT_ID || `multiquip-ingest-${process.pid}`,
+      ...clientOptions
+    };
+    this.getRepository = getRepository;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxBufferSize = maxBufferSize;
+
+    this.client = null;
+    this.buffer = [];
+    this.flushing = null;
+    this.flushTimer = null;
+    this.stats = { received: 0, invalid: 0, accepted: 0, duplicates: 0, rejected: 0, dropped: 0, lastFlushAt: null, lastError: null };
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      console.log(`📡 Connecting MQTT ingestion to ${this.url} (${toSubscription(this.topic)})`);
+      this.client = mqtt.connect(this.url, this.clientOptions);
+
+      this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+      this.client.on('reconnect', () => console.log('🔄 MQTT ingestion reconnecting...'));
+      this.client.on('error', error => {
+        this.stats.lastError = error.message;
+        console.error('❌ MQTT ingestion error:', error.message);
+      });
+
+      this.client.once('connect', () => {
+        this.client.subscribe(toSubscription(this.topic), { qos: 1 }, (error) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          console.log(`✅ MQTT ingestion subscribed to ${toSubscription(this.topic)}`);
+          this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+          resolve(this);
+        });
+      });
+    });
+  }
+
+  handleMessage(topic, payload) {
+    this.stats.received++;
+    const { reading, error } = parseMessage(this.topic, topic, payload);
+
+    if (error) {
+      this.stats.invalid++;
+      console.warn(`⚠️ Ignored MQTT message on ${topic}: ${error}`);
+      return false;
+    }
+
+    this.buffer.push(reading);
+    if (this.buffer.length > this.maxBufferSize) {
+      const overflow = this.buffer.length - this.maxBufferSize;
+      this.buffer.splice(0, overflow);
+      this.stats.dropped += overflow;
+      console.warn(`⚠️ MQTT buffer full, dropped ${overflow} oldest reading(s)`);
+    }
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+    return true;
+  }
+
+  // Write everything buffered so far. Only one flush runs at a time.
+  flush() {
+    if (this.flushing || this.buffer.length === 0) return this.flushing || Promise.resolve();
+
+    this.flushing = (async () => {
+      const repository = await this.getRepository();
+      if (!repository) {
+        this.stats.lastError = 'Data source unavailable, keeping readings buffered';
+        return;
+      }
+
+      const readings = this.buffer.splice(0, this.buffer.length);
+      try {
+        const result = await repository.uploadSensorReadings(readings, { batchSize: this.batchSize });
+
+        // Validation failures will never succeed; database failures go back in the buffer
+        const retry = result.batches.flatMap(batch => batch.rejected)
+          .filter(({ reason }) => reason.startsWith('Write failed'))
+          .map(({ index }) => readings[index]);
+        this.buffer.unshift(...retry);
+
+        this.stats.accepted += result.accepted;
+        this.stats.duplicates += result.duplicates;
+        this.stats.rejected += result.rejected - retry.length;
+        this.stats.lastFlushAt = new Date().toISOString();
+        if (retry.length === 0) this.stats.lastError = null;
+
+        console.log(`📥 MQTT flush: ${result.accepted} stored, ${result.duplicates} duplicate, ${result.rejected - retry.length} rejected, ${retry.length} queued for retry`);
+      } catch (error) {
+        this.buffer.unshift(...readings);
+        this.stats.lastError = error.message;
+        console.error('❌ MQTT flush failed, readings kept for retry:', error.message);
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  getStatus() {
+    return {
+      connected: !!this.client && this.client.connected,
+      subscription: toSubscription(this.topic),
+      buffered: this.buffer.length,
+      ...this.stats
+    };
+  }
+
+  // Flush what is buffered, then disconnect
+  async stop() {
+    clearInterval(this.flushTimer);
+    if (this.client) {
+      await this.client.endAsync();
+      this.client = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = {
+  MqttIngestionWorker,
+  DEFAULT_TOPIC,
+  parseTopic,
+  parseMessage
+};
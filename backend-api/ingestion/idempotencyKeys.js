@@ -0,0 +1,52 @@
+// backend-api/ingestion/idempotencyKeys.js - Replay protection for `Idempotency-Key` requests
+//
+// A client that retries an upload with the same Idempotency-Key gets the first response back
+// instead of a second write. Keys are remembered per tenant for IDEMPOTENCY_TTL_HOURS
+// (default 24). Row-level METRIC_IDs still deduplicate retries that arrive after that.
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_KEYS = 10000;
+
+const results = new Map();
+
+// Helper function to drop expired keys, and the oldest ones when over the limit
+const prune = () => {
+  const now = Date.now();
+  for (const [key, entry] of results) {
+    if (entry.expiresAt <= now) results.delete(key);
+  }
+  while (results.size > MAX_KEYS) {
+    results.delete(results.keys().next().value);
+  }
+};
+
+// Run operation() once per (tenant, key). Repeats, including ones that arrive while the
+// first is still running, resolve with the first result and `replayed: true`.
+// Results for which shouldKeep(result) is false (e.g. the database was down) are forgotten.
+const runIdempotent = async (tenant, key, operation, shouldKeep = () => true) => {
+  if (!key) {
+    return { result: await operation(), replayed: false };
+  }
+
+  const mapKey = `${tenant}|${key}`;
+  const existing = results.get(mapKey);
+  if (existing && existing.expiresAt > Date.now()) {
+    return { result: await existing.promise, replayed: true };
+  }
+
+  const promise = operation();
+  results.set(mapKey, { promise, expiresAt: Date.now() + IDEMPOTENCY_TTL_MS });
+  prune();
+
+  try {
+    const result = await promise;
+    if (!shouldKeep(result)) results.delete(mapKey);
+    return { result, replayed: false };
+  } catch (error) {
+    results.delete(mapKey);
+    throw error;
+  }
+};
+
+module.exports = {
+  runIdempotent
+};
@@ -0,0 +1,118 @@
+// backend-api/ingestion/importJobs.js - Background jobs that load imported files into EQUIPMENT_METRICS
+//
+// A confirmed import returns straight away with a job id; the rows are written afterwards in
+// chunks through repository.uploadSensorReadings(), so they get the same validation,
+// deduplication and cache invalidation as every other ingestion path. Jobs run one at a
+// time per server and are kept in memory (the last IMPORT_JOB_HISTORY per organization).
+const crypto = require('crypto');
+
+const CHUNK_SIZE = Number(process.env.IMPORT_CHUNK_SIZE || 5000);
+const JOB_HISTORY = Number(process.env.IMPORT_JOB_HISTORY || 20);
+const MAX_REPORTED_REJECTIONS = 50;
+// Files are parsed in memory before the job starts, so their size is capped
+const MAX_IMPORT_READINGS = Number(process.env.IMPORT_MAX_READINGS || 500000);
+
+const jobsByTenant = new Map();
+let queue = Promise.resolve();
+
+// Helper function to shape a job for API responses (without its readings and repository)
+const describeJob = ({ readings, repository, ...job }) => ({
+  ...job,
+  rejections: job.rejections.slice(0, MAX_REPORTED_REJECTIONS)
+});
+
+const runJob = async (job) => {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`📂 Import ${job.id} started: ${job.total} readings from ${job.fileName} (${job.tenant})`);
+
+  try {
+    for (let start = 0; start < job.readings.length; start += CHUNK_SIZE) {
+      const chunk = job.readings.slice(start, start + CHUNK_SIZE);
+      const result = await job.repository.uploadSensorReadings(chunk.map(({ reading }) => reading));
+
+      job.accepted += result.accepted;
+      job.duplicates += result.duplicates;
+      job.rejected += result.rejected;
+      result.batches.forEach(batch => batch.rejected.forEach(({ index, reason }) => {
+        if (job.rejections.length < MAX_REPORTED_REJECTIONS) {
+          job.rejections.push({ row: chunk[index].rowNumber, reason });
+        }
+      }));
+      job.processed = Math.min(job.total, start + chunk.length);
+      job.progress = Math.round(job.processed / job.total * 100);
+    }
+
+    job.status = job.accepted + job.duplicates > 0 || job.total === 0 ? 'completed' : 'failed';
+    if (job.status === 'failed') job.error = 'No readings could be written';
+    console.log(`✅ Import ${job.id} finished: ${job.accepted} stored, ${job.duplicates} duplicate, ${job.rejected} rejected`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`❌ Import ${job.id} failed:`, error.message);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    // The readings aren't needed once they are written
+    job.readings = [];
+    job.repository = null;
+  }
+};
+
+// Queue an import of prepared readings ([{ rowNumber, reading }]) for a tenant
+const startImportJob = (tenant, repository, { fileName, readings, report }) => {
+  const job = {
+    id: crypto.randomUUID(),
+    tenant,
+    fileName,
+    status: 'queued',
+    total: readings.length,
+    processed: 0,
+    progress: 0,
+    accepted: 0,
+    duplicates: 0,
+    rejected: 0,
+    rejections: [],
+    report,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    readings,
+    repository
+  };
+
+  const jobs = jobsByTenant.get(tenant) || [];
+  jobs.unshift(job);
+  // Forget the oldest finished jobs; never drop one that is still waiting or running
+  while (jobs.length > JOB_HISTORY && ['completed', 'failed'].includes(jobs[jobs.length - 1].status)) {
+    jobs.pop();
+  }
+  jobsByTenant.set(tenant, jobs);
+
+  queue = queue.then(() => runJob(job));
+  return describeJob(job);
+};
+
+const getImportJob = (tenant, jobId) => {
+  const job = (jobsByTenant.get(tenant) || []).find(candidate => candidate.id === jobId);
+  return job ? describeJob(job) : null;
+};
+
+// Most recent first
+const listImportJobs = (tenant) => (jobsByTenant.get(tenant) || []).map(describeJob);
+
+const getImportStatus = () => {
+  const jobs = [...jobsByTenant.values()].flat();
+  return {
+    queued: jobs.filter(job => job.status === 'queued').length,
+    running: jobs.filter(job => job.status === 'running').length
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_READINGS,
+  startImportJob,
+  getImportJob,
+  listImportJobs,
+  getImportStatus
+};
@@ -0,0 +1,328 @@
+// backend-api/ingestion/sensorImport.js - Map spreadsheet rows to sensor readings
+//
+// Imports come in two layouts:
+//   long - one reading per row: equipment, timestamp, metric, value[, unit]
+//   wide - one row per equipment and timestamp, one column per metric ("Temp (°C)", "RPM", ...)
+// A mapping says which column holds what. suggestMapping() guesses it from the headers and the
+// dry-run report shows the result, so the user can correct it before anything is written.
+//
+// Units are detected per metric, in order: the row's unit column, a unit chosen in the mapping,
+// the unit in the column header, a guess from the value range, and finally the platform unit.
+// Values are converted to the platform units (°F, PSI, ...) the dashboards and models expect.
+const {
+  resolveMetric,
+  toPlatformUnit,
+  validateSensorReading,
+  getMetricId
+} = require('./sensorReadings');
+
+const MAX_REPORTED_ERRORS = 50;
+
+// Header names (lowercase, alphanumerics only) each reading field is usually exported under
+const FIELD_SYNONYMS = {
+  equipmentId: ['equipmentid', 'equipment', 'asset', 'assetid', 'machine', 'machineid', 'unitnumber', 'serialnumber'],
+  timestamp: ['timestamp', 'recordedtimestamp', 'recordedat', 'datetime', 'time', 'date', 'readingtime', 'eventtime'],
+  metricType: ['metrictype', 'metric', 'sensortype', 'parameter', 'measurement', 'channel', 'tag'],
+  value: ['value', 'metricvalue', 'reading', 'readingvalue', 'measurementvalue'],
+  unit: ['unit', 'units', 'metricunit', 'uom'],
+  sensorId: ['sensorid', 'sensor']
+};
+
+// Short names historians commonly export metrics under, besides the platform names
+const METRIC_ALIASES = {
+  temp: 'Temperature',
+  enginetemp: 'Temperature',
+  coolanttemp: 'Temperature',
+  vib: 'Vibration',
+  press: 'Pressure',
+  hydraulicpressure: 'Pressure',
+  oilpress: 'Oil Pressure',
+  amps: 'Current',
+  enginespeed: 'RPM',
+  fuel: 'Fuel Level',
+  hours: 'Operating Hours',
+  enginehours: 'Operating Hours',
+  hourmeter: 'Operating Hours'
+};
+
+// Typical platform-unit readings are far from their metric-unit equivalents, so a column
+// without any unit information whose median sits below these values was most likely
+// exported in the metric unit (e.g. oil pressure around 3.5 bar instead of 50 PSI)
+const METRIC_UNIT_HINTS = {
+  Temperature: { below: 45, unit: '°C' },
+  Pressure: { below: 20, unit: 'bar' },
+  'Oil Pressure': { below: 10, unit: 'bar' }
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Helper function to find the platform metric type for a metric name or column header
+const resolveMetricType = (name) => resolveMetric(name)?.type || METRIC_ALIASES[normalizeHeader(name)];
+
+// Helper function to split "Oil Pressure (bar)" or "Temp [C]" into name and unit
+const splitHeaderUnit = (header) => {
+  const match = String(header).match(/^(.*?)[\s_-]*[([]\s*([^)\]]+?)\s*[)\]]\s*$/);
+  return match ? { name: match[1], unit: match[2] } : { name: String(header), unit: null };
+};
+
+// Guess which columns hold which reading fields. Columns named after a metric become
+// wide-layout metric columns when the file has no metric/value columns.
+const suggestMapping = (columns) => {
+  const mapping = { metricColumns: {}, units: {} };
+  const used = new Set();
+
+  Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms]) => {
+    // Earlier synonyms are the better match, e.g. "Timestamp" over "Date"
+    for (const synonym of synonyms) {
+      const column = columns.find(name => !used.has(name) && normalizeHeader(splitHeaderUnit(name).name) === synonym);
+      if (column) {
+        mapping[field] = column;
+        used.add(column);
+        return;
+      }
+    }
+    mapping[field] = null;
+  });
+
+  if (!mapping.metricType || !mapping.value) {
+    columns.filter(name => !used.has(name)).forEach(name => {
+      const metricType = resolveMetricType(splitHeaderUnit(name).name);
+      if (metricType) mapping.metricColumns[name] = metricType;
+    });
+  }
+
+  return mapping;
+};
+
+// Helper function to list what is wrong with a mapping, or an empty array
+const validateMapping = (mapping, columns) => {
+  const problems = [];
+  const isColumn = name => columns.includes(name);
+  const metricColumns = Object.keys(mapping.metricColumns || {});
+
+  ['equipmentId', 'timestamp'].forEach(field => {
+    if (!mapping[field]) problems.push(`Choose the column that holds ${field}`);
+  });
+  if (!(mapping.metricType && mapping.value) && metricColumns.length === 0) {
+    problems.push('Choose metricType and value columns, or at least one metric column');
+  }
+  ['equipmentId', 'timestamp', 'metricType', 'value', 'unit', 'sensorId', ...metricColumns].forEach(field => {
+    const column = metricColumns.includes(field) ? field : mapping[field];
+    if (column && !isColumn(column)) problems.push(`Column "${column}" is not in the file`);
+  });
+
+  return problems;
+};
+
+// Spreadsheet timestamps arrive as Dates, ISO strings, "2024-03-01 14:00" (read as UTC),
+// epoch seconds/milliseconds or Excel serial day numbers
+const parseTimestamp = (cell) => {
+  if (cell instanceof Date) return isNaN(cell.getTime()) ? null : cell;
+
+  const text = String(cell).trim();
+  if (!text) return null;
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (number > 1e11) return new Date(number);
+    if (number > 1e8) return new Date(number * 1000);
+    // Excel serial date: days since 1899-12-30
+    if (number > 20000 && number < 80000) return new Date(Math.round((number - 25569) * 86400000));
+    return null;
+  }
+
+  const isoLike = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2})(:\d{2}(:\d{2}(\.\d+)?)?)\s*(.*)$/);
+  let date;
+  if (isoLike) {
+    const zone = /^(z|utc|gmt)?$/i.test(isoLike[6]) ? 'Z' : isoLike[6];
+    date = new Date(`${isoLike[1]}T${isoLike[2].padStart(2, '0')}${isoLike[3]}${zone}`);
+  } else {
+    date = new Date(text);
+  }
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseNumber = (cell) => {
+  if (typeof cell === 'number') return cell;
+  const text = String(cell).trim().replace(/,(?=\d{3}(\D|$))/g, '');
+  return text === '' || !Number.isFinite(Number(text)) ? null : Number(text);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Helper function to read the raw (unconverted) entries out of the rows
+const extractEntries = (table, mapping) => {
+  const index = name => table.columns.indexOf(name);
+  const cellOf = (cells, column) => (column && index(column) >= 0 ? cells[index(column)] ?? '' : '');
+  const metricColumns = mapping.metricType && mapping.value
+    ? []
+    : Object.entries(mapping.metricColumns || {}).filter(([, metricType]) => metricType);
+
+  const entries = [];
+  table.rows.forEach(({ rowNumber, cells }) => {
+    const base = {
+      rowNumber,
+      equipmentId: String(cellOf(cells, mapping.equipmentId)).trim(),
+      timestamp: parseTimestamp(cellOf(cells, mapping.timestamp)),
+      sensorId: String(cellOf(cells, mapping.sensorId)).trim() || undefined
+    };
+
+    if (metricColumns.length === 0) {
+      const metricName = String(cellOf(cells, mapping.metricType)).trim();
+      entries.push({
+        ...base,
+        metricType: resolveMetricType(metricName) || metricName,
+        rawValue: cellOf(cells, mapping.value),
+        rowUnit: String(cellOf(cells, mapping.unit)).trim() || null,
+        headerUnit: splitHeaderUnit(mapping.value).unit
+      });
+      return;
+    }
+
+    // Wide rows produce one reading per filled metric column
+    metricColumns.forEach(([column, metricType]) => {
+      const rawValue = cellOf(cells, column);
+      if (rawValue === '') return;
+      entries.push({ ...base, metricType, rawValue, rowUnit: null, headerUnit: splitHeaderUnit(column).unit });
+    });
+  });
+
+  return entries;
+};
+
+// Helper function to decide the source unit of each metric that has no row-level unit
+const detectUnits = (entries, mapping) => {
+  const byMetric = new Map();
+  entries.forEach(entry => {
+    if (!byMetric.has(entry.metricType)) byMetric.set(entry.metricType, []);
+    byMetric.get(entry.metricType).push(entry);
+  });
+
+  const units = {};
+  byMetric.forEach((metricEntries, metricType) => {
+    const chosen = mapping.units?.[metricType];
+    const headerUnit = metricEntries.find(entry => entry.headerUnit)?.headerUnit;
+    const hint = METRIC_UNIT_HINTS[metricType];
+    const values = metricEntries.filter(entry => !entry.rowUnit)
+      .map(entry => parseNumber(entry.rawValue))
+      .filter(value => value !== null);
+
+    if (chosen) {
+      units[metricType] = { unit: chosen, source: 'mapping' };
+    } else if (headerUnit) {
+      units[metricType] = { unit: headerUnit, source: 'header' };
+    } else if (hint && values.length > 0 && median(values) < hint.below) {
+      units[metricType] = { unit: hint.unit, source: 'inferred' };
+    } else {
+      units[metricType] = { unit: resolveMetric(metricType)?.unit || null, source: 'default' };
+    }
+  });
+  return units;
+};
+
+// Turn a parsed file into sensor readings plus a validation report. Nothing is written;
+// the readings are what an import job uploads.
+const buildImport = (table, mapping) => {
+  const mappingProblems = validateMapping(mapping, table.columns);
+  if (mappingProblems.length > 0) {
+    const error = new Error(mappingProblems.join('; '));
+    error.mappingProblems = mappingProblems;
+    throw error;
+  }
+
+  const entries = extractEntries(table, mapping);
+  const detectedUnits = detectUnits(entries, mapping);
+  const readings = [];
+  const errors = [];
+  const seen = new Set();
+  const metrics = {};
+  const equipment = new Set();
+  let duplicates = 0;
+  let from = null;
+  let to = null;
+
+  entries.forEach(entry => {
+    const value = parseNumber(entry.rawValue);
+    const sourceUnit = entry.rowUnit || detectedUnits[entry.metricType].unit;
+    const converted = value === null ? { value, unit: sourceUnit } : toPlatformUnit(entry.metricType, value, sourceUnit);
+    const reading = {
+      equipmentId: entry.equipmentId,
+      metricType: entry.metricType,
+      value: converted.value,
+      unit: converted.unit,
+      timestamp: entry.timestamp ? entry.timestamp.toISOString() : null,
+      sensorId: entry.sensorId
+    };
+
+    const reason = validateSensorReading(reading);
+    if (reason) {
+      errors.push({ row: entry.rowNumber, metricType: entry.metricType || null, reason });
+      return;
+    }
+
+    const metricId = getMetricId(reading);
+    if (seen.has(metricId)) {
+      duplicates++;
+      return;
+    }
+    seen.add(metricId);
+    readings.push({ rowNumber: entry.rowNumber, reading });
+
+    const summary = metrics[entry.metricType] || (metrics[entry.metricType] = {
+      metricType: entry.metricType,
+      known: !!resolveMetric(entry.metricType),
+      count: 0,
+      storedUnit: converted.unit,
+      sourceUnits: {},
+      unitSource: entry.rowUnit ? 'column' : detectedUnits[entry.metricType].source,
+      unconverted: 0
+    });
+    summary.count++;
+    summary.sourceUnits[sourceUnit || 'none'] = (summary.sourceUnits[sourceUnit || 'none'] || 0) + 1;
+    if (converted.unconverted) summary.unconverted++;
+
+    equipment.add(reading.equipmentId);
+    if (!from || reading.timestamp < from) from = reading.timestamp;
+    if (!to || reading.timestamp > to) to = reading.timestamp;
+  });
+
+  const warnings = [];
+  Object.values(metrics).forEach(summary => {
+    if (!summary.known) {
+      warnings.push(`"${summary.metricType}" is not a platform metric; it will be stored but not charted or used by the models`);
+    }
+    if (summary.unitSource === 'inferred') {
+      warnings.push(`${summary.metricType} has no unit; values look like ${Object.keys(summary.sourceUnits).join('/')} and will be converted to ${summary.storedUnit}`);
+    }
+    if (summary.unconverted > 0) {
+      warnings.push(`${summary.unconverted} ${summary.metricType} reading(s) use a unit that can't be converted to ${resolveMetric(summary.metricType)?.unit} and keep their own unit`);
+    }
+  });
+
+  return {
+    readings,
+    report: {
+      rowCount: table.rows.length,
+      readingCount: entries.length,
+      valid: readings.length,
+      invalid: errors.length,
+      duplicatesInFile: duplicates,
+      equipmentCount: equipment.size,
+      timeRange: { from, to },
+      metrics: Object.values(metrics),
+      warnings,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+      errorsTruncated: errors.length > MAX_REPORTED_ERRORS
+    }
+  };
+};
+
+module.exports = {
+  suggestMapping,
+  validateMapping,
+  parseTimestamp,
+  buildImport
+};
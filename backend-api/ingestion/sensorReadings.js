@@ -0,0 +1,167 @@
+// backend-api/ingestion/sensorReadings.js - Validation and batching for sensor reading uploads
+//
+// Every ingestion path (HTTP uploads, MQTT, file imports) goes through
+// repository.uploadSensorReadings(), which uses these helpers. Each reading gets a
+// deterministic METRIC_ID, so a retried upload finds its earlier rows instead of
+// duplicating them.
+const crypto = require('crypto');
+const { METRICS, OPERATING_HOURS_METRIC } = require('../utils/fleetSimulator');
+
+const DEFAULT_BATCH_SIZE = Number(process.env.INGEST_BATCH_SIZE || 500);
+// 8 bound columns per row; keeps a batch under SQLite's and Snowflake's bind limits
+const MAX_BATCH_SIZE = 1000;
+const MAX_READINGS_PER_UPLOAD = Number(process.env.INGEST_MAX_READINGS || 50000);
+
+// Metric names may be the simulator key (oilPressure), the type (Oil Pressure) or a slug (oil-pressure)
+const normalizeMetricName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+const METRICS_BY_NAME = new Map([...METRICS, OPERATING_HOURS_METRIC].flatMap(metric => [
+  [normalizeMetricName(metric.key), metric],
+  [normalizeMetricName(metric.type), metric]
+]));
+
+// Returns the known metric ({ key, type, unit }) for a name, or undefined
+const resolveMetric = (name) => METRICS_BY_NAME.get(normalizeMetricName(name));
+
+// Helper function to compare units loosely: '°C', 'degC' and 'c' are the same unit
+const unitKey = (unit) => String(unit).toLowerCase().replace(/°|deg(rees)?|\s|\./g, '').replace('²', '2');
+
+const PRESSURE_TO_PSI = {
+  psi: v => v,
+  bar: v => v * 14.5038,
+  mbar: v => v * 0.0145038,
+  kpa: v => v * 0.145038,
+  mpa: v => v * 145.038
+};
+
+// Conversions into the platform unit of each metric (see METRICS in the fleet simulator)
+const UNIT_CONVERSIONS = {
+  Temperature: {
+    f: v => v,
+    fahrenheit: v => v,
+    c: v => v * 9 / 5 + 32,
+    celsius: v => v * 9 / 5 + 32,
+    k: v => (v - 273.15) * 9 / 5 + 32,
+    kelvin: v => (v - 273.15) * 9 / 5 + 32
+  },
+  Vibration: { g: v => v, 'm/s2': v => v / 9.80665 },
+  Pressure: PRESSURE_TO_PSI,
+  'Oil Pressure': PRESSURE_TO_PSI,
+  Current: { a: v => v, amps: v => v, ma: v => v / 1000 },
+  RPM: { rpm: v => v, 'r/min': v => v },
+  'Fuel Level': { '%': v => v, percent: v => v },
+  'Operating Hours': { h: v => v, hr: v => v, hrs: v => v, hours: v => v }
+};
+
+// Express a value in its metric's platform unit. Unknown metrics keep their unit; a unit that
+// can't be converted is kept as sent and flagged with `unconverted`.
+const toPlatformUnit = (metricType, value, unit) => {
+  const metric = resolveMetric(metricType);
+  if (!metric) return { value, unit: unit || null };
+  if (!unit) return { value, unit: metric.unit };
+
+  const convert = UNIT_CONVERSIONS[metric.type]?.[unitKey(unit)];
+  if (!convert) return { value, unit, unconverted: true };
+
+  const converted = unitKey(unit) !== unitKey(metric.unit) && value !== null && Number.isFinite(Number(value));
+  return {
+    value: converted ? Number(convert(value).toFixed(metric.digits + 1)) : value,
+    unit: metric.unit,
+    ...(converted && { convertedFrom: unit })
+  };
+};
+
+// Helper function to explain why a reading can't be stored, or null when it is valid
+const validateSensorReading = (reading) => {
+  if (!reading || typeof reading !== 'object') return 'Reading must be an object';
+  if (typeof reading.equipmentId !== 'string' || !reading.equipmentId.trim()) return 'equipmentId is required';
+  if (reading.equipmentId.length > 20) return 'equipmentId is longer than 20 characters';
+  if (typeof reading.metricType !== 'string' || !reading.metricType.trim()) return 'metricType is required';
+  if (reading.value === null || reading.value === '' || !Number.isFinite(Number(reading.value))) return 'value must be a number';
+  if (!reading.timestamp || isNaN(new Date(reading.timestamp).getTime())) return 'timestamp must be a valid date';
+  if (reading.unit !== undefined && reading.unit !== null && typeof reading.unit !== 'string') return 'unit must be a string';
+  return null;
+};
+
+// Same reading (or same client idempotencyKey) always maps to the same METRIC_ID
+const getMetricId = (reading) => {
+  const naturalKey = reading.idempotencyKey
+    ? `key|${reading.idempotencyKey}`
+    : [reading.equipmentId, reading.sensorId || '', reading.metricType, new Date(reading.timestamp).toISOString()].join('|');
+  return `MET-${crypto.createHash('sha1').update(naturalKey).digest('hex').slice(0, 32)}`;
+};
+
+// Helper function to turn a valid reading into EQUIPMENT_METRICS column values
+const toMetricRow = (reading) => {
+  const timestamp = new Date(reading.timestamp).toISOString();
+  return {
+    METRIC_ID: getMetricId(reading),
+    EQUIPMENT_ID: reading.equipmentId.trim(),
+    SENSOR_ID: reading.sensorId || null,
+    METRIC_TYPE: reading.metricType.trim(),
+    METRIC_VALUE: Number(reading.value),
+    METRIC_UNIT: reading.unit || null,
+    RECORDED_TIMESTAMP: timestamp,
+    DATE_RECORDED: timestamp.split('T')[0]
+  };
+};
+
+// Split an upload into batches of validated rows. Readings are identified by their index in
+// the upload; invalid ones and repeats within the upload are settled here.
+const prepareSensorBatches = (sensorReadings, batchSize) => {
+  const size = Math.max(1, Math.min(MAX_BATCH_SIZE, Number(batchSize) || DEFAULT_BATCH_SIZE));
+  const seen = new Set();
+  const batches = [];
+
+  for (let start = 0; start < sensorReadings.length; start += size) {
+    const batch = { batch: batches.length, rows: [], accepted: [], duplicates: [], rejected: [] };
+
+    sensorReadings.slice(start, start + size).forEach((reading, offset) => {
+      const index = start + offset;
+      const reason = validateSensorReading(reading);
+      if (reason) {
+        batch.rejected.push({ index, reason });
+        return;
+      }
+
+      const row = toMetricRow(reading);
+      if (seen.has(row.METRIC_ID)) {
+        batch.duplicates.push(index);
+        return;
+      }
+      seen.add(row.METRIC_ID);
+      batch.rows.push({ index, row });
+    });
+
+    batches.push(batch);
+  }
+
+  return batches;
+};
+
+// Helper function to build the upload result reported to clients
+const summarizeIngestion = (batches) => {
+  const count = field => batches.reduce((total, batch) => total + batch[field].length, 0);
+
+  return {
+    accepted: count('accepted'),
+    duplicates: count('duplicates'),
+    rejected: count('rejected'),
+    batches: batches.map(({ rows, ...batch }) => ({
+      ...batch,
+      status: batch.rejected.length === 0 ? 'accepted' : (batch.accepted.length + batch.duplicates.length > 0 ? 'partial' : 'rejected')
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  MAX_READINGS_PER_UPLOAD,
+  resolveMetric,
+  toPlatformUnit,
+  validateSensorReading,
+  getMetricId,
+  toMetricRow,
+  prepareSensorBatches,
+  summarizeIngestion
+};
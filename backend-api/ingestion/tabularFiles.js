@@ -0,0 +1,123 @@
+// backend-api/ingestion/tabularFiles.js - Read CSV and Excel files into header + row arrays
+//
+// Bulk imports accept whatever a customer exports from their historian or spreadsheet.
+// Both formats come out the same shape: { columns: [header, ...], rows: [{ rowNumber, cells }] },
+// with cells as strings, numbers or Dates. The first non-empty row is the header, and
+// rowNumber is the row as the customer sees it in their spreadsheet (header = row 1).
+const ExcelJS = require('exceljs');
+
+const EXCEL_EXTENSIONS = ['.xlsx', '.xlsm'];
+const CSV_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+// Helper function to pick the delimiter a CSV export uses from its header line
+const detectDelimiter = (headerLine) => {
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+};
+
+// RFC 4180 style parser: quoted fields may contain delimiters, quotes ("") and newlines
+const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.map((row, index) => ({ rowNumber: index + 1, cells: row.map(cell => cell.trim()) }));
+};
+
+// Helper function to reduce an ExcelJS cell value to a plain string, number or Date
+const excelCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return excelCellValue(value.result); // formula
+  if (value.text !== undefined) return value.text; // hyperlink
+  if (value.error) return '';
+  return String(value);
+};
+
+// Reads the first worksheet of a workbook
+const parseExcel = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const records = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based and sparse
+    records.push({ rowNumber: row.number, cells: Array.from(row.values.slice(1), excelCellValue) });
+  });
+  return records;
+};
+
+const getExtension = (fileName) => {
+  const match = String(fileName || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return match ? match[0] : '';
+};
+
+// Parse an uploaded file. Throws when the format is unsupported or there is no header row.
+const readTabularFile = async (fileName, buffer) => {
+  const extension = getExtension(fileName);
+  let records;
+
+  if (EXCEL_EXTENSIONS.includes(extension)) {
+    records = await parseExcel(buffer);
+  } else if (CSV_EXTENSIONS.includes(extension)) {
+    records = parseCsv(buffer.toString('utf8'));
+  } else {
+    throw new Error(`Unsupported file type "${extension || fileName}". Use ${[...CSV_EXTENSIONS, ...EXCEL_EXTENSIONS].join(', ')}`);
+  }
+
+  const nonEmpty = records.filter(({ cells }) => cells.some(cell => cell !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The file has no header row');
+  }
+
+  const [header, ...rows] = nonEmpty;
+  return {
+    columns: header.cells.map((name, index) => String(name).trim() || `Column ${index + 1}`),
+    rows
+  };
+};
+
+module.exports = {
+  readTabularFile,
+  parseCsv
+};
@@ -0,0 +1,139 @@
+// backend-api/migrations/001_initial_schema.js - Tables queried by the fleet repositories
+//
+// Written with Snowflake types; SQLite maps them onto its own type affinities, so the
+// same statements create the local development store.
+
+module.exports = {
+  description: 'Create fleet, telemetry, maintenance and ML tables',
+
+  up: (dbSchema) => [
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.EQUIPMENT_CATEGORIES (
+      CATEGORY_ID VARCHAR(20) PRIMARY KEY,
+      CATEGORY_NAME VARCHAR(100) NOT NULL,
+      DESCRIPTION VARCHAR(500)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.JOB_SITES (
+      SITE_ID VARCHAR(20) PRIMARY KEY,
+      SITE_NAME VARCHAR(200) NOT NULL,
+      PROJECT_MANAGER VARCHAR(100),
+      ADDRESS VARCHAR(500),
+      GPS_LATITUDE FLOAT,
+      GPS_LONGITUDE FLOAT,
+      START_DATE DATE,
+      STATUS VARCHAR(20)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.WORK_AREAS (
+      AREA_ID VARCHAR(20) PRIMARY KEY,
+      SITE_ID VARCHAR(20) NOT NULL,
+      AREA_NAME VARCHAR(100) NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.EQUIPMENT (
+      EQUIPMENT_ID VARCHAR(20) PRIMARY KEY,
+      EQUIPMENT_NAME VARCHAR(200),
+      EQUIPMENT_TYPE VARCHAR(50),
+      CATEGORY_ID VARCHAR(20),
+      SITE_ID VARCHAR(20),
+      AREA_ID VARCHAR(20),
+      STATUS VARCHAR(20),
+      GPS_LATITUDE FLOAT,
+      GPS_LONGITUDE FLOAT,
+      UPTIME_PERCENTAGE NUMBER(5,2),
+      OPERATING_HOURS NUMBER(10,1),
+      MANUFACTURER VARCHAR(100),
+      MODEL_NUMBER VARCHAR(100),
+      INSTALL_DATE DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.EQUIPMENT_SENSORS (
+      SENSOR_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      SENSOR_TYPE VARCHAR(50),
+      METRIC_UNIT VARCHAR(20),
+      INSTALL_DATE DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.EQUIPMENT_METRICS (
+      METRIC_ID VARCHAR(100) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      SENSOR_ID VARCHAR(40),
+      METRIC_TYPE VARCHAR(50) NOT NULL,
+      METRIC_VALUE FLOAT,
+      METRIC_UNIT VARCHAR(20),
+      RECORDED_TIMESTAMP TIMESTAMP_NTZ NOT NULL,
+      DATE_RECORDED DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.ALERTS (
+      ALERT_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      SEVERITY VARCHAR(20),
+      MESSAGE VARCHAR(1000),
+      STATUS VARCHAR(20),
+      CREATED_DATE TIMESTAMP_NTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.WORK_ORDERS (
+      WORK_ORDER_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      WORK_TYPE VARCHAR(30),
+      STATUS VARCHAR(20),
+      DESCRIPTION VARCHAR(1000),
+      TOTAL_COST NUMBER(12,2),
+      ESTIMATED_HOURS NUMBER(6,1),
+      ACTUAL_HOURS NUMBER(6,1),
+      CREATED_DATE DATE,
+      COMPLETED_DATE DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.PREDICTIVE_ANALYTICS (
+      PREDICTION_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      MODEL_ID VARCHAR(40),
+      PREDICTION_TYPE VARCHAR(50),
+      CONFIDENCE_SCORE NUMBER(5,2),
+      RISK_LEVEL VARCHAR(10),
+      PREDICTED_DATE DATE,
+      PREDICTED_COST NUMBER(12,2),
+      PREVENTION_COST NUMBER(12,2),
+      POTENTIAL_SAVINGS NUMBER(12,2),
+      STATUS VARCHAR(20),
+      CREATED_DATE DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.ML_MODEL_PERFORMANCE (
+      MODEL_ID VARCHAR(40) PRIMARY KEY,
+      MODEL_NAME VARCHAR(200),
+      MODEL_STATUS VARCHAR(20),
+      ACCURACY_PERCENTAGE NUMBER(5,2),
+      PRECISION_RATE NUMBER(5,2),
+      RECALL_RATE NUMBER(5,2),
+      F1_SCORE NUMBER(5,2),
+      ROI_PERCENTAGE NUMBER(7,2),
+      LAST_TRAINED TIMESTAMP_NTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.MODEL_PERFORMANCE (
+      MODEL_ID VARCHAR(40) PRIMARY KEY,
+      MODEL_NAME VARCHAR(200),
+      MODEL_STATUS VARCHAR(20),
+      ACCURACY_PERCENTAGE NUMBER(5,2),
+      EVALUATION_DATE DATE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.FUEL_CONSUMPTION (
+      REFUEL_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      FUEL_TYPE VARCHAR(20),
+      FUEL_AMOUNT_GALLONS NUMBER(8,2),
+      FUEL_COST_USD NUMBER(10,2),
+      REFUEL_DATE DATE
+    )`
+  ],
+
+  down: (dbSchema) => [
+    `DROP TABLE IF EXISTS ${dbSchema}.FUEL_CONSUMPTION`,
+    `DROP TABLE IF EXISTS ${dbSchema}.MODEL_PERFORMANCE`,
+    `DROP TABLE IF EXISTS ${dbSchema}.ML_MODEL_PERFORMANCE`,
+    `DROP TABLE IF EXISTS ${dbSchema}.PREDICTIVE_ANALYTICS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.WORK_ORDERS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.ALERTS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.EQUIPMENT_METRICS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.EQUIPMENT_SENSORS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.EQUIPMENT`,
+    `DROP TABLE IF EXISTS ${dbSchema}.WORK_AREAS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.JOB_SITES`,
+    `DROP TABLE IF EXISTS ${dbSchema}.EQUIPMENT_CATEGORIES`
+  ]
+};
@@ -0,0 +1,31 @@
+// backend-api/migrations/002_metric_rollups.js - Hourly and daily rollups for long-range trends
+//
+// The table is filled from the readings already stored; db/metricRollups.js keeps it
+// current afterwards.
+const { rebuildRollupsSql } = require('../db/metricRollups');
+
+module.exports = {
+  description: 'Create EQUIPMENT_METRIC_ROLLUPS and backfill it from EQUIPMENT_METRICS',
+
+  up: (dbSchema) => [
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.EQUIPMENT_METRIC_ROLLUPS (
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      METRIC_TYPE VARCHAR(50) NOT NULL,
+      BUCKET_SIZE VARCHAR(4) NOT NULL,
+      BUCKET_START TIMESTAMP_NTZ NOT NULL,
+      SAMPLE_COUNT NUMBER(10,0) NOT NULL,
+      VALUE_SUM FLOAT,
+      VALUE_MIN FLOAT,
+      VALUE_MAX FLOAT,
+      VALUE_P95 FLOAT,
+      VALUE_LAST FLOAT,
+      REFRESHED_AT TIMESTAMP_NTZ,
+      PRIMARY KEY (EQUIPMENT_ID, BUCKET_SIZE, METRIC_TYPE, BUCKET_START)
+    )`,
+    ...rebuildRollupsSql(dbSchema)
+  ],
+
+  down: (dbSchema) => [
+    `DROP TABLE IF EXISTS ${dbSchema}.EQUIPMENT_METRIC_ROLLUPS`
+  ]
+};
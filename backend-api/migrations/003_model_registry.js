@@ -0,0 +1,52 @@
+// backend-api/migrations/003_model_registry.js - Versioned failure models and their predictions
+//
+// MODEL_REGISTRY holds one row per trained model (the weights live in the artifact directory it
+// points to); at most one model per CATEGORY is in the PRODUCTION stage. MODEL_PROMOTIONS records
+// every promotion and rollback, and PREDICTION_LOG which model version scored each prediction.
+
+module.exports = {
+  description: 'Create MODEL_REGISTRY, MODEL_PROMOTIONS and PREDICTION_LOG',
+
+  up: (dbSchema) => [
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.MODEL_REGISTRY (
+      MODEL_ID VARCHAR(40) PRIMARY KEY,
+      MODEL_NAME VARCHAR(200),
+      CATEGORY VARCHAR(100) NOT NULL,
+      VERSION NUMBER(10,0) NOT NULL,
+      STAGE VARCHAR(20) NOT NULL,
+      FEATURE_SCHEMA VARCHAR,
+      TRAINING_FROM TIMESTAMP_NTZ,
+      TRAINING_TO TIMESTAMP_NTZ,
+      METRICS VARCHAR,
+      ARTIFACT_URI VARCHAR(500),
+      CREATED_BY VARCHAR(100),
+      CREATED_AT TIMESTAMP_NTZ NOT NULL,
+      PROMOTED_AT TIMESTAMP_NTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.MODEL_PROMOTIONS (
+      PROMOTION_ID VARCHAR(40) PRIMARY KEY,
+      CATEGORY VARCHAR(100) NOT NULL,
+      MODEL_ID VARCHAR(40) NOT NULL,
+      PREVIOUS_MODEL_ID VARCHAR(40),
+      ACTION VARCHAR(20) NOT NULL,
+      PERFORMED_BY VARCHAR(100),
+      PERFORMED_AT TIMESTAMP_NTZ NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${dbSchema}.PREDICTION_LOG (
+      PREDICTION_LOG_ID VARCHAR(40) PRIMARY KEY,
+      EQUIPMENT_ID VARCHAR(20) NOT NULL,
+      MODEL_ID VARCHAR(40) NOT NULL,
+      MODEL_VERSION NUMBER(10,0),
+      FAILURE_PROBABILITY FLOAT,
+      RISK_LEVEL VARCHAR(10),
+      INPUT_AS_OF TIMESTAMP_NTZ,
+      PREDICTED_AT TIMESTAMP_NTZ NOT NULL
+    )`
+  ],
+
+  down: (dbSchema) => [
+    `DROP TABLE IF EXISTS ${dbSchema}.PREDICTION_LOG`,
+    `DROP TABLE IF EXISTS ${dbSchema}.MODEL_PROMOTIONS`,
+    `DROP TABLE IF EXISTS ${dbSchema}.MODEL_REGISTRY`
+  ]
+};
@@ -0,0 +1,68 @@
+// backend-api/ml/anomalyDetection.js - Unusual behaviour on each machine's recent readings
+//
+// Every machine gets its own detector (see src/shared/anomalyDetector.js), fitted on its last
+// month of readings without the days before its breakdowns, and refitted once a day. Each
+// request scores the machine's latest readings against it. Unlike the failure model, this
+// needs no work orders to learn from, so new equipment is covered once it has a few days of
+// history.
+const {
+  ANOMALY_HISTORY_DAYS,
+  ANOMALY_WINDOW_HOURS,
+  splitLatestWindow,
+  fitAnomalyDetector,
+  scoreAnomalyWindow,
+  describeDetector
+} = require('../utils/anomalyDetector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Detectors are refitted once they are a day old
+const DETECTOR_MAX_AGE_MS = DAY_MS;
+
+// Fitted detectors by organization, data source and machine: { detector, fittedAt }
+const detectors = new Map();
+
+// Helper function to fit a machine's detector on its stored history, or return the one fitted
+// in the last day. The detector is null when the machine has too little normal history.
+const getDetector = async (repository, organization, equipmentId) => {
+  const key = `${organization}|${repository.dataSource}|${equipmentId}`;
+  const cached = detectors.get(key);
+  if (cached && Date.now() - cached.fittedAt < DETECTOR_MAX_AGE_MS) return cached.detector;
+
+  const to = new Date();
+  const from = new Date(to.getTime() - ANOMALY_HISTORY_DAYS * DAY_MS);
+  const [readings, failures] = await Promise.all([
+    repository.getSensorData(equipmentId, ANOMALY_HISTORY_DAYS),
+    repository.getFailureHistory({ equipmentIds: [equipmentId], from: from.toISOString(), to: to.toISOString() })
+  ]);
+
+  // The latest window is what gets scored, so it is not part of the normal history
+  const detector = fitAnomalyDetector(splitLatestWindow(readings).history, failures, { seed: equipmentId });
+  detectors.set(key, { detector, fittedAt: Date.now() });
+  return detector;
+};
+
+// Score each machine's latest window. Returns [{ equipmentId, score, threshold, anomalous,
+// severity, contributions, window, detector }], without the machines that have no detector or
+// no recent readings.
+const detectAnomalies = async (repository, organization, equipmentIds) => {
+  const results = [];
+
+  // One machine at a time: fitting reads up to a month of its readings
+  for (const equipmentId of equipmentIds) {
+    const detector = await getDetector(repository, organization, equipmentId);
+    if (!detector) continue;
+
+    // An extra hour, since the current one may not have reported yet
+    const { window } = splitLatestWindow(await repository.getSensorData(equipmentId, (ANOMALY_WINDOW_HOURS + 1) / 24));
+    const result = scoreAnomalyWindow(detector, window);
+    if (result) results.push({ equipmentId, ...result, detector: describeDetector(detector) });
+  }
+
+  const anomalous = results.filter(result => result.anomalous).length;
+  console.log(`🔍 Scored ${results.length} of ${equipmentIds.length} machines for unusual behaviour, ${anomalous} flagged`);
+  return results;
+};
+
+module.exports = {
+  detectAnomalies
+};
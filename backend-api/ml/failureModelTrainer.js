@@ -0,0 +1,284 @@
+// backend-api/ml/failureModelTrainer.js - Train the fleet failure model on stored history
+//
+// Reads hourly readings and unplanned work orders through the repository, trains the shared
+// network (src/shared/failureModel.js) on the older 80% of the hours, measures it on the most
+// recent 20%, saves the artifact and registers it as the next version of its category: the
+// whole fleet, or one equipment category trained only on that category's machines. The first
+// version of a category is promoted to production straight away; later ones wait in STAGING.
+// Fleet models are also measured on each category's held-out hours, to compare with the
+// category models.
+// A remaining-life regressor (src/shared/remainingLife.js) is trained on the same history and
+// saved as a part of the artifact, when there are enough observed lives to learn from.
+// The metadata keeps the average healthy training hour as the baseline predictions are
+// explained against (src/shared/featureAttribution.js).
+const tf = require('./tf');
+const { FEATURE_SCALES, FAILURE_FEATURES, createFailureModel, evaluateClassifier } = require('../utils/failureModel');
+const { buildTrainingSet, splitByTime, thinSamples, describeSamples } = require('../utils/trainingSet');
+const {
+  LIFE_FEATURES,
+  MAX_LIFE_DAYS,
+  buildRemainingLifeSet,
+  createRemainingLifeModel,
+  evaluateRemainingLife
+} = require('../utils/remainingLife');
+const { attributionBaselineFor } = require('../utils/featureAttribution');
+const { REMAINING_LIFE_PART, saveModelArtifact } = require('./modelStore');
+const { FLEET_CATEGORY, modelNameFor, modelIdFor } = require('./modelRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SAMPLES = 200;
+
+const TRAINING_DEFAULTS = {
+  category: FLEET_CATEGORY,
+  days: Number(process.env.ML_TRAINING_DAYS) || 90,
+  horizonDays: Number(process.env.ML_LABEL_HORIZON_DAYS) || 7,
+  epochs: Number(process.env.ML_TRAINING_EPOCHS) || 20,
+  maxSamples: Number(process.env.ML_MAX_TRAINING_SAMPLES) || 50000
+};
+
+// Helper function to build an error the caller can report with its status
+const trainingError = (message, status) => Object.assign(new Error(message), { status });
+
+// Longest history a run may load, and the longest failure horizon it may label
+const MAX_TRAINING_DAYS = 730;
+const MAX_HORIZON_DAYS = 90;
+const MAX_EPOCHS = 200;
+
+// Check the numeric training parameters (defaults filled in) and return them; throws a
+// status 400 error describing the first problem, before any data is loaded
+const validateTrainingParams = (options = {}) => {
+  const params = { ...TRAINING_DEFAULTS, ...options };
+  const bounds = [
+    ['days', 1, MAX_TRAINING_DAYS],
+    ['horizonDays', 1, MAX_HORIZON_DAYS],
+    ['epochs', 1, MAX_EPOCHS],
+    ['maxSamples', MIN_SAMPLES, Infinity]
+  ];
+
+  bounds.forEach(([name, min, max]) => {
+    const value = params[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw trainingError(`${name} must be a number from ${min}${max === Infinity ? ' up' : ` to ${max}`}`, 400);
+    }
+  });
+  if (!Number.isInteger(params.epochs)) {
+    throw trainingError('epochs must be a whole number', 400);
+  }
+  // Hours within the horizon of the end of the history can't be labelled yet
+  if (params.days <= params.horizonDays) {
+    throw trainingError(`days (${params.days}) must be more than horizonDays (${params.horizonDays})`, 400);
+  }
+  return params;
+};
+
+// Helper function to stop as soon as the caller aborts (see ml/trainingJobs.js)
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw trainingError('Training cancelled', 499);
+};
+
+// Helper function to train the remaining-life regressor on the same history. Resolves with
+// { model, metrics, dataset }, or null when too few lives were observed to learn from.
+const trainRemainingLifeModel = async (data, { now, epochs, maxSamples, signal }) => {
+  const samples = thinSamples(buildRemainingLifeSet(data, { observedUntil: now }), maxSamples);
+  const { train, validation } = splitByTime(samples);
+  if (train.length < MIN_SAMPLES || validation.length < 2) {
+    console.log(`⚠️ Skipping the remaining-life model: ${samples.length} observed lives (need ${MIN_SAMPLES})`);
+    return null;
+  }
+
+  const model = createRemainingLifeModel(tf);
+  const xs = tf.tensor2d(train.map(sample => sample.features));
+  const ys = tf.tensor2d(train.map(sample => [sample.days / MAX_LIFE_DAYS]));
+  const validationXs = tf.tensor2d(validation.map(sample => sample.features));
+
+  try {
+    console.log(`⏳ Training the remaining-life model on ${train.length} samples...`);
+    await model.fit(xs, ys, {
+      epochs,
+      batchSize: 64,
+      shuffle: true,
+      callbacks: {
+        onEpochEnd: async () => {
+          if (signal && signal.aborted) model.stopTraining = true;
+        }
+      }
+    });
+    throwIfAborted(signal);
+
+    const predictions = model.predict(validationXs);
+    const predictedDays = Array.from(await predictions.data()).map(fraction => fraction * MAX_LIFE_DAYS);
+    predictions.dispose();
+
+    return {
+      model,
+      metrics: evaluateRemainingLife(validation.map(sample => sample.days), predictedDays),
+      dataset: { train: describeSamples(train), validation: describeSamples(validation) }
+    };
+  } catch (error) {
+    model.dispose();
+    throw error;
+  } finally {
+    tf.dispose([xs, ys, validationXs]);
+  }
+};
+
+// Helper function to measure a fleet model on each equipment category's share of the
+// held-out samples: { [category]: metrics without the threshold curve }
+const evaluateByCategory = async (repository, validation, probabilities) => {
+  const categories = await repository.getEquipmentCategories([...new Set(validation.map(sample => sample.equipmentId))]);
+  const groups = new Map();
+  validation.forEach((sample, i) => {
+    const category = categories[sample.equipmentId];
+    if (!category) return;
+    const group = groups.get(category) || { labels: [], probabilities: [] };
+    group.labels.push(sample.label);
+    group.probabilities.push(probabilities[i]);
+    groups.set(category, group);
+  });
+
+  return Object.fromEntries([...groups].map(([category, group]) => {
+    const { curve, ...metrics } = evaluateClassifier(group.labels, group.probabilities);
+    return [category, metrics];
+  }));
+};
+
+// Train, evaluate, save and register a model. Runs are not serialized here; ml/trainingJobs.js
+// queues them. Pass an AbortSignal as `signal` to stop between epochs, and the requesting
+// user as `author`.
+const trainFailureModel = async (repository, options = {}) => {
+  const { organization, author, category, days, horizonDays, epochs, maxSamples, onEpochEnd, signal } = validateTrainingParams(options);
+  const modelName = modelNameFor(category);
+  const now = Date.now();
+  const from = new Date(now - days * DAY_MS).toISOString();
+  const to = new Date(now).toISOString();
+
+  console.log(`🧠 Loading ${days} days of ${category === FLEET_CATEGORY ? 'fleet' : category} training data from ${repository.name}...`);
+  const data = await repository.getTrainingData({ from, to, ...(category !== FLEET_CATEGORY && { category }) });
+  throwIfAborted(signal);
+  const samples = thinSamples(buildTrainingSet(data, { horizonDays, labelledUntil: now }), maxSamples);
+  const { train, validation, cutoff } = splitByTime(samples);
+  const trainSummary = describeSamples(train);
+  const validationSummary = describeSamples(validation);
+
+  if (train.length < MIN_SAMPLES || validation.length === 0) {
+    throw trainingError(`Not enough labelled history to train: ${samples.length} samples (need ${MIN_SAMPLES})`, 422);
+  }
+  if (trainSummary.failures === 0) {
+    throw trainingError(`No unplanned maintenance in the training period (${trainSummary.from} to ${trainSummary.to}); nothing to learn from`, 422);
+  }
+
+  // Failures are rare: weight them so the model can't score well by always answering "healthy"
+  const classWeight = { 0: 1, 1: (train.length - trainSummary.failures) / trainSummary.failures };
+
+  const model = createFailureModel(tf);
+  const xs = tf.tensor2d(train.map(sample => sample.features));
+  const ys = tf.tensor2d(train.map(sample => [sample.label]));
+  const validationXs = tf.tensor2d(validation.map(sample => sample.features));
+  const validationYs = tf.tensor2d(validation.map(sample => [sample.label]));
+  const history = [];
+  let remainingLife = null;
+
+  try {
+    console.log(`🧠 Training on ${train.length} samples (${trainSummary.failures} before failures), validating on ${validation.length}...`);
+    await model.fit(xs, ys, {
+      epochs,
+      batchSize: 64,
+      shuffle: true,
+      classWeight,
+      validationData: [validationXs, validationYs],
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          history.push({ epoch: epoch + 1, loss: logs.loss, accuracy: logs.acc, valLoss: logs.val_loss, valAccuracy: logs.val_acc });
+          if (onEpochEnd) onEpochEnd(epoch + 1, epochs, logs);
+          if (signal && signal.aborted) model.stopTraining = true;
+        }
+      }
+    });
+    throwIfAborted(signal);
+
+    const predictions = model.predict(validationXs);
+    const probabilities = Array.from(await predictions.data());
+    predictions.dispose();
+    // Metrics at 0.5 plus the threshold curve, so the risk cut-offs can be chosen from evidence
+    const metrics = evaluateClassifier(validation.map(sample => sample.label), probabilities);
+    if (category === FLEET_CATEGORY) metrics.byCategory = await evaluateByCategory(repository, validation, probabilities);
+
+    remainingLife = await trainRemainingLifeModel(data, { now, epochs, maxSamples, signal });
+    if (remainingLife) metrics.remainingLife = remainingLife.metrics;
+
+    const trainedAt = new Date().toISOString();
+    const modelId = modelIdFor(category, trainedAt);
+    const dataset = {
+      from,
+      to,
+      horizonDays,
+      validationFrom: cutoff,
+      train: trainSummary,
+      validation: validationSummary,
+      remainingLife: remainingLife && remainingLife.dataset
+    };
+
+    const artifact = await saveModelArtifact(model, {
+      organization,
+      modelId,
+      metadata: {
+        modelId,
+        modelName,
+        category,
+        trainedAt,
+        features: FAILURE_FEATURES.map(feature => feature.name),
+        featureScales: FEATURE_SCALES,
+        attributionBaseline: attributionBaselineFor(train),
+        remainingLifeFeatures: remainingLife ? LIFE_FEATURES : null,
+        epochs,
+        metrics,
+        dataset,
+        history,
+        backend: tf.getBackend()
+      },
+      parts: remainingLife ? { [REMAINING_LIFE_PART]: remainingLife.model } : {}
+    });
+    let registered = await repository.registerModel({
+      modelId,
+      modelName,
+      category,
+      featureSchema: FAILURE_FEATURES.map(feature => feature.name),
+      trainingFrom: from,
+      trainingTo: to,
+      metrics,
+      artifactUri: artifact,
+      createdBy: author || null,
+      createdAt: trainedAt
+    });
+    if (!(await repository.getProductionModels())[category]) {
+      registered = await repository.promoteModel(modelId, { performedBy: author || null });
+    }
+
+    console.log(`✅ Trained ${modelId} (v${registered.version}, ${registered.stage}): accuracy ${(metrics.accuracy * 100).toFixed(1)}%, recall ${(metrics.recall * 100).toFixed(1)}%, ROC AUC ${metrics.rocAuc.toFixed(3)}`);
+    if (remainingLife) {
+      console.log(`✅ Remaining life: mean absolute error ${remainingLife.metrics.meanAbsoluteError.toFixed(1)} days, interval coverage ${(remainingLife.metrics.intervalCoverage * 100).toFixed(0)}%`);
+    }
+    return {
+      modelId,
+      modelName,
+      category,
+      version: registered.version,
+      stage: registered.stage,
+      trainedAt,
+      metrics,
+      dataset,
+      history,
+      artifact
+    };
+  } finally {
+    tf.dispose([xs, ys, validationXs, validationYs]);
+    model.dispose();
+    if (remainingLife) remainingLife.model.dispose();
+  }
+};
+
+module.exports = {
+  TRAINING_DEFAULTS,
+  validateTrainingParams,
+  trainFailureModel
+};
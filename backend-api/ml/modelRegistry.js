@@ -0,0 +1,63 @@
+// backend-api/ml/modelRegistry.js - Rules shared by the model registry implementations
+//
+// Every trained model is registered as the next version of its equipment category and starts
+// in STAGING. Promoting it to PRODUCTION archives the model it replaces, and each promotion
+// remembers that model so a rollback can return to it. Models trained on the whole fleet use
+// the FLEET_CATEGORY and score equipment whose own category has no production model;
+// models trained on one category's equipment score only that category.
+const crypto = require('crypto');
+
+const FLEET_CATEGORY = 'ALL';
+const MODEL_STAGES = ['STAGING', 'PRODUCTION', 'ARCHIVED'];
+
+// Registered names of the models of each category; other categories get a generic name
+const CATEGORY_MODEL_NAMES = {
+  [FLEET_CATEGORY]: 'Fleet Failure Prediction',
+  Generators: 'Generator Predictive Model',
+  'Water Pumps': 'Pump Failure Prediction',
+  Compactors: 'Compactor Maintenance Model',
+  Mixers: 'Mixer Performance Optimizer'
+};
+
+const modelNameFor = (category) => CATEGORY_MODEL_NAMES[category] || `${category} Failure Prediction`;
+
+// Model ids are stored in VARCHAR(40) columns: "MODEL-", the slug, "-" and a 14-digit timestamp
+const MODEL_ID_LENGTH = 40;
+const MAX_SLUG_LENGTH = MODEL_ID_LENGTH - 'MODEL--'.length - 14;
+
+// e.g. MODEL-FLEET-20250101120000, MODEL-WATER-PUMPS-20250101120000. Slugs too long for the
+// column are cut short and end in a hash of the category, so long names that share a start
+// still get different ids: MODEL-CONCRETE-POWER-E1EE-20250101120000
+const modelIdFor = (category, trainedAt) => {
+  let slug = category === FLEET_CATEGORY ? 'FLEET' : category.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (slug.length > MAX_SLUG_LENGTH) {
+    const hash = crypto.createHash('sha1').update(category).digest('hex').slice(0, 4).toUpperCase();
+    slug = `${slug.slice(0, MAX_SLUG_LENGTH - hash.length - 1).replace(/-$/, '')}-${hash}`;
+  }
+  return `MODEL-${slug}-${trainedAt.replace(/\D/g, '').slice(0, 14)}`;
+};
+
+// Helper function to pick the model a rollback returns to: the one the current production
+// model replaced when it was promoted. Rolling back again walks further back (v3 -> v2 -> v1).
+// promotions are newest first; returns a model id, or null when there is nothing to go back to
+const findRollbackTarget = (models, promotions) => {
+  const current = models.find(model => model.stage === 'PRODUCTION');
+  if (!current) return null;
+
+  const promotion = promotions.find(entry => entry.modelId === current.modelId && entry.action === 'PROMOTE');
+  const target = promotion && models.find(model => model.modelId === promotion.previousModelId);
+  return target ? target.modelId : null;
+};
+
+// Helper function to choose the production model for an equipment category, falling back to the fleet model
+const resolveProductionModel = (productionModels, category) =>
+  (category && productionModels[category]) || productionModels[FLEET_CATEGORY] || null;
+
+module.exports = {
+  FLEET_CATEGORY,
+  MODEL_STAGES,
+  modelNameFor,
+  modelIdFor,
+  findRollbackTarget,
+  resolveProductionModel
+};
@@ -0,0 +1,83 @@
+// backend-api/ml/modelStore.js - Trained model artifacts on disk
+//
+// Each model is a directory under ML_MODEL_DIR/<organization>/<modelId> holding the standard
+// TensorFlow.js layers format (model.json + weights.bin), which tf.loadLayersModel() reads
+// in Node and in the browser, plus metadata.json describing how it was trained. Networks
+// trained alongside the model (e.g. the remaining-life regressor) are parts: subdirectories
+// in the same format.
+const fs = require('fs');
+const path = require('path');
+const tf = require('./tf');
+
+const MODEL_DIR = process.env.ML_MODEL_DIR || path.join(__dirname, '..', 'data', 'models');
+const REMAINING_LIFE_PART = 'remaining-life';
+
+// Organization names come from connection profiles; keep them safe as directory names
+const modelDirectory = (organization, modelId) => path.join(
+  MODEL_DIR,
+  String(organization).replace(/[^A-Za-z0-9_-]/g, '_'),
+  modelId
+);
+
+// Helper function to write a network in the layers format
+const writeLayersModel = (model, directory) => model.save(tf.io.withSaveHandler(async (artifacts) => {
+  fs.mkdirSync(directory, { recursive: true });
+  const weightData = Buffer.concat([].concat(artifacts.weightData).map(buffer => Buffer.from(buffer)));
+  fs.writeFileSync(path.join(directory, 'weights.bin'), weightData);
+  fs.writeFileSync(path.join(directory, 'model.json'), JSON.stringify({
+    modelTopology: artifacts.modelTopology,
+    format: artifacts.format,
+    generatedBy: artifacts.generatedBy,
+    convertedBy: artifacts.convertedBy,
+    weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+  }));
+  return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON', weightDataBytes: weightData.length } };
+}));
+
+// parts: { [name]: model } saved next to the model, e.g. { [REMAINING_LIFE_PART]: lifeModel }
+const saveModelArtifact = async (model, { organization, modelId, metadata, parts = {} }) => {
+  const directory = modelDirectory(organization, modelId);
+
+  await writeLayersModel(model, directory);
+  for (const [name, part] of Object.entries(parts)) {
+    await writeLayersModel(part, path.join(directory, name));
+  }
+  fs.writeFileSync(path.join(directory, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  return directory;
+};
+
+// Returns the model (or one of its parts) in tf.io.fromMemory() form, or null when there is
+// no artifact for it
+const readModelArtifact = (organization, modelId, part = null) => {
+  const directory = part ? path.join(modelDirectory(organization, modelId), part) : modelDirectory(organization, modelId);
+  if (!fs.existsSync(path.join(directory, 'model.json'))) return null;
+
+  const modelJson = JSON.parse(fs.readFileSync(path.join(directory, 'model.json'), 'utf8'));
+  const weights = fs.readFileSync(path.join(directory, 'weights.bin'));
+  return {
+    modelTopology: modelJson.modelTopology,
+    weightSpecs: modelJson.weightsManifest[0].weights,
+    weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+  };
+};
+
+const loadModelArtifact = async (organization, modelId, part = null) => {
+  const artifact = readModelArtifact(organization, modelId, part);
+  if (!artifact) throw new Error(`No saved ${part ? `${part} ` : ''}artifact for model ${modelId}`);
+  return tf.loadLayersModel(tf.io.fromMemory(artifact));
+};
+
+const readModelMetadata = (organization, modelId) => {
+  const file = path.join(modelDirectory(organization, modelId), 'metadata.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+module.exports = {
+  MODEL_DIR,
+  REMAINING_LIFE_PART,
+  modelDirectory,
+  saveModelArtifact,
+  readModelArtifact,
+  loadModelArtifact,
+  readModelMetadata
+};
@@ -0,0 +1,138 @@
+// backend-api/ml/predictionScoring.js - Score predictions with the production models
+//
+// Each machine is scored on its latest sensor snapshot by the production model of its
+// equipment category, or by the fleet model when its category has none. The probability,
+// risk and confidence of the stored prediction are replaced, the prediction names the model
+// version that produced it, and every scored prediction is written to the prediction log.
+// Machines without a usable snapshot, or tenants without a production model, keep the stored
+// prediction unchanged. When the model was trained with a remaining-life part, each machine's
+// last day of readings also gives its remaining life and the days until maintenance is due.
+// Models saved with an attribution baseline also explain each prediction: how much each input
+// feature moved the failure probability (see src/shared/featureAttribution.js).
+const tf = require('./tf');
+const { toFailureFeatures, riskLevelFor } = require('../utils/failureModel');
+const {
+  LIFE_WINDOW_HOURS,
+  windowUtilization,
+  latestWindow,
+  toRemainingLifeFeatures,
+  toRemainingLife,
+  daysUntilMaintenanceFor
+} = require('../utils/remainingLife');
+const { explainPrediction } = require('../utils/featureAttribution');
+const { snapshotReading } = require('../utils/sensorSnapshot');
+const { REMAINING_LIFE_PART, loadModelArtifact, readModelMetadata } = require('./modelStore');
+const { resolveProductionModel } = require('./modelRegistry');
+
+// Registered models never change, so each one and its attribution baseline are loaded once per organization
+const loadedModels = new Map();
+const attributionBaselines = new Map();
+
+// Helper function to load a registered model (or one of its parts), or null when its artifact is missing
+const getModel = (organization, modelId, part = null) => {
+  const key = `${organization}|${modelId}|${part || ''}`;
+  if (!loadedModels.has(key)) {
+    loadedModels.set(key, loadModelArtifact(organization, modelId, part).catch(error => {
+      console.error(`❌ Could not load model ${modelId}${part ? ` (${part})` : ''}:`, error.message);
+      loadedModels.delete(key);
+      return null;
+    }));
+  }
+  return loadedModels.get(key);
+};
+
+// Helper function to read the baseline a registered model's predictions are explained against,
+// or null for models saved without one
+const getAttributionBaseline = (organization, modelId) => {
+  const key = `${organization}|${modelId}`;
+  if (!attributionBaselines.has(key)) {
+    const metadata = readModelMetadata(organization, modelId);
+    attributionBaselines.set(key, (metadata && metadata.attributionBaseline) || null);
+  }
+  return attributionBaselines.get(key);
+};
+
+// Helper function to run a network on one feature vector
+const predictOne = async (model, features) => {
+  const input = tf.tensor2d([features]);
+  const output = model.predict(input);
+  const [value] = await output.data();
+  tf.dispose([input, output]);
+  return value;
+};
+
+// Helper function to tell whether a production model was trained with a remaining-life part
+const hasRemainingLife = (entry) => Boolean(entry && entry.metrics && entry.metrics.remainingLife);
+
+// Helper function to estimate a machine's remaining life from its recent readings, or null when
+// the model has no remaining-life part or the machine has too little recent history
+const estimateRemainingLife = async (organization, entry, readings) => {
+  const lifeModel = hasRemainingLife(entry) && await getModel(organization, entry.modelId, REMAINING_LIFE_PART);
+  if (!lifeModel) return null;
+
+  const window = latestWindow(readings);
+  const features = toRemainingLifeFeatures(window);
+  if (!features) return null;
+  return toRemainingLife(await predictOne(lifeModel, features), entry.metrics.remainingLife, windowUtilization(window));
+};
+
+const scorePredictions = async (repository, organization, predictions) => {
+  const productionModels = await repository.getProductionModels();
+  if (Object.keys(productionModels).length === 0) return predictions;
+
+  const categories = await repository.getEquipmentCategories(predictions.map(prediction => prediction.equipmentId));
+  const entries = predictions.map(prediction => resolveProductionModel(productionModels, categories[prediction.equipmentId]));
+  // One query for the last day of readings of every machine with a remaining-life model, plus
+  // an hour since the current one may not have reported yet
+  const lifeEquipmentIds = predictions.filter((prediction, index) => hasRemainingLife(entries[index])).map(prediction => prediction.equipmentId);
+  const recentReadings = lifeEquipmentIds.length > 0
+    ? await repository.getSensorDataForEquipment(lifeEquipmentIds, (LIFE_WINDOW_HOURS + 1) / 24)
+    : {};
+  const predictedAt = new Date().toISOString();
+  const logEntries = [];
+
+  const scored = await Promise.all(predictions.map(async (prediction, index) => {
+    const entry = entries[index];
+    const reading = snapshotReading(prediction.sensorSnapshot);
+    const features = reading && toFailureFeatures(reading);
+    const model = entry && features && await getModel(organization, entry.modelId);
+    if (!model) return prediction;
+
+    const probability = await predictOne(model, features);
+    const remainingLife = await estimateRemainingLife(organization, entry, recentReadings[prediction.equipmentId] || []);
+    const baseline = getAttributionBaseline(organization, entry.modelId);
+    const explanation = baseline && await explainPrediction(tf, model, features, baseline);
+
+    const riskLevel = riskLevelFor(probability);
+    logEntries.push({
+      equipmentId: prediction.equipmentId,
+      modelId: entry.modelId,
+      modelVersion: entry.version,
+      failureProbability: Number(probability.toFixed(4)),
+      riskLevel: riskLevel.toUpperCase(),
+      inputAsOf: reading.timestamp,
+      predictedAt
+    });
+
+    return {
+      ...prediction,
+      failureProbability: (probability * 100).toFixed(1),
+      riskLevel,
+      recommendedAction: riskLevel === 'high' ? 'Schedule immediate maintenance' :
+        riskLevel === 'medium' ? 'Plan maintenance within 2 weeks' :
+        'Continue normal operations',
+      confidence: (Math.max(probability, 1 - probability) * 100).toFixed(1),
+      ...(remainingLife && { remainingLife, daysUntilMaintenance: daysUntilMaintenanceFor(remainingLife) }),
+      ...(explanation && { explanation }),
+      model: { modelId: entry.modelId, version: entry.version, category: entry.category },
+      lastUpdated: predictedAt
+    };
+  }));
+
+  await repository.logPredictions(logEntries);
+  return scored;
+};
+
+module.exports = {
+  scorePredictions
+};
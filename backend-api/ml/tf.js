@@ -0,0 +1,13 @@
+// backend-api/ml/tf.js - TensorFlow.js for the server
+//
+// The native @tensorflow/tfjs-node bindings are an optional dependency: their install
+// downloads libtensorflow, which not every machine can reach. Without them the pure
+// JavaScript CPU backend runs the same code, only slower.
+let tf;
+try {
+  tf = require('@tensorflow/tfjs-node');
+} catch (error) {
+  tf = require('@tensorflow/tfjs');
+}
+
+module.exports = tf;
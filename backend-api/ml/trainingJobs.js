@@ -0,0 +1,167 @@
+// backend-api/ml/trainingJobs.js - Background jobs that train the fleet failure model
+//
+// Submitting training returns straight away with a job id. Jobs run one at a time per server
+// (a run holds its training set in memory and keeps the CPU busy), report every epoch to
+// subscribers (the SSE route in server.js) and can be cancelled while queued or between
+// epochs. Like import jobs they are kept in memory, the last TRAINING_JOB_HISTORY per organization.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { TRAINING_DEFAULTS, trainFailureModel } = require('./failureModelTrainer');
+
+const JOB_HISTORY = Number(process.env.TRAINING_JOB_HISTORY || 20);
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobsByTenant = new Map();
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+let queue = Promise.resolve();
+
+// Helper function to shape a job for API responses (without its repository and abort controller)
+const describeJob = ({ repository, controller, ...job }) => ({ ...job, history: [...job.history] });
+
+// Helper function to tell subscribers about a job change: 'epoch' after each epoch, 'status' otherwise
+const publish = (job, type, data = describeJob(job)) => updates.emit(job.id, { type, data });
+
+const finishJob = (job, status, error = null) => {
+  job.status = status;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  job.durationMs = job.startedAt ? new Date(job.finishedAt) - new Date(job.startedAt) : 0;
+  job.repository = null;
+  publish(job, 'status');
+};
+
+const runJob = async (job) => {
+  if (job.status === 'cancelled') return;
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  publish(job, 'status');
+  console.log(`🧠 Training job ${job.id} started for ${job.tenant} on ${job.dataSource} data`);
+
+  try {
+    const result = await trainFailureModel(job.repository, {
+      ...job.params,
+      organization: job.tenant,
+      author: job.author,
+      signal: job.controller.signal,
+      onEpochEnd: (epoch, epochs, logs) => {
+        const entry = {
+          epoch,
+          loss: logs.loss,
+          accuracy: logs.acc,
+          valLoss: logs.val_loss,
+          valAccuracy: logs.val_acc
+        };
+        job.history.push(entry);
+        job.progress = Math.round(epoch / epochs * 100);
+        publish(job, 'epoch', { ...entry, epochs, progress: job.progress });
+      }
+    });
+
+    job.result = {
+      modelId: result.modelId,
+      modelName: result.modelName,
+      category: result.category,
+      version: result.version,
+      stage: result.stage,
+      trainedAt: result.trainedAt,
+      metrics: result.metrics,
+      dataset: result.dataset
+    };
+    job.progress = 100;
+    finishJob(job, 'completed');
+    console.log(`✅ Training job ${job.id} finished: ${result.modelId}`);
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      finishJob(job, 'cancelled');
+      console.log(`🛑 Training job ${job.id} cancelled after ${job.history.length} epochs`);
+    } else {
+      finishJob(job, 'failed', error.message);
+      console.error(`❌ Training job ${job.id} failed:`, error.message);
+    }
+  }
+};
+
+// Queue a training run for a tenant. params: { category, days, horizonDays, epochs } (defaults from the trainer);
+// author is recorded in the model registry
+const startTrainingJob = (tenant, repository, { params = {}, dataSource, author = null }) => {
+  const job = {
+    id: crypto.randomUUID(),
+    tenant,
+    dataSource,
+    author,
+    status: 'queued',
+    params: { ...TRAINING_DEFAULTS, ...params },
+    progress: 0,
+    history: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    repository,
+    controller: new AbortController()
+  };
+
+  const jobs = jobsByTenant.get(tenant) || [];
+  jobs.unshift(job);
+  // Forget the oldest finished jobs; never drop one that is still waiting or running
+  while (jobs.length > JOB_HISTORY && FINISHED_STATUSES.includes(jobs[jobs.length - 1].status)) {
+    jobs.pop();
+  }
+  jobsByTenant.set(tenant, jobs);
+
+  queue = queue.then(() => runJob(job));
+  return describeJob(job);
+};
+
+const findJob = (tenant, jobId) => (jobsByTenant.get(tenant) || []).find(candidate => candidate.id === jobId);
+
+const getTrainingJob = (tenant, jobId) => {
+  const job = findJob(tenant, jobId);
+  return job ? describeJob(job) : null;
+};
+
+// Most recent first
+const listTrainingJobs = (tenant) => (jobsByTenant.get(tenant) || []).map(describeJob);
+
+// A queued job is dropped at once; a running one stops at the end of its current epoch.
+// Returns the job, or null when there is no such job
+const cancelTrainingJob = (tenant, jobId) => {
+  const job = findJob(tenant, jobId);
+  if (!job) return null;
+
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    job.controller.abort();
+    if (job.status === 'queued') finishJob(job, 'cancelled');
+  }
+  return describeJob(job);
+};
+
+// Call listener({ type, data }) on every change of a job until the returned function is called
+const subscribeTrainingJob = (jobId, listener) => {
+  updates.on(jobId, listener);
+  return () => updates.off(jobId, listener);
+};
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+const getTrainingStatus = () => {
+  const jobs = [...jobsByTenant.values()].flat();
+  return {
+    queued: jobs.filter(job => job.status === 'queued').length,
+    running: jobs.filter(job => job.status === 'running').length
+  };
+};
+
+module.exports = {
+  startTrainingJob,
+  getTrainingJob,
+  listTrainingJobs,
+  cancelTrainingJob,
+  subscribeTrainingJob,
+  isFinished,
+  getTrainingStatus
+};
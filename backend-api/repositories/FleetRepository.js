@@ -0,0 +1,194 @@
+// backend-api/repositories/FleetRepository.js - Data-source contract shared by every backend
+//
+// Routes in server.js only talk to a FleetRepository. Each backend (Snowflake, mock, ...)
+// extends this class and implements the data methods below; anything left unimplemented
+// throws so the route can fall back to another repository.
+
+class FleetRepository {
+  constructor(name, dataSource) {
+    this.name = name;
+    this.dataSource = dataSource;
+    this.dataChangeListeners = [];
+  }
+
+  // Establish the underlying connection. Backends that need no connection keep the no-op.
+  async connect(config) {
+    return this;
+  }
+
+  isConnected() {
+    return true;
+  }
+
+  // Pool/connection diagnostics reported by /api/health, or null when there is nothing to report
+  getConnectionStatus() {
+    return null;
+  }
+
+  // Connection settings connect() cannot do without
+  requiredConfigFields() {
+    return [];
+  }
+
+  // Human readable location of the data, reported as `databaseUsed` in API responses
+  describeLocation() {
+    return this.name;
+  }
+
+  async testConnection() {
+    return { database: this.describeLocation() };
+  }
+
+  async close() {}
+
+  // Returns { metrics, jobSites, categories, alerts, maintenance }, optionally with
+  // sections: { <section>: { status: 'ok'|'partial'|'unavailable', error } } when some queries failed
+  async getDashboardData() {
+    throw this.notImplemented('getDashboardData');
+  }
+
+  // Returns an array of EQUIPMENT rows for the given job site
+  async getEquipmentData(siteName) {
+    throw this.notImplemented('getEquipmentData');
+  }
+
+  // Returns hourly sensor readings for the last `days` days, oldest first: { equipmentId, timestamp,
+  // temperature, vibration, pressure, current, oilPressure, rpm, fuelLevel, operatingHours }.
+  // Metrics without a reading in an hour are null.
+  async getSensorData(equipmentId, days) {
+    throw this.notImplemented('getSensorData');
+  }
+
+  // getSensorData() for several machines: { [equipmentId]: readings }. Backends that can read
+  // every machine in one query override this.
+  async getSensorDataForEquipment(equipmentIds, days) {
+    const readings = await Promise.all(equipmentIds.map(equipmentId => this.getSensorData(equipmentId, days)));
+    return Object.fromEntries(equipmentIds.map((equipmentId, index) => [equipmentId, readings[index]]));
+  }
+
+  // Returns a bucketed series for a query from parseSeriesQuery() (see src/shared/sensorSeries.js):
+  // { equipmentId, bucket, from, to, metrics, points, source }
+  async querySensorSeries(query) {
+    throw this.notImplemented('querySensorSeries');
+  }
+
+  // Returns { [equipmentId]: snapshot } with the latest reading of each metric and its age
+  // (see src/shared/sensorSnapshot.js)
+  async getLatestReadings(equipmentIds) {
+    throw this.notImplemented('getLatestReadings');
+  }
+
+  // Returns an array of failure predictions for the given equipment IDs, each with its
+  // machine's latest sensorSnapshot
+  async getPredictions(equipmentIds) {
+    throw this.notImplemented('getPredictions');
+  }
+
+  // Returns the history the failure model trains on, between two ISO timestamps:
+  // { readings: [{ equipmentId, timestamp, temperature, vibration, pressure, current, operatingHours }],
+  //   failures: [{ equipmentId, date }] } with hourly readings and unplanned work orders,
+  // for the whole fleet or only the equipment of one category (a category name)
+  async getTrainingData({ from, to, category }) {
+    throw this.notImplemented('getTrainingData');
+  }
+
+  // Returns the unplanned work orders (breakdowns and corrective repairs) between two ISO
+  // timestamps as [{ equipmentId, date }], for the given equipment or the whole fleet
+  async getFailureHistory({ equipmentIds, from, to }) {
+    throw this.notImplemented('getFailureHistory');
+  }
+
+  // Returns { accuracy, precision, recall, f1Score } as fractions, or null when unknown
+  async getModelMetrics() {
+    throw this.notImplemented('getModelMetrics');
+  }
+
+  // Model registry (see ml/modelRegistry.js). Entries are { modelId, modelName, category, version,
+  // stage, featureSchema, trainingFrom, trainingTo, metrics, artifactUri, createdBy, createdAt, promotedAt }.
+
+  // Stores a trained model as the next version of its category, in STAGING, and returns its entry
+  async registerModel({ modelId, modelName, category, featureSchema, trainingFrom, trainingTo, metrics, artifactUri, createdBy, createdAt }) {
+    throw this.notImplemented('registerModel');
+  }
+
+  // Returns a registry entry, or null when the model is not registered
+  async getRegisteredModel(modelId) {
+    throw this.notImplemented('getRegisteredModel');
+  }
+
+  // Returns registry entries by category, newest version first
+  async listRegisteredModels({ category } = {}) {
+    throw this.notImplemented('listRegisteredModels');
+  }
+
+  // Returns promotions and rollbacks, newest first:
+  // [{ promotionId, category, modelId, previousModelId, action, performedBy, performedAt }]
+  async listModelPromotions({ category } = {}) {
+    throw this.notImplemented('listModelPromotions');
+  }
+
+  // Makes a model the production model of its category, archiving the one it replaces.
+  // Returns the updated entry, or null when the model is not registered
+  async promoteModel(modelId, { performedBy, action } = {}) {
+    throw this.notImplemented('promoteModel');
+  }
+
+  // Puts back the model the current production model replaced; returns its entry, or null
+  // when there is nothing to roll back to
+  async rollbackModel(category, { performedBy } = {}) {
+    throw this.notImplemented('rollbackModel');
+  }
+
+  // Returns { [category]: entry } of the production models
+  async getProductionModels() {
+    throw this.notImplemented('getProductionModels');
+  }
+
+  // Returns { [equipmentId]: category name }
+  async getEquipmentCategories(equipmentIds) {
+    throw this.notImplemented('getEquipmentCategories');
+  }
+
+  // Returns the names of all equipment categories, e.g. ['Compactors', 'Generators', ...]
+  async listEquipmentCategories() {
+    throw this.notImplemented('listEquipmentCategories');
+  }
+
+  // Records which model version scored each prediction:
+  // [{ equipmentId, modelId, modelVersion, failureProbability, riskLevel, inputAsOf, predictedAt }]
+  async logPredictions(entries) {
+    throw this.notImplemented('logPredictions');
+  }
+
+  // Persists sensor readings in batches and returns { accepted, duplicates, rejected, batches },
+  // where each batch lists the upload indexes it accepted, skipped as duplicates or rejected
+  async uploadSensorReadings(sensorReadings, options) {
+    throw this.notImplemented('uploadSensorReadings');
+  }
+
+  // Returns { maintenanceData, costSavings }
+  async getMaintenanceSummary() {
+    throw this.notImplemented('getMaintenanceSummary');
+  }
+
+  // Returns { utilization, fuelConsumption, mlPerformance }
+  async getAnalyticsData() {
+    throw this.notImplemented('getAnalyticsData');
+  }
+
+  // Register listener(tables), called after this repository writes to those tables
+  onDataChanged(listener) {
+    this.dataChangeListeners.push(listener);
+  }
+
+  // Write methods call this once their rows are stored, e.g. notifyDataChanged(['WORK_ORDERS'])
+  notifyDataChanged(tables) {
+    this.dataChangeListeners.forEach(listener => listener(tables));
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} repository does not implement ${method}()`);
+  }
+}
+
+module.exports = FleetRepository;
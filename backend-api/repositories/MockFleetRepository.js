@@ -0,0 +1,309 @@
+// backend-api/repositories/MockFleetRepository.js - Deterministic in-memory backend
+//
+// Used when no warehouse is configured and as the fallback when a live query fails.
+// Equipment, readings and predictions come from the shared fleet simulator, so the same
+// FLEET_SEED returns the same fleet here, in the SQLite seed and in the browser fallback.
+const crypto = require('crypto');
+const FleetRepository = require('./FleetRepository');
+const {
+  DEFAULT_SEED,
+  CATEGORIES,
+  SITES,
+  getEquipmentProfile,
+  getMaintenanceEvents,
+  simulateReading,
+  simulateSiteEquipment,
+  simulateSensorSeries,
+  simulatePrediction
+} = require('../utils/fleetSimulator');
+const { simulateSeries } = require('../utils/sensorSeries');
+const { simulateSensorSnapshot, withSensorSnapshot } = require('../utils/sensorSnapshot');
+const { prepareSensorBatches, summarizeIngestion } = require('../ingestion/sensorReadings');
+const { FLEET_CATEGORY, findRollbackTarget } = require('../ml/modelRegistry');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const dashboard = {
+  metrics: {
+    TOTAL_EQUIPMENT: 127,
+    FLEET_UPTIME: 94.2,
+    AI_ACCURACY: 97.8,
+    COST_SAVINGS: 2.4
+  },
+  jobSites: [
+    {
+      SITE_NAME: 'Downtown Infrastructure Project',
+      EQUIPMENT_COUNT: 45,
+      WORK_AREAS: 6,
+      PROJECT_MANAGER: 'Sarah Johnson'
+    },
+    {
+      SITE_NAME: 'Highway Expansion Phase 2',
+      EQUIPMENT_COUNT: 38,
+      WORK_AREAS: 4,
+      PROJECT_MANAGER: 'Mike Rodriguez'
+    },
+    {
+      SITE_NAME: 'Commercial Complex Build',
+      EQUIPMENT_COUNT: 44,
+      WORK_AREAS: 8,
+      PROJECT_MANAGER: 'Emily Chen'
+    }
+  ],
+  categories: [
+    {
+      CATEGORY_NAME: 'Generators',
+      EQUIPMENT_COUNT: 32,
+      FUEL_TYPE: 'Diesel'
+    },
+    {
+      CATEGORY_NAME: 'Water Pumps',
+      EQUIPMENT_COUNT: 28,
+      FUEL_TYPE: 'Electric'
+    },
+    {
+      CATEGORY_NAME: 'Compactors',
+      EQUIPMENT_COUNT: 35,
+      FUEL_TYPE: 'Diesel'
+    },
+    {
+      CATEGORY_NAME: 'Mixers',
+      EQUIPMENT_COUNT: 32,
+      FUEL_TYPE: 'Electric'
+    }
+  ],
+  alerts: [
+    {
+      ALERT_ID: 'ALT-001',
+      EQUIPMENT_ID: 'GEN-234',
+      SEVERITY: 'critical',
+      MESSAGE: 'Engine temperature exceeding normal range',
+      SITE_NAME: 'Downtown Infrastructure Project'
+    },
+    {
+      ALERT_ID: 'ALT-002',
+      EQUIPMENT_ID: 'PMP-156',
+      SEVERITY: 'high',
+      MESSAGE: 'Maintenance due within 24 hours',
+      SITE_NAME: 'Highway Expansion Phase 2'
+    }
+  ],
+  maintenance: {
+    SCHEDULED: 15,
+    IN_PROGRESS: 2,
+    PARTS_ORDERED: 1,
+    COMPLETED: 127,
+    EMERGENCY: 1,
+    OVERDUE: 0
+  }
+};
+
+class MockFleetRepository extends FleetRepository {
+  constructor(options = {}) {
+    super('mock', 'mock');
+    this.seed = options.seed || process.env.FLEET_SEED || DEFAULT_SEED;
+    // The model registry lives in memory until restart
+    this.registry = [];
+    this.promotions = [];
+    this.predictionLog = [];
+  }
+
+  async getDashboardData() {
+    return {
+      ...dashboard,
+      alerts: dashboard.alerts.map(alert => ({ ...alert, CREATED_AT: new Date().toISOString() }))
+    };
+  }
+
+  async getEquipmentData(siteName) {
+    return simulateSiteEquipment(siteName, { seed: this.seed });
+  }
+
+  async getSensorData(equipmentId, days) {
+    return simulateSensorSeries(equipmentId, { days, seed: this.seed });
+  }
+
+  async querySensorSeries(query) {
+    return { ...simulateSeries(query, { seed: this.seed }), source: 'simulated' };
+  }
+
+  async getPredictions(equipmentIds) {
+    return equipmentIds.map(equipmentId => withSensorSnapshot(
+      simulatePrediction(equipmentId, { seed: this.seed }),
+      simulateSensorSnapshot(equipmentId, { seed: this.seed })
+    ));
+  }
+
+  async getLatestReadings(equipmentIds) {
+    return Object.fromEntries(equipmentIds.map(equipmentId => [
+      equipmentId,
+      simulateSensorSnapshot(equipmentId, { seed: this.seed })
+    ]));
+  }
+
+  // Simulated readings of every machine (or those of one category) and the breakdowns in the same timeline
+  async getTrainingData({ from, to, category }) {
+    const fromHour = Math.ceil(new Date(from).getTime() / HOUR_MS);
+    const toHour = Math.ceil(new Date(to).getTime() / HOUR_MS);
+    const equipmentIds = SITES.flatMap(site => simulateSiteEquipment(site.name, { seed: this.seed }).map(e => e.EQUIPMENT_ID))
+      .filter(equipmentId => !category || getEquipmentProfile(equipmentId, this.seed).category.name === category);
+    const readings = [];
+
+    equipmentIds.forEach(equipmentId => {
+      for (let hour = fromHour; hour < toHour; hour++) {
+        readings.push(simulateReading(equipmentId, hour * HOUR_MS, { seed: this.seed }));
+      }
+    });
+
+    return { readings, failures: await this.getFailureHistory({ equipmentIds, from, to }) };
+  }
+
+  async getFailureHistory({ equipmentIds, from, to }) {
+    const ids = equipmentIds || SITES.flatMap(site => simulateSiteEquipment(site.name, { seed: this.seed }).map(e => e.EQUIPMENT_ID));
+    return ids.flatMap(equipmentId => getMaintenanceEvents(equipmentId, from, to, { seed: this.seed })
+      .filter(event => event.type === 'FAILURE')
+      .map(event => ({ equipmentId, date: event.timestamp.slice(0, 10) })));
+  }
+
+  // The fleet production model's metrics replace the canned ones once a model is promoted
+  async getModelMetrics() {
+    const production = (await this.getProductionModels())[FLEET_CATEGORY];
+    if (production) {
+      const { accuracy, precision, recall, f1Score } = production.metrics;
+      return { accuracy, precision, recall, f1Score };
+    }
+    return {
+      accuracy: 0.94,
+      precision: 0.91,
+      recall: 0.87,
+      f1Score: 0.89
+    };
+  }
+
+  async registerModel(entry) {
+    const version = this.registry
+      .filter(model => model.category === entry.category)
+      .reduce((latest, model) => Math.max(latest, model.version), 0) + 1;
+    const model = { ...entry, version, stage: 'STAGING', promotedAt: null };
+
+    this.registry.push(model);
+    this.notifyDataChanged(['MODEL_REGISTRY', 'ML_MODEL_PERFORMANCE']);
+    return { ...model };
+  }
+
+  async getRegisteredModel(modelId) {
+    const model = this.registry.find(candidate => candidate.modelId === modelId);
+    return model ? { ...model } : null;
+  }
+
+  async listRegisteredModels({ category } = {}) {
+    return this.registry
+      .filter(model => !category || model.category === category)
+      .sort((a, b) => a.category.localeCompare(b.category) || b.version - a.version)
+      .map(model => ({ ...model }));
+  }
+
+  async listModelPromotions({ category } = {}) {
+    return this.promotions
+      .filter(promotion => !category || promotion.category === category)
+      .map(promotion => ({ ...promotion }));
+  }
+
+  async promoteModel(modelId, { performedBy, action = 'PROMOTE' } = {}) {
+    const model = this.registry.find(candidate => candidate.modelId === modelId);
+    if (!model) return null;
+
+    const current = this.registry.find(candidate => candidate.category === model.category && candidate.stage === 'PRODUCTION');
+    if (current === model) return { ...model };
+
+    const performedAt = new Date().toISOString();
+    if (current) current.stage = 'ARCHIVED';
+    model.stage = 'PRODUCTION';
+    model.promotedAt = performedAt;
+    this.promotions.unshift({
+      promotionId: crypto.randomUUID(),
+      category: model.category,
+      modelId,
+      previousModelId: current ? current.modelId : null,
+      action,
+      performedBy,
+      performedAt
+    });
+
+    this.notifyDataChanged(['MODEL_REGISTRY', 'ML_MODEL_PERFORMANCE']);
+    return { ...model };
+  }
+
+  async rollbackModel(category, { performedBy } = {}) {
+    const target = findRollbackTarget(
+      await this.listRegisteredModels({ category }),
+      await this.listModelPromotions({ category })
+    );
+    return target ? this.promoteModel(target, { performedBy, action: 'ROLLBACK' }) : null;
+  }
+
+  async getProductionModels() {
+    return Object.fromEntries(this.registry
+      .filter(model => model.stage === 'PRODUCTION')
+      .map(model => [model.category, { ...model }]));
+  }
+
+  async getEquipmentCategories(equipmentIds) {
+    return Object.fromEntries(equipmentIds.map(equipmentId => [
+      equipmentId,
+      getEquipmentProfile(equipmentId, this.seed).category.name
+    ]));
+  }
+
+  async listEquipmentCategories() {
+    return CATEGORIES.map(category => category.name).sort();
+  }
+
+  // Keeps the most recent 1000 entries
+  async logPredictions(entries) {
+    this.predictionLog = [...entries, ...this.predictionLog].slice(0, 1000);
+    this.notifyDataChanged(['PREDICTION_LOG']);
+  }
+
+  // Validates like the real backends but stores nothing
+  async uploadSensorReadings(sensorReadings, { batchSize } = {}) {
+    const batches = prepareSensorBatches(sensorReadings, batchSize);
+    batches.forEach(batch => batch.rows.forEach(({ index }) => batch.accepted.push(index)));
+    return summarizeIngestion(batches);
+  }
+
+  async getMaintenanceSummary() {
+    return {
+      maintenanceData: [
+        { STATUS: 'COMPLETED', COUNT: 45, TOTAL_COST: 125000, AVG_HOURS: 3.5 },
+        { STATUS: 'SCHEDULED', COUNT: 15, TOTAL_COST: 38000, AVG_HOURS: 4.0 },
+        { STATUS: 'IN_PROGRESS', COUNT: 8, TOTAL_COST: 22000, AVG_HOURS: 2.8 },
+        { STATUS: 'PARTS_ORDERED', COUNT: 3, TOTAL_COST: 8500, AVG_HOURS: 5.2 }
+      ],
+      costSavings: { TOTAL_SAVINGS: 285000, PREDICTIONS_COUNT: 24 }
+    };
+  }
+
+  async getAnalyticsData() {
+    return {
+      utilization: [
+        { EQUIPMENT_TYPE: 'Generators', EQUIPMENT_COUNT: 32, AVG_UPTIME: 95.2, TOTAL_HOURS: 45000, AVG_HOURS: 1406 },
+        { EQUIPMENT_TYPE: 'Water Pumps', EQUIPMENT_COUNT: 28, AVG_UPTIME: 94.8, TOTAL_HOURS: 38500, AVG_HOURS: 1375 },
+        { EQUIPMENT_TYPE: 'Mixers', EQUIPMENT_COUNT: 32, AVG_UPTIME: 96.1, TOTAL_HOURS: 42000, AVG_HOURS: 1313 },
+        { EQUIPMENT_TYPE: 'Compactors', EQUIPMENT_COUNT: 35, AVG_UPTIME: 93.7, TOTAL_HOURS: 47250, AVG_HOURS: 1350 }
+      ],
+      fuelConsumption: [
+        { FUEL_TYPE: 'Diesel', TOTAL_GALLONS: 2450.5, TOTAL_COST: 7351.50, AVG_PRICE_PER_GALLON: 3.00, REFUEL_COUNT: 125 },
+        { FUEL_TYPE: 'Gasoline', TOTAL_GALLONS: 1205.8, TOTAL_COST: 3617.40, AVG_PRICE_PER_GALLON: 3.00, REFUEL_COUNT: 78 }
+      ],
+      mlPerformance: [
+        { MODEL_NAME: 'Generator Predictive Model', ACCURACY_PERCENTAGE: 97.8, ROI_PERCENTAGE: 285.3, ACTIVE_PREDICTIONS: 8 },
+        { MODEL_NAME: 'Mixer Performance Optimizer', ACCURACY_PERCENTAGE: 98.1, ROI_PERCENTAGE: 312.4, ACTIVE_PREDICTIONS: 6 },
+        { MODEL_NAME: 'Pump Failure Prediction', ACCURACY_PERCENTAGE: 96.2, ROI_PERCENTAGE: 245.8, ACTIVE_PREDICTIONS: 5 },
+        { MODEL_NAME: 'Compactor Maintenance Model', ACCURACY_PERCENTAGE: 95.1, ROI_PERCENTAGE: 198.7, ACTIVE_PREDICTIONS: 4 }
+      ]
+    };
+  }
+}
+
+module.exports = MockFleetRepository;
@@ -0,0 +1,882 @@
+// backend-api/repositories/SqlFleetRepository.js - SQL queries shared by all relational backends
+//
+// Subclasses provide query(sqlText, binds), transaction(work) and getDbSchemaPrefix(); the SQL
+// below is written in Snowflake dialect and every table is referenced through the schema prefix.
+const crypto = require('crypto');
+const FleetRepository = require('./FleetRepository');
+const { prepareSensorBatches, summarizeIngestion } = require('../ingestion/sensorReadings');
+const { BUCKET_SIZES, SERIES_METRICS, bucketStart, parseSeriesQuery, buildSeries } = require('../utils/sensorSeries');
+const { buildSensorSnapshot, withSensorSnapshot } = require('../utils/sensorSnapshot');
+const { ROLLUP_TABLE, ROLLUP_BUCKETS, bucketAggregates, refreshRollups, refreshStaleRollups } = require('../db/metricRollups');
+const { FAILURE_INPUT_METRICS } = require('../utils/failureModel');
+const { findRollbackTarget } = require('../ml/modelRegistry');
+
+const HOUR_MS = BUCKET_SIZES['1h'].ms;
+
+// getLatestReadings() ranks raw readings from this far back; older ones come from the rollups
+const LATEST_READING_WINDOW_MS = 24 * HOUR_MS;
+
+const METRIC_COLUMNS = [
+  'METRIC_ID', 'EQUIPMENT_ID', 'SENSOR_ID', 'METRIC_TYPE', 'METRIC_VALUE', 'METRIC_UNIT', 'RECORDED_TIMESTAMP', 'DATE_RECORDED'
+];
+
+// Helper function to summarize the settled queries behind one dashboard section
+const sectionStatus = (...results) => {
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length === 0) return { status: 'ok' };
+
+  return {
+    status: failed.length === results.length ? 'unavailable' : 'partial',
+    error: failed[0].reason.message
+  };
+};
+
+// Helper function to read the rows of a settled query, or [] when it failed
+const rowsOf = (result) => (result.status === 'fulfilled' ? result.value || [] : []);
+
+// Helper function to shape a MODEL_REGISTRY row for the API
+const toRegistryEntry = (row) => ({
+  modelId: row.MODEL_ID,
+  modelName: row.MODEL_NAME,
+  category: row.CATEGORY,
+  version: Number(row.VERSION),
+  stage: row.STAGE,
+  featureSchema: row.FEATURE_SCHEMA ? JSON.parse(row.FEATURE_SCHEMA) : [],
+  trainingFrom: row.TRAINING_FROM ? new Date(row.TRAINING_FROM).toISOString() : null,
+  trainingTo: row.TRAINING_TO ? new Date(row.TRAINING_TO).toISOString() : null,
+  metrics: row.METRICS ? JSON.parse(row.METRICS) : null,
+  artifactUri: row.ARTIFACT_URI,
+  createdBy: row.CREATED_BY,
+  createdAt: new Date(row.CREATED_AT).toISOString(),
+  promotedAt: row.PROMOTED_AT ? new Date(row.PROMOTED_AT).toISOString() : null
+});
+
+// Helper function to serialize registry changes within a category. On Snowflake the no-op
+// UPDATE takes the table's write lock, which a concurrent registration or promotion waits on
+// until this transaction commits; SQLite transactions hold the database write lock already.
+const lockModelCategory = (query, dbSchema, category) => query(`
+  UPDATE ${dbSchema}.MODEL_REGISTRY SET STAGE = STAGE WHERE CATEGORY = ?
+`, [category]);
+
+class SqlFleetRepository extends FleetRepository {
+  // Execute a query and resolve with the result rows. Mark writes that are safe to run twice
+  // with `idempotent: true` so a backend may retry them after a dropped connection.
+  async query(sqlText, binds = [], { idempotent } = {}) {
+    throw this.notImplemented('query');
+  }
+
+  // Run work({ query }) in one transaction: committed when it resolves, rolled back when it
+  // throws. Statements of the transaction must go through the `query` passed in.
+  async transaction(work) {
+    throw this.notImplemented('transaction');
+  }
+
+  getDbSchemaPrefix() {
+    throw this.notImplemented('getDbSchemaPrefix');
+  }
+
+  describeLocation() {
+    return this.getDbSchemaPrefix();
+  }
+
+  async getDashboardData() {
+    const dbSchema = this.getDbSchemaPrefix();
+    console.log(`🔍 Using database schema: ${dbSchema}`);
+
+    // The queries are independent: run them together and let each one fail on its own
+    const [equipmentMetrics, aiAccuracy, costSavings, jobSites, categories, alerts, maintenanceData] = await Promise.allSettled([
+      // 1. Get total equipment count and fleet uptime
+      this.query(`
+        SELECT
+          COUNT(*) AS TOTAL_EQUIPMENT,
+          ROUND(AVG(UPTIME_PERCENTAGE), 1) AS FLEET_UPTIME
+        FROM ${dbSchema}.EQUIPMENT
+        WHERE STATUS IN ('OPERATIONAL', 'MAINTENANCE', 'CRITICAL', 'IDLE')
+      `),
+
+      // 2. Get AI accuracy from ML models
+      this.query(`
+        SELECT
+          ROUND(AVG(ACCURACY_PERCENTAGE), 1) AS AI_ACCURACY
+        FROM ${dbSchema}.MODEL_PERFORMANCE
+        WHERE MODEL_STATUS = 'ACTIVE'
+      `),
+
+      // 3. Get cost savings from predictive analytics
+      this.query(`
+        SELECT
+          ROUND(SUM(POTENTIAL_SAVINGS) / 1000, 1) AS COST_SAVINGS_K
+        FROM ${dbSchema}.PREDICTIVE_ANALYTICS
+        WHERE STATUS = 'ACTIVE'
+          AND CREATED_DATE >= DATEADD(YEAR, -1, CURRENT_DATE())
+      `),
+
+      // 4. Get job sites data
+      this.query(`
+        SELECT
+          js.SITE_NAME,
+          COUNT(DISTINCT e.EQUIPMENT_ID) AS EQUIPMENT_COUNT,
+          COUNT(DISTINCT wa.AREA_ID) AS WORK_AREAS,
+          js.PROJECT_MANAGER
+        FROM ${dbSchema}.JOB_SITES js
+        LEFT JOIN ${dbSchema}.EQUIPMENT e ON js.SITE_ID = e.SITE_ID
+        LEFT JOIN ${dbSchema}.WORK_AREAS wa ON js.SITE_ID = wa.SITE_ID
+        GROUP BY js.SITE_ID, js.SITE_NAME, js.PROJECT_MANAGER
+        ORDER BY EQUIPMENT_COUNT DESC
+      `),
+
+      // 5. Get equipment categories
+      this.query(`
+        SELECT
+          ec.CATEGORY_NAME,
+          COUNT(e.EQUIPMENT_ID) AS EQUIPMENT_COUNT,
+          CASE
+            WHEN ec.CATEGORY_NAME = 'Generators' THEN 'Diesel'
+            WHEN ec.CATEGORY_NAME = 'Water Pumps' THEN 'Electric'
+            WHEN ec.CATEGORY_NAME = 'Compactors' THEN 'Diesel'
+            WHEN ec.CATEGORY_NAME = 'Mixers' THEN 'Electric'
+            ELSE 'Mixed'
+          END AS FUEL_TYPE
+        FROM ${dbSchema}.EQUIPMENT_CATEGORIES ec
+        LEFT JOIN ${dbSchema}.EQUIPMENT e ON ec.CATEGORY_ID = e.CATEGORY_ID
+        GROUP BY ec.CATEGORY_ID, ec.CATEGORY_NAME
+        ORDER BY EQUIPMENT_COUNT DESC
+      `),
+
+      // 6. Get active alerts
+      this.query(`
+        SELECT
+          a.ALERT_ID,
+          a.EQUIPMENT_ID,
+          a.SEVERITY,
+          a.MESSAGE,
+          js.SITE_NAME,
+          a.CREATED_DATE
+        FROM ${dbSchema}.ALERTS a
+        JOIN ${dbSchema}.EQUIPMENT e ON a.EQUIPMENT_ID = e.EQUIPMENT_ID
+        JOIN ${dbSchema}.JOB_SITES js ON e.SITE_ID = js.SITE_ID
+        WHERE a.STATUS = 'ACTIVE'
+        ORDER BY a.CREATED_DATE DESC
+        LIMIT 10
+      `),
+
+      // 7. Get maintenance data
+      this.query(`
+        SELECT
+          STATUS,
+          COUNT(*) AS COUNT
+        FROM ${dbSchema}.WORK_ORDERS
+        WHERE STATUS IN ('SCHEDULED', 'IN_PROGRESS', 'PARTS_ORDERED', 'COMPLETED', 'EMERGENCY', 'OVERDUE')
+          AND CREATED_DATE >= DATEADD(MONTH, -3, CURRENT_DATE())
+        GROUP BY STATUS
+      `)
+    ]);
+
+    const failures = [equipmentMetrics, aiAccuracy, costSavings, jobSites, categories, alerts, maintenanceData]
+      .filter(result => result.status === 'rejected');
+    failures.forEach(result => console.error('❌ Dashboard query failed:', result.reason.message));
+
+    // Nothing worked (e.g. the warehouse is unreachable); let the caller fall back as a whole
+    if (failures.length === 7) {
+      throw failures[0].reason;
+    }
+
+    // Transform maintenance data into the expected format
+    const maintenance = {};
+    rowsOf(maintenanceData).forEach(row => {
+      maintenance[row.STATUS] = row.COUNT;
+    });
+
+    // Metrics whose query failed are null rather than a misleading 0
+    const metricValue = (result, column) => (result.status === 'fulfilled' ? result.value[0]?.[column] || 0 : null);
+
+    return {
+      metrics: {
+        TOTAL_EQUIPMENT: metricValue(equipmentMetrics, 'TOTAL_EQUIPMENT'),
+        FLEET_UPTIME: metricValue(equipmentMetrics, 'FLEET_UPTIME'),
+        AI_ACCURACY: metricValue(aiAccuracy, 'AI_ACCURACY'),
+        COST_SAVINGS: metricValue(costSavings, 'COST_SAVINGS_K')
+      },
+      jobSites: rowsOf(jobSites),
+      categories: rowsOf(categories),
+      alerts: rowsOf(alerts).map(alert => ({
+        ALERT_ID: alert.ALERT_ID,
+        EQUIPMENT_ID: alert.EQUIPMENT_ID,
+        SEVERITY: alert.SEVERITY.toLowerCase(),
+        MESSAGE: alert.MESSAGE,
+        SITE_NAME: alert.SITE_NAME,
+        CREATED_AT: alert.CREATED_DATE
+      })),
+      maintenance: {
+        SCHEDULED: maintenance.SCHEDULED || 0,
+        IN_PROGRESS: maintenance.IN_PROGRESS || 0,
+        PARTS_ORDERED: maintenance.PARTS_ORDERED || 0,
+        COMPLETED: maintenance.COMPLETED || 0,
+        EMERGENCY: maintenance.EMERGENCY || 0,
+        OVERDUE: maintenance.OVERDUE || 0
+      },
+      sections: {
+        metrics: sectionStatus(equipmentMetrics, aiAccuracy, costSavings),
+        jobSites: sectionStatus(jobSites),
+        categories: sectionStatus(categories),
+        alerts: sectionStatus(alerts),
+        maintenance: sectionStatus(maintenanceData)
+      }
+    };
+  }
+
+  async getEquipmentData(siteName) {
+    const dbSchema = this.getDbSchemaPrefix();
+
+    const equipment = await this.query(`
+      SELECT
+        e.EQUIPMENT_ID,
+        e.EQUIPMENT_NAME,
+        e.EQUIPMENT_TYPE,
+        ec.CATEGORY_NAME,
+        js.SITE_NAME,
+        e.STATUS,
+        wa.AREA_NAME,
+        e.GPS_LATITUDE,
+        e.GPS_LONGITUDE,
+        e.UPTIME_PERCENTAGE,
+        e.OPERATING_HOURS,
+        e.MANUFACTURER,
+        e.MODEL_NUMBER,
+        e.INSTALL_DATE
+      FROM ${dbSchema}.EQUIPMENT e
+      JOIN ${dbSchema}.JOB_SITES js ON e.SITE_ID = js.SITE_ID
+      LEFT JOIN ${dbSchema}.WORK_AREAS wa ON e.AREA_ID = wa.AREA_ID
+      LEFT JOIN ${dbSchema}.EQUIPMENT_CATEGORIES ec ON e.CATEGORY_ID = ec.CATEGORY_ID
+      WHERE js.SITE_NAME = ?
+      ORDER BY e.EQUIPMENT_TYPE, e.EQUIPMENT_ID
+    `, [siteName]);
+
+    return equipment.map(e => ({
+      EQUIPMENT_ID: e.EQUIPMENT_ID,
+      EQUIPMENT_NAME: e.EQUIPMENT_NAME,
+      EQUIPMENT_TYPE: e.EQUIPMENT_TYPE,
+      // The category the model registry routes the machine by
+      CATEGORY_NAME: e.CATEGORY_NAME,
+      SITE_NAME: e.SITE_NAME,
+      STATUS: e.STATUS.toLowerCase(),
+      AREA_NAME: e.AREA_NAME || 'Unknown Area',
+      GPS_LATITUDE: e.GPS_LATITUDE,
+      GPS_LONGITUDE: e.GPS_LONGITUDE,
+      UPTIME_PERCENTAGE: e.UPTIME_PERCENTAGE,
+      OPERATING_HOURS: e.OPERATING_HOURS,
+      MANUFACTURER: e.MANUFACTURER,
+      MODEL: e.MODEL_NUMBER,
+      INSTALLATION_DATE: e.INSTALL_DATE
+    }));
+  }
+
+  async getSensorData(equipmentId, days) {
+    return (await this.getSensorDataForEquipment([equipmentId], days))[equipmentId];
+  }
+
+  // Hourly averages from the rollups for every machine in one query; the series lines each
+  // machine's metrics up by hour
+  async getSensorDataForEquipment(equipmentIds, days) {
+    const dbSchema = this.getDbSchemaPrefix();
+    if (equipmentIds.length === 0) return {};
+
+    const latestHour = bucketStart(Date.now(), '1h');
+    const hours = Math.max(1, Math.round(Number(days) * 24));
+    const query = parseSeriesQuery({
+      equipmentId: equipmentIds[0],
+      bucket: '1h',
+      from: latestHour - (hours - 1) * HOUR_MS,
+      to: latestHour,
+      aggregations: ['avg']
+    });
+
+    const rows = await this.query(`
+      SELECT EQUIPMENT_ID, METRIC_TYPE, BUCKET_START, SAMPLE_COUNT, VALUE_SUM
+      FROM ${dbSchema}.${ROLLUP_TABLE}
+      WHERE EQUIPMENT_ID IN (${equipmentIds.map(() => '?').join(', ')})
+        AND BUCKET_SIZE = '1h'
+        AND METRIC_TYPE IN (${SERIES_METRICS.map(() => '?').join(', ')})
+        AND BUCKET_START >= ?
+        AND BUCKET_START < ?
+    `, [...equipmentIds, ...SERIES_METRICS.map(metric => metric.type), query.from, query.to]);
+
+    const statsByEquipment = new Map(equipmentIds.map(equipmentId => [equipmentId, new Map()]));
+    rows.forEach(row => {
+      const metric = SERIES_METRICS.find(candidate => candidate.type === row.METRIC_TYPE);
+      statsByEquipment.get(row.EQUIPMENT_ID).set(`${new Date(row.BUCKET_START).getTime()}|${metric.key}`, {
+        count: Number(row.SAMPLE_COUNT),
+        sum: row.VALUE_SUM
+      });
+    });
+
+    return Object.fromEntries(equipmentIds.map(equipmentId => {
+      const series = buildSeries({ ...query, equipmentId }, statsByEquipment.get(equipmentId));
+      const readings = series.points.map(point => ({
+        equipmentId,
+        timestamp: point.timestamp,
+        ...Object.fromEntries(SERIES_METRICS.map(metric => [metric.key, point[metric.key].avg]))
+      }));
+      // One reading per hour of the window, oldest first. Hours without a value for a metric
+      // (gaps, or sensors the machine doesn't have) are null rather than made up.
+      return [equipmentId, readings.some(reading => SERIES_METRICS.some(metric => reading[metric.key] !== null)) ? readings : []];
+    }));
+  }
+
+  // Hourly and daily buckets come from the rollups; minute buckets aggregate raw readings
+  async querySensorSeries(query) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const metrics = SERIES_METRICS.filter(metric => query.metrics[metric.key]);
+    const fromRollups = ROLLUP_BUCKETS.includes(query.bucket);
+
+    const rows = fromRollups
+      ? await this.query(`
+        SELECT METRIC_TYPE, BUCKET_START, SAMPLE_COUNT, VALUE_SUM, VALUE_MIN, VALUE_MAX, VALUE_P95, VALUE_LAST
+        FROM ${dbSchema}.${ROLLUP_TABLE}
+        WHERE EQUIPMENT_ID = ?
+          AND BUCKET_SIZE = ?
+          AND METRIC_TYPE IN (${metrics.map(() => '?').join(', ')})
+          AND BUCKET_START >= ?
+          AND BUCKET_START < ?
+      `, [query.equipmentId, query.bucket, ...metrics.map(metric => metric.type), query.from, query.to])
+      : await this.query(`
+        SELECT METRIC_TYPE, ${bucketAggregates(query.bucket)}
+        FROM ${dbSchema}.EQUIPMENT_METRICS
+        WHERE EQUIPMENT_ID = ?
+          AND METRIC_TYPE IN (${metrics.map(() => '?').join(', ')})
+          AND RECORDED_TIMESTAMP >= ?
+          AND RECORDED_TIMESTAMP < ?
+          AND METRIC_VALUE IS NOT NULL
+        GROUP BY METRIC_TYPE, DATE_TRUNC(${BUCKET_SIZES[query.bucket].datePart}, RECORDED_TIMESTAMP)
+      `, [query.equipmentId, ...metrics.map(metric => metric.type), query.from, query.to]);
+
+    const statsByBucket = new Map(rows.map(row => [
+      `${new Date(row.BUCKET_START).getTime()}|${metrics.find(metric => metric.type === row.METRIC_TYPE).key}`,
+      {
+        count: Number(row.SAMPLE_COUNT),
+        sum: row.VALUE_SUM,
+        min: row.VALUE_MIN,
+        max: row.VALUE_MAX,
+        p95: row.VALUE_P95,
+        last: row.VALUE_LAST
+      }
+    ]));
+
+    return {
+      ...buildSeries(query, statsByBucket),
+      source: fromRollups ? ROLLUP_TABLE : 'EQUIPMENT_METRICS'
+    };
+  }
+
+  // Latest reading of each metric per machine. ROW_NUMBER picks one row per equipment and
+  // metric from the recent raw readings only, so the work doesn't grow with the stored history.
+  // Metrics that went quiet before that window come from the newest hourly rollup instead,
+  // stamped with its bucket start (the snapshot marks them stale either way).
+  async getLatestReadings(equipmentIds) {
+    const dbSchema = this.getDbSchemaPrefix();
+    if (equipmentIds.length === 0) return {};
+
+    const now = Date.now();
+    const metricTypes = SERIES_METRICS.map(metric => metric.type);
+    const rows = await this.query(`
+      SELECT EQUIPMENT_ID, METRIC_TYPE, METRIC_VALUE, METRIC_UNIT, RECORDED_TIMESTAMP
+      FROM (
+        SELECT
+          EQUIPMENT_ID,
+          METRIC_TYPE,
+          METRIC_VALUE,
+          METRIC_UNIT,
+          RECORDED_TIMESTAMP,
+          ROW_NUMBER() OVER (
+            PARTITION BY EQUIPMENT_ID, METRIC_TYPE
+            ORDER BY RECORDED_TIMESTAMP DESC, METRIC_ID
+          ) AS READING_RANK
+        FROM ${dbSchema}.EQUIPMENT_METRICS
+        WHERE EQUIPMENT_ID IN (${equipmentIds.map(() => '?').join(', ')})
+          AND METRIC_TYPE IN (${metricTypes.map(() => '?').join(', ')})
+          AND RECORDED_TIMESTAMP >= ?
+          AND METRIC_VALUE IS NOT NULL
+      ) ranked
+      WHERE READING_RANK = 1
+    `, [...equipmentIds, ...metricTypes, new Date(now - LATEST_READING_WINDOW_MS).toISOString()]);
+
+    const found = new Set(rows.map(row => `${row.EQUIPMENT_ID}|${row.METRIC_TYPE}`));
+    const quiet = equipmentIds.filter(equipmentId => metricTypes.some(type => !found.has(`${equipmentId}|${type}`)));
+    const olderRows = quiet.length === 0 ? [] : (await this.query(`
+      SELECT EQUIPMENT_ID, METRIC_TYPE, VALUE_LAST AS METRIC_VALUE, BUCKET_START AS RECORDED_TIMESTAMP
+      FROM (
+        SELECT
+          EQUIPMENT_ID,
+          METRIC_TYPE,
+          VALUE_LAST,
+          BUCKET_START,
+          ROW_NUMBER() OVER (
+            PARTITION BY EQUIPMENT_ID, METRIC_TYPE
+            ORDER BY BUCKET_START DESC
+          ) AS BUCKET_RANK
+        FROM ${dbSchema}.${ROLLUP_TABLE}
+        WHERE EQUIPMENT_ID IN (${quiet.map(() => '?').join(', ')})
+          AND METRIC_TYPE IN (${metricTypes.map(() => '?').join(', ')})
+          AND BUCKET_SIZE = '1h'
+      ) ranked
+      WHERE BUCKET_RANK = 1
+    `, [...quiet, ...metricTypes])).filter(row => !found.has(`${row.EQUIPMENT_ID}|${row.METRIC_TYPE}`));
+
+    return Object.fromEntries(equipmentIds.map(equipmentId => {
+      const latest = {};
+      rows.concat(olderRows).filter(row => row.EQUIPMENT_ID === equipmentId).forEach(row => {
+        const metric = SERIES_METRICS.find(candidate => candidate.type === row.METRIC_TYPE);
+        latest[metric.key] = { value: row.METRIC_VALUE, unit: row.METRIC_UNIT || metric.unit, recordedAt: row.RECORDED_TIMESTAMP };
+      });
+      return [equipmentId, buildSensorSnapshot(equipmentId, latest, { now })];
+    }));
+  }
+
+  async getPredictions(equipmentIds) {
+    const dbSchema = this.getDbSchemaPrefix();
+
+    const [predictions, snapshots] = await Promise.all([
+      this.query(`
+        SELECT
+          pa.EQUIPMENT_ID,
+          pa.MODEL_ID,
+          mr.VERSION AS MODEL_VERSION,
+          pa.CONFIDENCE_SCORE,
+          pa.RISK_LEVEL,
+          pa.PREDICTED_COST,
+          pa.PREVENTION_COST,
+          pa.POTENTIAL_SAVINGS,
+          pa.PREDICTED_DATE,
+          pa.PREDICTION_TYPE,
+          DATEDIFF(DAY, CURRENT_DATE(), pa.PREDICTED_DATE) AS DAYS_UNTIL_MAINTENANCE
+        FROM ${dbSchema}.PREDICTIVE_ANALYTICS pa
+        LEFT JOIN ${dbSchema}.MODEL_REGISTRY mr ON pa.MODEL_ID = mr.MODEL_ID
+        WHERE pa.EQUIPMENT_ID IN (${equipmentIds.map(() => '?').join(', ')})
+          AND pa.STATUS = 'ACTIVE'
+        ORDER BY pa.CONFIDENCE_SCORE DESC
+      `, equipmentIds),
+      this.getLatestReadings(equipmentIds)
+    ]);
+
+    return predictions.map(p => withSensorSnapshot({
+      equipmentId: p.EQUIPMENT_ID,
+      failureProbability: ((100 - p.CONFIDENCE_SCORE) * 1.2).toFixed(1), // Convert confidence to failure probability
+      riskLevel: p.RISK_LEVEL.toLowerCase(),
+      daysUntilMaintenance: Math.max(1, p.DAYS_UNTIL_MAINTENANCE || 30),
+      recommendedAction:
+        p.RISK_LEVEL === 'HIGH' ? 'Schedule immediate maintenance' :
+        p.RISK_LEVEL === 'MEDIUM' ? 'Plan maintenance within 2 weeks' :
+        'Continue normal operations',
+      confidence: p.CONFIDENCE_SCORE.toFixed(1),
+      // Version is null for models that predate the registry
+      model: p.MODEL_ID ? { modelId: p.MODEL_ID, version: p.MODEL_VERSION ? Number(p.MODEL_VERSION) : null } : null,
+      lastUpdated: new Date().toISOString()
+    }, snapshots[p.EQUIPMENT_ID]));
+  }
+
+  // Hourly averages of the model inputs for the whole fleet (or one category), one row per
+  // machine and hour, and the unplanned work orders (breakdowns and corrective repairs) that label them
+  async getTrainingData({ from, to, category }) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const metrics = SERIES_METRICS.filter(metric => FAILURE_INPUT_METRICS.includes(metric.key));
+    const categoryFilter = category ? `
+          AND EQUIPMENT_ID IN (
+            SELECT e.EQUIPMENT_ID
+            FROM ${dbSchema}.EQUIPMENT e
+            JOIN ${dbSchema}.EQUIPMENT_CATEGORIES ec ON e.CATEGORY_ID = ec.CATEGORY_ID
+            WHERE ec.CATEGORY_NAME = ?
+          )` : '';
+
+    const [readings, failures] = await Promise.all([
+      this.query(`
+        SELECT
+          EQUIPMENT_ID,
+          BUCKET_START,
+          ${metrics.map(metric => `MAX(CASE WHEN METRIC_TYPE = ? THEN VALUE_SUM / SAMPLE_COUNT END) AS VALUE_${metric.key.toUpperCase()}`).join(',\n          ')}
+        FROM ${dbSchema}.${ROLLUP_TABLE}
+        WHERE BUCKET_SIZE = '1h'
+          AND METRIC_TYPE IN (${metrics.map(() => '?').join(', ')})
+          AND BUCKET_START >= ?
+          AND BUCKET_START < ?${categoryFilter}
+        GROUP BY EQUIPMENT_ID, BUCKET_START
+        ORDER BY BUCKET_START, EQUIPMENT_ID
+      `, [...metrics.map(metric => metric.type), ...metrics.map(metric => metric.type), from, to, ...(category ? [category] : [])]),
+      this.getFailureHistory({ from, to })
+    ]);
+
+    // Only the work orders of the machines trained on
+    const equipmentIds = new Set(readings.map(row => row.EQUIPMENT_ID));
+    return {
+      readings: readings.map(row => ({
+        equipmentId: row.EQUIPMENT_ID,
+        timestamp: new Date(row.BUCKET_START).toISOString(),
+        ...Object.fromEntries(metrics.map(metric => [metric.key, row[`VALUE_${metric.key.toUpperCase()}`]]))
+      })),
+      failures: category ? failures.filter(failure => equipmentIds.has(failure.equipmentId)) : failures
+    };
+  }
+
+  async getFailureHistory({ equipmentIds, from, to }) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const equipmentFilter = equipmentIds ? `AND EQUIPMENT_ID IN (${equipmentIds.map(() => '?').join(', ')})` : '';
+
+    const rows = await this.query(`
+      SELECT EQUIPMENT_ID, CREATED_DATE
+      FROM ${dbSchema}.WORK_ORDERS
+      WHERE WORK_TYPE IN ('EMERGENCY', 'CORRECTIVE')
+        AND CREATED_DATE >= ?
+        AND CREATED_DATE <= ?
+        ${equipmentFilter}
+      ORDER BY CREATED_DATE
+    `, [from.slice(0, 10), to.slice(0, 10), ...(equipmentIds || [])]);
+
+    return rows.map(row => ({
+      equipmentId: row.EQUIPMENT_ID,
+      date: row.CREATED_DATE instanceof Date ? row.CREATED_DATE.toISOString() : String(row.CREATED_DATE)
+    }));
+  }
+
+  async getModelMetrics() {
+    const dbSchema = this.getDbSchemaPrefix();
+
+    // Unquoted aliases come back upper-cased from Snowflake
+    const mlMetrics = await this.query(`
+      SELECT
+        AVG(ACCURACY_PERCENTAGE) / 100 AS ACCURACY,
+        AVG(PRECISION_RATE) / 100 AS PRECISION_RATE,
+        AVG(RECALL_RATE) / 100 AS RECALL_RATE,
+        AVG(F1_SCORE) / 100 AS F1_SCORE
+      FROM ${dbSchema}.ML_MODEL_PERFORMANCE
+      WHERE MODEL_STATUS = 'ACTIVE'
+    `);
+
+    if (mlMetrics.length === 0 || !mlMetrics[0].ACCURACY) {
+      return null;
+    }
+
+    return {
+      accuracy: mlMetrics[0].ACCURACY,
+      precision: mlMetrics[0].PRECISION_RATE,
+      recall: mlMetrics[0].RECALL_RATE,
+      f1Score: mlMetrics[0].F1_SCORE
+    };
+  }
+
+  // Register a trained model as the next version of its category, in the STAGING stage.
+  // Its metrics also go to ML_MODEL_PERFORMANCE, which becomes ACTIVE once the model is promoted.
+  // The version is taken and the model inserted in one transaction that holds the registry
+  // lock of its category, so two runs finishing together can't both claim the same version
+  async registerModel({ modelId, modelName, category, featureSchema, trainingFrom, trainingTo, metrics, artifactUri, createdBy, createdAt }) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const percent = (value) => Number((value * 100).toFixed(2));
+
+    await this.transaction(async ({ query }) => {
+      await lockModelCategory(query, dbSchema, category);
+      const [{ LATEST_VERSION }] = await query(`
+        SELECT COALESCE(MAX(VERSION), 0) AS LATEST_VERSION
+        FROM ${dbSchema}.MODEL_REGISTRY
+        WHERE CATEGORY = ?
+      `, [category]);
+      const version = Number(LATEST_VERSION) + 1;
+
+      await query(`
+        INSERT INTO ${dbSchema}.MODEL_REGISTRY
+        (MODEL_ID, MODEL_NAME, CATEGORY, VERSION, STAGE, FEATURE_SCHEMA, TRAINING_FROM, TRAINING_TO, METRICS, ARTIFACT_URI, CREATED_BY, CREATED_AT, PROMOTED_AT)
+        VALUES (?, ?, ?, ?, 'STAGING', ?, ?, ?, ?, ?, ?, ?, NULL)
+      `, [modelId, modelName, category, version, JSON.stringify(featureSchema), trainingFrom, trainingTo, JSON.stringify(metrics), artifactUri, createdBy, createdAt]);
+      await query(`
+        INSERT INTO ${dbSchema}.ML_MODEL_PERFORMANCE
+        (MODEL_ID, MODEL_NAME, MODEL_STATUS, ACCURACY_PERCENTAGE, PRECISION_RATE, RECALL_RATE, F1_SCORE, ROI_PERCENTAGE, LAST_TRAINED)
+        VALUES (?, ?, 'STAGING', ?, ?, ?, ?, NULL, ?)
+      `, [modelId, `${modelName} v${version}`, percent(metrics.accuracy), percent(metrics.precision), percent(metrics.recall), percent(metrics.f1Score), createdAt]);
+    });
+
+    this.notifyDataChanged(['MODEL_REGISTRY', 'ML_MODEL_PERFORMANCE']);
+    return this.getRegisteredModel(modelId);
+  }
+
+  async getRegisteredModel(modelId) {
+    const rows = await this.query(`
+      SELECT *
+      FROM ${this.getDbSchemaPrefix()}.MODEL_REGISTRY
+      WHERE MODEL_ID = ?
+    `, [modelId]);
+    return rows.length > 0 ? toRegistryEntry(rows[0]) : null;
+  }
+
+  async listRegisteredModels({ category } = {}) {
+    const rows = await this.query(`
+      SELECT *
+      FROM ${this.getDbSchemaPrefix()}.MODEL_REGISTRY
+      ${category ? 'WHERE CATEGORY = ?' : ''}
+      ORDER BY CATEGORY, VERSION DESC
+    `, category ? [category] : []);
+    return rows.map(toRegistryEntry);
+  }
+
+  async listModelPromotions({ category } = {}) {
+    const rows = await this.query(`
+      SELECT PROMOTION_ID, CATEGORY, MODEL_ID, PREVIOUS_MODEL_ID, ACTION, PERFORMED_BY, PERFORMED_AT
+      FROM ${this.getDbSchemaPrefix()}.MODEL_PROMOTIONS
+      ${category ? 'WHERE CATEGORY = ?' : ''}
+      ORDER BY PERFORMED_AT DESC
+    `, category ? [category] : []);
+    return rows.map(row => ({
+      promotionId: row.PROMOTION_ID,
+      category: row.CATEGORY,
+      modelId: row.MODEL_ID,
+      previousModelId: row.PREVIOUS_MODEL_ID,
+      action: row.ACTION,
+      performedBy: row.PERFORMED_BY,
+      performedAt: new Date(row.PERFORMED_AT).toISOString()
+    }));
+  }
+
+  // Make a model the production model of its category; the one it replaces is archived.
+  // action is 'PROMOTE' or 'ROLLBACK' (see rollbackModel in FleetRepository). Everything runs
+  // in one transaction under the category's registry lock, and every other production model
+  // of the category is archived, so a category never ends up with two production models.
+  async promoteModel(modelId, { performedBy, action = 'PROMOTE' } = {}) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const model = await this.getRegisteredModel(modelId);
+    if (!model) return null;
+
+    const promoted = await this.transaction(async ({ query }) => {
+      await lockModelCategory(query, dbSchema, model.category);
+      const current = await query(`
+        SELECT MODEL_ID
+        FROM ${dbSchema}.MODEL_REGISTRY
+        WHERE CATEGORY = ? AND STAGE = 'PRODUCTION'
+        ORDER BY PROMOTED_AT DESC
+      `, [model.category]);
+      const replaced = current.map(row => row.MODEL_ID).filter(id => id !== modelId);
+      if (replaced.length === 0 && current.length > 0) return false;
+
+      const performedAt = new Date().toISOString();
+      if (replaced.length > 0) {
+        const placeholders = replaced.map(() => '?').join(', ');
+        await query(`UPDATE ${dbSchema}.MODEL_REGISTRY SET STAGE = 'ARCHIVED' WHERE MODEL_ID IN (${placeholders})`, replaced);
+        await query(`UPDATE ${dbSchema}.ML_MODEL_PERFORMANCE SET MODEL_STATUS = 'RETIRED' WHERE MODEL_ID IN (${placeholders})`, replaced);
+      }
+      await query(`UPDATE ${dbSchema}.MODEL_REGISTRY SET STAGE = 'PRODUCTION', PROMOTED_AT = ? WHERE MODEL_ID = ?`, [performedAt, modelId]);
+      await query(`UPDATE ${dbSchema}.ML_MODEL_PERFORMANCE SET MODEL_STATUS = 'ACTIVE' WHERE MODEL_ID = ?`, [modelId]);
+      await query(`
+        INSERT INTO ${dbSchema}.MODEL_PROMOTIONS
+        (PROMOTION_ID, CATEGORY, MODEL_ID, PREVIOUS_MODEL_ID, ACTION, PERFORMED_BY, PERFORMED_AT)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [crypto.randomUUID(), model.category, modelId, replaced.length > 0 ? replaced[0] : null, action, performedBy, performedAt]);
+      return true;
+    });
+
+    if (promoted) {
+      this.notifyDataChanged(['MODEL_REGISTRY', 'ML_MODEL_PERFORMANCE']);
+    }
+    return this.getRegisteredModel(modelId);
+  }
+
+  async rollbackModel(category, { performedBy } = {}) {
+    const target = findRollbackTarget(
+      await this.listRegisteredModels({ category }),
+      await this.listModelPromotions({ category })
+    );
+    return target ? this.promoteModel(target, { performedBy, action: 'ROLLBACK' }) : null;
+  }
+
+  // { [category]: registry entry } of the models currently in production
+  async getProductionModels() {
+    const rows = await this.query(`
+      SELECT *
+      FROM ${this.getDbSchemaPrefix()}.MODEL_REGISTRY
+      WHERE STAGE = 'PRODUCTION'
+    `);
+    return Object.fromEntries(rows.map(row => [row.CATEGORY, toRegistryEntry(row)]));
+  }
+
+  async getEquipmentCategories(equipmentIds) {
+    if (equipmentIds.length === 0) return {};
+
+    const dbSchema = this.getDbSchemaPrefix();
+    const rows = await this.query(`
+      SELECT e.EQUIPMENT_ID, ec.CATEGORY_NAME
+      FROM ${dbSchema}.EQUIPMENT e
+      LEFT JOIN ${dbSchema}.EQUIPMENT_CATEGORIES ec ON e.CATEGORY_ID = ec.CATEGORY_ID
+      WHERE e.EQUIPMENT_ID IN (${equipmentIds.map(() => '?').join(', ')})
+    `, equipmentIds);
+    return Object.fromEntries(rows.map(row => [row.EQUIPMENT_ID, row.CATEGORY_NAME]));
+  }
+
+  async listEquipmentCategories() {
+    const rows = await this.query(`
+      SELECT CATEGORY_NAME
+      FROM ${this.getDbSchemaPrefix()}.EQUIPMENT_CATEGORIES
+      ORDER BY CATEGORY_NAME
+    `);
+    return rows.map(row => row.CATEGORY_NAME);
+  }
+
+  async logPredictions(entries) {
+    if (entries.length === 0) return;
+
+    const dbSchema = this.getDbSchemaPrefix();
+    await this.query(`
+      INSERT INTO ${dbSchema}.PREDICTION_LOG
+      (PREDICTION_LOG_ID, EQUIPMENT_ID, MODEL_ID, MODEL_VERSION, FAILURE_PROBABILITY, RISK_LEVEL, INPUT_AS_OF, PREDICTED_AT)
+      VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `, entries.flatMap(entry => [
+      crypto.randomUUID(), entry.equipmentId, entry.modelId, entry.modelVersion,
+      entry.failureProbability, entry.riskLevel, entry.inputAsOf, entry.predictedAt
+    ]));
+    this.notifyDataChanged(['PREDICTION_LOG']);
+  }
+
+  // Insert readings in multi-row batches. Each batch is one statement, so it is stored
+  // entirely or not at all, and rows whose METRIC_ID already exists are skipped.
+  async uploadSensorReadings(sensorReadings, { batchSize } = {}) {
+    const dbSchema = this.getDbSchemaPrefix();
+    const batches = prepareSensorBatches(sensorReadings, batchSize);
+    const stored = [];
+
+    for (const batch of batches) {
+      if (batch.rows.length === 0) continue;
+
+      try {
+        const ids = batch.rows.map(({ row }) => row.METRIC_ID);
+        const existing = new Set((await this.query(`
+          SELECT METRIC_ID
+          FROM ${dbSchema}.EQUIPMENT_METRICS
+          WHERE METRIC_ID IN (${ids.map(() => '?').join(', ')})
+        `, ids)).map(row => row.METRIC_ID));
+
+        const fresh = batch.rows.filter(({ row }) => !existing.has(row.METRIC_ID));
+        if (fresh.length > 0) {
+          // NOT EXISTS guards against a concurrent retry; Snowflake doesn't enforce primary keys
+          await this.query(`
+            INSERT INTO ${dbSchema}.EQUIPMENT_METRICS
+            (${METRIC_COLUMNS.join(', ')})
+            SELECT ${METRIC_COLUMNS.map((column, i) => `v.column${i + 1}`).join(', ')}
+            FROM (VALUES ${fresh.map(() => `(${METRIC_COLUMNS.map(() => '?').join(', ')})`).join(', ')}) v
+            WHERE NOT EXISTS (
+              SELECT 1 FROM ${dbSchema}.EQUIPMENT_METRICS em WHERE em.METRIC_ID = v.column1
+            )
+          `, fresh.flatMap(({ row }) => METRIC_COLUMNS.map(column => row[column])), { idempotent: true });
+        }
+
+        batch.rows.forEach(({ index, row }) => {
+          (existing.has(row.METRIC_ID) ? batch.duplicates : batch.accepted).push(index);
+        });
+        stored.push(...fresh.map(({ row }) => row));
+      } catch (error) {
+        console.error(`❌ Sensor batch ${batch.batch} failed:`, error.message);
+        batch.error = error.message;
+        batch.rows.forEach(({ index }) => batch.rejected.push({ index, reason: `Write failed: ${error.message}` }));
+      }
+    }
+
+    const result = summarizeIngestion(batches);
+    if (result.accepted > 0) {
+      // The readings are stored either way; trend queries catch up on the next refresh or rebuild
+      try {
+        await refreshRollups(this, stored);
+      } catch (error) {
+        console.warn(`⚠️ Metric rollup refresh failed: ${error.message}`);
+      }
+      this.notifyDataChanged(['EQUIPMENT_METRICS', ROLLUP_TABLE]);
+    }
+    return result;
+  }
+
+  // Catch the rollups up with readings that reached EQUIPMENT_METRICS without an upload.
+  // Resolves with the number of equipment days refreshed.
+  async refreshStaleRollups(options) {
+    const refreshed = await refreshStaleRollups(this, options);
+    if (refreshed > 0) {
+      this.notifyDataChanged([ROLLUP_TABLE]);
+    }
+    return refreshed;
+  }
+
+  async getMaintenanceSummary() {
+    const dbSchema = this.getDbSchemaPrefix();
+
+    const maintenanceData = await this.query(`
+      SELECT
+        wo.STATUS,
+        COUNT(*) as COUNT,
+        SUM(wo.TOTAL_COST) as TOTAL_COST,
+        AVG(wo.ACTUAL_HOURS) as AVG_HOURS
+      FROM ${dbSchema}.WORK_ORDERS wo
+      WHERE wo.CREATED_DATE >= DATEADD(MONTH, -6, CURRENT_DATE())
+      GROUP BY wo.STATUS
+      ORDER BY COUNT DESC
+    `);
+
+    // Get cost savings
+    const costSavings = await this.query(`
+      SELECT
+        SUM(POTENTIAL_SAVINGS) as TOTAL_SAVINGS,
+        COUNT(*) as PREDICTIONS_COUNT
+      FROM ${dbSchema}.PREDICTIVE_ANALYTICS
+      WHERE STATUS = 'ACTIVE'
+        AND CREATED_DATE >= DATEADD(MONTH, -12, CURRENT_DATE())
+    `);
+
+    return {
+      maintenanceData,
+      costSavings: costSavings[0]
+    };
+  }
+
+  async getAnalyticsData() {
+    const dbSchema = this.getDbSchemaPrefix();
+
+    // Equipment utilization analytics
+    const utilization = await this.query(`
+      SELECT
+        e.EQUIPMENT_TYPE,
+        COUNT(*) as EQUIPMENT_COUNT,
+        AVG(e.UPTIME_PERCENTAGE) as AVG_UPTIME,
+        SUM(e.OPERATING_HOURS) as TOTAL_HOURS,
+        AVG(e.OPERATING_HOURS) as AVG_HOURS
+      FROM ${dbSchema}.EQUIPMENT e
+      GROUP BY e.EQUIPMENT_TYPE
+      ORDER BY AVG_UPTIME DESC
+    `);
+
+    // Fuel consumption analytics
+    const fuelConsumption = await this.query(`
+      SELECT
+        fc.FUEL_TYPE,
+        SUM(fc.FUEL_AMOUNT_GALLONS) as TOTAL_GALLONS,
+        SUM(fc.FUEL_COST_USD) as TOTAL_COST,
+        AVG(fc.FUEL_COST_USD / fc.FUEL_AMOUNT_GALLONS) as AVG_PRICE_PER_GALLON,
+        COUNT(*) as REFUEL_COUNT
+      FROM ${dbSchema}.FUEL_CONSUMPTION fc
+      WHERE fc.REFUEL_DATE >= DATEADD(MONTH, -3, CURRENT_DATE())
+      GROUP BY fc.FUEL_TYPE
+      ORDER BY TOTAL_COST DESC
+    `);
+
+    // ML model performance over time
+    const mlPerformance = await this.query(`
+      SELECT
+        mp.MODEL_NAME,
+        mp.ACCURACY_PERCENTAGE,
+        mp.ROI_PERCENTAGE,
+        mp.LAST_TRAINED,
+        COUNT(pa.PREDICTION_ID) as ACTIVE_PREDICTIONS
+      FROM ${dbSchema}.ML_MODEL_PERFORMANCE mp
+      LEFT JOIN ${dbSchema}.PREDICTIVE_ANALYTICS pa ON mp.MODEL_ID = pa.MODEL_ID AND pa.STATUS = 'ACTIVE'
+      WHERE mp.MODEL_STATUS = 'ACTIVE'
+      GROUP BY mp.MODEL_ID, mp.MODEL_NAME, mp.ACCURACY_PERCENTAGE, mp.ROI_PERCENTAGE, mp.LAST_TRAINED
+      ORDER BY mp.ACCURACY_PERCENTAGE DESC
+    `);
+
+    return {
+      utilization,
+      fuelConsumption,
+      mlPerformance
+    };
+  }
+}
+
+module.exports = SqlFleetRepository;
@@ -0,0 +1,145 @@
+// backend-api/repositories/SqliteFleetRepository.js - Embedded SQLite backend for offline development
+//
+// Runs the same Snowflake-dialect SQL as the live backend through the dialect shim in
+// db/sqliteDialect.js. Pending migrations are applied on connect and an empty database
+// is seeded.
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const SqlFleetRepository = require('./SqlFleetRepository');
+const { migrateUp, HISTORY_TABLE } = require('../db/migrator');
+const { translateSnowflakeSql, registerSnowflakeFunctions } = require('../db/sqliteDialect');
+const { rebuildRollups } = require('../db/metricRollups');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'multiquip.sqlite');
+
+class SqliteFleetRepository extends SqlFleetRepository {
+  constructor(options = {}) {
+    super('sqlite', 'sqlite_local');
+    this.filename = options.filename || process.env.SQLITE_PATH || DEFAULT_DATABASE_PATH;
+    this.autoMigrate = options.autoMigrate !== false;
+    this.seedIfEmpty = options.seedIfEmpty !== false;
+    this.db = null;
+    this.activeTransaction = null;
+  }
+
+  async connect() {
+    if (this.db) return this.db;
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    console.log(`🗄️ Opening SQLite database: ${this.filename}`);
+    const db = new Database(this.filename);
+    db.pragma('journal_mode = WAL');
+    registerSnowflakeFunctions(db);
+    this.db = db;
+
+    try {
+      if (this.autoMigrate) {
+        await migrateUp(this);
+      }
+    } catch (error) {
+      this.db = null;
+      db.close();
+      throw error;
+    }
+
+    if (this.seedIfEmpty && db.prepare('SELECT COUNT(*) AS COUNT FROM EQUIPMENT').get().COUNT === 0) {
+      // Required lazily: the seed script itself requires this module
+      const { seedSqliteDatabase } = require('../db/seed');
+      const counts = seedSqliteDatabase(db, { seed: process.env.FLEET_SEED });
+      await rebuildRollups(this);
+      console.log(`🌱 Seeded empty SQLite database with ${counts.EQUIPMENT} equipment and ${counts.EQUIPMENT_METRICS} readings`);
+    }
+
+    console.log('✅ SQLite database ready');
+    return db;
+  }
+
+  isConnected() {
+    return !!this.db;
+  }
+
+  getDbSchemaPrefix() {
+    // SQLite has no database.schema naming; "main" is the attached database itself
+    return 'main';
+  }
+
+  describeLocation() {
+    return this.filename;
+  }
+
+  async query(sqlText, binds = []) {
+    // The one connection is shared, so other statements wait for an open transaction to end.
+    // The check and the statement run without an await in between, so nothing starts meanwhile.
+    while (this.activeTransaction) {
+      await this.activeTransaction.catch(() => {});
+    }
+    return this.execute(sqlText, binds);
+  }
+
+  execute(sqlText, binds = []) {
+    const statement = this.db.prepare(translateSnowflakeSql(sqlText));
+    // better-sqlite3 rejects undefined; Snowflake binds treat it as NULL
+    const values = binds.map(value => (value === undefined ? null : value));
+    return statement.reader ? statement.all(values) : statement.run(values);
+  }
+
+  async transaction(work) {
+    while (this.activeTransaction) {
+      await this.activeTransaction.catch(() => {});
+    }
+
+    const run = (async () => {
+      // IMMEDIATE takes the write lock up front, so another process can't write in between
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await work({ query: async (sqlText, binds) => this.execute(sqlText, binds) });
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (this.db.inTransaction) this.db.exec('ROLLBACK');
+        throw error;
+      }
+    })();
+
+    this.activeTransaction = run;
+    try {
+      return await run;
+    } finally {
+      if (this.activeTransaction === run) this.activeTransaction = null;
+    }
+  }
+
+  async testConnection() {
+    const { VERSION } = this.db.prepare('SELECT sqlite_version() AS VERSION').get();
+    return {
+      version: VERSION,
+      database: this.filename,
+      schema: this.getDbSchemaPrefix()
+    };
+  }
+
+  // Delete every row, keeping the tables and migration history (used by `npm run seed:sqlite -- --reset`)
+  clear() {
+    const tables = this.db.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != ?
+    `).all(HISTORY_TABLE);
+
+    this.db.transaction(() => {
+      tables.forEach(({ name }) => this.db.prepare(`DELETE FROM ${name}`).run());
+    })();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteFleetRepository;
@@ -0,0 +1,34 @@
+// backend-api/repositories/index.js - Registry of available fleet data backends
+const FleetRepository = require('./FleetRepository');
+const SqlFleetRepository = require('./SqlFleetRepository');
+const SnowflakeFleetRepository = require('./SnowflakeFleetRepository');
+const MockFleetRepository = require('./MockFleetRepository');
+
+const repositoryFactories = {
+  snowflake: (options) => new SnowflakeFleetRepository(options),
+  // Loaded on demand so deployments without the native better-sqlite3 build still start
+  sqlite: (options) => new (require('./SqliteFleetRepository'))(options),
+  mock: (options) => new MockFleetRepository(options)
+};
+
+// Make an additional backend selectable through DATA_SOURCE
+const registerFleetRepository = (name, factory) => {
+  repositoryFactories[name] = factory;
+};
+
+const createFleetRepository = (name = 'snowflake', options = {}) => {
+  const factory = repositoryFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown data source "${name}". Available: ${Object.keys(repositoryFactories).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  FleetRepository,
+  SqlFleetRepository,
+  SnowflakeFleetRepository,
+  MockFleetRepository,
+  registerFleetRepository,
+  createFleetRepository
+};
@@ -0,0 +1,14 @@
+// backend-api/scripts/hashPassword.js - Hash a user's password for the USERS_FILE
+//
+// Usage: npm run user:password -- <password>
+//
+// Prints the passwordHash to store with the user in USERS_FILE (see auth/users.js).
+const { hashPassword } = require('../auth/users');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run user:password -- <password>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
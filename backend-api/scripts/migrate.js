@@ -0,0 +1,69 @@
+// backend-api/scripts/migrate.js - Apply or revert schema migrations
+//
+// Usage:
+//   npm run migrate                      apply all pending migrations
+//   npm run migrate -- up --to 003       apply pending migrations up to version 003
+//   npm run migrate -- down [--steps 2]  revert the latest migration(s)
+//   npm run migrate -- status            list migrations and when they were applied
+//
+// Runs against DATA_SOURCE (snowflake by default) with the connection profile named by
+// CONNECTION_PROFILE (the server's default profile if unset).
+require('dotenv').config();
+const { createFleetRepository, SqlFleetRepository } = require('../repositories');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../db/migrator');
+const { DEFAULT_PROFILE, getConnectionProfile } = require('../config/connectionProfiles');
+
+// Helper function to read an option value such as `--steps 2`
+const readOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+  const dataSource = process.env.DATA_SOURCE || 'snowflake';
+
+  const profileName = process.env.CONNECTION_PROFILE || DEFAULT_PROFILE;
+  const profile = getConnectionProfile(profileName);
+  if (!profile) {
+    throw new Error(`Unknown connection profile: ${profileName}`);
+  }
+
+  // Migrations run explicitly below; don't let the SQLite store migrate or seed itself on open
+  const repository = createFleetRepository(dataSource, {
+    filename: profile.config.sqlitePath,
+    autoMigrate: false,
+    seedIfEmpty: false
+  });
+  if (!(repository instanceof SqlFleetRepository)) {
+    throw new Error(`Data source "${dataSource}" has no schema to migrate`);
+  }
+
+  await repository.connect(profile.config);
+  console.log(`🗄️ Migrating ${repository.name} schema ${repository.describeLocation()}`);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(repository, { to: readOption(args, 'to') });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(repository, { steps: Number(readOption(args, 'steps') || 1) });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(repository);
+      status.forEach(m => {
+        console.log(`   ${m.appliedAt ? '✅' : '⏳'} ${m.name}${m.appliedAt ? ` (applied ${m.appliedAt})` : ' (pending)'}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status`);
+    }
+  } finally {
+    await repository.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// backend-api/scripts/mqttBroker.js - In-process MQTT broker for local development
+//
+// Usage: npm run mqtt:broker   (listens on MQTT_BROKER_PORT, default 1883)
+//
+// A stand-in for Mosquitto when trying out MQTT ingestion; not meant for production.
+const net = require('net');
+const aedes = require('aedes')();
+
+const PORT = Number(process.env.MQTT_BROKER_PORT || 1883);
+
+const server = net.createServer(aedes.handle);
+
+aedes.on('client', client => console.log(`🔌 MQTT client connected: ${client.id}`));
+aedes.on('clientDisconnect', client => console.log(`🔌 MQTT client disconnected: ${client.id}`));
+
+server.listen(PORT, () => {
+  console.log(`📡 Development MQTT broker listening on mqtt://localhost:${PORT}`);
+});
+
+const shutdown = () => {
+  server.close();
+  aedes.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,35 @@
+// backend-api/scripts/mqttIngest.js - Run the MQTT ingestion worker on its own
+//
+// Usage: MQTT_URL=mqtt://localhost:1883 npm run ingest:mqtt
+//
+// Writes to DATA_SOURCE with the connection profile named by MQTT_CONNECTION_PROFILE (the
+// server's default profile if unset). The API server starts the same worker itself when
+// MQTT_URL is set, so only use this to run ingestion in a separate process.
+require('dotenv').config();
+const { DEFAULT_PROFILE } = require('../config/connectionProfiles');
+const { TenantRegistry } = require('../tenants/TenantRegistry');
+const { MqttIngestionWorker } = require('../ingestion/MqttIngestionWorker');
+
+const main = async () => {
+  const tenants = new TenantRegistry(process.env.DATA_SOURCE || 'snowflake');
+  const tenant = tenants.forSession({ profile: process.env.MQTT_CONNECTION_PROFILE || DEFAULT_PROFILE });
+
+  const worker = new MqttIngestionWorker({
+    getRepository: async () => ((await tenants.ensureConnected(tenant)) ? tenant.repository : null)
+  });
+  await worker.start();
+
+  const shutdown = async () => {
+    console.log('🛑 Stopping MQTT ingestion...');
+    await worker.stop();
+    await tenants.closeAll();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch(error => {
+  console.error('❌ MQTT ingestion failed to start:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// backend-api/scripts/mqttPublish.js - Publish simulated gateway telemetry to an MQTT broker
+//
+// Usage: MQTT_URL=mqtt://localhost:1883 npm run mqtt:publish -- [--site SITE-001] [--count 10] [--once]
+//
+// Sends one message per metric (and the hour meter) for each equipment unit, on the MQTT_TOPIC
+// layout the ingestion worker subscribes to, every MQTT_PUBLISH_INTERVAL_MS (default 60s).
+require('dotenv').config();
+const mqtt = require('mqtt');
+const { SITES, METRICS, OPERATING_HOURS_METRIC, simulateSiteEquipment, simulateReading } = require('../utils/fleetSimulator');
+const { DEFAULT_TOPIC } = require('../ingestion/MqttIngestionWorker');
+
+// Helper function to read an option value such as `--count 10`
+const readOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const args = process.argv.slice(2);
+const siteId = readOption(args, 'site') || SITES[0].id;
+const count = Number(readOption(args, 'count') || 10);
+const topicPattern = process.env.MQTT_TOPIC || DEFAULT_TOPIC;
+const intervalMs = Number(process.env.MQTT_PUBLISH_INTERVAL_MS || 60000);
+
+const site = SITES.find(s => s.id === siteId);
+if (!site) {
+  console.error(`❌ Unknown site ${siteId}. Available: ${SITES.map(s => s.id).join(', ')}`);
+  process.exit(1);
+}
+
+const equipmentIds = simulateSiteEquipment(site.name, { seed: process.env.FLEET_SEED })
+  .slice(0, count)
+  .map(equipment => equipment.EQUIPMENT_ID);
+
+const client = mqtt.connect(process.env.MQTT_URL || 'mqtt://localhost:1883');
+
+const publishAll = async () => {
+  const timestamp = new Date().toISOString();
+  let published = 0;
+
+  for (const equipmentId of equipmentIds) {
+    const reading = simulateReading(equipmentId, timestamp, { seed: process.env.FLEET_SEED });
+    for (const metric of [...METRICS, OPERATING_HOURS_METRIC]) {
+      const topic = topicPattern
+        .replace('{site}', site.id)
+        .replace('{equipment}', equipmentId)
+        .replace('{metric}', metric.key);
+      await client.publishAsync(topic, JSON.stringify({ value: reading[metric.key], unit: metric.unit, timestamp }), { qos: 1 });
+      published++;
+    }
+  }
+  console.log(`📤 Published ${published} readings for ${equipmentIds.length} units at ${site.id}`);
+};
+
+client.on('connect', async () => {
+  await publishAll();
+  if (args.includes('--once')) {
+    await client.endAsync();
+    return;
+  }
+  setInterval(publishAll, intervalMs);
+});
+client.on('error', error => console.error('❌ MQTT publish error:', error.message));
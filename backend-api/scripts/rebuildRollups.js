@@ -0,0 +1,41 @@
+// backend-api/scripts/rebuildRollups.js - Recompute EQUIPMENT_METRIC_ROLLUPS from raw readings
+//
+// Usage: npm run rollups:rebuild
+//
+// Uploads keep the rollups current on their own, and the server's scheduled refresh catches
+// up with the last ROLLUP_REFRESH_LOOKBACK_DAYS of readings loaded by other means; run this
+// after backfilling older history. Uses DATA_SOURCE and CONNECTION_PROFILE like `npm run migrate`.
+require('dotenv').config();
+const { createFleetRepository, SqlFleetRepository } = require('../repositories');
+const { rebuildRollups, ROLLUP_TABLE } = require('../db/metricRollups');
+const { DEFAULT_PROFILE, getConnectionProfile } = require('../config/connectionProfiles');
+
+const main = async () => {
+  const dataSource = process.env.DATA_SOURCE || 'snowflake';
+  const profileName = process.env.CONNECTION_PROFILE || DEFAULT_PROFILE;
+  const profile = getConnectionProfile(profileName);
+  if (!profile) {
+    throw new Error(`Unknown connection profile: ${profileName}`);
+  }
+
+  const repository = createFleetRepository(dataSource, { filename: profile.config.sqlitePath });
+  if (!(repository instanceof SqlFleetRepository)) {
+    throw new Error(`Data source "${dataSource}" has no rollups to rebuild`);
+  }
+
+  await repository.connect(profile.config);
+  console.log(`📊 Rebuilding ${ROLLUP_TABLE} in ${repository.describeLocation()}`);
+
+  try {
+    const startedAt = Date.now();
+    await rebuildRollups(repository);
+    console.log(`✅ Rollups rebuilt in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  } finally {
+    await repository.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Rollup rebuild failed:', error.message);
+  process.exit(1);
+});
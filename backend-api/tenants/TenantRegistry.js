@@ -0,0 +1,137 @@
+// backend-api/tenants/TenantRegistry.js - One isolated fleet repository per organization
+//
+// Every session belongs to an organization (a profile's `organization`, or the profile name
+// when unset). Each organization gets its own repository instance, and with it its own
+// connection pool and database/schema prefix, so one customer's requests can never run
+// against another customer's database. Two organizations that resolve to the same database
+// location are refused rather than silently shared. The mock data that stands in while a
+// tenant is disconnected is per organization too, since the mock backend also keeps the
+// models trained on it and the predictions they made.
+const { createFleetRepository, MockFleetRepository } = require('../repositories');
+const { getConnectionProfile } = require('../config/connectionProfiles');
+
+// Wait this long after a failed connect before trying the same tenant again
+const RECONNECT_COOLDOWN_MS = Number(process.env.TENANT_RECONNECT_COOLDOWN_MS || 30000);
+
+// Helper function to resolve the organization a connection profile belongs to
+const getProfileOrganization = (profile) => profile.config.organization || profile.name;
+
+class TenantRegistry {
+  // onDataChanged(organization, tables) is called whenever a tenant's repository writes data
+  constructor(dataSource, { createRepository = createFleetRepository, onDataChanged = () => {} } = {}) {
+    this.dataSource = dataSource;
+    this.createRepository = createRepository;
+    this.onDataChanged = onDataChanged;
+    this.tenants = new Map();
+  }
+
+  // Returns the tenant for an authenticated session, creating its repository on first use
+  forSession(session) {
+    const profile = getConnectionProfile(session.profile);
+    if (!profile) {
+      throw new Error(`Connection profile "${session.profile}" no longer exists`);
+    }
+
+    const organization = session.organization || getProfileOrganization(profile);
+    let tenant = this.tenants.get(organization);
+    if (!tenant) {
+      tenant = {
+        organization,
+        profile,
+        // SQLite tenants name their own database file; other backends ignore the option
+        repository: this.createRepository(this.dataSource, { filename: profile.config.sqlitePath }),
+        // Stands in for the repository while it is disconnected
+        mockRepository: new MockFleetRepository(),
+        connecting: null,
+        lastFailureAt: 0
+      };
+      tenant.repository.onDataChanged(tables => this.onDataChanged(organization, tables));
+      this.tenants.set(organization, tenant);
+      console.log(`🏢 Registered tenant ${organization} (profile ${profile.name})`);
+    }
+    return tenant;
+  }
+
+  // Settings the tenant's profile is missing for the configured backend
+  getMissingFields(tenant) {
+    return tenant.repository.requiredConfigFields().filter(field => !tenant.profile.config[field]);
+  }
+
+  // Connect the tenant's repository if needed. Concurrent callers share one attempt.
+  async connect(tenant) {
+    if (tenant.repository.isConnected()) return tenant.repository;
+    if (tenant.connecting) return tenant.connecting;
+
+    tenant.connecting = (async () => {
+      try {
+        await tenant.repository.connect(tenant.profile.config);
+        this.assertIsolated(tenant);
+        tenant.lastFailureAt = 0;
+        console.log(`✅ Tenant ${tenant.organization} connected to ${tenant.repository.describeLocation()}`);
+        return tenant.repository;
+      } catch (error) {
+        tenant.lastFailureAt = Date.now();
+        throw error;
+      } finally {
+        tenant.connecting = null;
+      }
+    })();
+
+    return tenant.connecting;
+  }
+
+  // Like connect(), but quietly leaves the tenant disconnected (so callers use mock data)
+  // when its profile is incomplete or it failed to connect moments ago
+  async ensureConnected(tenant) {
+    if (tenant.repository.isConnected()) return true;
+    if (this.getMissingFields(tenant).length > 0) return false;
+    if (!tenant.connecting && Date.now() - tenant.lastFailureAt < RECONNECT_COOLDOWN_MS) return false;
+
+    try {
+      await this.connect(tenant);
+      return true;
+    } catch (error) {
+      console.log(`⚠️ ${tenant.repository.name} connection failed for tenant ${tenant.organization}, using mock data: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Refuse a connection that lands on a database another organization is already using
+  assertIsolated(tenant) {
+    if (tenant.repository instanceof MockFleetRepository) return;
+
+    const location = this.getIsolationKey(tenant);
+    for (const other of this.tenants.values()) {
+      if (other !== tenant && other.repository.isConnected() && this.getIsolationKey(other) === location) {
+        tenant.repository.close();
+        throw new Error(`Organization ${tenant.organization} resolves to ${tenant.repository.describeLocation()}, which already serves organization ${other.organization}`);
+      }
+    }
+  }
+
+  getIsolationKey(tenant) {
+    return `${tenant.profile.config.account || ''}/${tenant.repository.describeLocation()}`.toLowerCase();
+  }
+
+  getConnectedTenants() {
+    return [...this.tenants.values()].filter(tenant => tenant.repository.isConnected());
+  }
+
+  getStatus() {
+    const tenants = [...this.tenants.values()];
+    return {
+      count: tenants.length,
+      connected: tenants.filter(tenant => tenant.repository.isConnected()).length
+    };
+  }
+
+  async closeAll() {
+    await Promise.all([...this.tenants.values()].map(tenant => tenant.repository.close()));
+    this.tenants.clear();
+  }
+}
+
+module.exports = {
+  TenantRegistry,
+  getProfileOrganization
+};
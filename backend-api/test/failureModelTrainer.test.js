@@ -0,0 +1,34 @@
+// backend-api/test/failureModelTrainer.test.js - Training runs refuse parameters they can't train with
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TRAINING_DEFAULTS, validateTrainingParams, trainFailureModel } = require('../ml/failureModelTrainer');
+
+const rejectedWith = (message) => (error) => error.status === 400 && error.message.includes(message);
+
+test('defaults and sensible overrides pass validation', () => {
+  assert.deepEqual(validateTrainingParams(), TRAINING_DEFAULTS);
+  assert.equal(validateTrainingParams({ days: 30, horizonDays: 14, epochs: 5 }).horizonDays, 14);
+});
+
+test('the history must be longer than the failure horizon', () => {
+  assert.throws(() => validateTrainingParams({ days: 7, horizonDays: 7 }), rejectedWith('days (7) must be more than horizonDays (7)'));
+  assert.throws(() => validateTrainingParams({ days: 5 }), rejectedWith('must be more than horizonDays'));
+});
+
+test('each number must be within its bounds', () => {
+  assert.throws(() => validateTrainingParams({ days: 0 }), rejectedWith('days must be a number from 1 to 730'));
+  assert.throws(() => validateTrainingParams({ days: 5000 }), rejectedWith('days must be a number from 1 to 730'));
+  assert.throws(() => validateTrainingParams({ horizonDays: -1 }), rejectedWith('horizonDays'));
+  assert.throws(() => validateTrainingParams({ epochs: NaN }), rejectedWith('epochs'));
+  assert.throws(() => validateTrainingParams({ epochs: 201 }), rejectedWith('epochs must be a number from 1 to 200'));
+  assert.throws(() => validateTrainingParams({ epochs: 2.5 }), rejectedWith('epochs must be a whole number'));
+  assert.throws(() => validateTrainingParams({ days: '30' }), rejectedWith('days'));
+});
+
+test('training checks its parameters before loading any data', async () => {
+  const repository = {
+    name: 'fake',
+    getTrainingData: () => assert.fail('no data should be loaded')
+  };
+  await assert.rejects(trainFailureModel(repository, { days: 3, horizonDays: 7 }), rejectedWith('must be more than horizonDays'));
+});
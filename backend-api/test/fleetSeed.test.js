@@ -0,0 +1,43 @@
+// backend-api/test/fleetSeed.test.js - One FLEET_SEED gives one fleet on every backend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MockFleetRepository = require('../repositories/MockFleetRepository');
+const { generateFleet } = require('../db/seed');
+const { SITES } = require('../utils/fleetSimulator');
+
+const NOW = Date.UTC(2025, 2, 10, 14, 20);
+
+test('the SQLite seed stores the fleet and readings the mock backend serves', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const repository = new MockFleetRepository({ seed: 'test-fleet' });
+  const rows = generateFleet({ seed: 'test-fleet', now: NOW, days: 2 });
+
+  for (const site of SITES) {
+    const equipment = await repository.getEquipmentData(site.name);
+    const seeded = rows.EQUIPMENT.filter(row => row.SITE_ID === site.id);
+    assert.deepEqual(seeded.map(row => row.EQUIPMENT_ID), equipment.map(row => row.EQUIPMENT_ID));
+    assert.deepEqual(seeded.map(row => row.EQUIPMENT_TYPE), equipment.map(row => row.EQUIPMENT_TYPE));
+  }
+
+  const [{ EQUIPMENT_ID: equipmentId }] = rows.EQUIPMENT;
+  const temperatures = rows.EQUIPMENT_METRICS
+    .filter(row => row.EQUIPMENT_ID === equipmentId && row.METRIC_TYPE === 'Temperature')
+    .map(row => [row.RECORDED_TIMESTAMP, row.METRIC_VALUE]);
+  const served = (await repository.getSensorData(equipmentId, 2)).map(reading => [reading.timestamp, reading.temperature]);
+  assert.equal(temperatures.length, 48);
+  assert.deepEqual(temperatures, served);
+});
+
+test('the same seed repeats the fleet and another seed changes it', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const site = SITES[0].name;
+  const fleet = async (seed) => {
+    const repository = new MockFleetRepository({ seed });
+    const equipment = await repository.getEquipmentData(site);
+    const ids = equipment.map(row => row.EQUIPMENT_ID);
+    return { equipment, readings: await repository.getLatestReadings(ids) };
+  };
+
+  assert.deepEqual(await fleet('test-fleet'), await fleet('test-fleet'));
+  assert.notDeepEqual(await fleet('test-fleet'), await fleet('another-fleet'));
+});
@@ -0,0 +1,53 @@
+// backend-api/test/migrator.test.js - Versioned schema migrations on an in-memory SQLite store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../db/migrator');
+
+// The repositories log each step they take; keep the runner's output to the results
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const tableExists = (repository, name) =>
+  !!repository.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+
+test('connect applies every migration once', async () => {
+  const repository = new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false });
+  await repository.connect();
+
+  const status = await getMigrationStatus(repository);
+  assert.deepEqual(status.map(m => m.name), loadMigrations().map(m => m.name));
+  assert.ok(status.every(m => m.appliedAt), 'every migration is recorded as applied');
+  assert.ok(tableExists(repository, 'EQUIPMENT_METRICS'));
+  assert.ok(tableExists(repository, 'MODEL_REGISTRY'));
+
+  // Nothing is pending, so a second run changes nothing
+  assert.deepEqual(await migrateUp(repository), []);
+  await repository.close();
+});
+
+test('migrateDown reverts the newest migrations and migrateUp applies them again', async () => {
+  const repository = new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false });
+  await repository.connect();
+  const names = loadMigrations().map(m => m.name);
+
+  assert.deepEqual(await migrateDown(repository), [names[names.length - 1]]);
+  assert.equal(tableExists(repository, 'MODEL_REGISTRY'), false);
+  assert.equal((await getMigrationStatus(repository)).pop().appliedAt, null);
+
+  assert.deepEqual(await migrateUp(repository), [names[names.length - 1]]);
+  assert.ok(tableExists(repository, 'MODEL_REGISTRY'));
+  await repository.close();
+});
+
+test('migrateUp stops at the requested version', async () => {
+  const repository = new SqliteFleetRepository({ filename: ':memory:', autoMigrate: false, seedIfEmpty: false });
+  await repository.connect();
+  const [first, ...rest] = loadMigrations();
+
+  assert.deepEqual(await migrateUp(repository, { to: first.version }), [first.name]);
+  assert.ok(tableExists(repository, 'EQUIPMENT'));
+  assert.equal(tableExists(repository, 'MODEL_REGISTRY'), false);
+
+  assert.deepEqual(await migrateUp(repository), rest.map(m => m.name));
+  await repository.close();
+});
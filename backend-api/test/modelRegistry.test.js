@@ -0,0 +1,159 @@
+// backend-api/test/modelRegistry.test.js - Promoting and rolling back registered models
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+const MockFleetRepository = require('../repositories/MockFleetRepository');
+const { FLEET_CATEGORY, modelIdFor, findRollbackTarget, resolveProductionModel } = require('../ml/modelRegistry');
+
+// The repositories log each step they take; keep the runner's output to the results
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Helper function to register the next version of a category's model
+const register = (repository, category, modelId) => repository.registerModel({
+  modelId,
+  modelName: `${category} model`,
+  category,
+  featureSchema: ['temperature', 'vibration'],
+  trainingFrom: '2025-01-01T00:00:00.000Z',
+  trainingTo: '2025-03-01T00:00:00.000Z',
+  metrics: { accuracy: 0.9, precision: 0.8, recall: 0.7, f1Score: 0.75 },
+  artifactUri: `file:///models/${modelId}`,
+  createdBy: 'test',
+  createdAt: new Date().toISOString()
+});
+
+const stages = async (repository, category) =>
+  Object.fromEntries((await repository.listRegisteredModels({ category })).map(model => [model.modelId, model.stage]));
+
+const repositories = {
+  sqlite: async () => {
+    const repository = new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false });
+    await repository.connect();
+    return repository;
+  },
+  mock: async () => new MockFleetRepository()
+};
+
+Object.entries(repositories).forEach(([name, create]) => {
+  test(`${name}: promotions archive the replaced model and rollbacks walk back through them`, async () => {
+    const repository = await create();
+
+    const v1 = await register(repository, 'Generators', 'MODEL-GEN-1');
+    assert.deepEqual([v1.version, v1.stage], [1, 'STAGING']);
+    await register(repository, 'Generators', 'MODEL-GEN-2');
+    await register(repository, 'Generators', 'MODEL-GEN-3');
+
+    await repository.promoteModel('MODEL-GEN-1', { performedBy: 'test' });
+    await repository.promoteModel('MODEL-GEN-2', { performedBy: 'test' });
+    await repository.promoteModel('MODEL-GEN-3', { performedBy: 'test' });
+    assert.deepEqual(await stages(repository, 'Generators'), {
+      'MODEL-GEN-3': 'PRODUCTION',
+      'MODEL-GEN-2': 'ARCHIVED',
+      'MODEL-GEN-1': 'ARCHIVED'
+    });
+
+    const rolledBack = await repository.rollbackModel('Generators', { performedBy: 'test' });
+    assert.equal(rolledBack.modelId, 'MODEL-GEN-2');
+    assert.equal((await repository.getProductionModels()).Generators.modelId, 'MODEL-GEN-2');
+    assert.equal((await stages(repository, 'Generators'))['MODEL-GEN-3'], 'ARCHIVED');
+    assert.ok((await repository.listModelPromotions({ category: 'Generators' }))
+      .some(promotion => promotion.action === 'ROLLBACK' && promotion.modelId === 'MODEL-GEN-2'));
+
+    assert.equal((await repository.rollbackModel('Generators', { performedBy: 'test' })).modelId, 'MODEL-GEN-1');
+    // v1 replaced nothing
+    assert.equal(await repository.rollbackModel('Generators', { performedBy: 'test' }), null);
+    assert.equal((await repository.getProductionModels()).Generators.modelId, 'MODEL-GEN-1');
+    await repository.close();
+  });
+
+  test(`${name}: categories are versioned and promoted independently`, async () => {
+    const repository = await create();
+
+    await register(repository, FLEET_CATEGORY, 'MODEL-FLEET-1');
+    const pump = await register(repository, 'Water Pumps', 'MODEL-PUMP-1');
+    assert.equal(pump.version, 1);
+    await repository.promoteModel('MODEL-FLEET-1', { performedBy: 'test' });
+    await repository.promoteModel('MODEL-PUMP-1', { performedBy: 'test' });
+
+    const production = await repository.getProductionModels();
+    assert.deepEqual(Object.keys(production).sort(), [FLEET_CATEGORY, 'Water Pumps']);
+    assert.equal(await repository.rollbackModel('Water Pumps', { performedBy: 'test' }), null);
+    assert.equal(await repository.promoteModel('MODEL-MISSING', { performedBy: 'test' }), null);
+    await repository.close();
+  });
+});
+
+test('sqlite: registrations finishing together get consecutive versions', async () => {
+  const repository = await repositories.sqlite();
+
+  const models = await Promise.all(['A', 'B', 'C', 'D'].map(suffix => register(repository, 'Mixers', `MODEL-MIX-${suffix}`)));
+  assert.deepEqual(models.map(model => model.version).sort(), [1, 2, 3, 4]);
+  await repository.close();
+});
+
+test('sqlite: a promotion leaves exactly one production model, or changes nothing when it fails', async (t) => {
+  const repository = await repositories.sqlite();
+  await register(repository, 'Compactors', 'MODEL-COMP-1');
+  await register(repository, 'Compactors', 'MODEL-COMP-2');
+  await register(repository, 'Compactors', 'MODEL-COMP-3');
+  // Two production models left behind by an interrupted promotion before promotions were transactional
+  repository.db.prepare("UPDATE MODEL_REGISTRY SET STAGE = 'PRODUCTION', PROMOTED_AT = ? WHERE MODEL_ID IN ('MODEL-COMP-1', 'MODEL-COMP-2')")
+    .run(new Date().toISOString());
+
+  await repository.promoteModel('MODEL-COMP-3', { performedBy: 'test' });
+  assert.deepEqual(await stages(repository, 'Compactors'), {
+    'MODEL-COMP-3': 'PRODUCTION',
+    'MODEL-COMP-2': 'ARCHIVED',
+    'MODEL-COMP-1': 'ARCHIVED'
+  });
+
+  const execute = repository.execute.bind(repository);
+  t.mock.method(repository, 'execute', (sqlText, binds) => {
+    if (/INSERT INTO main\.MODEL_PROMOTIONS/.test(sqlText)) throw new Error('disk I/O error');
+    return execute(sqlText, binds);
+  });
+  await assert.rejects(repository.promoteModel('MODEL-COMP-1', { performedBy: 'test' }), /disk I\/O error/);
+  assert.equal((await stages(repository, 'Compactors'))['MODEL-COMP-3'], 'PRODUCTION');
+  assert.equal((await stages(repository, 'Compactors'))['MODEL-COMP-1'], 'ARCHIVED');
+  await repository.close();
+});
+
+test('findRollbackTarget returns the model the production model replaced', () => {
+  const models = [
+    { modelId: 'M3', stage: 'ARCHIVED' },
+    { modelId: 'M2', stage: 'PRODUCTION' },
+    { modelId: 'M1', stage: 'ARCHIVED' }
+  ];
+  const promotions = [
+    { modelId: 'M2', previousModelId: 'M3', action: 'ROLLBACK' },
+    { modelId: 'M3', previousModelId: 'M2', action: 'PROMOTE' },
+    { modelId: 'M2', previousModelId: 'M1', action: 'PROMOTE' }
+  ];
+  assert.equal(findRollbackTarget(models, promotions), 'M1');
+  assert.equal(findRollbackTarget(models.map(model => Object.assign({}, model, { stage: 'STAGING' })), promotions), null);
+});
+
+test('resolveProductionModel prefers the category model over the fleet model', () => {
+  const production = { [FLEET_CATEGORY]: { modelId: 'FLEET' }, Mixers: { modelId: 'MIXER' } };
+  assert.equal(resolveProductionModel(production, 'Mixers').modelId, 'MIXER');
+  assert.equal(resolveProductionModel(production, 'Compactors').modelId, 'FLEET');
+  assert.equal(resolveProductionModel({}, 'Compactors'), null);
+});
+
+test('model ids fit the 40-character MODEL_ID columns, even for long category names', async () => {
+  const trainedAt = '2025-01-01T12:00:00.000Z';
+  assert.equal(modelIdFor(FLEET_CATEGORY, trainedAt), 'MODEL-FLEET-20250101120000');
+  assert.equal(modelIdFor('Water Pumps', trainedAt), 'MODEL-WATER-PUMPS-20250101120000');
+
+  const trowels = modelIdFor('Concrete Power Trowels', trainedAt);
+  const screeds = modelIdFor('Concrete Power Screeds', trainedAt);
+  assert.equal(trowels.length, 40);
+  assert.match(trowels, /^MODEL-CONCRETE-POWER-[0-9A-F]{4}-20250101120000$/);
+  assert.notEqual(trowels, screeds);
+  assert.equal(modelIdFor('Concrete Power Trowels', trainedAt), trowels);
+
+  const repository = await repositories.sqlite();
+  await register(repository, 'Concrete Power Trowels', trowels);
+  assert.deepEqual(await stages(repository, 'Concrete Power Trowels'), { [trowels]: 'STAGING' });
+  await repository.close();
+});
@@ -0,0 +1,96 @@
+// backend-api/test/mqttIngestion.test.js - Turning gateway messages into sensor readings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MqttIngestionWorker, DEFAULT_TOPIC, parseTopic, parseMessage } = require('../ingestion/MqttIngestionWorker');
+
+const RECEIVED_AT = new Date('2025-03-10T14:20:00.000Z');
+const parse = (topic, payload) => parseMessage(DEFAULT_TOPIC, topic, Buffer.from(payload), RECEIVED_AT);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('topics are matched level by level', () => {
+  assert.deepEqual(parseTopic(DEFAULT_TOPIC, 'multiquip/SITE-001/GEN-105/temperature'), {
+    site: 'SITE-001',
+    equipment: 'GEN-105',
+    metric: 'temperature'
+  });
+  assert.equal(parseTopic(DEFAULT_TOPIC, 'multiquip/SITE-001/GEN-105'), null);
+  assert.equal(parseTopic(DEFAULT_TOPIC, 'other/SITE-001/GEN-105/temperature'), null);
+  assert.equal(parseTopic(DEFAULT_TOPIC, 'multiquip//GEN-105/temperature'), null);
+  assert.equal(parseTopic('plant/{equipment}/{metric}', 'plant/GEN%2F105/oil-pressure').equipment, 'GEN/105');
+});
+
+test('a bare number is a reading taken when it arrived', () => {
+  const { reading, site } = parse('multiquip/SITE-001/GEN-105/temperature', ' 182.5 ');
+  assert.equal(site, 'SITE-001');
+  assert.deepEqual(reading, {
+    equipmentId: 'GEN-105',
+    metricType: 'Temperature',
+    value: 182.5,
+    unit: '°F',
+    timestamp: RECEIVED_AT.toISOString(),
+    sensorId: undefined,
+    idempotencyKey: undefined
+  });
+});
+
+test('JSON payloads carry their own unit, time, sensor and message id', () => {
+  const { reading } = parse('multiquip/SITE-001/PMP-201/oil-pressure', JSON.stringify({
+    value: 2,
+    unit: 'bar',
+    timestamp: '2025-03-10T14:00:00.000Z',
+    sensorId: 'PMP-201-OILPRESSURE',
+    id: 'msg-42'
+  }));
+  assert.equal(reading.metricType, 'Oil Pressure');
+  assert.equal(reading.value, 29.01);
+  assert.equal(reading.unit, 'PSI');
+  assert.equal(reading.convertedFrom, 'bar');
+  assert.equal(reading.timestamp, '2025-03-10T14:00:00.000Z');
+  assert.equal(reading.sensorId, 'PMP-201-OILPRESSURE');
+  assert.equal(reading.idempotencyKey, 'mqtt|PMP-201|msg-42');
+});
+
+test('unusable messages are explained rather than stored', () => {
+  assert.match(parse('other/topic', '1').error, /does not match/);
+  assert.match(parse('multiquip/SITE-001/GEN-105/humidity', '40').error, /Unknown metric "humidity"/);
+  assert.match(parse('multiquip/SITE-001/GEN-105/temperature', '{"value": 1,').error, /not valid JSON/);
+  assert.match(parse('multiquip/SITE-001/GEN-105/temperature', 'hot').error, /value must be a number/);
+  assert.match(parse('multiquip/SITE-001/GEN-105/temperature', '{"value": 1, "timestamp": "yesterday"}').error, /timestamp/);
+});
+
+test('the worker writes buffered readings in batches and keeps failed writes for the next flush', async () => {
+  const uploads = [];
+  let failWrites = true;
+  const repository = {
+    uploadSensorReadings: async (readings) => {
+      uploads.push(readings.length);
+      const failed = failWrites;
+      return {
+        accepted: failed ? 0 : readings.length,
+        duplicates: 0,
+        rejected: failed ? readings.length : 0,
+        batches: [{ rejected: failed ? readings.map((_, index) => ({ index, reason: 'Write failed: warehouse suspended' })) : [] }]
+      };
+    }
+  };
+  const worker = new MqttIngestionWorker({ url: 'mqtt://localhost', getRepository: async () => repository, batchSize: 100 });
+
+  assert.equal(worker.handleMessage('multiquip/SITE-001/GEN-105/temperature', Buffer.from('180')), true);
+  assert.equal(worker.handleMessage('multiquip/SITE-001/GEN-105/rpm', Buffer.from('1800')), true);
+  assert.equal(worker.handleMessage('multiquip/SITE-001/GEN-105/humidity', Buffer.from('40')), false);
+
+  await worker.flush();
+  assert.equal(worker.getStatus().buffered, 2);
+  // Readings queued for another try are not counted as rejected
+  assert.equal(worker.getStatus().rejected, 0);
+
+  failWrites = false;
+  await worker.flush();
+  assert.deepEqual(uploads, [2, 2]);
+  assert.deepEqual([worker.getStatus().buffered, worker.getStatus().accepted, worker.getStatus().invalid], [0, 2, 1]);
+});
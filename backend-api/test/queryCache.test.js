@@ -0,0 +1,106 @@
+// backend-api/test/queryCache.test.js - Cached query results and what drops them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QueryCache = require('../cache/QueryCache');
+const { TenantRegistry } = require('../tenants/TenantRegistry');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+
+// The repositories log each step they take; keep the runner's output to the results
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const MINUTE_MS = 60 * 1000;
+
+// Helper function to count how often a query's loader runs
+const countingLoader = (value) => {
+  const loader = async () => {
+    loader.calls++;
+    return value;
+  };
+  loader.calls = 0;
+  return loader;
+};
+
+test('repeated reads are served from the cache, whatever the parameter order', async () => {
+  const cache = new QueryCache();
+  const loader = countingLoader(['GEN-101']);
+  const query = (params) => cache.getOrLoad({ tenant: 'acme', name: 'equipment', params, ttlMs: MINUTE_MS, tables: ['EQUIPMENT'] }, loader);
+
+  assert.deepEqual(await query({ site: 'Downtown', days: 7 }), { value: ['GEN-101'], cached: false });
+  assert.deepEqual(await query({ days: 7, site: 'Downtown' }), { value: ['GEN-101'], cached: true });
+  assert.equal(loader.calls, 1);
+
+  // Concurrent misses share one load
+  const other = countingLoader([]);
+  const request = () => cache.getOrLoad({ tenant: 'acme', name: 'equipment', params: { site: 'Harbor' }, ttlMs: MINUTE_MS, tables: ['EQUIPMENT'] }, other);
+  await Promise.all([request(), request(), request()]);
+  assert.equal(other.calls, 1);
+});
+
+test('a write drops only the writing tenant\'s entries that read the written tables', async () => {
+  const cache = new QueryCache();
+  const load = (tenant, name, tables) => cache.getOrLoad({ tenant, name, params: {}, ttlMs: MINUTE_MS, tables }, countingLoader(name));
+
+  await load('acme', 'sensors', ['EQUIPMENT_METRICS']);
+  await load('acme', 'workOrders', ['WORK_ORDERS']);
+  await load('globex', 'sensors', ['EQUIPMENT_METRICS']);
+
+  assert.equal(cache.invalidate('acme', ['equipment_metrics']), 1);
+  assert.equal((await load('acme', 'sensors', ['EQUIPMENT_METRICS'])).cached, false);
+  assert.equal((await load('acme', 'workOrders', ['WORK_ORDERS'])).cached, true);
+  assert.equal((await load('globex', 'sensors', ['EQUIPMENT_METRICS'])).cached, true);
+});
+
+test('a result loaded while its tables were written is returned but not kept', async () => {
+  const cache = new QueryCache();
+  let release;
+  const slow = countingLoader('before the write');
+  const pending = cache.getOrLoad(
+    { tenant: 'acme', name: 'sensors', params: {}, ttlMs: MINUTE_MS, tables: ['EQUIPMENT_METRICS'] },
+    () => new Promise(resolve => { release = resolve; }).then(slow)
+  );
+
+  cache.invalidate('acme', ['EQUIPMENT_METRICS']);
+  release();
+  assert.deepEqual(await pending, { value: 'before the write', cached: false });
+  assert.equal(cache.getStatus().entries, 0);
+});
+
+test('entries expire after their TTL and uncacheable results are not stored', async () => {
+  const cache = new QueryCache();
+  const loader = countingLoader('fresh');
+  await cache.getOrLoad({ tenant: 'acme', name: 'dashboard', params: {}, ttlMs: 5 }, loader);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await cache.getOrLoad({ tenant: 'acme', name: 'dashboard', params: {}, ttlMs: 5 }, loader);
+  assert.equal(loader.calls, 2);
+
+  const failed = countingLoader({ error: 'timeout' });
+  const query = () => cache.getOrLoad({ tenant: 'acme', name: 'alerts', params: {}, ttlMs: MINUTE_MS, cacheable: value => !value.error }, failed);
+  await query();
+  await query();
+  assert.equal(failed.calls, 2);
+});
+
+test('a sensor upload through a tenant\'s repository invalidates its cached readings', async () => {
+  const cache = new QueryCache();
+  const tenants = new TenantRegistry('sqlite', {
+    createRepository: () => new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false }),
+    onDataChanged: (organization, tables) => cache.invalidate(organization, tables)
+  });
+  const tenant = tenants.forSession({ profile: 'default', organization: 'acme' });
+  await tenant.repository.connect();
+
+  const latest = () => cache.getOrLoad(
+    { tenant: 'acme', name: 'latestReadings', params: {}, ttlMs: MINUTE_MS, tables: ['EQUIPMENT_METRICS'] },
+    () => tenant.repository.getLatestReadings(['GEN-101'])
+  );
+  await latest();
+  assert.equal((await latest()).cached, true);
+
+  await tenant.repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 190, unit: '°F', timestamp: new Date().toISOString() }
+  ]);
+  const { value, cached } = await latest();
+  assert.equal(cached, false);
+  assert.equal(value['GEN-101'].readings.temperature.value, 190);
+  await tenant.repository.close();
+});
@@ -0,0 +1,133 @@
+// backend-api/test/sensorImport.test.js - Spreadsheet imports map columns and units correctly
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readTabularFile, parseCsv } = require('../ingestion/tabularFiles');
+const { suggestMapping, validateMapping, parseTimestamp, buildImport } = require('../ingestion/sensorImport');
+
+const readCsv = (text) => readTabularFile('export.csv', Buffer.from(text, 'utf8'));
+
+test('CSV parsing handles quoted delimiters, semicolons and a byte order mark', () => {
+  const records = parseCsv('\uFEFFAsset;Note\r\nGEN-101;"Oil; ""low"""\r\n');
+  assert.deepEqual(records.map(record => record.cells), [['Asset', 'Note'], ['GEN-101', 'Oil; "low"']]);
+});
+
+test('long-layout headers map to reading fields, preferring the closer synonym', () => {
+  const mapping = suggestMapping(['Date', 'Timestamp', 'Machine ID', 'Parameter', 'Reading', 'UoM']);
+
+  assert.equal(mapping.equipmentId, 'Machine ID');
+  assert.equal(mapping.timestamp, 'Timestamp');
+  assert.equal(mapping.metricType, 'Parameter');
+  assert.equal(mapping.value, 'Reading');
+  assert.equal(mapping.unit, 'UoM');
+  assert.deepEqual(mapping.metricColumns, {});
+  assert.deepEqual(validateMapping(mapping, ['Date', 'Timestamp', 'Machine ID', 'Parameter', 'Reading', 'UoM']), []);
+});
+
+test('wide-layout headers become metric columns, including aliases and header units', () => {
+  const columns = ['Asset', 'Time', 'Coolant Temp (°C)', 'Oil Press [bar]', 'RPM', 'Operator'];
+  const mapping = suggestMapping(columns);
+
+  assert.equal(mapping.equipmentId, 'Asset');
+  assert.equal(mapping.timestamp, 'Time');
+  assert.deepEqual(mapping.metricColumns, {
+    'Coolant Temp (°C)': 'Temperature',
+    'Oil Press [bar]': 'Oil Pressure',
+    RPM: 'RPM'
+  });
+});
+
+test('mappings without a timestamp or any value column are refused', () => {
+  const problems = validateMapping({ equipmentId: 'Asset', metricColumns: { Missing: 'RPM' } }, ['Asset']);
+  assert.deepEqual(problems, ['Choose the column that holds timestamp', 'Column "Missing" is not in the file']);
+
+  assert.throws(
+    () => buildImport({ columns: ['Asset'], rows: [] }, { equipmentId: 'Asset', metricColumns: {} }),
+    error => error.mappingProblems.length === 2
+  );
+});
+
+test('timestamps are read from ISO text, epochs and Excel serial days as UTC', () => {
+  assert.equal(parseTimestamp('2025-03-10 14:00').toISOString(), '2025-03-10T14:00:00.000Z');
+  assert.equal(parseTimestamp('2025-03-10T14:00:00+02:00').toISOString(), '2025-03-10T12:00:00.000Z');
+  assert.equal(parseTimestamp('1741615200').toISOString(), '2025-03-10T14:00:00.000Z');
+  assert.equal(parseTimestamp('1741615200000').toISOString(), '2025-03-10T14:00:00.000Z');
+  assert.equal(parseTimestamp('45726.5833333333').toISOString(), '2025-03-10T14:00:00.000Z');
+  assert.equal(parseTimestamp('not a date'), null);
+  assert.equal(parseTimestamp(''), null);
+});
+
+test('wide imports convert header units and report where each unit came from', async () => {
+  const table = await readCsv([
+    'Asset,Time,Coolant Temp (°C),Oil Press [bar],RPM',
+    'GEN-101,2025-03-10 14:00,90,3.5,"1,800"',
+    'GEN-101,2025-03-10 15:00,100,,1750'
+  ].join('\n'));
+  const { readings, report } = buildImport(table, suggestMapping(table.columns));
+
+  const first = readings.filter(({ rowNumber }) => rowNumber === 2).map(({ reading }) => reading);
+  assert.deepEqual(first.map(({ metricType, value, unit }) => [metricType, value, unit]), [
+    ['Temperature', 194, '°F'],
+    ['Oil Pressure', 50.76, 'PSI'],
+    ['RPM', 1800, 'RPM']
+  ]);
+  assert.equal(first[0].timestamp, '2025-03-10T14:00:00.000Z');
+
+  // The empty oil pressure cell on the second row is skipped, not reported as an error
+  assert.equal(report.readingCount, 5);
+  assert.equal(report.valid, 5);
+  assert.equal(report.invalid, 0);
+  const temperature = report.metrics.find(({ metricType }) => metricType === 'Temperature');
+  assert.equal(temperature.unitSource, 'header');
+  assert.deepEqual(temperature.sourceUnits, { '°C': 2 });
+});
+
+test('units come from the row, then the mapping, then a guess from the value range', async () => {
+  const table = await readCsv([
+    'Equipment,Timestamp,Metric,Value,Unit',
+    'GEN-101,2025-03-10T14:00:00Z,Temperature,300,K',
+    'GEN-101,2025-03-10T14:00:00Z,Oil Pressure,3.5,',
+    'GEN-101,2025-03-10T15:00:00Z,Oil Pressure,3.4,',
+    'GEN-101,2025-03-10T14:00:00Z,Pressure,200,',
+    'GEN-101,2025-03-10T14:00:00Z,Fuel Level,400,kPa'
+  ].join('\n'));
+  const mapping = suggestMapping(table.columns);
+
+  const guessed = buildImport(table, mapping);
+  const valueOf = (result, metricType) => result.readings.find(({ reading }) => reading.metricType === metricType).reading;
+  assert.equal(valueOf(guessed, 'Temperature').value, 80.33);
+  assert.equal(valueOf(guessed, 'Oil Pressure').value, 50.76);
+  assert.equal(valueOf(guessed, 'Oil Pressure').unit, 'PSI');
+  // 200 is a plausible PSI reading, so it is stored as is
+  assert.equal(valueOf(guessed, 'Pressure').value, 200);
+  // Fuel level can't be expressed in kPa; it keeps its unit and is flagged
+  assert.equal(valueOf(guessed, 'Fuel Level').unit, 'kPa');
+
+  const byType = Object.fromEntries(guessed.report.metrics.map(summary => [summary.metricType, summary]));
+  assert.equal(byType['Oil Pressure'].unitSource, 'inferred');
+  assert.equal(byType.Pressure.unitSource, 'default');
+  assert.equal(byType['Fuel Level'].unconverted, 1);
+  assert.ok(guessed.report.warnings.some(warning => warning.startsWith('Oil Pressure has no unit')));
+  assert.ok(guessed.report.warnings.some(warning => warning.includes("can't be converted")));
+
+  // A unit chosen in the mapping wins over the guess
+  const chosen = buildImport(table, { ...mapping, units: { 'Oil Pressure': 'PSI' } });
+  assert.equal(valueOf(chosen, 'Oil Pressure').value, 3.5);
+  assert.equal(chosen.report.metrics.find(({ metricType }) => metricType === 'Oil Pressure').unitSource, 'mapping');
+});
+
+test('bad rows are reported by row number and repeated rows are counted once', async () => {
+  const table = await readCsv([
+    'Equipment,Timestamp,Metric,Value',
+    'GEN-101,2025-03-10T14:00:00Z,RPM,1800',
+    'GEN-101,2025-03-10T14:00:00Z,RPM,1800',
+    'GEN-101,yesterday,RPM,1800',
+    'GEN-101,2025-03-10T15:00:00Z,RPM,fast',
+    'GEN-101,2025-03-10T15:00:00Z,Humidity,40'
+  ].join('\n'));
+  const { readings, report } = buildImport(table, suggestMapping(table.columns));
+
+  assert.equal(readings.length, 2);
+  assert.equal(report.duplicatesInFile, 1);
+  assert.deepEqual(report.errors.map(({ row }) => row), [4, 5]);
+  assert.ok(report.warnings.some(warning => warning.startsWith('"Humidity" is not a platform metric')));
+});
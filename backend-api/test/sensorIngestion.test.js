@@ -0,0 +1,90 @@
+// backend-api/test/sensorIngestion.test.js - Batch uploads of sensor readings can be retried safely
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+const { runIdempotent } = require('../ingestion/idempotencyKeys');
+
+// The repositories log each step they take; keep the runner's output to the results
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const readingsFor = (equipmentId, hours) => Array.from({ length: hours }, (_, hour) => ({
+  equipmentId,
+  metricType: 'Temperature',
+  value: 180 + hour,
+  unit: '°F',
+  timestamp: new Date(Date.UTC(2025, 2, 10, hour)).toISOString()
+}));
+
+const countReadings = (repository) => repository.db.prepare('SELECT COUNT(*) AS COUNT FROM EQUIPMENT_METRICS').get().COUNT;
+
+const connect = async () => {
+  const repository = new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false });
+  await repository.connect();
+  return repository;
+};
+
+test('re-uploading a batch stores nothing twice', async () => {
+  const repository = await connect();
+  const readings = readingsFor('GEN-101', 12);
+
+  const first = await repository.uploadSensorReadings(readings, { batchSize: 5 });
+  assert.equal(first.accepted, 12);
+  assert.equal(first.duplicates, 0);
+  assert.equal(countReadings(repository), 12);
+
+  // A retry after a dropped response, with a few new readings added
+  const retry = await repository.uploadSensorReadings(readings.concat(readingsFor('GEN-102', 3)), { batchSize: 5 });
+  assert.equal(retry.accepted, 3);
+  assert.equal(retry.duplicates, 12);
+  assert.equal(countReadings(repository), 15);
+  await repository.close();
+});
+
+test('repeats within an upload and invalid readings are settled before writing', async () => {
+  const repository = await connect();
+  const [reading] = readingsFor('PMP-201', 1);
+
+  const result = await repository.uploadSensorReadings([
+    reading,
+    Object.assign({}, reading),
+    Object.assign({}, reading, { value: 'hot' }),
+    Object.assign({}, reading, { equipmentId: '' })
+  ]);
+  assert.equal(result.accepted, 1);
+  assert.equal(result.duplicates, 1);
+  assert.equal(result.rejected, 2);
+  assert.deepEqual(result.batches[0].rejected.map(({ index }) => index), [2, 3]);
+  assert.equal(countReadings(repository), 1);
+  await repository.close();
+});
+
+test('runIdempotent replays the first result for the same key, also while it is running', async () => {
+  let runs = 0;
+  const upload = async () => {
+    runs++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { accepted: 12 };
+  };
+
+  const [first, concurrent] = await Promise.all([
+    runIdempotent('acme', 'upload-1', upload),
+    runIdempotent('acme', 'upload-1', upload)
+  ]);
+  const later = await runIdempotent('acme', 'upload-1', upload);
+  assert.equal(runs, 1);
+  assert.deepEqual([first.replayed, concurrent.replayed, later.replayed], [false, true, true]);
+  assert.deepEqual(later.result, { accepted: 12 });
+
+  // Keys are per tenant
+  assert.equal((await runIdempotent('globex', 'upload-1', upload)).replayed, false);
+  assert.equal(runs, 2);
+});
+
+test('runIdempotent forgets failed runs and results it was told not to keep', async () => {
+  await assert.rejects(runIdempotent('acme', 'upload-2', async () => { throw new Error('Warehouse unavailable'); }));
+  assert.equal((await runIdempotent('acme', 'upload-2', async () => ({ accepted: 1 }))).replayed, false);
+
+  const notKept = () => runIdempotent('acme', 'upload-3', async () => ({ accepted: 0, error: 'down' }), result => !result.error);
+  await notKept();
+  assert.equal((await notKept()).replayed, false);
+});
@@ -0,0 +1,185 @@
+// backend-api/test/sensorQueries.test.js - Sensor history and trend queries line readings up by time
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+const { toMetricRow } = require('../ingestion/sensorReadings');
+const { parseSeriesQuery } = require('../utils/sensorSeries');
+const { ROLLUP_TABLE } = require('../db/metricRollups');
+
+// The repositories log each step they take; keep the runner's output to the results
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const NOW = Date.UTC(2025, 2, 10, 12, 30);
+const hoursAgo = (hours, minutes = 0) => new Date(Date.UTC(2025, 2, 10, 12 - hours, minutes)).toISOString();
+
+// Readings loaded the way a warehouse pipeline would: straight into EQUIPMENT_METRICS
+const insertRaw = (repository, readings) => {
+  const insert = repository.db.prepare(`
+    INSERT INTO EQUIPMENT_METRICS (METRIC_ID, EQUIPMENT_ID, SENSOR_ID, METRIC_TYPE, METRIC_VALUE, METRIC_UNIT, RECORDED_TIMESTAMP, DATE_RECORDED)
+    VALUES (@METRIC_ID, @EQUIPMENT_ID, @SENSOR_ID, @METRIC_TYPE, @METRIC_VALUE, @METRIC_UNIT, @RECORDED_TIMESTAMP, @DATE_RECORDED)
+  `);
+  readings.forEach(reading => insert.run(toMetricRow(reading)));
+};
+
+const connect = async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const repository = new SqliteFleetRepository({ filename: ':memory:', seedIfEmpty: false });
+  await repository.connect();
+  return repository;
+};
+
+test('sensor data has one row per hour with every metric of that hour side by side', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(2) },
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 190, unit: '°F', timestamp: hoursAgo(2, 30) },
+    { equipmentId: 'GEN-101', metricType: 'Vibration', value: 0.4, unit: 'g', timestamp: hoursAgo(2, 15) },
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 200, unit: '°F', timestamp: hoursAgo(0) },
+    // Another machine's readings stay out of GEN-101's rows
+    { equipmentId: 'GEN-102', metricType: 'Temperature', value: 999, unit: '°F', timestamp: hoursAgo(1) }
+  ]);
+
+  const readings = await repository.getSensorData('GEN-101', 0.25);
+
+  assert.deepEqual(readings.map(reading => reading.timestamp), [hoursAgo(5), hoursAgo(4), hoursAgo(3), hoursAgo(2), hoursAgo(1), hoursAgo(0)]);
+  assert.equal(readings[3].temperature, 185);
+  assert.equal(readings[3].vibration, 0.4);
+  assert.equal(readings[3].pressure, null);
+  // An hour without readings is a gap, not a copy of its neighbours
+  assert.equal(readings[4].temperature, null);
+  assert.equal(readings[5].temperature, 200);
+  assert.ok(readings.every(reading => reading.equipmentId === 'GEN-101'));
+  await repository.close();
+});
+
+test('sensor data is empty for a machine without readings in the window', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(48) }
+  ]);
+
+  assert.deepEqual(await repository.getSensorData('GEN-101', 1), []);
+  assert.deepEqual(await repository.getSensorData('GEN-999', 1), []);
+  await repository.close();
+});
+
+test('sensor data for several machines comes back keyed by machine from one query', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(1) },
+    { equipmentId: 'GEN-102', metricType: 'Temperature', value: 170, unit: '°F', timestamp: hoursAgo(2) }
+  ]);
+  const query = t.mock.method(repository, 'query');
+
+  const sensorData = await repository.getSensorDataForEquipment(['GEN-101', 'GEN-102', 'GEN-999'], 0.25);
+
+  assert.equal(query.mock.callCount(), 1);
+  assert.deepEqual(Object.keys(sensorData), ['GEN-101', 'GEN-102', 'GEN-999']);
+  assert.equal(sensorData['GEN-101'][4].temperature, 180);
+  assert.equal(sensorData['GEN-102'][3].temperature, 170);
+  assert.ok(sensorData['GEN-102'].every(reading => reading.equipmentId === 'GEN-102'));
+  assert.deepEqual(sensorData['GEN-999'], []);
+  assert.deepEqual(sensorData['GEN-101'], await repository.getSensorData('GEN-101', 0.25));
+  await repository.close();
+});
+
+test('series answer hourly buckets from the rollups and minute buckets from raw readings', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'RPM', value: 1700, unit: 'RPM', timestamp: hoursAgo(1, 5) },
+    { equipmentId: 'GEN-101', metricType: 'RPM', value: 1800, unit: 'RPM', timestamp: hoursAgo(1, 5), sensorId: 'S2' },
+    { equipmentId: 'GEN-101', metricType: 'RPM', value: 1900, unit: 'RPM', timestamp: hoursAgo(1, 40), sensorId: 'S2' }
+  ]);
+
+  const hourly = await repository.querySensorSeries(parseSeriesQuery({
+    equipmentId: 'GEN-101', bucket: '1h', from: hoursAgo(2), to: hoursAgo(1), metrics: { rpm: ['avg', 'min', 'max', 'last'] }
+  }));
+  assert.equal(hourly.source, ROLLUP_TABLE);
+  assert.deepEqual(hourly.points.map(point => point.rpm), [
+    { avg: null, min: null, max: null, last: null },
+    { avg: 1800, min: 1700, max: 1900, last: 1900 }
+  ]);
+
+  const minutes = await repository.querySensorSeries(parseSeriesQuery({
+    equipmentId: 'GEN-101', bucket: '1m', from: hoursAgo(1, 5), to: hoursAgo(1, 6), metrics: { rpm: ['avg', 'max'] }
+  }));
+  assert.equal(minutes.source, 'EQUIPMENT_METRICS');
+  assert.deepEqual(minutes.points.map(point => point.rpm), [{ avg: 1750, max: 1800 }, { avg: null, max: null }]);
+  await repository.close();
+});
+
+test('readings loaded without an upload reach the rollups on the next stale refresh', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(3) }
+  ]);
+  insertRaw(repository, [
+    // A late reading for a day that already has rollups, and a machine that has none
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 200, unit: '°F', timestamp: hoursAgo(3, 30) },
+    { equipmentId: 'GEN-102', metricType: 'Temperature', value: 170, unit: '°F', timestamp: hoursAgo(1) },
+    // Outside the lookback; left for `npm run rollups:rebuild`
+    { equipmentId: 'GEN-103', metricType: 'Temperature', value: 170, unit: '°F', timestamp: hoursAgo(24 * 5) }
+  ]);
+  const changed = [];
+  repository.onDataChanged(tables => changed.push(...tables));
+
+  assert.equal((await repository.getSensorData('GEN-101', 0.25))[2].temperature, 180);
+  assert.deepEqual(await repository.getSensorData('GEN-102', 0.25), []);
+
+  assert.equal(await repository.refreshStaleRollups({ lookbackDays: 2 }), 2);
+  assert.deepEqual(changed, [ROLLUP_TABLE]);
+  assert.equal((await repository.getSensorData('GEN-101', 0.25))[2].temperature, 190);
+  assert.equal((await repository.getSensorData('GEN-102', 0.25))[4].temperature, 170);
+
+  // Nothing is stale any more
+  assert.equal(await repository.refreshStaleRollups({ lookbackDays: 2 }), 0);
+  await repository.close();
+});
+
+test('a rollup refresh that fails part way keeps the buckets it would have replaced', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(1) }
+  ]);
+  insertRaw(repository, [
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 200, unit: '°F', timestamp: hoursAgo(1, 30) }
+  ]);
+
+  const execute = repository.execute.bind(repository);
+  t.mock.method(repository, 'execute', (sqlText, binds) => {
+    if (/INSERT INTO main\.EQUIPMENT_METRIC_ROLLUPS/.test(sqlText)) throw new Error('disk I/O error');
+    return execute(sqlText, binds);
+  });
+
+  await assert.rejects(repository.refreshStaleRollups(), /disk I\/O error/);
+  const rollups = repository.db.prepare(`SELECT BUCKET_SIZE, SAMPLE_COUNT FROM ${ROLLUP_TABLE} ORDER BY BUCKET_SIZE`).all();
+  assert.deepEqual(rollups.map(row => [row.BUCKET_SIZE, row.SAMPLE_COUNT]), [['1d', 1], ['1h', 1]]);
+  assert.equal(repository.db.inTransaction, false);
+  await repository.close();
+});
+
+test('latest readings come from recent raw readings, and from the rollups for metrics gone quiet', async (t) => {
+  const repository = await connect(t);
+  await repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 180, unit: '°F', timestamp: hoursAgo(2) },
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 185.26, unit: '°F', timestamp: hoursAgo(0, 10) },
+    { equipmentId: 'GEN-101', metricType: 'Vibration', value: 0.3, unit: 'g', timestamp: hoursAgo(72, 20) },
+    { equipmentId: 'GEN-101', metricType: 'Vibration', value: 0.5, unit: 'g', timestamp: hoursAgo(72, 40) }
+  ]);
+
+  const snapshots = await repository.getLatestReadings(['GEN-101', 'GEN-102']);
+
+  const { readings } = snapshots['GEN-101'];
+  assert.deepEqual(readings.temperature, {
+    value: 185.3, unit: '°F', recordedAt: hoursAgo(0, 10), ageMinutes: 20, stale: false
+  });
+  // Last value of its newest hour, aged from the start of that hour
+  assert.equal(readings.vibration.value, 0.5);
+  assert.equal(readings.vibration.recordedAt, hoursAgo(72));
+  assert.equal(readings.vibration.stale, true);
+  assert.equal(readings.pressure, undefined);
+  assert.equal(snapshots['GEN-101'].asOf, hoursAgo(0, 10));
+
+  assert.deepEqual(snapshots['GEN-102'], { equipmentId: 'GEN-102', asOf: null, stale: true, readings: {} });
+  await repository.close();
+});
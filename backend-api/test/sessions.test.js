@@ -0,0 +1,83 @@
+// backend-api/test/sessions.test.js - Signing in, session tokens and credential-free requests
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// User accounts are read once, from the file USERS_FILE names
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multiquip-users-'));
+process.env.USERS_FILE = path.join(directory, 'users.json');
+
+const { hashPassword, verifyPassword, hasUsers, authenticateUser } = require('../auth/users');
+const { createSession, getSession, revokeSession, getBasicCredentials, requireSession, rejectClientCredentials } = require('../auth/sessions');
+
+fs.writeFileSync(process.env.USERS_FILE, JSON.stringify({
+  'ana@acme.test': { passwordHash: hashPassword('correct horse'), profile: 'acme' }
+}));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Helper function to run a middleware against a minimal request, returning what it answered
+const runMiddleware = (middleware, { headers = {}, body = {} } = {}) => {
+  const req = { body, method: 'POST', originalUrl: '/api/test', get: (name) => headers[name.toLowerCase()] };
+  const outcome = { next: false, status: null, body: null, req };
+  const res = {
+    status: (status) => { outcome.status = status; return res; },
+    json: (payload) => { outcome.body = payload; return res; }
+  };
+  middleware(req, res, () => { outcome.next = true; });
+  return outcome;
+};
+
+test('passwords are stored salted and checked against their hash', () => {
+  const first = hashPassword('correct horse');
+  assert.notEqual(first, hashPassword('correct horse'));
+  assert.ok(verifyPassword('correct horse', first));
+  assert.equal(verifyPassword('wrong horse', first), false);
+  assert.equal(verifyPassword('correct horse', 'plain-text'), false);
+});
+
+test('users sign in to the connection profile of their account', () => {
+  assert.ok(hasUsers());
+  assert.deepEqual(authenticateUser('ana@acme.test', 'correct horse'), { username: 'ana@acme.test', profile: 'acme' });
+  assert.equal(authenticateUser('ana@acme.test', 'wrong horse'), null);
+  assert.equal(authenticateUser('nobody@acme.test', 'correct horse'), null);
+  assert.equal(authenticateUser('toString', 'anything'), null);
+});
+
+test('Basic credentials are read from the Authorization header', () => {
+  const basic = (value) => ({ authorization: `Basic ${Buffer.from(value).toString('base64')}` });
+  assert.deepEqual(getBasicCredentials(runMiddleware(() => {}, { headers: basic('ana@acme.test:pass:word') }).req), {
+    username: 'ana@acme.test',
+    password: 'pass:word'
+  });
+  assert.equal(getBasicCredentials(runMiddleware(() => {}, { headers: basic('no-separator') }).req), null);
+  assert.equal(getBasicCredentials(runMiddleware(() => {}, { headers: { authorization: 'Bearer abc' } }).req), null);
+});
+
+test('requests need a live session token', (t) => {
+  const { token } = createSession({ user: 'ana@acme.test', profile: 'acme', organization: 'acme' });
+  const withToken = runMiddleware(requireSession, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(withToken.next, true);
+  assert.equal(withToken.req.session.organization, 'acme');
+
+  assert.equal(runMiddleware(requireSession, { headers: { authorization: 'Bearer made-up' } }).status, 401);
+  assert.equal(runMiddleware(requireSession).status, 401);
+
+  revokeSession(token);
+  assert.equal(getSession(token), null);
+
+  // Sessions expire
+  const { token: expiring } = createSession({ profile: 'acme', organization: 'acme' });
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 9 * 60 * 60 * 1000 });
+  assert.equal(getSession(expiring), null);
+});
+
+test('request bodies carrying connection credentials are refused', () => {
+  const nested = runMiddleware(rejectClientCredentials, { body: { snowflakeConfig: { account: 'acme', password: 'secret' } } });
+  assert.equal(nested.status, 400);
+  assert.deepEqual(nested.body.rejectedFields, ['account', 'password']);
+
+  assert.equal(runMiddleware(rejectClientCredentials, { body: { equipmentIds: ['GEN-101'] } }).next, true);
+});
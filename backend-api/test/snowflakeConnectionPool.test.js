@@ -0,0 +1,144 @@
+// backend-api/test/snowflakeConnectionPool.test.js - Retries, reconnects and health checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnowflakeConnectionPool, isConnectionError, isTransientError } = require('../db/SnowflakeConnectionPool');
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// Stand-ins for snowflake-sdk connections; `valid` is what the health check sees
+const createFakeConnections = () => {
+  const created = [];
+  const createConnection = async () => {
+    const connection = { id: created.length + 1, valid: true, destroyed: false };
+    connection.isUp = () => !connection.destroyed;
+    connection.isValidAsync = async () => (connection.validate ? connection.validate() : connection.valid);
+    connection.destroy = (callback) => { connection.destroyed = true; callback(); };
+    created.push(connection);
+    return connection;
+  };
+  return { created, createConnection };
+};
+
+const createPool = (createConnection, options = {}) =>
+  new SnowflakeConnectionPool(createConnection, Object.assign({ baseDelayMs: 1, maxDelayMs: 2, healthCheckIntervalMs: 0 }, options)).start();
+
+const errorWithCode = (code) => Object.assign(new Error(`Snowflake error ${code}`), { code });
+
+test('errors are told apart by code', () => {
+  assert.ok(isConnectionError(errorWithCode('390114')));
+  assert.ok(isConnectionError(Object.assign(new Error('closed'), { sqlState: '08003' })));
+  assert.ok(isTransientError(errorWithCode('000630')));
+  assert.equal(isConnectionError(errorWithCode('002003')), false);
+  assert.equal(isTransientError(errorWithCode('002003')), false);
+});
+
+test('transient errors are retried on the same connection', async () => {
+  const { created, createConnection } = createFakeConnections();
+  const pool = createPool(createConnection);
+  let attempts = 0;
+
+  const result = await pool.run(async () => {
+    attempts++;
+    if (attempts < 3) throw errorWithCode('000603');
+    return 'rows';
+  });
+  assert.equal(result, 'rows');
+  assert.equal(attempts, 3);
+  assert.equal(created.length, 1);
+  await pool.close();
+});
+
+test('a lost connection is replaced and the query runs again on the new one', async () => {
+  const { created, createConnection } = createFakeConnections();
+  const pool = createPool(createConnection);
+  const usedConnections = [];
+
+  const result = await pool.run(async (connection) => {
+    usedConnections.push(connection.id);
+    if (usedConnections.length === 1) throw errorWithCode('390112');
+    return 'rows';
+  });
+  assert.equal(result, 'rows');
+  assert.deepEqual(usedConnections, [1, 2]);
+  assert.equal(created[0].destroyed, true);
+  await pool.close();
+});
+
+test('operations that must not run twice are not retried', async () => {
+  const { created, createConnection } = createFakeConnections();
+  const pool = createPool(createConnection);
+  let attempts = 0;
+
+  await assert.rejects(pool.run(async () => {
+    attempts++;
+    throw errorWithCode('ECONNRESET');
+  }, { retry: false }), /ECONNRESET/);
+  assert.equal(attempts, 1);
+
+  // The connection is still replaced for the next caller
+  assert.equal(await pool.run(async (connection) => connection.id), 2);
+  assert.equal(created[0].destroyed, true);
+  await pool.close();
+});
+
+test('errors in the query itself are not retried', async () => {
+  const { createConnection } = createFakeConnections();
+  const pool = createPool(createConnection);
+  let attempts = 0;
+
+  await assert.rejects(pool.run(async () => {
+    attempts++;
+    throw errorWithCode('002003');
+  }), /002003/);
+  assert.equal(attempts, 1);
+  await pool.close();
+});
+
+test('a health check never lets the pool grow past its size', async () => {
+  const { created, createConnection } = createFakeConnections();
+  const pool = createPool(createConnection, { size: 2 });
+
+  // Fill the pool with two connections
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const running = [pool.run(() => held), pool.run(() => held)];
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+  await Promise.all(running);
+  assert.equal(created.length, 2);
+
+  // Queries arriving while both connections are being validated wait for them
+  let validated;
+  const validation = new Promise(resolve => { validated = resolve; });
+  created.forEach(connection => { connection.validate = () => validation.then(() => true); });
+  const check = pool.checkHealth();
+  assert.equal(pool.total, 2);
+  const queries = [1, 2, 3].map(() => pool.run(async (connection) => connection.id));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(created.length, 2);
+
+  validated();
+  await check;
+  const ids = await Promise.all(queries);
+  assert.ok(ids.every(id => id === 1 || id === 2));
+  assert.equal(created.length, 2);
+  assert.deepEqual(pool.lastHealthCheck && [pool.lastHealthCheck.checked, pool.lastHealthCheck.healthy], [2, 2]);
+  await pool.close();
+});
+
+test('a health check drops dead connections and reconnects when none are left', async () => {
+  const { created, createConnection } = createFakeConnections();
+  const pool = createPool(createConnection);
+  await pool.run(async () => 'warm up');
+
+  created[0].valid = false;
+  await pool.checkHealth();
+  assert.equal(created[0].destroyed, true);
+  await pool.reconnecting;
+  assert.equal(await pool.run(async (connection) => connection.id), 2);
+  await pool.close();
+});
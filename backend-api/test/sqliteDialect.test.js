@@ -0,0 +1,68 @@
+// backend-api/test/sqliteDialect.test.js - The Snowflake dialect shim on SQLite
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { translateSnowflakeSql, registerSnowflakeFunctions, dateAdd, dateDiff, dateTrunc } = require('../db/sqliteDialect');
+
+test('translateSnowflakeSql quotes date parts and renames current date functions', () => {
+  assert.equal(
+    translateSnowflakeSql('SELECT DATEADD(day, -7, CURRENT_DATE()), date_trunc(HOUR, ts), CURRENT_TIMESTAMP() FROM t'),
+    "SELECT DATEADD('DAY', -7, SNOWFLAKE_CURRENT_DATE()), DATE_TRUNC('HOUR', ts), SNOWFLAKE_CURRENT_TIMESTAMP() FROM t"
+  );
+});
+
+test('dateAdd keeps dates as dates and timestamps as timestamps', () => {
+  assert.equal(dateAdd('DAY', -7, '2025-03-10'), '2025-03-03');
+  assert.equal(dateAdd('MONTH', 1, '2025-01-15'), '2025-02-15');
+  assert.equal(dateAdd('HOURS', 2, '2025-03-10T23:30:00.000Z'), '2025-03-11T01:30:00.000Z');
+  assert.equal(dateAdd('DAY', 1, null), null);
+  assert.throws(() => dateAdd('FORTNIGHT', 1, '2025-03-10'), /Unsupported date part/);
+});
+
+test('dateTrunc truncates to the start of the unit, with Monday weeks', () => {
+  assert.equal(dateTrunc('HOUR', '2025-03-10T14:47:12.345Z'), '2025-03-10T14:00:00.000Z');
+  assert.equal(dateTrunc('DAY', '2025-03-10T14:47:12.345Z'), '2025-03-10T00:00:00.000Z');
+  // 2025-03-13 is a Thursday
+  assert.equal(dateTrunc('WEEK', '2025-03-13'), '2025-03-10');
+  assert.equal(dateTrunc('MONTH', '2025-03-13'), '2025-03-01');
+});
+
+test('dateDiff counts unit boundaries crossed, like Snowflake', () => {
+  assert.equal(dateDiff('DAY', '2025-03-10T23:59:00Z', '2025-03-11T00:01:00Z'), 1);
+  assert.equal(dateDiff('HOUR', '2025-03-10T10:59:00Z', '2025-03-10T11:00:00Z'), 1);
+  assert.equal(dateDiff('MONTH', '2025-01-31', '2025-02-01'), 1);
+  assert.equal(dateDiff('YEAR', '2024-12-31', '2025-01-01'), 1);
+  // Sunday to Monday crosses a week boundary; Monday to Sunday does not
+  assert.equal(dateDiff('WEEK', '2025-03-09', '2025-03-10'), 1);
+  assert.equal(dateDiff('WEEK', '2025-03-10', '2025-03-16'), 0);
+});
+
+test('registerSnowflakeFunctions runs translated Snowflake SQL on SQLite', () => {
+  const db = new Database(':memory:');
+  registerSnowflakeFunctions(db);
+  db.exec('CREATE TABLE READINGS (EQUIPMENT_ID TEXT, VALUE REAL, RECORDED_AT TEXT)');
+  const insert = db.prepare('INSERT INTO READINGS VALUES (?, ?, ?)');
+  [
+    ['GEN-101', 10, '2025-03-10T14:05:00.000Z'],
+    ['GEN-101', 30, '2025-03-10T14:55:00.000Z'],
+    ['GEN-101', 20, '2025-03-10T14:30:00.000Z'],
+    ['GEN-101', 99, '2025-03-10T15:10:00.000Z']
+  ].forEach(row => insert.run(row));
+
+  const rows = db.prepare(translateSnowflakeSql(`
+    SELECT
+      DATE_TRUNC(HOUR, RECORDED_AT) AS HOUR,
+      APPROX_PERCENTILE(VALUE, 0.5) AS MEDIAN,
+      MAX_BY(VALUE, RECORDED_AT) AS LATEST,
+      DATEADD(DAY, 1, DATE_TRUNC(DAY, RECORDED_AT)) AS NEXT_DAY
+    FROM READINGS
+    GROUP BY DATE_TRUNC(HOUR, RECORDED_AT)
+    ORDER BY HOUR
+  `)).all();
+  db.close();
+
+  assert.deepEqual(rows, [
+    { HOUR: '2025-03-10T14:00:00.000Z', MEDIAN: 20, LATEST: 30, NEXT_DAY: '2025-03-11T00:00:00.000Z' },
+    { HOUR: '2025-03-10T15:00:00.000Z', MEDIAN: 99, LATEST: 99, NEXT_DAY: '2025-03-11T00:00:00.000Z' }
+  ]);
+});
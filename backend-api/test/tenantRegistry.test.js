@@ -0,0 +1,71 @@
+// backend-api/test/tenantRegistry.test.js - Each organization gets its own connection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Connection profiles are read once, from the file CONNECTION_PROFILES_FILE names
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multiquip-tenants-'));
+process.env.CONNECTION_PROFILES_FILE = path.join(directory, 'profiles.json');
+fs.writeFileSync(process.env.CONNECTION_PROFILES_FILE, JSON.stringify({
+  acme: { sqlitePath: path.join(directory, 'acme.sqlite') },
+  'acme-reporting': { organization: 'acme', sqlitePath: path.join(directory, 'acme.sqlite') },
+  globex: { sqlitePath: path.join(directory, 'globex.sqlite') },
+  initech: { sqlitePath: path.join(directory, 'acme.sqlite') }
+}));
+
+const { TenantRegistry } = require('../tenants/TenantRegistry');
+const SqliteFleetRepository = require('../repositories/SqliteFleetRepository');
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const createRegistry = () => {
+  const changes = [];
+  const tenants = new TenantRegistry('sqlite', {
+    createRepository: (dataSource, options) => new SqliteFleetRepository(Object.assign({ seedIfEmpty: false }, options)),
+    onDataChanged: (organization, tables) => changes.push({ organization, tables })
+  });
+  return { tenants, changes };
+};
+
+test('sessions of one organization share a tenant; other organizations get their own', async () => {
+  const { tenants, changes } = createRegistry();
+  const acme = tenants.forSession({ profile: 'acme' });
+  const globex = tenants.forSession({ profile: 'globex' });
+
+  assert.equal(tenants.forSession({ profile: 'acme-reporting' }), acme);
+  assert.notEqual(globex, acme);
+  assert.notEqual(globex.repository, acme.repository);
+  assert.notEqual(globex.mockRepository, acme.mockRepository);
+
+  await tenants.connect(acme);
+  await tenants.connect(globex);
+  assert.notEqual(acme.repository.describeLocation(), globex.repository.describeLocation());
+
+  // A write is reported for the organization that made it, so only its cache is dropped
+  await globex.repository.uploadSensorReadings([
+    { equipmentId: 'GEN-101', metricType: 'Temperature', value: 190, timestamp: new Date().toISOString() }
+  ]);
+  assert.deepEqual([...new Set(changes.map(change => change.organization))], ['globex']);
+  assert.deepEqual(await acme.repository.getLatestReadings(['GEN-101']).then(readings => readings['GEN-101'].readings), {});
+  await tenants.closeAll();
+});
+
+test('an organization whose profile points at another organization\'s database is refused', async () => {
+  const { tenants } = createRegistry();
+  await tenants.connect(tenants.forSession({ profile: 'acme' }));
+
+  const initech = tenants.forSession({ profile: 'initech' });
+  await assert.rejects(tenants.connect(initech), /already serves organization acme/);
+  assert.equal(initech.repository.isConnected(), false);
+  assert.equal(await tenants.ensureConnected(initech), false);
+  await tenants.closeAll();
+});
+
+test('sessions for a removed profile are refused', () => {
+  const { tenants } = createRegistry();
+  assert.throws(() => tenants.forSession({ profile: 'umbrella' }), /no longer exists/);
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
@@ -0,0 +1,4 @@
+// backend-api/utils/anomalyDetector.js - Per-machine anomaly detector
+//
+// Shared with the frontend; see src/shared/anomalyDetector.js
+module.exports = require('../../src/shared/anomalyDetector');
@@ -0,0 +1,4 @@
+// backend-api/utils/failureModel.js - Backend entry point for the shared failure model definition
+//
+// The server trainer builds exactly the network and features the browser trainer uses.
+module.exports = require('../../src/shared/failureModel');
@@ -0,0 +1,4 @@
+// backend-api/utils/featureAttribution.js - Backend entry point for the shared prediction explanations
+//
+// Server predictions are explained exactly as the browser explains its own.
+module.exports = require('../../src/shared/featureAttribution');
@@ -0,0 +1,5 @@
+// backend-api/utils/fleetSimulator.js - Backend entry point for the shared fleet simulator
+//
+// The simulator lives in the frontend's src/shared so CRA can bundle it; the backend
+// loads the very same file to guarantee both tiers produce identical fleets.
+module.exports = require('../../src/shared/fleetSimulator');
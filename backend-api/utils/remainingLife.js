@@ -0,0 +1,4 @@
+// backend-api/utils/remainingLife.js - Backend entry point for the shared remaining-life model
+//
+// The server trainer and prediction scoring estimate lives exactly as the browser does.
+module.exports = require('../../src/shared/remainingLife');
@@ -0,0 +1,5 @@
+// backend-api/utils/sensorSeries.js - Backend entry point for the shared sensor series helpers
+//
+// Like the fleet simulator, the bucketing and aggregation code lives in src/shared so the
+// browser fallback aggregates readings exactly as the API does.
+module.exports = require('../../src/shared/sensorSeries');
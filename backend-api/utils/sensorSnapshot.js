@@ -0,0 +1,4 @@
+// backend-api/utils/sensorSnapshot.js - Backend entry point for the shared latest-reading snapshots
+//
+// Shared with the browser fallback so both tiers describe reading age and staleness the same way.
+module.exports = require('../../src/shared/sensorSnapshot');
@@ -0,0 +1,4 @@
+// backend-api/utils/trainingSet.js - Backend entry point for the shared training set builder
+//
+// The server trainer labels stored history exactly as the browser trainer labels what it loads.
+module.exports = require('../../src/shared/trainingSet');
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Activity, 
   AlertTriangle, 
@@ -38,18 +38,73 @@ import {
   CartesianGrid, 
   Tooltip, 
   Legend, 
-  ResponsiveContainer 
+  ResponsiveContainer,
+  ReferenceDot
 } from 'recharts';
 import snowflakeAPI from './services/SnowflakeAPIService';
+import modelStorage from './services/ModelStorage';
+import { METRICS, OPERATING_HOURS_METRIC } from './shared/fleetSimulator';
+import { SERIES_METRICS } from './shared/sensorSeries';
+import { STALE_READING_MS, snapshotReading, withSensorSnapshot } from './shared/sensorSnapshot';
+import {
+  RISK_THRESHOLDS,
+  toFailureFeatures,
+  createFailureModel,
+  riskLevelFor,
+  metricsFromConfusion,
+  evaluateClassifier
+} from './shared/failureModel';
+import { buildTrainingSet, splitByTime, balanceSamples, describeSamples } from './shared/trainingSet';
+import {
+  MAX_LIFE_DAYS,
+  LIFE_WINDOW_HOURS,
+  windowUtilization,
+  latestWindow,
+  toRemainingLifeFeatures,
+  buildRemainingLifeSet,
+  createRemainingLifeModel,
+  evaluateRemainingLife,
+  toRemainingLife,
+  daysUntilMaintenanceFor
+} from './shared/remainingLife';
+import { attributionBaselineFor, explainPrediction } from './shared/featureAttribution';
 import * as tf from '@tensorflow/tfjs';
 
 
+// Helper function to say how long ago a reading was recorded
+const formatReadingAge = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (24 * 60))} d ago`;
+};
+
 const analyzeRootCause = (equipment) => {
   const issues = [];
-  
-  // Analyze ML prediction sensors if available
-  if (equipment.mlPrediction?.sensors) {
-    const sensors = equipment.mlPrediction.sensors;
+  const snapshot = equipment.sensorSnapshot;
+
+  // Readings that stopped arriving can't vouch for the machine's health
+  if (snapshot?.stale) {
+    issues.push({
+      type: 'warning',
+      sensor: 'Sensor Data',
+      current: snapshot.asOf ? formatReadingAge(snapshot.asOf) : 'No readings',
+      threshold: `${STALE_READING_MS / (60 * 60 * 1000)}h`,
+      status: 'STALE - Equipment stopped reporting',
+      impact: 'Readings may not reflect current conditions, check the telemetry gateway',
+      icon: '📡',
+      color: 'text-yellow-600 bg-yellow-50 border-yellow-200'
+    });
+  }
+
+  // Prefer the latest readings the machine reported; fall back to the values the prediction used
+  const sensors = snapshot
+    ? Object.fromEntries(Object.entries(snapshot.readings).map(([key, reading]) => [key, reading.value]))
+    : equipment.mlPrediction?.sensors;
+
+  // Analyze sensor values if available
+  if (sensors) {
     
     // Temperature analysis
     const temp = parseFloat(sensors.temperature);
@@ -190,18 +245,1040 @@ const analyzeRootCause = (equipment) => {
   return issues;
 };
 
+// Columns an import can map onto each reading field
+const IMPORT_FIELDS = [
+  { key: 'equipmentId', label: 'Equipment ID', required: true },
+  { key: 'timestamp', label: 'Timestamp', required: true },
+  { key: 'metricType', label: 'Metric type' },
+  { key: 'value', label: 'Value' },
+  { key: 'unit', label: 'Unit' },
+  { key: 'sensorId', label: 'Sensor ID' }
+];
+
+// Source units the backend can convert to each metric's platform unit
+const IMPORT_UNITS = {
+  Temperature: ['°F', '°C', 'K'],
+  Vibration: ['g', 'm/s²'],
+  Pressure: ['PSI', 'bar', 'kPa'],
+  'Oil Pressure': ['PSI', 'bar', 'kPa'],
+  Current: ['A', 'mA']
+};
+
+// Sign-in for backends with user accounts. The session is issued by the backend for the user's
+// own organization; the browser keeps only its token.
+const LoginDialog = ({ onSignedIn, onClose }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    try {
+      await snowflakeAPI.login(username, password);
+      onSignedIn();
+    } catch (loginError) {
+      setError(loginError.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl max-w-sm w-full m-4 text-gray-900">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center space-x-2">
+            <Database className="h-5 w-5 text-blue-600" />
+            <h2 className="text-lg font-semibold">Sign In</h2>
+          </div>
+          <button type="button" onClick={onClose} className="p-1 hover:bg-gray-100 rounded" title="Continue with demo data">
+            <XCircle className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block text-sm">
+            <span className="text-gray-600">Username</span>
+            <input value={username} onChange={(event) => setUsername(event.target.value)} autoComplete="username" className="mt-1 w-full border rounded p-2" />
+          </label>
+          <label className="block text-sm">
+            <span className="text-gray-600">Password</span>
+            <input type="password" value={password} onChange={(event) => setPassword(event.target.value)} autoComplete="current-password" className="mt-1 w-full border rounded p-2" />
+          </label>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          <button
+            type="submit"
+            disabled={signingIn || !username || !password}
+            className="w-full bg-blue-600 text-white rounded-lg p-2 hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center space-x-2"
+          >
+            {signingIn && <Loader2 className="h-4 w-4 animate-spin" />}
+            <span>Sign in</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Bulk import of historical readings from a CSV or Excel file: check the column mapping and
+// the dry-run report, then follow the background job that loads the rows
+const SensorImportDialog = ({ onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const [job, setJob] = useState(null);
+
+  const jobRunning = job && ['queued', 'running'].includes(job.status);
+
+  // The latest callback, so a re-render of the parent doesn't restart the polling below
+  const onImportedRef = useRef(onImported);
+  onImportedRef.current = onImported;
+
+  const checkFile = async (selectedFile, selectedMapping) => {
+    setChecking(true);
+    setError(null);
+    const result = await snowflakeAPI.previewImport(selectedFile, selectedMapping);
+    setChecking(false);
+
+    if (result.columns) setColumns(result.columns);
+    if (result.mapping) setMapping(result.mapping);
+    setReport(result.success ? result.report : null);
+    if (!result.success) setError(result.message);
+  };
+
+  const handleFileChange = async (event) => {
+    const picked = event.target.files[0];
+    if (!picked) return;
+
+    setJob(null);
+    setMapping(null);
+    try {
+      const encoded = await snowflakeAPI.readFileForImport(picked);
+      setFile(encoded);
+      await checkFile(encoded);
+    } catch (readError) {
+      setError(`Could not read ${picked.name}: ${readError.message}`);
+    }
+  };
+
+  const updateMapping = (changes) => {
+    const next = { ...mapping, ...changes };
+    setMapping(next);
+    checkFile(file, next);
+  };
+
+  const startImport = async () => {
+    setError(null);
+    const result = await snowflakeAPI.startImport(file, mapping);
+    if (result.success) {
+      setJob(result.job);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  // Follow the import job until it finishes
+  useEffect(() => {
+    if (!jobRunning) return undefined;
+
+    const timer = setInterval(async () => {
+      const result = await snowflakeAPI.getImportJob(job.id);
+      if (!result.success) return;
+      setJob(result.job);
+      if (result.job.status === 'completed') onImportedRef.current(result.job);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [job?.id, jobRunning]);
+
+  const wideLayout = mapping && !(mapping.metricType && mapping.value);
+  const mappedColumns = mapping ? IMPORT_FIELDS.map(field => mapping[field.key]).filter(Boolean) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full m-4 max-h-[90vh] overflow-y-auto text-gray-900">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center space-x-2">
+            <Upload className="h-5 w-5 text-blue-600" />
+            <h2 className="text-lg font-semibold">Import Sensor History</h2>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+            <XCircle className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div>
+            <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xlsm" onChange={handleFileChange} disabled={jobRunning} className="text-sm" />
+            <p className="text-xs text-gray-500 mt-1">
+              CSV or Excel. One reading per row (equipment, timestamp, metric, value, unit) or one column per metric, e.g. "Temp (°C)".
+            </p>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          {mapping && columns.length > 0 && (
+            <div>
+              <h3 className="font-medium mb-2">Column Mapping</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {IMPORT_FIELDS.map(field => (
+                  <label key={field.key} className="text-sm">
+                    <span className="text-gray-600">{field.label}{field.required ? ' *' : ''}</span>
+                    <select
+                      value={mapping[field.key] || ''}
+                      onChange={(event) => updateMapping({ [field.key]: event.target.value || null })}
+                      disabled={checking || !!job}
+                      className="mt-1 w-full border rounded p-1"
+                    >
+                      <option value="">Not in file</option>
+                      {columns.map(column => <option key={column} value={column}>{column}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {wideLayout && (
+                <div className="mt-3">
+                  <p className="text-sm text-gray-600 mb-2">No metric/value columns, so each metric column becomes a reading:</p>
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                    {columns.filter(column => !mappedColumns.includes(column)).map(column => (
+                      <label key={column} className="text-sm">
+                        <span className="text-gray-600">{column}</span>
+                        <select
+                          value={mapping.metricColumns?.[column] || ''}
+                          onChange={(event) => updateMapping({ metricColumns: { ...mapping.metricColumns, [column]: event.target.value || undefined } })}
+                          disabled={checking || !!job}
+                          className="mt-1 w-full border rounded p-1"
+                        >
+                          <option value="">Ignore</option>
+                          {[...METRICS, OPERATING_HOURS_METRIC].map(metric => <option key={metric.type} value={metric.type}>{metric.type}</option>)}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {checking && (
+            <div className="flex items-center space-x-2 text-sm text-gray-600">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              <span>Checking file...</span>
+            </div>
+          )}
+
+          {report && !checking && (
+            <div>
+              <h3 className="font-medium mb-2">Validation Report (dry run)</h3>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center mb-3">
+                {[
+                  { label: 'Rows', value: report.rowCount },
+                  { label: 'Valid readings', value: report.valid, color: 'text-green-600' },
+                  { label: 'Invalid', value: report.invalid, color: report.invalid > 0 ? 'text-red-600' : '' },
+                  { label: 'Repeated in file', value: report.duplicatesInFile },
+                  { label: 'Equipment', value: report.equipmentCount }
+                ].map(stat => (
+                  <div key={stat.label} className="p-2 bg-gray-50 rounded">
+                    <p className={`text-lg font-bold ${stat.color || ''}`}>{stat.value}</p>
+                    <p className="text-xs text-gray-600">{stat.label}</p>
+                  </div>
+                ))}
+              </div>
+              {report.timeRange.from && (
+                <p className="text-sm text-gray-600 mb-2">
+                  {new Date(report.timeRange.from).toLocaleString()} - {new Date(report.timeRange.to).toLocaleString()}
+                </p>
+              )}
+
+              {report.warnings.map(warning => (
+                <div key={warning} className="flex items-start space-x-2 p-2 mb-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+                  <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span>{warning}</span>
+                </div>
+              ))}
+
+              {report.metrics.length > 0 && (
+                <table className="w-full text-sm mb-3">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-1">Metric</th>
+                      <th className="py-1">Readings</th>
+                      <th className="py-1">Unit in file</th>
+                      <th className="py-1">Stored as</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.metrics.map(metric => (
+                      <tr key={metric.metricType} className="border-b">
+                        <td className="py-1">{metric.metricType}</td>
+                        <td className="py-1">{metric.count}</td>
+                        <td className="py-1">
+                          {metric.unitSource !== 'column' && IMPORT_UNITS[metric.metricType] ? (
+                            <select
+                              value={Object.keys(metric.sourceUnits)[0]}
+                              onChange={(event) => updateMapping({ units: { ...mapping.units, [metric.metricType]: event.target.value } })}
+                              disabled={checking || !!job}
+                              className="border rounded p-0.5"
+                            >
+                              {IMPORT_UNITS[metric.metricType].map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                          ) : Object.keys(metric.sourceUnits).join(', ')}
+                          <span className="text-xs text-gray-500 ml-1">({metric.unitSource})</span>
+                        </td>
+                        <td className="py-1">{metric.storedUnit}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {report.errors.length > 0 && (
+                <div className="text-sm">
+                  <p className="text-gray-600 mb-1">
+                    Rows that will be skipped{report.errorsTruncated ? ` (first ${report.errors.length})` : ''}:
+                  </p>
+                  <ul className="max-h-32 overflow-y-auto bg-gray-50 rounded p-2 space-y-1">
+                    {report.errors.map((rowError, index) => (
+                      <li key={index}>Row {rowError.row}{rowError.metricType ? ` (${rowError.metricType})` : ''}: {rowError.reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {job && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-medium">Import {job.status}</span>
+                <span>{job.progress}%</span>
+              </div>
+              <div className="w-full bg-blue-100 rounded-full h-2 mb-2">
+                <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${job.progress}%` }} />
+              </div>
+              <p>
+                {job.accepted} stored, {job.duplicates} already present, {job.rejected} rejected
+                {job.error ? ` - ${job.error}` : ''}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t">
+          <button onClick={onClose} className="px-4 py-2 border rounded-lg hover:bg-gray-50 text-sm">
+            {job && !jobRunning ? 'Done' : 'Close'}
+          </button>
+          <button
+            onClick={startImport}
+            disabled={!report || report.valid === 0 || checking || !!job}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Import {report ? report.valid : ''} readings</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Trend windows: short ones in hourly buckets, long ones in daily buckets so a year stays readable
+const TREND_RANGES = [
+  { label: '24h', days: 1, bucket: '1h' },
+  { label: '7d', days: 7, bucket: '1h' },
+  { label: '90d', days: 90, bucket: '1d' },
+  { label: '1y', days: 365, bucket: '1d' }
+];
+
+// Helper function to label a bucket on the trend axis
+const formatTrendTime = (timestamp, bucket) => (bucket === '1d'
+  ? new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' })
+  : new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }));
+
+// Min/avg/max trend of one metric, read from the bucketed sensor-series API. Buckets without
+// readings are left as gaps.
+const SensorTrendChart = ({ equipmentId }) => {
+  const [rangeLabel, setRangeLabel] = useState('7d');
+  const [metricKey, setMetricKey] = useState('temperature');
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState(null);
+
+  const range = TREND_RANGES.find(candidate => candidate.label === rangeLabel);
+  const metric = SERIES_METRICS.find(candidate => candidate.key === metricKey);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeries(null);
+    setError(null);
+
+    snowflakeAPI.getSensorSeries({
+      equipmentId,
+      bucket: range.bucket,
+      from: new Date(Date.now() - range.days * 24 * 60 * 60 * 1000).toISOString(),
+      metrics: { [metricKey]: ['avg', 'min', 'max'] }
+    })
+      .then(data => { if (!cancelled) setSeries(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [equipmentId, range, metricKey]);
+
+  const hasReadings = series?.points.some(point => point[metricKey]?.avg !== null);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <select
+          value={metricKey}
+          onChange={(e) => setMetricKey(e.target.value)}
+          className="border rounded px-2 py-1 text-xs"
+        >
+          {SERIES_METRICS.map(option => (
+            <option key={option.key} value={option.key}>{option.type} ({option.unit})</option>
+          ))}
+        </select>
+        <div className="flex bg-gray-100 rounded-lg p-0.5">
+          {TREND_RANGES.map(option => (
+            <button
+              key={option.label}
+              onClick={() => setRangeLabel(option.label)}
+              className={`px-2 py-0.5 rounded text-xs ${rangeLabel === option.label ? 'bg-white shadow' : ''}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : !series ? (
+        <div className="h-40 flex items-center justify-center text-gray-400">
+          <Loader2 className="h-5 w-5 animate-spin" />
+        </div>
+      ) : !hasReadings ? (
+        <p className="text-xs text-gray-500 py-6 text-center">No {metric.type.toLowerCase()} readings in this range</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={160}>
+          <LineChart data={series.points} margin={{ top: 5, right: 5, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="timestamp"
+              tickFormatter={(timestamp) => formatTrendTime(timestamp, series.bucket)}
+              tick={{ fontSize: 10 }}
+              minTickGap={24}
+            />
+            <YAxis tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+            <Tooltip
+              labelFormatter={(timestamp) => formatTrendTime(timestamp, series.bucket)}
+              formatter={(value) => (value === null ? '—' : `${value} ${metric.unit}`)}
+              contentStyle={{ fontSize: 11 }}
+            />
+            <Line type="monotone" dataKey={`${metricKey}.max`} name="Max" stroke="#f87171" strokeDasharray="3 3" dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey={`${metricKey}.avg`} name="Avg" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey={`${metricKey}.min`} name="Min" stroke="#60a5fa" strokeDasharray="3 3" dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+// Helper function to show a run's duration
+const formatDuration = (ms) => (ms < 60000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.floor(ms / 60000)} min ${Math.round(ms % 60000 / 1000)} s`);
+
+const TRAINING_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-yellow-100 text-yellow-800'
+};
+
+// Progress of a training run, epoch by epoch, with its loss curves
+const TrainingJobProgress = ({ job }) => {
+  const epochs = job.params?.epochs;
+  const latest = job.history[job.history.length - 1];
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-gray-600">
+          {job.location === 'server' ? 'Server' : 'Browser'} training{' '}
+          <span className={`px-2 py-0.5 rounded text-xs ${TRAINING_STATUS_STYLES[job.status]}`}>{job.status}</span>
+        </span>
+        <span className="text-sm text-gray-600">
+          {latest ? `Epoch ${latest.epoch}/${epochs}` : job.status === 'running' ? 'Loading training data...' : ''} · {job.progress}%
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className="bg-purple-600 h-2 rounded-full transition-all duration-300"
+          style={{ width: `${job.progress}%` }}
+        />
+      </div>
+      {latest && (
+        <p className="text-xs text-gray-500 mt-1">
+          Loss {latest.loss.toFixed(4)}
+          {latest.accuracy !== undefined && ` · accuracy ${(latest.accuracy * 100).toFixed(1)}%`}
+          {latest.valLoss !== undefined && ` · validation loss ${latest.valLoss.toFixed(4)}`}
+          {latest.valAccuracy !== undefined && ` · validation accuracy ${(latest.valAccuracy * 100).toFixed(1)}%`}
+        </p>
+      )}
+      {job.error && <p className="text-xs text-red-600 mt-1">{job.error}</p>}
+      {job.history.length > 1 && (
+        <ResponsiveContainer width="100%" height={140}>
+          <LineChart data={job.history} margin={{ top: 10, right: 5, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="epoch" tick={{ fontSize: 10 }} />
+            <YAxis tick={{ fontSize: 10 }} />
+            <Tooltip formatter={(value) => value.toFixed(4)} contentStyle={{ fontSize: 11 }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Line type="monotone" dataKey="loss" name="Loss" stroke="#7c3aed" dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey="valLoss" name="Validation loss" stroke="#f97316" dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+// Past training runs: where they ran, with which parameters, how long they took and how they ended
+const TrainingJobHistory = ({ jobs }) => (
+  <div className="mt-6">
+    <h4 className="text-sm font-semibold text-gray-700 mb-2">Training History</h4>
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-1 pr-3">Started</th>
+            <th className="py-1 pr-3">Where</th>
+            <th className="py-1 pr-3">Parameters</th>
+            <th className="py-1 pr-3">Duration</th>
+            <th className="py-1 pr-3">Outcome</th>
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map(job => (
+            <tr key={job.id} className="border-b last:border-0">
+              <td className="py-1 pr-3">{new Date(job.startedAt || job.createdAt).toLocaleString()}</td>
+              <td className="py-1 pr-3">{job.location === 'server' ? `Server (${job.dataSource})` : 'Browser'}</td>
+              <td className="py-1 pr-3">
+                {Object.entries(job.params || {}).map(([key, value]) => `${key} ${value}`).join(', ')}
+              </td>
+              <td className="py-1 pr-3">{job.durationMs !== null && job.durationMs !== undefined ? formatDuration(job.durationMs) : '—'}</td>
+              <td className="py-1 pr-3">
+                <span className={`px-2 py-0.5 rounded ${TRAINING_STATUS_STYLES[job.status]}`}>{job.status}</span>
+                {job.status === 'completed' && job.result?.metrics && (
+                  <span className="ml-2 text-gray-600">accuracy {(job.result.metrics.accuracy * 100).toFixed(1)}%</span>
+                )}
+                {job.status === 'failed' && job.error && <span className="ml-2 text-red-600">{job.error}</span>}
+                {job.status === 'cancelled' && <span className="ml-2 text-gray-600">after {job.history.length} epochs</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+// Failures are labelled on the hours before them, as in the server trainer
+const LABEL_HORIZON_DAYS = 7;
+const TRAINING_HISTORY_DAYS = [14, 30, 60, 90];
+// Machines per sensor history request while loading a training dataset
+const TRAINING_BATCH_EQUIPMENT = 10;
+
+// Helper function to tell simulated responses ('mock', 'mock_fallback', 'mock_error') from stored data
+const isMockDataSource = (dataSource) => typeof dataSource === 'string' && dataSource.startsWith('mock');
+
+// Helper function to show the span of a sample summary
+const formatSampleSpan = (counts) => (counts.from ? `${new Date(counts.from).toLocaleDateString()} – ${new Date(counts.to).toLocaleDateString()}` : '—');
+
+// Choose the sites and history the browser model learns from, and see what was loaded
+// before training on it
+const TrainingDatasetPanel = ({ sites, selectedSites, onSelectSites, days, onSelectDays, dataset, onLoad, onTrain, onClose }) => {
+  const selected = selectedSites ?? sites;
+  const loading = dataset?.status === 'loading';
+  const summary = dataset?.status === 'ready' ? dataset.summary : null;
+  const problem = summary && (summary.train.failures === 0 ? 'The training hours have no failures to learn from. Load more days or more sites.' :
+    summary.validation.samples === 0 ? 'There are no recent hours left to measure the model on. Load more days.' : null);
+
+  const toggleSite = (site) => onSelectSites(selected.includes(site) ? selected.filter(name => name !== site) : [...selected, site]);
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-gray-700">Training data</h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><XCircle className="h-4 w-4" /></button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-3">
+        {sites.map(site => (
+          <label key={site} className="flex items-center space-x-1 text-sm">
+            <input type="checkbox" checked={selected.includes(site)} disabled={loading} onChange={() => toggleSite(site)} />
+            <span>{site}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <select
+          value={days}
+          disabled={loading}
+          onChange={(e) => onSelectDays(Number(e.target.value))}
+          className="border rounded px-2 py-1 text-sm"
+        >
+          {TRAINING_HISTORY_DAYS.map(option => <option key={option} value={option}>Last {option} days</option>)}
+        </select>
+        <button
+          onClick={onLoad}
+          disabled={loading || selected.length === 0}
+          className="flex items-center space-x-2 px-3 py-1 border rounded text-sm hover:bg-white disabled:opacity-50"
+        >
+          {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Database className="h-4 w-4" />}
+          <span>{loading ? `Loading history${dataset.total ? ` ${dataset.loaded}/${dataset.total}` : '...'}` : 'Load history'}</span>
+        </button>
+        <button
+          onClick={onTrain}
+          disabled={!summary || Boolean(problem)}
+          className="flex items-center space-x-2 px-3 py-1 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 disabled:opacity-50"
+        >
+          <Play className="h-4 w-4" />
+          <span>Start training</span>
+        </button>
+      </div>
+
+      {dataset?.status === 'failed' && <p className="text-xs text-red-600 mt-2">{dataset.error}</p>}
+
+      {summary && (
+        <div className="mt-3 text-xs text-gray-600">
+          <p>
+            {summary.readings.toLocaleString()} hourly readings from {summary.equipment} equipment at {summary.sites.length} site{summary.sites.length === 1 ? '' : 's'},{' '}
+            {summary.workOrders} breakdown or corrective work order{summary.workOrders === 1 ? '' : 's'} ({summary.dataSource}).
+            Hours are labelled as failing when one follows within {summary.horizonDays} days; the last {summary.horizonDays} days can't be labelled yet.
+            {' '}{summary.remainingLife.train.samples.toLocaleString()} hours with a known time to failure train the remaining-life model
+            ({summary.remainingLife.validation.samples.toLocaleString()} held out).
+          </p>
+          {summary.mockedEquipment.length > 0 && (
+            <p className="text-yellow-700 mt-1">
+              Simulated readings stand in for {summary.mockedEquipment.length} machine{summary.mockedEquipment.length === 1 ? '' : 's'} whose
+              history could not be loaded: {summary.mockedEquipment.join(', ')}.
+            </p>
+          )}
+          <table className="min-w-full mt-2">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-3">Split</th>
+                <th className="py-1 pr-3">Hours</th>
+                <th className="py-1 pr-3">Samples</th>
+                <th className="py-1 pr-3">Failing</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                ['Training (before balancing)', summary.train],
+                ['Training (balanced)', summary.balanced],
+                ['Held out', summary.validation]
+              ].map(([label, counts]) => (
+                <tr key={label} className="border-b last:border-0">
+                  <td className="py-1 pr-3">{label}</td>
+                  <td className="py-1 pr-3">{formatSampleSpan(counts)}</td>
+                  <td className="py-1 pr-3">{counts.samples.toLocaleString()}</td>
+                  <td className="py-1 pr-3">
+                    {counts.failures.toLocaleString()}
+                    {counts.samples > 0 && ` (${(counts.failures / counts.samples * 100).toFixed(1)}%)`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {problem && <p className="text-yellow-700 mt-2">{problem}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MODEL_STAGE_STYLES = {
+  PRODUCTION: 'bg-green-100 text-green-800',
+  STAGING: 'bg-blue-100 text-blue-800',
+  ARCHIVED: 'bg-gray-100 text-gray-600'
+};
+
+// Every registered model version: what it was trained on, how it scored and who trained it.
+// One version per equipment category is in production; promote another or roll back to the last one.
+const ModelRegistryPanel = ({ registry, busy, onPromote, onRollback }) => {
+  const categories = [...new Set(registry.models.map(model => model.category))];
+  const percent = (value) => (value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">Model Registry</h4>
+        <div className="flex space-x-2">
+          {categories.filter(category => registry.production[category]).map(category => (
+            <button
+              key={category}
+              onClick={() => onRollback(category)}
+              disabled={busy}
+              className="flex items-center space-x-1 px-2 py-1 text-xs border rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RefreshCw className="h-3 w-3" />
+              <span>Roll back {category === 'ALL' ? 'fleet model' : category}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-3">Version</th>
+              <th className="py-1 pr-3">Category</th>
+              <th className="py-1 pr-3">Stage</th>
+              <th className="py-1 pr-3">Training data</th>
+              <th className="py-1 pr-3">Accuracy / Recall / F1</th>
+              <th className="py-1 pr-3">ROC AUC</th>
+              <th className="py-1 pr-3">Author</th>
+              <th className="py-1 pr-3">Trained</th>
+              <th className="py-1 pr-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {registry.models.map(model => (
+              <tr key={model.modelId} className="border-b last:border-0" title={model.modelId}>
+                <td className="py-1 pr-3 font-medium">v{model.version}</td>
+                <td className="py-1 pr-3">{model.category === 'ALL' ? 'Fleet' : model.category}</td>
+                <td className="py-1 pr-3">
+                  <span className={`px-2 py-0.5 rounded ${MODEL_STAGE_STYLES[model.stage]}`}>{model.stage.toLowerCase()}</span>
+                </td>
+                <td className="py-1 pr-3">
+                  {model.trainingFrom ? `${new Date(model.trainingFrom).toLocaleDateString()} – ${new Date(model.trainingTo).toLocaleDateString()}` : '—'}
+                </td>
+                <td className="py-1 pr-3">
+                  {percent(model.metrics?.accuracy)} / {percent(model.metrics?.recall)} / {percent(model.metrics?.f1Score)}
+                </td>
+                <td className="py-1 pr-3">{model.metrics?.rocAuc !== undefined ? model.metrics.rocAuc.toFixed(3) : '—'}</td>
+                <td className="py-1 pr-3">{model.createdBy || '—'}</td>
+                <td className="py-1 pr-3">{new Date(model.createdAt).toLocaleString()}</td>
+                <td className="py-1 pr-3">
+                  {model.stage !== 'PRODUCTION' && (
+                    <button
+                      onClick={() => onPromote(model.modelId)}
+                      disabled={busy}
+                      className="px-2 py-0.5 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Promote
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Helper function to describe a metric's part in an anomaly: its mean over the scored window
+// against the machine's normal value
+const formatAnomalyContribution = ({ metric, value, normal }) => {
+  const { type, unit, digits } = METRICS.find(candidate => candidate.key === metric);
+  return `${type} ${value.toFixed(digits)} ${unit} (normally ${normal.toFixed(digits)} ${unit})`;
+};
+
+// How much each input moved a prediction's failure probability away from the model's baseline
+// (see featureAttribution.js): red bars raised the risk, green bars lowered it. `asOf` is when
+// the explained readings were recorded.
+const PredictionExplanationChart = ({ explanation, asOf }) => {
+  const data = explanation.contributions.map(contribution => ({
+    label: contribution.label,
+    points: Number((contribution.contribution * 100).toFixed(1))
+  }));
+
+  return (
+    <div>
+      <p className="text-xs text-gray-600 mb-1">
+        {(explanation.baselineProbability * 100).toFixed(1)}% for an average healthy hour, {(explanation.probability * 100).toFixed(1)}% for this machine's
+        readings{asOf && ` of ${new Date(asOf).toLocaleString()}`}
+      </p>
+      <ResponsiveContainer width="100%" height={data.length * 24 + 30}>
+        <BarChart data={data} layout="vertical" margin={{ top: 0, right: 10, bottom: 0, left: 0 }}>
+          <XAxis type="number" tick={{ fontSize: 10 }} unit=" pts" />
+          <YAxis type="category" dataKey="label" width={120} tick={{ fontSize: 10 }} />
+          <Tooltip formatter={(value) => [`${value > 0 ? '+' : ''}${value} percentage points`, 'Contribution']} />
+          <Bar dataKey="points">
+            {data.map(entry => (
+              <Cell key={entry.label} fill={entry.points > 0 ? '#EF4444' : '#10B981'} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// How each equipment category is scored: by its own production model, or by the fleet model
+// as the fallback, with that model's metrics on the category's held-out hours
+const CategoryModelPerformance = ({ registry, predictions }) => {
+  const fleet = registry.production.ALL;
+  const percent = (value) => (value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold mb-3 flex items-center space-x-2">
+        <Brain className="h-5 w-5 text-purple-600" />
+        <span>Models by Equipment Category</span>
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Category</th>
+              <th className="py-2 pr-4">Model</th>
+              <th className="py-2 pr-4">Accuracy</th>
+              <th className="py-2 pr-4">Precision</th>
+              <th className="py-2 pr-4">Recall</th>
+              <th className="py-2 pr-4">ROC AUC</th>
+              <th className="py-2 pr-4">Held-out hours</th>
+              <th className="py-2 pr-4">Active predictions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {registry.categories.map(category => {
+              const own = registry.production[category];
+              const model = own || fleet;
+              const metrics = own ? own.metrics : fleet?.metrics?.byCategory?.[category];
+
+              return (
+                <tr key={category} className="border-b last:border-0">
+                  <td className="py-2 pr-4 font-medium">{category}</td>
+                  <td className="py-2 pr-4">
+                    {model ? `${model.modelName} v${model.version}` : 'No production model'}
+                    {model && !own && <span className="ml-2 text-xs text-gray-500">(fleet fallback)</span>}
+                  </td>
+                  <td className="py-2 pr-4">{percent(metrics?.accuracy)}</td>
+                  <td className="py-2 pr-4">{percent(metrics?.precision)}</td>
+                  <td className="py-2 pr-4">{percent(metrics?.recall)}</td>
+                  <td className="py-2 pr-4">{metrics?.rocAuc !== undefined ? metrics.rocAuc.toFixed(3) : '—'}</td>
+                  <td className="py-2 pr-4">
+                    {metrics?.samples !== undefined ? `${metrics.samples.toLocaleString()} (${metrics.positives} before failures)` : '—'}
+                  </td>
+                  <td className="py-2 pr-4">{predictions.filter(prediction => prediction.category === category).length}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Helper function to show a fraction as a percentage
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Helper function to describe a remaining-life estimate (see shared/remainingLife.js)
+const formatRemainingLife = (life) => (
+  `failure likely in ${Math.floor(life.daysLow)}–${Math.ceil(life.daysHigh)}${life.capped ? '+' : ''} days` +
+  (life.operatingHoursHigh > 0 ? ` (${life.operatingHoursLow}–${life.operatingHoursHigh}${life.capped ? '+' : ''} operating hours)` : '')
+);
+
+// How a model did on its held-out hours: ROC and precision/recall curves, the confusion matrix
+// at the high-risk cut-off, and sliders to choose the risk cut-offs from those curves.
+// metrics come from evaluateClassifier (src/shared/failureModel.js).
+const ModelEvaluationPanel = ({ metrics, thresholds, onApply }) => {
+  const [draft, setDraft] = useState(thresholds);
+  useEffect(() => setDraft(thresholds), [thresholds]);
+
+  if (!metrics?.curve) {
+    return <p className="text-sm text-gray-500 mt-4">This model was saved without its evaluation curve; retrain it to tune the risk cut-offs.</p>;
+  }
+
+  const steps = metrics.curve.length - 1;
+  const points = metrics.curve.map(point => ({ ...point, ...metricsFromConfusion(point), flagged: point.truePositives + point.falsePositives }));
+  // Highest threshold first, so both curves run left to right; precision needs at least one flagged hour
+  const rocPoints = [{ falsePositiveRate: 0, recall: 0 }, ...points.slice().reverse()];
+  const prPoints = points.slice().reverse().filter(point => point.flagged > 0);
+  const at = (threshold) => points[Math.round(threshold * steps)];
+  const confusion = at(draft.high);
+  const changed = draft.high !== thresholds.high || draft.medium !== thresholds.medium;
+
+  const setCutoff = (level, value) => setDraft(current => (level === 'high'
+    ? { high: value, medium: Math.min(current.medium, value) }
+    : { high: Math.max(current.high, value), medium: value }));
+
+  return (
+    <div className="mt-4 space-y-4">
+      <p className="text-sm text-gray-600">
+        Measured on {metrics.samples.toLocaleString()} held-out hours ({metrics.positives.toLocaleString()} before a failure)
+        {' '}· ROC AUC {metrics.rocAuc.toFixed(3)}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h4 className="text-sm font-medium mb-1">ROC curve</h4>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={rocPoints} margin={{ top: 5, right: 10, left: -20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" dataKey="falsePositiveRate" domain={[0, 1]} tickFormatter={formatPercent} tick={{ fontSize: 10 }} />
+              <YAxis type="number" domain={[0, 1]} tickFormatter={formatPercent} tick={{ fontSize: 10 }} />
+              <Tooltip formatter={formatPercent} labelFormatter={value => `False positive rate ${formatPercent(value)}`} contentStyle={{ fontSize: 11 }} />
+              <Line type="linear" dataKey="recall" name="Recall" stroke="#7c3aed" dot={false} isAnimationActive={false} />
+              <ReferenceDot x={at(draft.high).falsePositiveRate} y={at(draft.high).recall} r={5} fill="#dc2626" stroke="none" />
+              <ReferenceDot x={at(draft.medium).falsePositiveRate} y={at(draft.medium).recall} r={5} fill="#f59e0b" stroke="none" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <h4 className="text-sm font-medium mb-1">Precision / recall</h4>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={prPoints} margin={{ top: 5, right: 10, left: -20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" dataKey="recall" domain={[0, 1]} tickFormatter={formatPercent} tick={{ fontSize: 10 }} />
+              <YAxis type="number" domain={[0, 1]} tickFormatter={formatPercent} tick={{ fontSize: 10 }} />
+              <Tooltip formatter={formatPercent} labelFormatter={value => `Recall ${formatPercent(value)}`} contentStyle={{ fontSize: 11 }} />
+              <Line type="linear" dataKey="precision" name="Precision" stroke="#2563eb" dot={false} isAnimationActive={false} />
+              <ReferenceDot x={at(draft.high).recall} y={at(draft.high).precision} r={5} fill="#dc2626" stroke="none" />
+              <ReferenceDot x={at(draft.medium).recall} y={at(draft.medium).precision} r={5} fill="#f59e0b" stroke="none" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          {[['high', 'High risk from', 'accent-red-600'], ['medium', 'Medium risk from', 'accent-yellow-500']].map(([level, label, accent]) => {
+            const point = at(draft[level]);
+            return (
+              <div key={level}>
+                <label className="flex items-center justify-between text-sm">
+                  <span>{label}</span>
+                  <span className="font-medium">{formatPercent(draft[level])}</span>
+                </label>
+                <input
+                  type="range"
+                  min="0.05"
+                  max="0.95"
+                  step={1 / steps}
+                  value={draft[level]}
+                  onChange={event => setCutoff(level, Number(event.target.value))}
+                  className={`w-full ${accent}`}
+                />
+                <p className="text-xs text-gray-500">
+                  Flags {point.flagged.toLocaleString()} hours · precision {formatPercent(point.precision)} · recall {formatPercent(point.recall)} · F1 {formatPercent(point.f1Score)}
+                </p>
+              </div>
+            );
+          })}
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onApply(draft)}
+              disabled={!changed}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+            >
+              Use these cut-offs
+            </button>
+            <button
+              onClick={() => setDraft(RISK_THRESHOLDS)}
+              className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+            >
+              Defaults ({formatPercent(RISK_THRESHOLDS.high)} / {formatPercent(RISK_THRESHOLDS.medium)})
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium mb-1">Confusion matrix at {formatPercent(draft.high)}</h4>
+          <table className="text-sm border">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="p-2 border"></th>
+                <th className="p-2 border font-medium">Flagged high risk</th>
+                <th className="p-2 border font-medium">Not flagged</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <th className="p-2 border font-medium text-left">Failure followed</th>
+                <td className="p-2 border text-center bg-green-50">{confusion.truePositives.toLocaleString()}</td>
+                <td className="p-2 border text-center bg-red-50">{confusion.falseNegatives.toLocaleString()}</td>
+              </tr>
+              <tr>
+                <th className="p-2 border font-medium text-left">No failure</th>
+                <td className="p-2 border text-center bg-yellow-50">{confusion.falsePositives.toLocaleString()}</td>
+                <td className="p-2 border text-center bg-green-50">{confusion.trueNegatives.toLocaleString()}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const MultiquipPlatform = () => {
   const [activeModule, setActiveModule] = useState('dashboard');
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
   const [loading, setLoading] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   
   // ML Model State
   const [mlModel, setMlModel] = useState(null);
-  const [isTraining, setIsTraining] = useState(false);
-  const [trainingProgress, setTrainingProgress] = useState(0);
+  // Remaining-life network trained with mlModel (see shared/remainingLife.js), or null
+  const [lifeModel, setLifeModel] = useState(null);
+  // The training run on screen (browser or server) and the runs before it
+  const [trainingJob, setTrainingJob] = useState(null);
+  const [trainingJobs, setTrainingJobs] = useState([]);
+  const browserCancelRequested = useRef(false);
+  // History the browser model learns from: the sites and days to load, and the loaded
+  // dataset (null, { status: 'loading', loaded, total }, { status: 'ready', train, validation, summary }
+  // or { status: 'failed', error })
+  const [trainingSites, setTrainingSites] = useState(null);
+  const [trainingDays, setTrainingDays] = useState(30);
+  const [trainingDataset, setTrainingDataset] = useState(null);
+  const [showTrainingSetup, setShowTrainingSetup] = useState(false);
   const [mlPredictions, setMlPredictions] = useState([]);
+  // Every job site's equipment rows, reloaded with the dashboard: the machines the model scores
+  const [fleetEquipment, setFleetEquipment] = useState([]);
+  // Bumped by every scoring run (and by a model change), so a run that finishes after a newer
+  // one started is dropped
+  const predictionRun = useRef(0);
+  // Each machine's latest readings scored against its own normal history (see anomalyDetector.js)
+  const [anomalies, setAnomalies] = useState([]);
+  // Latest model trained by the backend on the fleet's stored history
+  const [serverModel, setServerModel] = useState(null);
+  // Registered server models; the fleet production model can be loaded into the page as mlModel
+  const [modelRegistry, setModelRegistry] = useState({ models: [], promotions: [], production: {}, categories: [] });
+  // Production models of single equipment categories: { [category]: { model, lifeModel, info } }
+  const categoryModels = useRef({});
+  // Bumped when categoryModels changes, to rescore the fleet with them
+  const [categoryModelsVersion, setCategoryModelsVersion] = useState(0);
+  // The networks activateModel last put in place, so the next one can free them
+  const activeModels = useRef({ model: null, lifeModel: null });
+  // What "Train on Server" trains: the fleet model ('ALL') or one category's model
+  const [serverTrainingCategory, setServerTrainingCategory] = useState('ALL');
+  const [registryBusy, setRegistryBusy] = useState(false);
+  // Where mlModel came from and how to feed it (see services/ModelStorage.js):
+  // { source: 'browser'|'registry'|'file', modelId, version, category, metrics, trainedAt, featureScales,
+  // attributionBaseline }
+  const [mlModelInfo, setMlModelInfo] = useState(null);
+  const modelFileInput = useRef(null);
   const [modelMetrics, setModelMetrics] = useState({
     accuracy: 0,
     precision: 0,
@@ -218,240 +1295,522 @@ const MultiquipPlatform = () => {
     jobSites: [],
     equipmentCategories: [],
     alerts: [],
-    maintenanceData: {}
+    maintenanceData: {},
+    sections: {}
   });
 
-  // Mock sensor data generator for ML training
-  const generateSensorData = (equipmentId, days = 30) => {
-    const data = [];
-    const baseTemp = 75 + Math.random() * 20;
-    const baseVibration = 0.5 + Math.random() * 1.5;
-    const basePressure = 100 + Math.random() * 50;
-    
-    for (let i = 0; i < days * 24; i++) { // Hourly data
-      const timestamp = new Date(Date.now() - (days * 24 - i) * 60 * 60 * 1000);
-      
-      // Add some realistic patterns and anomalies
-      const temp = baseTemp + Math.sin(i / 24) * 5 + Math.random() * 3;
-      const vibration = baseVibration + Math.sin(i / 12) * 0.3 + Math.random() * 0.1;
-      const pressure = basePressure + Math.cos(i / 6) * 10 + Math.random() * 5;
-      const current = 15 + Math.sin(i / 8) * 3 + Math.random() * 2;
-      
-      // Calculate failure probability based on sensor readings
-      const tempScore = Math.max(0, (temp - 90) / 20);
-      const vibrationScore = Math.max(0, (vibration - 2) / 1);
-      const pressureScore = Math.max(0, Math.abs(pressure - 125) / 25);
-      
-      const failureRisk = Math.min(1, (tempScore + vibrationScore + pressureScore) / 3);
-      
-      data.push({
-        equipmentId,
-        timestamp: timestamp.toISOString(),
-        temperature: parseFloat(temp.toFixed(2)),
-        vibration: parseFloat(vibration.toFixed(3)),
-        pressure: parseFloat(pressure.toFixed(1)),
-        current: parseFloat(current.toFixed(2)),
-        operatingHours: i + Math.random() * 1000,
-        failureRisk: parseFloat(failureRisk.toFixed(3)),
-        maintenance_needed: failureRisk > 0.7 ? 1 : 0
-      });
-    }
-    return data;
+  // Prepare labelled samples for the ML model
+  const prepareMLData = (samples) => ({
+    features: tf.tensor2d(samples.map(sample => sample.features)),
+    labels: tf.tensor1d(samples.map(sample => sample.label))
+  });
+
+  const isTraining = trainingJob !== null && ['queued', 'running'].includes(trainingJob.status);
+
+  // Helper function to add an epoch's logs to the run on screen
+  const recordEpoch = (entry) => setTrainingJob(job => ({
+    ...job,
+    progress: entry.progress,
+    history: [...job.history.filter(previous => previous.epoch !== entry.epoch), entry]
+  }));
+
+  // Helper function to put a finished run at the top of the history
+  const recordFinishedJob = (job) => setTrainingJobs(jobs => [job, ...jobs.filter(previous => previous.id !== job.id)]);
+
+  // Server runs come from the backend; browser runs only live in this page
+  const loadTrainingJobs = async () => {
+    const result = await snowflakeAPI.getTrainingJobs();
+    if (!result.success) return;
+
+    const serverJobs = result.jobs.map(job => ({ ...job, location: 'server' }));
+    setTrainingJobs(jobs => [...jobs.filter(job => job.location === 'browser'), ...serverJobs]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
   };
 
-  // Generate training data for multiple equipment
-  const generateTrainingData = () => {
-    const equipmentTypes = ['GEN-001', 'PMP-002', 'COM-003', 'MIX-004', 'GEN-005'];
-    let allData = [];
-    
-    equipmentTypes.forEach(eq => {
-      const data = generateSensorData(eq, 90); // 90 days of data
-      allData = allData.concat(data);
+  // Helper function to show a model's validation metrics (fractions) in the metrics grid
+  const showModelMetrics = (metrics) => {
+    const toPercent = (value) => (value * 100).toFixed(1);
+    setModelMetrics({
+      accuracy: toPercent(metrics.accuracy),
+      precision: toPercent(metrics.precision),
+      recall: toPercent(metrics.recall),
+      f1Score: toPercent(metrics.f1Score)
     });
-    
-    return allData;
   };
 
-  // Prepare data for ML model
-  const prepareMLData = (rawData) => {
-    // Feature engineering
-    const features = rawData.map(record => [
-      record.temperature / 100, // Normalize
-      record.vibration / 3,
-      record.pressure / 200,
-      record.current / 30,
-      Math.sin(2 * Math.PI * new Date(record.timestamp).getHours() / 24), // Time features
-      Math.cos(2 * Math.PI * new Date(record.timestamp).getHours() / 24),
-      record.operatingHours / 10000
-    ]);
-    
-    const labels = rawData.map(record => record.maintenance_needed);
-    
+  // Helper function to make a model (and its remaining-life network, if any) the page's model:
+  // show its metrics, keep it in the browser for the next visit and score the fleet with it.
+  // The networks it replaces are disposed, unless they also score an equipment category.
+  const activateModel = async (model, info, { save = true, remainingLifeModel = null } = {}) => {
+    const replaced = activeModels.current;
+    activeModels.current = { model, lifeModel: remainingLifeModel };
+    // Runs still scoring with the replaced networks are dropped
+    predictionRun.current += 1;
+    const inUse = Object.values(categoryModels.current).flatMap(entry => [entry.model, entry.lifeModel]).concat([model, remainingLifeModel]);
+    tf.dispose([replaced.model, replaced.lifeModel].filter(network => network && !inUse.includes(network)));
+
+    setMlModel(model);
+    setLifeModel(remainingLifeModel);
+    setMlModelInfo(info);
+    if (info.metrics) showModelMetrics(info.metrics);
+    if (save) {
+      try {
+        await modelStorage.save(model, info, remainingLifeModel);
+      } catch (error) {
+        console.error('❌ Could not save the model in the browser:', error);
+      }
+    }
+  };
+
+  // Bring back the model from the last visit; resolves with { model, info, lifeModel }, or null
+  const restoreSavedModel = async () => {
+    const saved = await modelStorage.load();
+    if (!saved) return null;
+    await activateModel(saved.model, saved.info, { save: false, remainingLifeModel: saved.lifeModel });
+    return saved;
+  };
+
+  // Helper function to load a registered model and its remaining-life network into the page
+  const loadRegisteredModel = async (entry) => {
+    const { artifact, featureScales, attributionBaseline, remainingLifeArtifact } = await snowflakeAPI.getModelArtifact(entry.modelId);
     return {
-      features: tf.tensor2d(features),
-      labels: tf.tensor1d(labels)
+      model: await tf.loadLayersModel(tf.io.fromMemory(artifact)),
+      lifeModel: remainingLifeArtifact ? await tf.loadLayersModel(tf.io.fromMemory(remainingLifeArtifact)) : null,
+      info: {
+        source: 'registry',
+        modelId: entry.modelId,
+        version: entry.version,
+        category: entry.category,
+        metrics: entry.metrics,
+        trainedAt: entry.createdAt,
+        ...(featureScales && { featureScales }),
+        ...(attributionBaseline && { attributionBaseline })
+      }
     };
   };
 
-  // Create and train the predictive model
+  // Helper function to keep each equipment category's production model loaded, so it scores
+  // that category's equipment instead of the fleet model. Resolves with true when any changed.
+  const loadCategoryModels = async (production) => {
+    const loaded = categoryModels.current;
+    const next = {};
+    for (const [category, entry] of Object.entries(production)) {
+      if (category === 'ALL') continue;
+      if (loaded[category]?.info.modelId === entry.modelId) {
+        next[category] = loaded[category];
+        continue;
+      }
+      try {
+        next[category] = await loadRegisteredModel(entry);
+        console.log(`✅ Loaded ${category} model ${entry.modelId} (v${entry.version})`);
+      } catch (error) {
+        console.error(`❌ Could not load the ${category} model:`, error);
+      }
+    }
+
+    const replaced = Object.keys(loaded).filter(category => loaded[category] !== next[category]);
+    replaced.forEach(category => tf.dispose([loaded[category].model, loaded[category].lifeModel].filter(Boolean)));
+    categoryModels.current = next;
+    return replaced.length > 0 || Object.keys(next).some(category => !loaded[category]);
+  };
+
+  // Load the registry and run its production models in the page, so predictions use the
+  // promoted versions: each category's model for its equipment, the fleet model for the rest.
+  // A model trained here or imported from a file is only replaced when `force` is set, i.e.
+  // after the user changed the production model; until then it scores all equipment.
+  const loadModelRegistry = async ({ force = false, current = { model: mlModel, info: mlModelInfo, lifeModel } } = {}) => {
+    const registry = await snowflakeAPI.getModelRegistry();
+    if (!registry.success) return;
+    setModelRegistry({ models: registry.models, promotions: registry.promotions, production: registry.production, categories: registry.categories || [] });
+    if (await loadCategoryModels(registry.production)) setCategoryModelsVersion(version => version + 1);
+
+    const production = registry.production.ALL;
+    const keepCurrent = !production || production.modelId === current.info?.modelId ||
+      (current.info && current.info.source !== 'registry' && !force);
+    if (keepCurrent) return;
+
+    try {
+      const { model, info, lifeModel: remainingLifeModel } = await loadRegisteredModel(production);
+      setServerModel({
+        modelId: production.modelId,
+        version: production.version,
+        stage: production.stage,
+        trainedAt: production.createdAt,
+        dataSource: registry.dataSource
+      });
+      await activateModel(model, info, { remainingLifeModel });
+      console.log(`✅ Loaded production model ${production.modelId} (v${production.version})`);
+    } catch (error) {
+      console.error('❌ Could not load the production model:', error);
+    }
+  };
+
+  const promoteModel = async (modelId) => {
+    setRegistryBusy(true);
+    const result = await snowflakeAPI.promoteModel(modelId);
+    if (!result.success) alert(`Could not promote model: ${result.message}`);
+    await loadModelRegistry({ force: result.success });
+    setRegistryBusy(false);
+  };
+
+  const rollbackModel = async (category) => {
+    setRegistryBusy(true);
+    const result = await snowflakeAPI.rollbackModel(category);
+    if (!result.success) alert(`Could not roll back: ${result.message}`);
+    await loadModelRegistry({ force: result.success });
+    setRegistryBusy(false);
+  };
+
+  // Report this model's predictions with cut-offs chosen on its evaluation curves from now on
+  const applyRiskThresholds = async (riskThresholds) => {
+    await activateModel(mlModel, { ...mlModelInfo, riskThresholds }, { remainingLifeModel: lifeModel });
+  };
+
+  const downloadModel = async () => {
+    try {
+      await modelStorage.download(mlModel, mlModelInfo, lifeModel, mlModelInfo?.modelId || `multiquip-failure-model-${new Date().toISOString().slice(0, 10)}`);
+    } catch (error) {
+      console.error('❌ Model download failed:', error);
+      alert(`Could not download the model: ${error.message}`);
+    }
+  };
+
+  // Load a bundle saved with downloadModel, e.g. on another machine
+  const uploadModel = async (event) => {
+    const { files } = event.target;
+    try {
+      const { model, info, lifeModel: remainingLifeModel } = await modelStorage.upload(files);
+      await activateModel(model, info, { remainingLifeModel });
+      console.log(`✅ Imported model from ${info.fileName}`);
+    } catch (error) {
+      console.error('❌ Model upload failed:', error);
+      alert(`Could not load the model: ${error.message}`);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  // Load the selected sites' hourly sensor history and label it from their breakdowns and
+  // corrective work orders, the same way the server trainer labels stored history. Training
+  // learns from a balanced split of the older hours and is measured on the most recent ones.
+  const loadTrainingDataset = async () => {
+    const sites = trainingSites ?? dashboardData.jobSites.map(site => site.name);
+    const days = trainingDays;
+    setTrainingDataset({ status: 'loading', loaded: 0, total: 0 });
+
+    try {
+      const siteEquipment = await Promise.all(sites.map(site => snowflakeAPI.getEquipmentData(site)));
+      const equipmentIds = siteEquipment.flatMap(data => (data.equipment || []).map(equipment => equipment.EQUIPMENT_ID));
+      if (equipmentIds.length === 0) throw new Error('The selected sites have no equipment');
+
+      // A few machines per request: each history is up to days * 24 readings. Machines whose
+      // history came back simulated are listed in the summary rather than trained on silently.
+      const readings = [];
+      const mockedEquipment = [];
+      for (let start = 0; start < equipmentIds.length; start += TRAINING_BATCH_EQUIPMENT) {
+        const batch = equipmentIds.slice(start, start + TRAINING_BATCH_EQUIPMENT);
+        const { sensorData = {}, dataSource } = await snowflakeAPI.getSensorDataBatch(batch, days);
+        if (isMockDataSource(dataSource)) mockedEquipment.push(...batch);
+        batch.forEach(equipmentId => (sensorData[equipmentId] || []).forEach(reading => readings.push({ ...reading, equipmentId })));
+        setTrainingDataset({ status: 'loading', loaded: start + batch.length, total: equipmentIds.length });
+      }
+      const history = await snowflakeAPI.getFailureHistory(equipmentIds, days);
+
+      const samples = buildTrainingSet({ readings, failures: history.failures }, { horizonDays: LABEL_HORIZON_DAYS });
+      const { train, validation, cutoff } = splitByTime(samples);
+      const balanced = balanceSamples(train);
+      // Remaining-life samples: hours whose time to the next failure is known
+      const life = splitByTime(buildRemainingLifeSet({ readings, failures: history.failures }));
+
+      setTrainingDataset({
+        status: 'ready',
+        train: balanced,
+        validation,
+        life,
+        summary: {
+          sites,
+          days,
+          horizonDays: LABEL_HORIZON_DAYS,
+          equipment: equipmentIds.length,
+          readings: readings.length,
+          workOrders: history.failures.length,
+          cutoff,
+          // 'mixed' when only some machines' readings were simulated
+          dataSource: mockedEquipment.length === 0 ? history.dataSource : mockedEquipment.length === equipmentIds.length ? 'mock' : 'mixed',
+          mockedEquipment,
+          train: describeSamples(train),
+          balanced: describeSamples(balanced),
+          validation: describeSamples(validation),
+          remainingLife: { train: describeSamples(life.train), validation: describeSamples(life.validation) }
+        }
+      });
+      console.log(`✅ Training history loaded: ${samples.length} samples from ${equipmentIds.length} equipment`);
+    } catch (error) {
+      console.error('❌ Could not load training history:', error);
+      setTrainingDataset({ status: 'failed', error: error.message });
+    }
+  };
+
+  // Helper function to train the remaining-life network on the dataset's observed lives.
+  // Resolves with { model, metrics }, or null when there are too few lives or training was cancelled.
+  const trainRemainingLifeModel = async ({ train, validation }, epochs) => {
+    if (train.length < 50 || validation.length < 2) {
+      console.log(`⚠️ Skipping the remaining-life model: ${train.length} observed lives`);
+      return null;
+    }
+
+    const model = createRemainingLifeModel(tf);
+    const xs = tf.tensor2d(train.map(sample => sample.features));
+    const ys = tf.tensor2d(train.map(sample => [sample.days / MAX_LIFE_DAYS]));
+    const validationXs = tf.tensor2d(validation.map(sample => sample.features));
+
+    try {
+      console.log('⏳ Training the remaining-life model...');
+      await model.fit(xs, ys, {
+        epochs,
+        batchSize: 32,
+        callbacks: {
+          onEpochEnd: () => {
+            if (browserCancelRequested.current) model.stopTraining = true;
+          }
+        }
+      });
+      if (browserCancelRequested.current) {
+        model.dispose();
+        return null;
+      }
+
+      const output = model.predict(validationXs);
+      const predictedDays = Array.from(await output.data()).map(fraction => fraction * MAX_LIFE_DAYS);
+      output.dispose();
+      return { model, metrics: evaluateRemainingLife(validation.map(sample => sample.days), predictedDays) };
+    } finally {
+      tf.dispose([xs, ys, validationXs]);
+    }
+  };
+
+  // Create and train the predictive model on the loaded dataset
   const trainPredictiveModel = async () => {
-    setIsTraining(true);
-    setTrainingProgress(0);
+    const epochs = 20;
+    const { train, validation, life, summary } = trainingDataset;
+    const startedAt = new Date().toISOString();
+    let job = {
+      id: `browser-${Date.now().toString(36)}`,
+      location: 'browser',
+      status: 'running',
+      params: { epochs, batchSize: 32, sites: summary.sites.length, days: summary.days, samples: train.length, heldOut: validation.length },
+      progress: 0,
+      history: [],
+      result: null,
+      error: null,
+      createdAt: startedAt,
+      startedAt
+    };
+    browserCancelRequested.current = false;
+    setTrainingJob(job);
     
+    const { features, labels } = prepareMLData(train);
+    const heldOut = prepareMLData(validation);
+    const model = createFailureModel(tf);
+
     try {
       console.log('🧠 Starting model training...');
       
-      // Generate training data
-      const trainingData = generateTrainingData();
-      const { features, labels } = prepareMLData(trainingData);
-      
-      setTrainingProgress(20);
-      
-      // Create neural network model
-      const model = tf.sequential({
-        layers: [
-          tf.layers.dense({
-            inputShape: [7], // 7 features
-            units: 64,
-            activation: 'relu'
-          }),
-          tf.layers.dropout({ rate: 0.3 }),
-          tf.layers.dense({
-            units: 32,
-            activation: 'relu'
-          }),
-          tf.layers.dropout({ rate: 0.2 }),
-          tf.layers.dense({
-            units: 16,
-            activation: 'relu'
-          }),
-          tf.layers.dense({
-            units: 1,
-            activation: 'sigmoid' // Binary classification
-          })
-        ]
-      });
-      
-      setTrainingProgress(40);
-      
-      // Compile model
-      model.compile({
-        optimizer: tf.train.adam(0.001),
-        loss: 'binaryCrossentropy',
-        metrics: ['accuracy']
-      });
-      
-      setTrainingProgress(60);
-      
-      // Train model with progress tracking
-      const history = await model.fit(features, labels, {
-        epochs: 20, // Reduced from 50 to prevent timeout
+      await model.fit(features, labels, {
+        epochs,
         batchSize: 32,
-        validationSplit: 0.2,
+        validationData: [heldOut.features, heldOut.labels],
         callbacks: {
           onEpochEnd: (epoch, logs) => {
-            const progress = 60 + (epoch / 20) * 30; // Adjusted calculation
-            setTrainingProgress(progress);
-            console.log(`Epoch ${epoch + 1}/20 - Loss: ${logs.loss.toFixed(4)}, Accuracy: ${logs.acc.toFixed(4)}`);
+            const entry = {
+              epoch: epoch + 1,
+              loss: logs.loss,
+              accuracy: logs.acc,
+              valLoss: logs.val_loss,
+              valAccuracy: logs.val_acc,
+              progress: Math.round((epoch + 1) / epochs * 100)
+            };
+            job.history.push(entry);
+            recordEpoch(entry);
+            console.log(`Epoch ${epoch + 1}/${epochs} - Loss: ${logs.loss.toFixed(4)}, Accuracy: ${logs.acc.toFixed(4)}`);
+            if (browserCancelRequested.current) model.stopTraining = true;
           }
         }
       });
-      
-      setTrainingProgress(95);
-      
-      // Calculate final metrics
-      const finalAccuracy = history.history.val_accuracy?.[history.history.val_accuracy.length - 1] || 
-                           history.history.accuracy?.[history.history.accuracy.length - 1] || 0.9;
-      
-      setModelMetrics({
-        accuracy: (finalAccuracy * 100).toFixed(1),
-        precision: (85 + Math.random() * 10).toFixed(1),
-        recall: (82 + Math.random() * 8).toFixed(1),
-        f1Score: (83 + Math.random() * 7).toFixed(1)
-      });
-      
-      setMlModel(model);
-      
-      // Small delay to show 95% progress
-      await new Promise(resolve => setTimeout(resolve, 500));
-      setTrainingProgress(100);
-      
-      // Generate initial predictions
-      await generateMLPredictions(model);
-      
-      console.log('✅ Model training completed successfully');
-      
+
+      if (browserCancelRequested.current) {
+        job = { ...job, status: 'cancelled' };
+        model.dispose();
+        console.log('🛑 Model training cancelled');
+      } else {
+        const output = model.predict(heldOut.features);
+        const probabilities = Array.from(await output.data());
+        output.dispose();
+        const metrics = evaluateClassifier(validation.map(sample => sample.label), probabilities);
+        const remainingLife = await trainRemainingLifeModel(life, epochs);
+        if (remainingLife) metrics.remainingLife = remainingLife.metrics;
+        const { accuracy, precision, recall, f1Score, rocAuc } = metrics;
+        job = { ...job, status: 'completed', progress: 100, result: { metrics: { accuracy, precision, recall, f1Score, rocAuc } } };
+
+        // Keep the model and generate initial predictions
+        const info = {
+          source: 'browser',
+          metrics,
+          dataset: summary,
+          trainedAt: new Date().toISOString(),
+          // Predictions are explained against the average healthy hour of the training split
+          attributionBaseline: attributionBaselineFor(train)
+        };
+        await activateModel(model, info, {
+          remainingLifeModel: remainingLife?.model ?? null
+        });
+        console.log('✅ Model training completed successfully');
+      }
+    } catch (error) {
+      console.error('❌ Model training failed:', error);
+      job = { ...job, status: 'failed', error: error.message };
+      model.dispose();
+    } finally {
       // Clean up tensors to prevent memory leaks
       features.dispose();
       labels.dispose();
-      
+      heldOut.features.dispose();
+      heldOut.labels.dispose();
+
+      const finishedAt = new Date().toISOString();
+      const finished = { ...job, history: [...job.history], finishedAt, durationMs: new Date(finishedAt) - new Date(startedAt) };
+      setTrainingJob(finished);
+      recordFinishedJob(finished);
+    }
+  };
+
+  // Train on the backend, which learns from stored readings and work orders and reports
+  // metrics measured on hours the model never saw. Progress streams in epoch by epoch.
+  const trainServerModel = async () => {
+    const submitted = await snowflakeAPI.startTrainingJob({ category: serverTrainingCategory });
+    if (!submitted.success) {
+      alert(`Server training failed: ${submitted.message}`);
+      return;
+    }
+    setTrainingJob({ ...submitted.job, location: 'server' });
+
+    try {
+      const job = await snowflakeAPI.streamTrainingJob(submitted.job.id, ({ type, data }) => {
+        if (type === 'epoch') recordEpoch(data);
+        else setTrainingJob({ ...data, location: 'server' });
+      });
+
+      if (job?.status === 'completed') {
+        showModelMetrics(job.result.metrics);
+        setServerModel({
+          modelId: job.result.modelId,
+          version: job.result.version,
+          stage: job.result.stage,
+          trainedAt: job.result.trainedAt,
+          dataset: job.result.dataset,
+          dataSource: job.dataSource
+        });
+        await loadModelRegistry({ force: job.result.stage === 'PRODUCTION' });
+      } else if (job?.status === 'failed') {
+        alert(`Server training failed: ${job.error}`);
+      }
     } catch (error) {
-      console.error('❌ Model training failed:', error);
-      alert(`Training failed: ${error.message}`);
+      console.error('❌ Server model training failed:', error);
+      setTrainingJob(current => ({ ...current, status: 'failed', error: error.message }));
     } finally {
-      // Reset training state after a short delay
-      setTimeout(() => {
-        setIsTraining(false);
-        setTrainingProgress(0);
-      }, 1000);
+      loadTrainingJobs();
     }
   };
 
-  // Generate predictions for current equipment
-  const generateMLPredictions = async (trainedModel = mlModel) => {
-    if (!trainedModel) return;
-    
+  const cancelTraining = async () => {
+    if (!trainingJob) return;
+    if (trainingJob.location === 'browser') {
+      browserCancelRequested.current = true;
+      return;
+    }
+
+    const result = await snowflakeAPI.cancelTrainingJob(trainingJob.id);
+    if (!result.success) alert(`Could not cancel training: ${result.message}`);
+  };
+
+  // Helper function to estimate remaining life from a machine's last day of readings, or null
+  // without a remaining-life network
+  const estimateRemainingLife = async (trainedLifeModel, modelInfo, recentData) => {
+    const lifeMetrics = modelInfo?.metrics?.remainingLife;
+    const window = latestWindow(recentData);
+    const features = trainedLifeModel && lifeMetrics && toRemainingLifeFeatures(window, modelInfo.featureScales);
+    if (!features) return null;
+
+    const input = tf.tensor2d([features]);
+    const output = trainedLifeModel.predict(input);
+    const [fraction] = await output.data();
+    tf.dispose([input, output]);
+    return toRemainingLife(fraction, lifeMetrics, windowUtilization(window));
+  };
+
+  // Score every job site's equipment on its latest stored readings
+  const generateMLPredictions = async () => {
+    if (!mlModel || fleetEquipment.length === 0) return;
+    const run = ++predictionRun.current;
+
     try {
-      const currentEquipment = ['GEN-234', 'PMP-156', 'COM-789', 'MIX-445', 'GEN-567'];
+      const fleetModel = { model: mlModel, info: mlModelInfo, lifeModel };
+      const machines = fleetEquipment.map(equipment => ({
+        equipment,
+        // Registry models hand each machine to its category's production model, if it has one
+        scoring: (mlModelInfo?.source === 'registry' && categoryModels.current[equipment.CATEGORY_NAME]) || fleetModel
+      }));
+      const { snapshots = {} } = await snowflakeAPI.getLatestReadings(fleetEquipment.map(equipment => equipment.EQUIPMENT_ID));
+      // Remaining-life networks read the machine's last day of readings, plus an hour since the
+      // current one may not have reported yet
+      // current one may not have reported yet. One request covers every machine that needs them.
+      const lifeEquipmentIds = machines.filter(({ scoring }) => scoring.lifeModel).map(({ equipment }) => equipment.EQUIPMENT_ID);
+      const { sensorData: recentData = {} } = lifeEquipmentIds.length > 0
+        ? await snowflakeAPI.getSensorDataBatch(lifeEquipmentIds, (LIFE_WINDOW_HOURS + 1) / 24)
+        : {};
+      if (run !== predictionRun.current) return;
+
       const newPredictions = [];
-      
-      for (const equipmentId of currentEquipment) {
-        // Generate current sensor data
-        const recentData = generateSensorData(equipmentId, 1);
-        const latestReading = recentData[recentData.length - 1];
-        
-        // Prepare features for prediction
-        const features = tf.tensor2d([[
-          latestReading.temperature / 100,
-          latestReading.vibration / 3,
-          latestReading.pressure / 200,
-          latestReading.current / 30,
-          Math.sin(2 * Math.PI * new Date(latestReading.timestamp).getHours() / 24),
-          Math.cos(2 * Math.PI * new Date(latestReading.timestamp).getHours() / 24),
-          latestReading.operatingHours / 10000
-        ]]);
-        
-        // Make prediction
-        const prediction = await trainedModel.predict(features);
-        const failureProbability = await prediction.data();
-        
-        // Calculate days until maintenance
-        const riskLevel = failureProbability[0];
-        const daysUntilMaintenance = Math.max(1, Math.floor((1 - riskLevel) * 30));
-        
-        newPredictions.push({
+      for (const { equipment, scoring } of machines) {
+        const equipmentId = equipment.EQUIPMENT_ID;
+        const snapshot = snapshots[equipmentId];
+        const latestReading = snapshotReading(snapshot);
+        // Machines missing one of the model's inputs can't be scored
+        const featureVector = latestReading && toFailureFeatures(latestReading, scoring.info?.featureScales);
+        if (!featureVector) continue;
+
+        const features = tf.tensor2d([featureVector]);
+        const prediction = scoring.model.predict(features);
+        const [probability] = await prediction.data();
+        tf.dispose([features, prediction]);
+
+        const remainingLife = await estimateRemainingLife(scoring.lifeModel, scoring.info, recentData[equipmentId] || []);
+        // What moved the probability, for models saved with a baseline to compare against
+        const explanation = scoring.info?.attributionBaseline
+          ? await explainPrediction(tf, scoring.model, featureVector, scoring.info.attributionBaseline)
+          : null;
+        // Models without a remaining-life network only have the failure risk to go on
+        const daysUntilMaintenance = remainingLife ? daysUntilMaintenanceFor(remainingLife) : Math.max(1, Math.floor((1 - probability) * 30));
+        // Cut-offs chosen on the model's held-out curve, if any (see ModelEvaluationPanel)
+        const riskLevel = riskLevelFor(probability, scoring.info?.riskThresholds);
+
+        newPredictions.push(withSensorSnapshot({
           equipmentId,
-          failureProbability: (riskLevel * 100).toFixed(1),
-          riskLevel: riskLevel > 0.7 ? 'high' : riskLevel > 0.4 ? 'medium' : 'low',
+          category: equipment.CATEGORY_NAME,
+          failureProbability: (probability * 100).toFixed(1),
+          riskLevel,
           daysUntilMaintenance,
-          recommendedAction: riskLevel > 0.7 ? 'Schedule immediate maintenance' :
-                           riskLevel > 0.4 ? 'Plan maintenance within 2 weeks' :
+          remainingLife,
+          explanation,
+          recommendedAction: riskLevel === 'high' ? 'Schedule immediate maintenance' :
+                           riskLevel === 'medium' ? 'Plan maintenance within 2 weeks' :
                            'Continue normal operations',
-          sensors: {
-            temperature: latestReading.temperature,
-            vibration: latestReading.vibration,
-            pressure: latestReading.pressure,
-            current: latestReading.current
-          },
+          model: scoring.info?.version ? { modelId: scoring.info.modelId, version: scoring.info.version, category: scoring.info.category } : null,
           lastUpdated: new Date().toISOString()
-        });
-        
-        features.dispose();
-        prediction.dispose();
+        }, snapshot));
       }
-      
-      setMlPredictions(newPredictions);
-      
+
+      if (run === predictionRun.current) setMlPredictions(newPredictions);
     } catch (error) {
       console.error('❌ Prediction generation failed:', error);
     }
@@ -466,16 +1825,19 @@ const MultiquipPlatform = () => {
       // Test connection first
       const connectionTest = await snowflakeAPI.testConnection();
       setConnectionStatus(connectionTest.success ? 'connected' : 'error');
+      // Until someone signs in, the dashboard shows demo data
+      setShowLogin(snowflakeAPI.loginRequired);
       
       // Load dashboard data
       const data = await snowflakeAPI.getDashboardData();
       
-      // Transform the data for our UI
+      // Transform the data for our UI; metrics the backend couldn't load stay null
+      const metric = (value, digits) => (value === null ? null : Number(value || 0).toFixed(digits));
       setDashboardData({
-        totalEquipment: data.metrics?.TOTAL_EQUIPMENT || 0,
-        uptime: Number(data.metrics?.FLEET_UPTIME || 0).toFixed(1),
-        accuracy: Number(data.metrics?.AI_ACCURACY || 0).toFixed(1),
-        savings: Number(data.metrics?.COST_SAVINGS || 0).toFixed(1),
+        totalEquipment: metric(data.metrics?.TOTAL_EQUIPMENT, 0),
+        uptime: metric(data.metrics?.FLEET_UPTIME, 1),
+        accuracy: metric(data.metrics?.AI_ACCURACY, 1),
+        savings: metric(data.metrics?.COST_SAVINGS, 1),
         jobSites: data.jobSites?.map(site => ({
           name: site.SITE_NAME,
           equipment: site.EQUIPMENT_COUNT,
@@ -501,11 +1863,26 @@ const MultiquipPlatform = () => {
           site: alert.SITE_NAME,
           createdAt: alert.CREATED_AT
         })) || [],
-        maintenanceData: data.maintenance || {}
+        maintenanceData: data.maintenance || {},
+        sections: data.sections || {}
       });
       
       setLastUpdated(new Date());
       console.log('✅ Data loaded successfully from Snowflake');
+
+      // Load every job site's equipment, which the model scores, and check it for unusual
+      // behaviour. That needs no trained model: each machine's detector learns from its own history.
+      try {
+        const siteEquipment = await Promise.all((data.jobSites || []).map(site => snowflakeAPI.getEquipmentData(site.SITE_NAME)));
+        const equipment = siteEquipment.flatMap(siteData => siteData.equipment || []);
+        setFleetEquipment(equipment);
+
+        const equipmentSites = Object.fromEntries(equipment.map(machine => [machine.EQUIPMENT_ID, machine.SITE_NAME]));
+        const { anomalies: scored = [] } = await snowflakeAPI.getAnomalies(Object.keys(equipmentSites));
+        setAnomalies(scored.map(anomaly => ({ ...anomaly, site: equipmentSites[anomaly.equipmentId] })));
+      } catch (error) {
+        console.error('❌ Anomaly detection failed:', error);
+      }
       
     } catch (error) {
       console.error('❌ Error loading data from Snowflake:', error);
@@ -524,13 +1901,21 @@ const MultiquipPlatform = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // The model loaders of the latest render, for the effect below that runs them once
+  const modelLoaders = useRef(null);
+  modelLoaders.current = { restoreSavedModel, loadModelRegistry };
+
   useEffect(() => {
-    // Auto-refresh ML predictions every 5 minutes if model exists
-    if (mlModel) {
-      const interval = setInterval(() => generateMLPredictions(), 5 * 60 * 1000);
-      return () => clearInterval(interval);
-    }
-  }, [mlModel]);
+    loadTrainingJobs();
+    const { restoreSavedModel: restore, loadModelRegistry: loadRegistry } = modelLoaders.current;
+    restore().then(restored => loadRegistry({ current: restored || {} }));
+  }, []);
+
+  // Score the fleet whenever the model or the equipment changes. The equipment is reloaded with
+  // the dashboard every 5 minutes, so the predictions follow the latest readings.
+  useEffect(() => {
+    generateMLPredictions();
+  }, [mlModel, mlModelInfo, lifeModel, fleetEquipment, categoryModelsVersion]);
 
   // Connection Status Component
   const ConnectionStatus = () => {
@@ -587,6 +1972,13 @@ const MultiquipPlatform = () => {
         </div>
         <div className="flex items-center space-x-4">
           <ConnectionStatus />
+          <button
+            onClick={() => setShowImportDialog(true)}
+            className="p-2 hover:bg-gray-700 rounded"
+            title="Import sensor history (CSV/Excel)"
+          >
+            <Upload className="h-5 w-5" />
+          </button>
           <button className="p-2 hover:bg-gray-700 rounded relative">
             <Bell className="h-5 w-5" />
             <span className="absolute -top-1 -right-1 bg-red-500 text-xs rounded-full h-4 w-4 flex items-center justify-center">
@@ -677,7 +2069,7 @@ const MultiquipPlatform = () => {
             <strong>🔗 {connectionStatus === 'connected' ? 'Live Snowflake Data' : 'Demo Data'}:</strong> 
             {connectionStatus === 'connected' ? 
               ' Equipment positions and status updated in real-time from Snowflake database.' :
-              ' Configure Snowflake credentials in .env file to see live data.'
+              ' Configure a Snowflake connection profile on the backend to see live data.'
             }
             {mlModel && <span className="ml-2">🧠 ML predictions active for maintenance forecasting.</span>}
           </p>
@@ -770,6 +2162,9 @@ const MultiquipPlatform = () => {
                     </p>
                     <p><span className="text-gray-600">Failure Risk:</span> {selectedEquipment.mlPrediction.failureProbability}%</p>
                     <p><span className="text-gray-600">Maintenance in:</span> {selectedEquipment.mlPrediction.daysUntilMaintenance} days</p>
+                    {selectedEquipment.mlPrediction.remainingLife && (
+                      <p className="text-xs text-gray-600">{formatRemainingLife(selectedEquipment.mlPrediction.remainingLife)}</p>
+                    )}
                   </div>
                 )}
               </div>
@@ -813,6 +2208,17 @@ const MultiquipPlatform = () => {
     );
   };
 
+// Shown in place of a dashboard widget whose backend query failed
+const SectionUnavailable = ({ section, label }) => (section?.status === 'unavailable' ? (
+  <div className="flex items-center space-x-2 p-3 bg-gray-50 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600">
+    <AlertTriangle className="h-4 w-4 text-gray-400" />
+    <span>{label} unavailable - the data source did not return this section. Other widgets are unaffected.</span>
+  </div>
+) : null);
+
+// Helper function to show a KPI value, or a dash when its query failed
+const formatKpi = (value, prefix = '', suffix = '') => (value === null ? '—' : `${prefix}${value}${suffix}`);
+
 // Move JobSiteOverview outside of DashboardModule
 // Place this BEFORE the DashboardModule definition
 
@@ -834,6 +2240,8 @@ const JobSiteOverview = ({ dashboardData, connectionStatus, mlModel, setActiveMo
         </button>
       </div>
 
+      <SectionUnavailable section={dashboardData.sections.jobSites} label="Job site data" />
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {dashboardData.jobSites.map((site, index) => (
           <div key={index} className="border rounded-lg p-4">
@@ -895,7 +2303,7 @@ const DashboardModule = () => (
       <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
         <div className="flex items-center space-x-2">
           <AlertTriangle className="h-4 w-4 text-yellow-600" />
-          <span className="text-yellow-800">⚠️ Demo Mode - Update .env with Snowflake credentials</span>
+          <span className="text-yellow-800">⚠️ Demo Mode - Unset REACT_APP_USE_MOCK_DATA to load live data from the backend</span>
         </div>
       </div>
     )}
@@ -906,8 +2314,8 @@ const DashboardModule = () => (
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-gray-600">Total Equipment</p>
-            <p className="text-2xl font-bold text-gray-900">{dashboardData.totalEquipment}</p>
-            <p className="text-xs text-gray-500">From Snowflake DB</p>
+            <p className="text-2xl font-bold text-gray-900">{formatKpi(dashboardData.totalEquipment)}</p>
+            <p className="text-xs text-gray-500">{dashboardData.totalEquipment === null ? 'Unavailable' : 'From Snowflake DB'}</p>
           </div>
           <Activity className="h-12 w-12 text-blue-600" />
         </div>
@@ -917,8 +2325,8 @@ const DashboardModule = () => (
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-gray-600">Fleet Uptime</p>
-            <p className="text-2xl font-bold text-gray-900">{dashboardData.uptime}%</p>
-            <p className="text-xs text-gray-500">Real-time average</p>
+            <p className="text-2xl font-bold text-gray-900">{formatKpi(dashboardData.uptime, '', '%')}</p>
+            <p className="text-xs text-gray-500">{dashboardData.uptime === null ? 'Unavailable' : 'Real-time average'}</p>
           </div>
           <CheckCircle className="h-12 w-12 text-green-600" />
         </div>
@@ -928,7 +2336,7 @@ const DashboardModule = () => (
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-gray-600">ML Accuracy</p>
-            <p className="text-2xl font-bold text-gray-900">{modelMetrics.accuracy || dashboardData.accuracy}%</p>
+            <p className="text-2xl font-bold text-gray-900">{formatKpi(modelMetrics.accuracy || dashboardData.accuracy, '', '%')}</p>
             <p className="text-xs text-gray-500">{mlModel ? 'Live ML Model' : 'ML Performance'}</p>
           </div>
           <Brain className="h-12 w-12 text-purple-600" />
@@ -939,8 +2347,8 @@ const DashboardModule = () => (
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-gray-600">Cost Savings</p>
-            <p className="text-2xl font-bold text-gray-900">${dashboardData.savings}M</p>
-            <p className="text-xs text-gray-500">YTD from DB</p>
+            <p className="text-2xl font-bold text-gray-900">{formatKpi(dashboardData.savings, '$', 'M')}</p>
+            <p className="text-xs text-gray-500">{dashboardData.savings === null ? 'Unavailable' : 'YTD from DB'}</p>
           </div>
           <DollarSign className="h-12 w-12 text-green-600" />
         </div>
@@ -961,13 +2369,42 @@ const DashboardModule = () => (
         </div>
         <div className="flex space-x-2">
           <button
-            onClick={trainPredictiveModel}
+            onClick={() => setShowTrainingSetup(true)}
             disabled={isTraining}
             className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
           >
-            {isTraining ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
-            <span>{isTraining ? 'Training...' : mlModel ? 'Retrain Model' : 'Train Model'}</span>
+            {isTraining && trainingJob.location === 'browser' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+            <span>{isTraining && trainingJob.location === 'browser' ? 'Training...' : mlModel ? 'Retrain Model' : 'Train Model'}</span>
           </button>
+          {modelRegistry.categories.length > 0 && (
+            <select
+              value={serverTrainingCategory}
+              onChange={(e) => setServerTrainingCategory(e.target.value)}
+              disabled={isTraining}
+              title="Train the fleet model, or a model for one equipment category"
+              className="border rounded px-2 py-2 text-sm"
+            >
+              <option value="ALL">Fleet model</option>
+              {modelRegistry.categories.map(category => <option key={category} value={category}>{category} model</option>)}
+            </select>
+          )}
+          <button
+            onClick={trainServerModel}
+            disabled={isTraining}
+            className="flex items-center space-x-2 px-4 py-2 bg-gray-800 text-white rounded hover:bg-gray-900 disabled:opacity-50"
+          >
+            {isTraining && trainingJob.location === 'server' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Database className="h-4 w-4" />}
+            <span>{isTraining && trainingJob.location === 'server' ? 'Training on Server...' : 'Train on Server'}</span>
+          </button>
+          {isTraining && (
+            <button
+              onClick={cancelTraining}
+              className="flex items-center space-x-2 px-4 py-2 border border-red-300 text-red-700 rounded hover:bg-red-50"
+            >
+              <Pause className="h-4 w-4" />
+              <span>Cancel</span>
+            </button>
+          )}
           {mlModel && (
             <button
               onClick={() => generateMLPredictions()}
@@ -977,28 +2414,49 @@ const DashboardModule = () => (
               <span>Refresh Predictions</span>
             </button>
           )}
+          {mlModel && (
+            <button
+              onClick={downloadModel}
+              title="Save the model and its feature scales as a .json and .weights.bin file (plus a -remaining-life pair when it has one)"
+              className="flex items-center space-x-2 px-4 py-2 border rounded hover:bg-gray-50"
+            >
+              <Download className="h-4 w-4" />
+              <span>Download</span>
+            </button>
+          )}
+          <button
+            onClick={() => modelFileInput.current.click()}
+            disabled={isTraining}
+            title="Load a model downloaded from this app: pick all of its .json and .weights.bin files together"
+            className="flex items-center space-x-2 px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Upload</span>
+          </button>
+          <input ref={modelFileInput} type="file" accept=".json,.bin" multiple className="hidden" onChange={uploadModel} />
         </div>
       </div>
 
-      {isTraining && (
-        <div className="mb-4">
-          <div className="flex items-center justify-between mb-2">
-            <span className="text-sm text-gray-600">Training Progress</span>
-            <span className="text-sm text-gray-600">{trainingProgress.toFixed(0)}%</span>
-          </div>
-          <div className="w-full bg-gray-200 rounded-full h-2">
-            <div 
-              className="bg-purple-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${trainingProgress}%` }}
-            />
-          </div>
-          <p className="text-xs text-gray-500 mt-1">
-            Training neural network on 90 days of sensor data...
-          </p>
-        </div>
+      {showTrainingSetup && (
+        <TrainingDatasetPanel
+          sites={dashboardData.jobSites.map(site => site.name)}
+          selectedSites={trainingSites}
+          onSelectSites={setTrainingSites}
+          days={trainingDays}
+          onSelectDays={setTrainingDays}
+          dataset={trainingDataset}
+          onLoad={loadTrainingDataset}
+          onTrain={() => {
+            setShowTrainingSetup(false);
+            trainPredictiveModel();
+          }}
+          onClose={() => setShowTrainingSetup(false)}
+        />
       )}
 
-      {mlModel && (
+      {trainingJob && <TrainingJobProgress job={trainingJob} />}
+
+      {(mlModel || serverModel) && (
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
           <div className="text-center p-3 bg-blue-50 rounded">
             <p className="text-2xl font-bold text-blue-600">{modelMetrics.accuracy}%</p>
@@ -1019,12 +2477,55 @@ const DashboardModule = () => (
         </div>
       )}
 
-      {!mlModel && !isTraining && (
+      {mlModelInfo && (
+        <p className="text-xs text-gray-500 mt-2">
+          Predicting with {
+            mlModelInfo.source === 'registry' ? `fleet model v${mlModelInfo.version}` :
+            mlModelInfo.source === 'file' ? `the model from ${mlModelInfo.fileName}` :
+            'the model trained in this browser'
+          }{mlModelInfo.trainedAt && ` (trained ${new Date(mlModelInfo.trainedAt).toLocaleString()})`}
+          {mlModelInfo.dataset && ` on ${mlModelInfo.dataset.days} days of ${mlModelInfo.dataset.equipment} machines`}; kept in this browser between visits
+        </p>
+      )}
+
+      {mlModelInfo?.metrics?.remainingLife && (
+        <p className="text-xs text-gray-500 mt-1">
+          Remaining life: off by {mlModelInfo.metrics.remainingLife.meanAbsoluteError.toFixed(1)} days on average on held-out hours;
+          its {Math.round(mlModelInfo.metrics.remainingLife.targetCoverage * 100)}% intervals held {formatPercent(mlModelInfo.metrics.remainingLife.intervalCoverage)} of them
+          {!lifeModel && ' (not loaded in this browser)'}
+        </p>
+      )}
+
+      {serverModel && (
+        <div className="mt-4 p-3 bg-gray-50 rounded text-sm text-gray-700">
+          <p className="font-medium">
+            {serverModel.modelId || 'Server model'}{serverModel.version && ` v${serverModel.version}`} trained {new Date(serverModel.trainedAt).toLocaleString()} ({serverModel.dataSource})
+            {serverModel.stage && (
+              <span className={`ml-2 px-2 py-0.5 rounded text-xs ${MODEL_STAGE_STYLES[serverModel.stage]}`}>{serverModel.stage.toLowerCase()}</span>
+            )}
+          </p>
+          {serverModel.dataset && (
+            <p className="text-xs text-gray-600 mt-1">
+              {serverModel.dataset.train.samples.toLocaleString()} training hours ({serverModel.dataset.train.failures} within {serverModel.dataset.horizonDays} days of a breakdown)
+              {' '}from {serverModel.dataset.train.equipment} machines; validated on {serverModel.dataset.validation.samples.toLocaleString()} hours
+              {' '}since {new Date(serverModel.dataset.validationFrom).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+      )}
+
+      {!mlModel && !serverModel && !isTraining && (
         <div className="text-center py-8 text-gray-500">
           <Brain className="h-12 w-12 mx-auto mb-2 text-gray-400" />
-          <p>No ML model trained yet. Click "Train Model" to start predictive maintenance.</p>
+          <p>No ML model trained yet. Click "Train Model" to start predictive maintenance, or "Upload" a model downloaded earlier.</p>
         </div>
       )}
+
+      {trainingJobs.length > 0 && <TrainingJobHistory jobs={trainingJobs} />}
+
+      {modelRegistry.models.length > 0 && (
+        <ModelRegistryPanel registry={modelRegistry} busy={registryBusy || isTraining} onPromote={promoteModel} onRollback={rollbackModel} />
+      )}
     </div>
 
     {/* ML Predictions Section */}
@@ -1034,7 +2535,7 @@ const DashboardModule = () => (
           <div>
             <h3 className="text-lg font-semibold">🧠 AI Maintenance Predictions</h3>
             <p className="text-sm text-gray-600">
-              Real-time failure risk analysis for equipment fleet
+              The {Math.min(10, mlPredictions.length)} highest failure risks of {mlPredictions.length} machines scored
             </p>
           </div>
           <div className="flex items-center space-x-2 text-sm text-gray-600">
@@ -1044,12 +2545,17 @@ const DashboardModule = () => (
         </div>
 
         <div className="space-y-3">
-          {mlPredictions.map((prediction) => (
+          {[...mlPredictions]
+            .sort((a, b) => b.failureProbability - a.failureProbability)
+            .slice(0, 10)
+            .map((prediction) => (
             <div key={prediction.equipmentId} className="border rounded-lg p-4">
               <div className="grid grid-cols-1 md:grid-cols-6 gap-4 items-center">
                 <div>
                   <h4 className="font-medium">{prediction.equipmentId}</h4>
-                  <p className="text-sm text-gray-600">Equipment ID</p>
+                  <p className="text-sm text-gray-600">
+                    Equipment ID{prediction.model?.version && ` · ${prediction.model.category && prediction.model.category !== 'ALL' ? prediction.model.category : 'Fleet'} model v${prediction.model.version}`}
+                  </p>
                 </div>
                 
                 <div className="text-center">
@@ -1071,6 +2577,11 @@ const DashboardModule = () => (
                 <div className="text-center">
                   <p className="text-lg font-bold">{prediction.daysUntilMaintenance}</p>
                   <p className="text-xs text-gray-600">Days to Maintenance</p>
+                  {prediction.remainingLife && (
+                    <p className="text-xs text-gray-500" title={`${Math.round(prediction.remainingLife.coverage * 100)}% prediction interval`}>
+                      Life {Math.floor(prediction.remainingLife.daysLow)}–{Math.ceil(prediction.remainingLife.daysHigh)}{prediction.remainingLife.capped && '+'} days
+                    </p>
+                  )}
                 </div>
                 
                 <div className="col-span-2">
@@ -1092,6 +2603,7 @@ const DashboardModule = () => (
     {/* Equipment Categories */}
     <div className="bg-white rounded-lg shadow p-6">
       <h3 className="text-lg font-semibold mb-4">Equipment Categories</h3>
+      <SectionUnavailable section={dashboardData.sections.categories} label="Equipment categories" />
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         {dashboardData.equipmentCategories.map((category, index) => {
           const Icon = category.icon;
@@ -1114,6 +2626,7 @@ const DashboardModule = () => (
     {/* Priority Alerts & Predictions */}
     <div className="bg-white rounded-lg shadow p-6">
       <h3 className="text-lg font-semibold mb-4">Priority Alerts & Predictions</h3>
+      <SectionUnavailable section={dashboardData.sections.alerts} label="Active alerts" />
       <div className="space-y-3">
         {[...dashboardData.alerts, ...mlPredictions
           .filter(p => p.riskLevel === 'high')
@@ -1206,6 +2719,9 @@ const DashboardModule = () => (
         </div>
 
         {/* Maintenance Statistics */}
+        <div className="mb-2">
+          <SectionUnavailable section={dashboardData.sections.maintenance} label="Work order statistics" />
+        </div>
         <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
           <div className="text-center p-4 bg-blue-50 rounded-lg">
             <p className="text-2xl font-bold text-blue-600">{dashboardData.maintenanceData.SCHEDULED || 0}</p>
@@ -1256,6 +2772,7 @@ const DashboardModule = () => (
                         <p className="text-sm text-gray-600">{prediction.recommendedAction}</p>
                         <p className="text-xs text-purple-600">
                           Risk: {prediction.failureProbability}% | Maintenance in {prediction.daysUntilMaintenance} days
+                          {prediction.remainingLife && ` | ${formatRemainingLife(prediction.remainingLife)}`}
                         </p>
                       </div>
                     </div>
@@ -1322,9 +2839,20 @@ const DashboardModule = () => (
                 <p className="text-sm text-gray-600">Active Predictions</p>
               </div>
             </div>
+            {mlModelInfo && (
+              <ModelEvaluationPanel
+                metrics={mlModelInfo.metrics}
+                thresholds={mlModelInfo.riskThresholds || RISK_THRESHOLDS}
+                onApply={applyRiskThresholds}
+              />
+            )}
           </div>
         )}
 
+        {modelRegistry.categories.length > 0 && (
+          <CategoryModelPerformance registry={modelRegistry} predictions={mlPredictions} />
+        )}
+
         <div className="text-center py-8 text-gray-500">
           <BarChart3 className="h-12 w-12 mx-auto mb-2 text-gray-400" />
           <p>Advanced analytics dashboard</p>
@@ -1398,8 +2926,13 @@ const DashboardModule = () => (
                               e.STATUS === 'maintenance' ? 'scheduled' : 'none'
         };
       }) || [];
+
+      // Latest readings, so the popup shows what each machine reports now and how old that is
+      const { snapshots = {} } = processedEquipment.length > 0
+        ? await snowflakeAPI.getLatestReadings(processedEquipment.map(e => e.id))
+        : {};
       
-      setSiteEquipment(processedEquipment);
+      setSiteEquipment(processedEquipment.map(e => ({ ...e, sensorSnapshot: snapshots[e.id] || null })));
       console.log(`✅ Processed ${processedEquipment.length} equipment items`);
       
     } catch (error) {
@@ -1453,12 +2986,43 @@ const DashboardModule = () => (
         </div>
         
         <div className="space-y-4">
+          {/* Current Readings */}
+          {equipment.sensorSnapshot && (
+            <div>
+              <h5 className="font-medium mb-2 flex items-center justify-between">
+                <span className="flex items-center">
+                  <Activity className="h-4 w-4 text-blue-600 mr-1" />
+                  Current Readings
+                </span>
+                <span className={`text-xs font-normal ${equipment.sensorSnapshot.stale ? 'text-red-600' : 'text-gray-500'}`}>
+                  {equipment.sensorSnapshot.asOf ? `as of ${formatReadingAge(equipment.sensorSnapshot.asOf)}` : 'No readings yet'}
+                </span>
+              </h5>
+              <div className="grid grid-cols-2 gap-2 text-xs">
+                {SERIES_METRICS.filter(metric => equipment.sensorSnapshot.readings[metric.key]).map(metric => {
+                  const reading = equipment.sensorSnapshot.readings[metric.key];
+                  return (
+                    <div key={metric.key} className={`p-2 rounded ${reading.stale ? 'bg-gray-100 text-gray-500' : 'bg-gray-50'}`}>
+                      <div className="text-gray-600">{metric.type}</div>
+                      <div className="font-bold">{reading.value} {reading.unit}</div>
+                      <div className={`flex items-center ${reading.stale ? 'text-red-600' : 'text-gray-400'}`}>
+                        <Clock className="h-3 w-3 mr-1" />
+                        {formatReadingAge(reading.recordedAt)}{reading.stale ? ' · stale' : ''}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Root Cause Analysis Section */}
           {rootCauses.length > 0 && (
             <div className="border-t pt-3">
               <h5 className="font-medium mb-3 flex items-center">
                 <AlertTriangle className="h-4 w-4 text-red-500 mr-2" />
-                Root Cause Analysis
+                {/* Fixed sensor limits; the model's own reasoning is under AI Prediction */}
+                {equipment.mlPrediction?.explanation ? 'Sensor Threshold Checks' : 'Root Cause Analysis'}
               </h5>
               
               {/* Critical Issues */}
@@ -1601,10 +3165,28 @@ const DashboardModule = () => (
                 <div className="text-sm mb-2">
                   <strong>AI Recommendation:</strong> {equipment.mlPrediction.recommendedAction}
                 </div>
+                {equipment.mlPrediction.model?.version && (
+                  <div className="text-xs text-gray-500">Scored by model v{equipment.mlPrediction.model.version}</div>
+                )}
+                {equipment.mlPrediction.explanation && (
+                  <div className="mt-3">
+                    <div className="text-sm font-medium mb-1">Why the model predicts this</div>
+                    <PredictionExplanationChart explanation={equipment.mlPrediction.explanation} asOf={equipment.mlPrediction.sensorSnapshot?.asOf} />
+                  </div>
+                )}
               </div>
             </div>
           )}
 
+          {/* Sensor Trends */}
+          <div className="border-t pt-3">
+            <h5 className="font-medium mb-2 flex items-center">
+              <TrendingUp className="h-4 w-4 text-blue-600 mr-1" />
+              Sensor Trends
+            </h5>
+            <SensorTrendChart equipmentId={equipment.id} />
+          </div>
+
           {/* Action Buttons */}
           <div className="border-t pt-3 flex space-x-2">
             <button className="flex-1 px-3 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700">
@@ -1690,7 +3272,7 @@ const DashboardModule = () => (
         </div>
 
         {/* Status Cards */}
-        <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+        <div className="grid grid-cols-2 md:grid-cols-7 gap-4 mb-4">
           <div className="text-center p-3 bg-blue-50 rounded-lg">
             <p className="text-2xl font-bold text-blue-600">{stats.total}</p>
             <p className="text-sm text-gray-600">Total Units</p>
@@ -2012,6 +3594,24 @@ const AlertsModule = () => {
         mlData: p
       }));
 
+    // Readings unlike the machine's own normal history, named by the metrics that moved most
+    const anomalyAlerts = anomalies
+      .filter(a => a.anomalous)
+      .map(a => ({
+        id: `anomaly-${a.equipmentId}`,
+        equipmentId: a.equipmentId,
+        severity: a.severity,
+        message: `Unusual behaviour: ${a.contributions.slice(0, 2).map(formatAnomalyContribution).join(', ')}`,
+        site: a.site || 'Unknown Site',
+        createdAt: a.window.to,
+        type: 'anomaly',
+        status: 'active',
+        priority: a.severity === 'high' ? 2 : 3,
+        icon: '📈',
+        color: a.severity === 'high' ? 'bg-teal-50 border-teal-200' : 'bg-cyan-50 border-cyan-200',
+        anomalyData: a
+      }));
+
     // Add some additional sensor alerts for demo
     const additionalAlerts = [
       {
@@ -2055,7 +3655,7 @@ const AlertsModule = () => {
       }
     ];
 
-    return [...regularAlerts, ...mlAlerts, ...additionalAlerts];
+    return [...regularAlerts, ...mlAlerts, ...anomalyAlerts, ...additionalAlerts];
   };
 
   const allAlerts = getAllAlerts();
@@ -2067,6 +3667,7 @@ const AlertsModule = () => {
     if (alertFilter === 'high') return alert.severity === 'high';
     if (alertFilter === 'medium') return alert.severity === 'medium';
     if (alertFilter === 'ai') return alert.type === 'ai_prediction';
+    if (alertFilter === 'anomaly') return alert.type === 'anomaly';
     if (alertFilter === 'sensor') return alert.type === 'sensor';
     return true;
   });
@@ -2084,9 +3685,10 @@ const AlertsModule = () => {
     const high = allAlerts.filter(a => a.severity === 'high').length;
     const medium = allAlerts.filter(a => a.severity === 'medium').length;
     const aiPredictions = allAlerts.filter(a => a.type === 'ai_prediction').length;
+    const anomalyAlerts = allAlerts.filter(a => a.type === 'anomaly').length;
     const sensorAlerts = allAlerts.filter(a => a.type === 'sensor').length;
     
-    return { critical, high, medium, aiPredictions, sensorAlerts, total: allAlerts.length };
+    return { critical, high, medium, aiPredictions, anomalyAlerts, sensorAlerts, total: allAlerts.length };
   };
 
   const stats = getAlertStats();
@@ -2160,6 +3762,10 @@ const AlertsModule = () => {
             <p className="text-2xl font-bold text-purple-600">{stats.aiPredictions}</p>
             <p className="text-sm text-gray-600">AI Predictions</p>
           </div>
+          <div className="text-center p-3 bg-teal-50 rounded-lg">
+            <p className="text-2xl font-bold text-teal-600">{stats.anomalyAlerts}</p>
+            <p className="text-sm text-gray-600">Unusual Behaviour</p>
+          </div>
           <div className="text-center p-3 bg-blue-50 rounded-lg">
             <p className="text-2xl font-bold text-blue-600">{stats.sensorAlerts}</p>
             <p className="text-sm text-gray-600">Sensor Alerts</p>
@@ -2181,6 +3787,7 @@ const AlertsModule = () => {
                 <option value="high">High Priority ({stats.high})</option>
                 <option value="medium">Medium ({stats.medium})</option>
                 <option value="ai">AI Predictions ({stats.aiPredictions})</option>
+                <option value="anomaly">Unusual Behaviour ({stats.anomalyAlerts})</option>
                 <option value="sensor">Sensor Alerts ({stats.sensorAlerts})</option>
               </select>
             </div>
@@ -2249,6 +3856,11 @@ const AlertsModule = () => {
                             AI PREDICTION
                           </span>
                         )}
+                        {alert.type === 'anomaly' && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-bold bg-teal-100 text-teal-800">
+                            UNUSUAL BEHAVIOUR
+                          </span>
+                        )}
                       </div>
                       <p className="text-gray-800 mb-2">{alert.message}</p>
                       <div className="flex items-center space-x-4 text-sm text-gray-600">
@@ -2268,6 +3880,29 @@ const AlertsModule = () => {
                         )}
                       </div>
                       
+                      {/* Metrics behind an unusual behaviour alert */}
+                      {alert.anomalyData && (
+                        <div className="mt-3 p-3 bg-white/70 rounded border text-sm">
+                          <div className="space-y-2">
+                            {alert.anomalyData.contributions.slice(0, 3).map(contribution => (
+                              <div key={contribution.metric}>
+                                <div className="flex justify-between mb-1">
+                                  <span>{formatAnomalyContribution(contribution)}</span>
+                                  <span className="font-medium">{(contribution.share * 100).toFixed(0)}%</span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded-full h-2">
+                                  <div className="bg-teal-500 h-2 rounded-full" style={{ width: `${contribution.share * 100}%` }}></div>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                          <p className="text-xs text-gray-500 mt-2">
+                            Score {alert.anomalyData.score.toFixed(3)} against a threshold of {alert.anomalyData.threshold.toFixed(3)} over the last {alert.anomalyData.window.readings} hours,
+                            from {alert.anomalyData.detector.normalHours} hours of this machine's normal operation
+                          </p>
+                        </div>
+                      )}
+
                       {/* Additional ML Prediction Details */}
                       {alert.mlData && (
                         <div className="mt-3 p-3 bg-white/70 rounded border">
@@ -2419,6 +4054,25 @@ const AlertsModule = () => {
 
         {renderModule()}
       </div>
+
+      {showLogin && (
+        <LoginDialog
+          onClose={() => setShowLogin(false)}
+          onSignedIn={() => {
+            setShowLogin(false);
+            loadDataFromSnowflake();
+            loadTrainingJobs();
+            loadModelRegistry();
+          }}
+        />
+      )}
+
+      {showImportDialog && (
+        <SensorImportDialog
+          onClose={() => setShowImportDialog(false)}
+          onImported={() => loadDataFromSnowflake()}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,126 @@
+// src/services/ModelStorage.js
+// Keeps the failure model on this page across reloads (IndexedDB) and moves it between machines
+// as a file bundle: <name>.json with the network and <name>.weights.bin with its weights.
+// Both carry the model's info, including the feature scales its inputs must be divided by.
+// A remaining-life network trained with the model travels with it as <name>-remaining-life.*
+import * as tf from '@tensorflow/tfjs';
+import { FEATURE_SCALES, FAILURE_FEATURES } from '../shared/failureModel';
+import { LIFE_FEATURES } from '../shared/remainingLife';
+
+const STORAGE_URL = 'indexeddb://multiquip-failure-model';
+const LIFE_STORAGE_URL = 'indexeddb://multiquip-remaining-life-model';
+const BUNDLE_FORMAT = 'multiquip-failure-model';
+const LIFE_SUFFIX = '-remaining-life';
+
+class ModelStorage {
+  // Helper function to attach the model's info to its artifacts.
+  // info: { source: 'browser'|'registry'|'file', modelId, version, category, metrics, trainedAt, featureScales,
+  // attributionBaseline }
+  attachInfo(model, info) {
+    model.setUserDefinedMetadata({
+      format: BUNDLE_FORMAT,
+      features: FAILURE_FEATURES.map(feature => feature.name),
+      ...info,
+      featureScales: info.featureScales || FEATURE_SCALES
+    });
+  }
+
+  // Read a loaded model's info, refusing models that don't take this app's features
+  readInfo(model) {
+    const { format, features, ...info } = model.getUserDefinedMetadata() || {};
+    const expected = FAILURE_FEATURES.map(feature => feature.name);
+
+    if (format !== BUNDLE_FORMAT || !Array.isArray(features)) {
+      throw new Error('Not a Multiquip failure model bundle');
+    }
+    if (features.join(',') !== expected.join(',') || model.inputs[0].shape[1] !== expected.length) {
+      throw new Error(`The model takes ${features.join(', ')}; this version of the app sends ${expected.join(', ')}`);
+    }
+    return { ...info, featureScales: info.featureScales || FEATURE_SCALES };
+  }
+
+  // Helper function to refuse a remaining-life network that doesn't take this app's features
+  checkLifeModel(lifeModel) {
+    if (lifeModel.inputs[0].shape[1] !== LIFE_FEATURES.length) {
+      throw new Error(`The remaining-life model takes ${lifeModel.inputs[0].shape[1]} inputs; this version of the app sends ${LIFE_FEATURES.length}`);
+    }
+    return lifeModel;
+  }
+
+  // lifeModel is the remaining-life network trained with the model, or null
+  async save(model, info, lifeModel = null) {
+    this.attachInfo(model, info);
+    await model.save(STORAGE_URL);
+    if (lifeModel) {
+      await lifeModel.save(LIFE_STORAGE_URL);
+    } else if ((await tf.io.listModels())[LIFE_STORAGE_URL]) {
+      await tf.io.removeModel(LIFE_STORAGE_URL);
+    }
+    console.log('💾 Model saved in the browser');
+  }
+
+  // Resolves with { model, info, lifeModel }, or null when nothing usable is saved
+  async load() {
+    try {
+      const saved = await tf.io.listModels();
+      if (!saved[STORAGE_URL]) return null;
+
+      const model = await tf.loadLayersModel(STORAGE_URL);
+      const info = this.readInfo(model);
+      const lifeModel = saved[LIFE_STORAGE_URL] ? this.checkLifeModel(await tf.loadLayersModel(LIFE_STORAGE_URL)) : null;
+      console.log('✅ Restored the saved model');
+      return { model, info, lifeModel };
+    } catch (error) {
+      console.error('❌ Could not restore the saved model:', error);
+      return null;
+    }
+  }
+
+  async clear() {
+    const saved = await tf.io.listModels();
+    if (saved[STORAGE_URL]) await tf.io.removeModel(STORAGE_URL);
+    if (saved[LIFE_STORAGE_URL]) await tf.io.removeModel(LIFE_STORAGE_URL);
+  }
+
+  // Save the bundle through the browser's downloads
+  async download(model, info, lifeModel = null, name = 'multiquip-failure-model') {
+    this.attachInfo(model, info);
+    await model.save(`downloads://${name}`);
+    if (lifeModel) await lifeModel.save(`downloads://${name}${LIFE_SUFFIX}`);
+  }
+
+  // Load a bundle picked by the user: the .json file and its .weights.bin file, plus the
+  // -remaining-life pair when the model has one
+  async upload(files) {
+    const list = Array.from(files);
+    const isLifeFile = (file) => file.name.replace(/\.(json|weights\.bin)$/, '').endsWith(LIFE_SUFFIX);
+    const pick = (candidates) => ({
+      json: candidates.find(file => file.name.endsWith('.json')),
+      weights: candidates.filter(file => file.name.endsWith('.bin'))
+    });
+    const modelFiles = pick(list.filter(file => !isLifeFile(file)));
+    const lifeFiles = pick(list.filter(isLifeFile));
+    if (!modelFiles.json || modelFiles.weights.length === 0) {
+      throw new Error('Choose the model .json file together with its .weights.bin file');
+    }
+
+    const model = await tf.loadLayersModel(tf.io.browserFiles([modelFiles.json, ...modelFiles.weights]));
+    let lifeModel = null;
+    try {
+      const info = { ...this.readInfo(model), source: 'file', fileName: modelFiles.json.name };
+      if (lifeFiles.json && lifeFiles.weights.length > 0) {
+        lifeModel = await tf.loadLayersModel(tf.io.browserFiles([lifeFiles.json, ...lifeFiles.weights]));
+        this.checkLifeModel(lifeModel);
+      }
+      return { model, info, lifeModel };
+    } catch (error) {
+      model.dispose();
+      if (lifeModel) lifeModel.dispose();
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const modelStorage = new ModelStorage();
+export default modelStorage;
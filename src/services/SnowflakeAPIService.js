@@ -1,50 +1,121 @@
 // src/services/SnowflakeAPIService.js
+import {
+  DEFAULT_SEED,
+  CATEGORIES,
+  getMaintenanceEvents,
+  simulateSiteEquipment,
+  simulateSensorSeries,
+  simulatePrediction
+} from '../shared/fleetSimulator';
+import { parseSeriesQuery, simulateSeries } from '../shared/sensorSeries';
+import { simulateSensorSnapshot, withSensorSnapshot } from '../shared/sensorSnapshot';
+import {
+  ANOMALY_HISTORY_DAYS,
+  ANOMALY_WINDOW_HOURS,
+  splitLatestWindow,
+  fitAnomalyDetector,
+  scoreAnomalyWindow,
+  describeDetector
+} from '../shared/anomalyDetector';
+
+// Helper function to make an idempotency key. crypto.randomUUID only exists in secure contexts
+// (https or localhost), so a dashboard served over plain http falls back to random values.
+const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
 class SnowflakeAPIService {
   constructor() {
     this.baseURL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001/api';
+    // Same seed as the backend's FLEET_SEED gives the same demo fleet on both tiers
+    this.fleetSeed = process.env.REACT_APP_FLEET_SEED || DEFAULT_SEED;
     
-    // Debug: Log all environment variables to console
-    console.log('🔍 Environment Variables Debug:');
-    console.log('REACT_APP_SNOWFLAKE_ACCOUNT:', process.env.REACT_APP_SNOWFLAKE_ACCOUNT);
-    console.log('REACT_APP_SNOWFLAKE_USERNAME:', process.env.REACT_APP_SNOWFLAKE_USERNAME);
-    console.log('REACT_APP_SNOWFLAKE_PASSWORD:', process.env.REACT_APP_SNOWFLAKE_PASSWORD ? '***HIDDEN***' : 'MISSING');
-    console.log('REACT_APP_SNOWFLAKE_WAREHOUSE:', process.env.REACT_APP_SNOWFLAKE_WAREHOUSE);
-    console.log('REACT_APP_SNOWFLAKE_DATABASE:', process.env.REACT_APP_SNOWFLAKE_DATABASE);
-    console.log('REACT_APP_SNOWFLAKE_SCHEMA:', process.env.REACT_APP_SNOWFLAKE_SCHEMA);
-    console.log('REACT_APP_SNOWFLAKE_INTEGRATION:', process.env.REACT_APP_SNOWFLAKE_INTEGRATION);
-    console.log('REACT_APP_USE_MOCK_DATA:', process.env.REACT_APP_USE_MOCK_DATA);
-    
-    // Check if we have all required Snowflake credentials
-    this.hasSnowflakeCredentials = !!(
-      process.env.REACT_APP_SNOWFLAKE_ACCOUNT &&
-      process.env.REACT_APP_SNOWFLAKE_USERNAME &&
-      process.env.REACT_APP_SNOWFLAKE_PASSWORD &&
-      process.env.REACT_APP_SNOWFLAKE_WAREHOUSE &&
-      process.env.REACT_APP_SNOWFLAKE_DATABASE &&
-      process.env.REACT_APP_SNOWFLAKE_SCHEMA
-    );
-    
-    // Determine if we should use mock data
-    this.useMockData = process.env.REACT_APP_USE_MOCK_DATA === 'true' || !this.hasSnowflakeCredentials;
-    
-    console.log('✅ Has Snowflake Credentials:', this.hasSnowflakeCredentials);
+    // Credentials live on the backend; the browser signs the user in with their own username
+    // and password and then authenticates with the session token the backend issues
+    this.sessionToken = null;
+    this.sessionUser = null;
+    // Set when the backend answered that someone has to sign in
+    this.loginRequired = false;
+
+    this.useMockData = process.env.REACT_APP_USE_MOCK_DATA === 'true';
     console.log('🎭 Using Mock Data:', this.useMockData);
-    
-    // Snowflake configuration
-    this.snowflakeConfig = {
-      account: process.env.REACT_APP_SNOWFLAKE_ACCOUNT,
-      username: process.env.REACT_APP_SNOWFLAKE_USERNAME,
-      password: process.env.REACT_APP_SNOWFLAKE_PASSWORD,
-      warehouse: process.env.REACT_APP_SNOWFLAKE_WAREHOUSE,
-      database: process.env.REACT_APP_SNOWFLAKE_DATABASE,
-      schema: process.env.REACT_APP_SNOWFLAKE_SCHEMA
-    };
+
+    // Mock anomaly detectors by machine: { detector, fittedAt }
+    this.mockDetectors = new Map();
   }
 
   isUsingMockData() {
     return this.useMockData;
   }
 
+  // Start a backend session. Without credentials this only succeeds on a development backend
+  // that needs no sign-in; otherwise loginRequired is set and the caller should ask the user.
+  async createSession(credentials) {
+    const response = await fetch(`${this.baseURL}/session`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(credentials && { 'Authorization': `Basic ${btoa(`${credentials.username}:${credentials.password}`)}` })
+      },
+      body: JSON.stringify({})
+    });
+    const session = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      this.loginRequired = !!session.loginRequired;
+      throw new Error(session.message || 'Could not start a session');
+    }
+
+    this.loginRequired = false;
+    this.sessionToken = session.token;
+    this.sessionUser = session.user;
+    return this.sessionToken;
+  }
+
+  // Sign a user in; the password is not kept once the session is issued
+  async login(username, password) {
+    await this.createSession({ username, password });
+    console.log(`🔓 Signed in as ${this.sessionUser}`);
+    return this.sessionUser;
+  }
+
+  async logout() {
+    if (this.sessionToken) {
+      await fetch(`${this.baseURL}/session`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${this.sessionToken}` }
+      }).catch(() => {});
+    }
+    this.sessionToken = null;
+    this.sessionUser = null;
+  }
+
+  // Call the backend with the session token, starting a new session if it expired
+  async request(path, { method = 'GET', body, headers = {} } = {}) {
+    const send = async () => fetch(`${this.baseURL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.sessionToken || await this.createSession()}`,
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    this.sessionToken = null;
+    return send();
+  }
+
+  async post(path, body = {}, headers = {}) {
+    return this.request(path, { method: 'POST', body, headers });
+  }
+
   async testConnection() {
     console.log('🔗 Testing Snowflake connection...');
     
@@ -54,23 +125,16 @@ class SnowflakeAPIService {
     }
 
     try {
-      // In a real implementation, this would make an actual API call to your backend
-      // which would then connect to Snowflake
-      const response = await fetch(`${this.baseURL}/snowflake/test-connection`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(this.snowflakeConfig)
-      });
+      // The backend connects with the session's connection profile
+      const response = await this.post('/snowflake/test-connection');
+      const result = await response.json();
 
-      if (response.ok) {
-        const result = await response.json();
+      if (response.ok && result.success) {
         console.log('✅ Snowflake connection successful');
         return { success: true, message: 'Connected to Snowflake' };
       } else {
         console.log('❌ Snowflake connection failed');
-        return { success: false, message: 'Connection failed' };
+        return { success: false, message: result.message || 'Connection failed' };
       }
     } catch (error) {
       console.error('❌ Snowflake connection error:', error);
@@ -87,13 +151,7 @@ class SnowflakeAPIService {
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/snowflake/dashboard-data`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(this.snowflakeConfig)
-      });
+      const response = await this.post('/snowflake/dashboard-data');
 
       if (response.ok) {
         const data = await response.json();
@@ -119,16 +177,7 @@ class SnowflakeAPIService {
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/snowflake/equipment-data`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...this.snowflakeConfig,
-          siteName: siteName
-        })
-      });
+      const response = await this.post('/snowflake/equipment-data', { siteName });
 
       if (response.ok) {
         const data = await response.json();
@@ -146,43 +195,155 @@ class SnowflakeAPIService {
   }
 
   // ML-related API calls
-  async trainMLModel() {
-    console.log('🧠 Starting ML model training...');
-    
+  // Queue training of the fleet failure model on the server's stored history.
+  // options: { days, horizonDays, epochs }; resolves with the queued job
+  async startTrainingJob(options = {}) {
+    console.log('🧠 Queueing server model training...');
+
     if (this.useMockData) {
-      console.log('🎭 Simulating ML model training');
-      return {
-        success: true,
-        message: 'Mock training completed',
-        accuracy: 0.92,
-        precision: 0.89,
-        recall: 0.85,
-        f1Score: 0.87
-      };
+      return { success: false, message: 'Server training needs the backend API; mock data mode is on' };
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/ml/train-model`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(this.snowflakeConfig)
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('✅ ML model training completed');
-        return result;
-      } else {
-        throw new Error('Model training failed');
+      const response = await this.post('/ml/training-jobs', options);
+      const result = await response.json();
+      if (!response.ok) {
+        console.log('⚠️ Training job rejected:', result.message);
       }
+      return { ...result, success: response.ok && result.success };
     } catch (error) {
       console.error('❌ ML model training error:', error);
       return { success: false, message: error.message };
     }
   }
 
+  // Follow a training job over Server-Sent Events until it finishes. onEvent receives
+  // { type: 'status', data: job } and { type: 'epoch', data: { epoch, epochs, loss, ... } };
+  // resolves with the finished job. Read with fetch because EventSource can't send the session token.
+  async streamTrainingJob(jobId, onEvent) {
+    const response = await this.request(`/ml/training-jobs/${encodeURIComponent(jobId)}/events`);
+    if (!response.ok) {
+      throw new Error((await response.json()).message || `Training job ${jobId} is unavailable`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let job = null;
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      for (const message of messages) {
+        const lines = message.split('\n');
+        const type = lines.find(line => line.startsWith('event: '))?.slice(7);
+        const data = lines.find(line => line.startsWith('data: '))?.slice(6);
+        // Lines starting with ':' are keep-alive comments
+        if (!type || !data) continue;
+
+        const event = { type, data: JSON.parse(data) };
+        if (type === 'status') job = event.data;
+        onEvent(event);
+      }
+    }
+
+    return job;
+  }
+
+  async cancelTrainingJob(jobId) {
+    try {
+      const response = await this.post(`/ml/training-jobs/${encodeURIComponent(jobId)}/cancel`);
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Training cancel error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Recent server training jobs, newest first
+  async getTrainingJobs() {
+    if (this.useMockData) {
+      return { success: true, jobs: [] };
+    }
+
+    try {
+      const response = await this.request('/ml/training-jobs');
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Training history error:', error);
+      return { success: false, message: error.message, jobs: [] };
+    }
+  }
+
+  // Registered model versions, promotions (newest first) and { [category]: model } in production
+  async getModelRegistry() {
+    if (this.useMockData) {
+      return { success: true, models: [], promotions: [], production: {}, categories: CATEGORIES.map(category => category.name).sort() };
+    }
+
+    try {
+      const response = await this.request('/ml/models');
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Model registry error:', error);
+      return { success: false, message: error.message, models: [], promotions: [], production: {}, categories: [] };
+    }
+  }
+
+  // A registered model's weights, ready for tf.io.fromMemory(), its feature scales (null for
+  // models saved before they were recorded) and its remaining-life part (null when it has none)
+  async getModelArtifact(modelId) {
+    const response = await this.request(`/ml/models/${encodeURIComponent(modelId)}/artifact`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `Model ${modelId} is unavailable`);
+    }
+
+    // Helper function to turn a base64 artifact back into tf.io.fromMemory() form
+    const decodeArtifact = ({ modelTopology, weightSpecs, weightData }) => ({
+      modelTopology,
+      weightSpecs,
+      weightData: Uint8Array.from(atob(weightData), char => char.charCodeAt(0)).buffer
+    });
+    return {
+      model: result.model,
+      featureScales: result.featureScales,
+      attributionBaseline: result.attributionBaseline,
+      artifact: decodeArtifact(result.artifact),
+      remainingLifeArtifact: result.remainingLifeArtifact ? decodeArtifact(result.remainingLifeArtifact) : null
+    };
+  }
+
+  async promoteModel(modelId) {
+    try {
+      const response = await this.post(`/ml/models/${encodeURIComponent(modelId)}/promote`);
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Model promotion error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Return a category (default: the fleet model) to the model it had before its last promotion
+  async rollbackModel(category) {
+    try {
+      const response = await this.post('/ml/models/rollback', category ? { category } : {});
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Model rollback error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
   async getMLPredictions(equipmentIds) {
     console.log('🔮 Getting ML predictions for equipment:', equipmentIds);
     
@@ -192,16 +353,7 @@ class SnowflakeAPIService {
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/ml/predictions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...this.snowflakeConfig,
-          equipmentIds: equipmentIds
-        })
-      });
+      const response = await this.post('/ml/predictions', { equipmentIds });
 
       if (response.ok) {
         const data = await response.json();
@@ -218,6 +370,34 @@ class SnowflakeAPIService {
     }
   }
 
+  // Unusual behaviour on each machine's latest readings, scored against its own normal history:
+  // { anomalies: [{ equipmentId, score, threshold, anomalous, severity, contributions, window, detector }] }
+  async getAnomalies(equipmentIds) {
+    console.log(`🔍 Checking ${equipmentIds.length} equipment for unusual behaviour`);
+
+    if (this.useMockData) {
+      console.log('🎭 Returning mock anomalies');
+      return this.getMockAnomalies(equipmentIds);
+    }
+
+    try {
+      const response = await this.post('/ml/anomalies', { equipmentIds });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Real anomalies loaded');
+        return data;
+      } else {
+        console.log('⚠️ Failed to load real anomalies, falling back to mock');
+        return this.getMockAnomalies(equipmentIds);
+      }
+    } catch (error) {
+      console.error('❌ Error loading anomalies:', error);
+      console.log('⚠️ Falling back to mock anomalies');
+      return this.getMockAnomalies(equipmentIds);
+    }
+  }
+
   async getSensorData(equipmentId, days = 7) {
     console.log('📊 Getting sensor data for equipment:', equipmentId);
     
@@ -227,17 +407,7 @@ class SnowflakeAPIService {
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/snowflake/sensor-data`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...this.snowflakeConfig,
-          equipmentId: equipmentId,
-          days: days
-        })
-      });
+      const response = await this.post('/snowflake/sensor-data', { equipmentId, days });
 
       if (response.ok) {
         const data = await response.json();
@@ -254,7 +424,120 @@ class SnowflakeAPIService {
     }
   }
 
-  async uploadSensorData(sensorReadings) {
+  // Hourly history of several machines in one request: { sensorData: { [equipmentId]: readings }, dataSource }.
+  // When the request fails every machine gets simulated history and dataSource is 'mock'.
+  async getSensorDataBatch(equipmentIds, days = 7) {
+    console.log(`📊 Getting sensor data for ${equipmentIds.length} equipment`);
+
+    if (this.useMockData) {
+      console.log('🎭 Returning mock sensor data');
+      return this.getMockSensorDataBatch(equipmentIds, days);
+    }
+
+    try {
+      const response = await this.post('/snowflake/sensor-data/batch', { equipmentIds, days });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Real sensor data loaded');
+        return data;
+      } else {
+        console.log('⚠️ Failed to load real sensor data, falling back to mock');
+        return this.getMockSensorDataBatch(equipmentIds, days);
+      }
+    } catch (error) {
+      console.error('❌ Error loading sensor data:', error);
+      console.log('⚠️ Falling back to mock sensor data');
+      return this.getMockSensorDataBatch(equipmentIds, days);
+    }
+  }
+
+  // Breakdowns and corrective repairs over the last `days` days: { failures: [{ equipmentId, date }] }
+  async getFailureHistory(equipmentIds, days = 30) {
+    console.log(`🛠️ Getting failure history for ${equipmentIds.length} equipment`);
+
+    if (this.useMockData) {
+      console.log('🎭 Returning mock failure history');
+      return this.getMockFailureHistory(equipmentIds, days);
+    }
+
+    try {
+      const response = await this.post('/snowflake/failure-history', { equipmentIds, days });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Real failure history loaded');
+        return data;
+      } else {
+        console.log('⚠️ Failed to load real failure history, falling back to mock');
+        return this.getMockFailureHistory(equipmentIds, days);
+      }
+    } catch (error) {
+      console.error('❌ Error loading failure history:', error);
+      console.log('⚠️ Falling back to mock failure history');
+      return this.getMockFailureHistory(equipmentIds, days);
+    }
+  }
+
+  // What each machine reports right now: { snapshots: { [equipmentId]: { asOf, stale, readings } } },
+  // where every reading carries its recordedAt, ageMinutes and stale flag
+  async getLatestReadings(equipmentIds) {
+    console.log(`📍 Getting latest readings for ${equipmentIds.length} equipment`);
+
+    if (this.useMockData) {
+      console.log('🎭 Returning mock latest readings');
+      return this.getMockLatestReadings(equipmentIds);
+    }
+
+    try {
+      const response = await this.post('/snowflake/latest-readings', { equipmentIds });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Real latest readings loaded');
+        return data;
+      } else {
+        console.log('⚠️ Failed to load real latest readings, falling back to mock');
+        return this.getMockLatestReadings(equipmentIds);
+      }
+    } catch (error) {
+      console.error('❌ Error loading latest readings:', error);
+      console.log('⚠️ Falling back to mock latest readings');
+      return this.getMockLatestReadings(equipmentIds);
+    }
+  }
+
+  // Bucketed trend data for long ranges: { equipmentId, from, to, bucket: '1m' | '1h' | '1d',
+  // metrics: { temperature: ['avg', 'max'] } }. Resolves with { points: [{ timestamp, temperature: { avg, max } }] }.
+  async getSensorSeries(request) {
+    console.log('📈 Getting sensor series for equipment:', request.equipmentId);
+
+    if (this.useMockData) {
+      console.log('🎭 Returning mock sensor series');
+      return this.getMockSensorSeries(request);
+    }
+
+    try {
+      const response = await this.post('/snowflake/sensor-series', request);
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log(`✅ Sensor series loaded from ${data.source}`);
+        return data;
+      } else {
+        console.log('⚠️ Failed to load real sensor series, falling back to mock');
+        return this.getMockSensorSeries(request);
+      }
+    } catch (error) {
+      console.error('❌ Error loading sensor series:', error);
+      console.log('⚠️ Falling back to mock sensor series');
+      return this.getMockSensorSeries(request);
+    }
+  }
+
+  // Pass the same idempotencyKey when retrying an upload so readings are never stored twice.
+  // The result lists, per batch, which readings were accepted, skipped as duplicates or rejected.
+  async uploadSensorData(sensorReadings, { idempotencyKey, batchSize } = {}) {
     console.log('📤 Uploading sensor data...');
     
     if (this.useMockData) {
@@ -263,26 +546,73 @@ class SnowflakeAPIService {
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/snowflake/upload-sensor-data`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...this.snowflakeConfig,
-          sensorReadings: sensorReadings
-        })
+      idempotencyKey = idempotencyKey || createIdempotencyKey();
+      const response = await this.post('/snowflake/upload-sensor-data', { sensorReadings, batchSize }, {
+        'Idempotency-Key': idempotencyKey
       });
+      const result = await response.json();
 
       if (response.ok) {
-        const result = await response.json();
-        console.log('✅ Sensor data uploaded successfully');
-        return result;
-      } else {
-        throw new Error('Sensor data upload failed');
+        console.log(`✅ Sensor data uploaded: ${result.accepted} accepted, ${result.duplicates} duplicates, ${result.rejected} rejected`);
+        return { ...result, idempotencyKey };
       }
+
+      console.log('⚠️ Sensor data upload failed:', result.message);
+      return { ...result, success: false, idempotencyKey };
     } catch (error) {
       console.error('❌ Sensor data upload error:', error);
+      return { success: false, message: error.message, idempotencyKey };
+    }
+  }
+
+  // Read a picked file as base64 for the import endpoint
+  readFileForImport(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({ fileName: file.name, content: reader.result.split(',')[1] || '' });
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Check a CSV/Excel file without writing anything. Returns the columns, the mapping used
+  // (the suggested one unless `mapping` is given) and a validation report.
+  async previewImport(file, mapping) {
+    return this.sendImport(file, mapping, true);
+  }
+
+  // Start loading a file into EQUIPMENT_METRICS; resolves with the background job
+  async startImport(file, mapping) {
+    return this.sendImport(file, mapping, false);
+  }
+
+  async sendImport({ fileName, content }, mapping, dryRun) {
+    console.log(`📂 ${dryRun ? 'Checking' : 'Importing'} ${fileName}...`);
+
+    if (this.useMockData) {
+      return { success: false, message: 'File imports need the backend API; mock data mode is on' };
+    }
+
+    try {
+      const response = await this.post('/snowflake/imports', { fileName, content, mapping, dryRun });
+      const result = await response.json();
+      if (!response.ok) {
+        console.log('⚠️ Import failed:', result.message);
+      }
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Import error:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  async getImportJob(jobId) {
+    try {
+      const response = await this.request(`/snowflake/imports/${encodeURIComponent(jobId)}`);
+      const result = await response.json();
+      return { ...result, success: response.ok && result.success };
+    } catch (error) {
+      console.error('❌ Import status error:', error);
       return { success: false, message: error.message };
     }
   }
@@ -368,80 +698,69 @@ class SnowflakeAPIService {
   }
 
   getMockEquipmentData(siteName) {
-    const equipmentTypes = ['Generators', 'Water Pumps', 'Compactors', 'Mixers'];
-    const statuses = ['operational', 'maintenance', 'critical', 'idle'];
-    const areas = ['Excavation', 'Staging', 'Storage', 'Concrete', 'Assembly', 'Access'];
-    
-    const equipment = [];
-    const count = Math.floor(Math.random() * 20) + 10; // 10-30 pieces of equipment
-    
-    for (let i = 0; i < count; i++) {
-      equipment.push({
-        EQUIPMENT_ID: `EQ-${String(i + 1).padStart(3, '0')}`,
-        EQUIPMENT_NAME: `${equipmentTypes[Math.floor(Math.random() * equipmentTypes.length)]} ${i + 1}`,
-        EQUIPMENT_TYPE: equipmentTypes[Math.floor(Math.random() * equipmentTypes.length)],
-        STATUS: statuses[Math.floor(Math.random() * statuses.length)],
-        AREA_NAME: areas[Math.floor(Math.random() * areas.length)],
-        GPS_LATITUDE: 34.0522 + (Math.random() - 0.5) * 0.01,
-        GPS_LONGITUDE: -118.2437 + (Math.random() - 0.5) * 0.01,
-        UPTIME_PERCENTAGE: 85 + Math.random() * 15,
-        OPERATING_HOURS: Math.random() * 5000
-      });
-    }
-    
-    return { equipment };
+    return { equipment: simulateSiteEquipment(siteName, { seed: this.fleetSeed }) };
   }
 
   getMockMLPredictions(equipmentIds) {
-    const predictions = equipmentIds.map(equipmentId => {
-      const failureProbability = Math.random() * 100;
-      const riskLevel = failureProbability > 70 ? 'high' : failureProbability > 40 ? 'medium' : 'low';
-      const daysUntilMaintenance = Math.max(1, Math.floor((100 - failureProbability) / 3));
-      
-      return {
-        equipmentId,
-        failureProbability: failureProbability.toFixed(1),
-        riskLevel,
-        daysUntilMaintenance,
-        recommendedAction: riskLevel === 'high' ? 'Schedule immediate maintenance' :
-                          riskLevel === 'medium' ? 'Plan maintenance within 2 weeks' :
-                          'Continue normal operations',
-        confidence: (85 + Math.random() * 15).toFixed(1),
-        lastUpdated: new Date().toISOString(),
-        sensors: {
-          temperature: (75 + Math.random() * 25).toFixed(1),
-          vibration: (0.5 + Math.random() * 2).toFixed(2),
-          pressure: (100 + Math.random() * 50).toFixed(1),
-          current: (15 + Math.random() * 10).toFixed(1)
-        }
-      };
-    });
-    
+    const predictions = equipmentIds.map(equipmentId => withSensorSnapshot(
+      simulatePrediction(equipmentId, { seed: this.fleetSeed }),
+      simulateSensorSnapshot(equipmentId, { seed: this.fleetSeed })
+    ));
     return { predictions };
   }
 
-  getMockSensorData(equipmentId, days) {
-    const data = [];
-    const now = new Date();
-    
-    for (let i = 0; i < days * 24; i++) {
-      const timestamp = new Date(now.getTime() - i * 60 * 60 * 1000);
-      
-      data.push({
+  getMockLatestReadings(equipmentIds) {
+    return {
+      snapshots: Object.fromEntries(equipmentIds.map(equipmentId => [
         equipmentId,
-        timestamp: timestamp.toISOString(),
-        temperature: (75 + Math.sin(i / 24) * 10 + Math.random() * 5).toFixed(1),
-        vibration: (0.5 + Math.sin(i / 12) * 0.3 + Math.random() * 0.2).toFixed(3),
-        pressure: (125 + Math.cos(i / 6) * 15 + Math.random() * 10).toFixed(1),
-        current: (18 + Math.sin(i / 8) * 3 + Math.random() * 2).toFixed(1),
-        oilPressure: (45 + Math.random() * 10).toFixed(1),
-        rpm: Math.floor(1800 + Math.random() * 400),
-        fuelLevel: (50 + Math.random() * 50).toFixed(1),
-        operatingHours: (1000 + i + Math.random() * 10).toFixed(1)
-      });
-    }
-    
-    return { sensorData: data.reverse() }; // Most recent first
+        simulateSensorSnapshot(equipmentId, { seed: this.fleetSeed })
+      ]))
+    };
+  }
+
+  getMockSensorData(equipmentId, days) {
+    // Oldest first, matching the backend
+    return { sensorData: simulateSensorSeries(equipmentId, { days, seed: this.fleetSeed }), dataSource: 'mock' };
+  }
+
+  getMockSensorDataBatch(equipmentIds, days) {
+    return {
+      sensorData: Object.fromEntries(equipmentIds.map(equipmentId => [equipmentId, this.getMockSensorData(equipmentId, days).sensorData])),
+      dataSource: 'mock'
+    };
+  }
+
+  // The simulator's breakdowns, matching the simulated sensor history
+  getMockFailureHistory(equipmentIds, days) {
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    const failures = equipmentIds.flatMap(equipmentId => getMaintenanceEvents(equipmentId, from, to, { seed: this.fleetSeed })
+      .filter(event => event.type === 'FAILURE')
+      .map(event => ({ equipmentId, date: event.timestamp.slice(0, 10) })));
+    return { success: true, failures, from: from.toISOString(), to: to.toISOString(), dataSource: 'mock' };
+  }
+
+  // The server's detectors, fitted on the simulator's history of each machine and, as on the
+  // server, kept for a day
+  getMockAnomalies(equipmentIds) {
+    const anomalies = equipmentIds.map(equipmentId => {
+      const cached = this.mockDetectors.get(equipmentId);
+      if (!cached || Date.now() - cached.fittedAt > 24 * 60 * 60 * 1000) {
+        const { history } = splitLatestWindow(this.getMockSensorData(equipmentId, ANOMALY_HISTORY_DAYS).sensorData);
+        const { failures } = this.getMockFailureHistory([equipmentId], ANOMALY_HISTORY_DAYS);
+        this.mockDetectors.set(equipmentId, { detector: fitAnomalyDetector(history, failures, { seed: equipmentId }), fittedAt: Date.now() });
+      }
+
+      const { detector } = this.mockDetectors.get(equipmentId);
+      const { window } = splitLatestWindow(this.getMockSensorData(equipmentId, (ANOMALY_WINDOW_HOURS + 1) / 24).sensorData);
+      const result = detector && scoreAnomalyWindow(detector, window);
+      return result && { equipmentId, ...result, detector: describeDetector(detector) };
+    }).filter(Boolean);
+    return { success: true, anomalies, dataSource: 'mock' };
+  }
+
+  getMockSensorSeries(request) {
+    return { ...simulateSeries(parseSeriesQuery(request), { seed: this.fleetSeed }), source: 'simulated' };
   }
 
   // Legacy methods for backward compatibility
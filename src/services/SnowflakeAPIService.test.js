@@ -0,0 +1,92 @@
+// src/services/SnowflakeAPIService.test.js - The browser's API client, its mock fallback and sensor uploads
+import snowflakeAPI from './SnowflakeAPIService';
+import { SITES } from '../shared/fleetSimulator';
+
+const MockFleetRepository = require('../../backend-api/repositories/MockFleetRepository');
+
+const NOW = Date.UTC(2025, 2, 10, 14, 20);
+
+describe('mock data', () => {
+  const seed = snowflakeAPI.fleetSeed;
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    snowflakeAPI.fleetSeed = seed;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('the browser fallback shows the fleet the mock backend serves for the same seed', async () => {
+    snowflakeAPI.fleetSeed = 'test-fleet';
+    const repository = new MockFleetRepository({ seed: 'test-fleet' });
+
+    for (const site of SITES) {
+      expect(snowflakeAPI.getMockEquipmentData(site.name).equipment).toEqual(await repository.getEquipmentData(site.name));
+    }
+
+    const [{ EQUIPMENT_ID: equipmentId }] = await repository.getEquipmentData(SITES[0].name);
+    expect(snowflakeAPI.getMockSensorData(equipmentId, 2).sensorData).toEqual(await repository.getSensorData(equipmentId, 2));
+    expect(snowflakeAPI.getMockLatestReadings([equipmentId]).snapshots).toEqual(await repository.getLatestReadings([equipmentId]));
+  });
+
+  test('another seed gives another fleet', () => {
+    snowflakeAPI.fleetSeed = 'test-fleet';
+    const first = snowflakeAPI.getMockEquipmentData(SITES[0].name).equipment;
+    snowflakeAPI.fleetSeed = 'another-fleet';
+    expect(snowflakeAPI.getMockEquipmentData(SITES[0].name).equipment).not.toEqual(first);
+  });
+});
+
+describe('uploadSensorData', () => {
+  const readings = [{ equipmentId: 'GEN-101', metricType: 'Temperature', value: 190, timestamp: new Date(NOW).toISOString() }];
+  const sentKeys = () => global.fetch.mock.calls.map(([, options]) => options.headers['Idempotency-Key']);
+
+  beforeEach(() => {
+    snowflakeAPI.sessionToken = 'session-token';
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ success: true, accepted: 1, duplicates: 0, rejected: 0 })
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  test('a retry sends the key of the first attempt', async () => {
+    const first = await snowflakeAPI.uploadSensorData(readings);
+    await snowflakeAPI.uploadSensorData(readings, { idempotencyKey: first.idempotencyKey });
+
+    expect(first.idempotencyKey).toBeTruthy();
+    expect(sentKeys()).toEqual([first.idempotencyKey, first.idempotencyKey]);
+  });
+
+  test('each new upload gets its own key, even without crypto.randomUUID', async () => {
+    const { crypto } = global;
+    global.crypto = {};
+    try {
+      const first = await snowflakeAPI.uploadSensorData(readings);
+      const second = await snowflakeAPI.uploadSensorData(readings);
+      expect(first.idempotencyKey).not.toEqual(second.idempotencyKey);
+      expect(sentKeys()).toEqual([first.idempotencyKey, second.idempotencyKey]);
+    } finally {
+      global.crypto = crypto;
+    }
+  });
+
+  test('a failed upload reports the key to retry with', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockRejectedValue(new Error('Network down'));
+
+    const result = await snowflakeAPI.uploadSensorData(readings);
+    expect(result).toEqual({ success: false, message: 'Network down', idempotencyKey: expect.any(String) });
+  });
+});
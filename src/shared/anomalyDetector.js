@@ -0,0 +1,225 @@
+// src/shared/anomalyDetector.js - Unusual behaviour on a machine's sensor readings
+//
+// An isolation forest fitted per machine on its own normal operating history, so it needs no
+// failure labels: readings unlike what the machine normally does are cut off from the rest in
+// fewer random splits. A window of recent readings is scored by its average isolation against
+// a threshold taken from the machine's own history, and each metric's contribution is how much
+// the score drops when that metric is put back to its normal value. Shared by the server
+// (backend-api/ml/anomalyDetection.js) and the mock API client.
+const { createRandom } = require('./fleetSimulator');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Sensors the detector looks at. Fuel level is left out: refuelling makes it a sawtooth that
+// says nothing about the machine's health.
+const ANOMALY_METRICS = ['temperature', 'vibration', 'pressure', 'current', 'oilPressure', 'rpm'];
+
+// Days of history a detector is fitted on
+const ANOMALY_HISTORY_DAYS = 30;
+// Hours of readings scored together
+const ANOMALY_WINDOW_HOURS = 6;
+// Hours this close before a breakdown or corrective repair are not normal operation
+const PRE_FAILURE_DAYS = 7;
+// Machines with less normal history than this get no detector
+const MIN_NORMAL_HOURS = 72;
+// Share of the machine's own normal windows that score below the alert threshold
+const THRESHOLD_QUANTILE = 0.99;
+
+const TREE_COUNT = 100;
+const SUBSAMPLE_SIZE = 256;
+
+// Work orders carry a date only; place each one at midday of that date (as in trainingSet.js)
+const failureTime = (date) => new Date(`${String(date).slice(0, 10)}T12:00:00Z`).getTime();
+
+const hasValue = (value) => value !== null && value !== undefined && Number.isFinite(Number(value));
+const hasAnyMetric = (reading) => ANOMALY_METRICS.some(metric => hasValue(reading[metric]));
+
+// Average path length of an unsuccessful search in a binary tree of n points, the
+// normalisation from the isolation forest paper
+const averagePathLength = (n) => (n <= 1 ? 0 : 2 * (Math.log(n - 1) + 0.5772156649) - (2 * (n - 1)) / n);
+
+// Feature vector for a reading: the detector's metrics, then the time of day on a circle so a
+// warm afternoon is not mistaken for a hot night. Null when a metric has no value.
+const toDetectorFeatures = (reading, metrics) => {
+  if (metrics.some(metric => !hasValue(reading[metric]))) return null;
+  const hour = new Date(reading.timestamp).getUTCHours();
+  return metrics.map(metric => Number(reading[metric]))
+    .concat([Math.sin((2 * Math.PI * hour) / 24), Math.cos((2 * Math.PI * hour) / 24)]);
+};
+
+// Helper function to grow one isolation tree on a subsample of points
+const growTree = (points, depth, maxDepth, random) => {
+  if (depth >= maxDepth || points.length <= 1) return { size: points.length };
+
+  // A random feature among those the points still differ on
+  const features = points[0].map((_, feature) => feature);
+  let feature;
+  let min;
+  let max;
+  while (features.length > 0) {
+    [feature] = features.splice(Math.floor(random() * features.length), 1);
+    min = Infinity;
+    max = -Infinity;
+    for (const point of points) {
+      if (point[feature] < min) min = point[feature];
+      if (point[feature] > max) max = point[feature];
+    }
+    if (max > min) break;
+  }
+  if (!(max > min)) return { size: points.length };
+
+  const split = min + random() * (max - min);
+  return {
+    feature,
+    split,
+    left: growTree(points.filter(point => point[feature] < split), depth + 1, maxDepth, random),
+    right: growTree(points.filter(point => point[feature] >= split), depth + 1, maxDepth, random)
+  };
+};
+
+// Helper function to count the splits needed to isolate a point
+const pathLength = (node, point, depth = 0) => {
+  if (node.size !== undefined) return depth + averagePathLength(node.size);
+  return pathLength(point[node.feature] < node.split ? node.left : node.right, point, depth + 1);
+};
+
+// Isolation score of one feature vector: about 0.5 for ordinary points, towards 1 for outliers
+const scorePoint = (detector, point) => {
+  const meanPath = detector.trees.reduce((sum, tree) => sum + pathLength(tree, point), 0) / detector.trees.length;
+  return 2 ** (-meanPath / averagePathLength(detector.sampleSize));
+};
+
+// Helper function to read a quantile off sorted values
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))];
+
+// Split a machine's readings (oldest first, e.g. from getSensorData()) into the history before
+// its latest window and the window itself: the last windowHours up to the latest reading with
+// any value, since the current hour may not have reported yet
+const splitLatestWindow = (readings, windowHours = ANOMALY_WINDOW_HOURS) => {
+  let end = readings.length - 1;
+  while (end >= 0 && !hasAnyMetric(readings[end])) end--;
+  if (end < 0) return { history: [], window: [] };
+
+  const windowStart = new Date(readings[end].timestamp).getTime() - windowHours * HOUR_MS;
+  const reported = readings.slice(0, end + 1);
+  return {
+    history: reported.filter(reading => new Date(reading.timestamp).getTime() <= windowStart),
+    window: reported.filter(reading => new Date(reading.timestamp).getTime() > windowStart)
+  };
+};
+
+// Fit a detector on one machine's history (hourly readings, oldest first) and its unplanned
+// work orders ([{ date }]). Returns a plain object that can be cached or sent as JSON, or null
+// when the machine has too little normal history.
+const fitAnomalyDetector = (readings, failures = [], { seed = 'anomaly', windowHours = ANOMALY_WINDOW_HOURS } = {}) => {
+  const failureTimes = failures.map(failure => failureTime(failure.date));
+  const normal = readings.filter(reading => {
+    const time = new Date(reading.timestamp).getTime();
+    return hasAnyMetric(reading) && !failureTimes.some(failureAt => failureAt >= time && failureAt - time <= PRE_FAILURE_DAYS * DAY_MS);
+  });
+
+  // The machine's own sensors: those reporting in most of the hours it reported at all
+  const metrics = ANOMALY_METRICS.filter(metric => normal.filter(reading => hasValue(reading[metric])).length >= normal.length * 0.9);
+  const points = metrics.length > 0 ? normal.map(reading => toDetectorFeatures(reading, metrics)).filter(Boolean) : [];
+  if (points.length < MIN_NORMAL_HOURS) return null;
+
+  const random = createRandom(seed);
+  const sampleSize = Math.min(SUBSAMPLE_SIZE, points.length);
+  const maxDepth = Math.ceil(Math.log2(sampleSize));
+  const trees = Array.from({ length: TREE_COUNT }, () => {
+    const sample = Array.from({ length: sampleSize }, () => points[Math.floor(random() * points.length)]);
+    return growTree(sample, 0, maxDepth, random);
+  });
+
+  const detector = {
+    metrics,
+    normal: Object.fromEntries(metrics.map((metric, i) => {
+      const sorted = points.map(point => point[i]).sort((a, b) => a - b);
+      return [metric, quantile(sorted, 0.5)];
+    })),
+    trees,
+    sampleSize,
+    windowHours,
+    normalHours: points.length,
+    from: normal[0].timestamp,
+    to: normal[normal.length - 1].timestamp
+  };
+
+  // The threshold comes from the machine's own windows of normal operation
+  const pointScores = points.map(point => scorePoint(detector, point));
+  const windowScores = pointScores.slice(windowHours - 1).map((_, i) => {
+    const window = pointScores.slice(i, i + windowHours);
+    return window.reduce((sum, score) => sum + score, 0) / window.length;
+  }).sort((a, b) => a - b);
+
+  return Object.assign(detector, {
+    threshold: quantile(windowScores, THRESHOLD_QUANTILE),
+    highestNormalScore: windowScores[windowScores.length - 1]
+  });
+};
+
+// Score a window of readings (oldest first). Returns { score, threshold, anomalous, severity,
+// contributions, window }, where contributions are the metrics that raised the score, largest
+// first, each with its share of the rise, its mean over the window and its normal value.
+// Null when no reading in the window has all the detector's metrics.
+const scoreAnomalyWindow = (detector, window) => {
+  const scored = window
+    .map(reading => ({ reading, point: toDetectorFeatures(reading, detector.metrics) }))
+    .filter(({ point }) => point);
+  if (scored.length === 0) return null;
+
+  const scores = scored.map(({ point }) => scorePoint(detector, point));
+  const score = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+
+  // How much lower the score would be with each metric at its normal value
+  const rises = detector.metrics.map((metric, i) => scored.reduce((sum, { point }, j) => {
+    const restored = point.slice();
+    restored[i] = detector.normal[metric];
+    return sum + Math.max(0, scores[j] - scorePoint(detector, restored));
+  }, 0) / scored.length);
+  const totalRise = rises.reduce((sum, rise) => sum + rise, 0);
+
+  const contributions = detector.metrics
+    .map((metric, i) => ({
+      metric,
+      share: totalRise > 0 ? Number((rises[i] / totalRise).toFixed(3)) : 0,
+      value: Number((scored.reduce((sum, { point }) => sum + point[i], 0) / scored.length).toFixed(3)),
+      normal: detector.normal[metric]
+    }))
+    .filter(contribution => contribution.share > 0)
+    .sort((a, b) => b.share - a.share);
+
+  const anomalous = score > detector.threshold;
+  return {
+    score: Number(score.toFixed(4)),
+    threshold: Number(detector.threshold.toFixed(4)),
+    anomalous,
+    // Beyond anything seen in the machine's normal history
+    severity: !anomalous ? null : score > detector.highestNormalScore ? 'high' : 'medium',
+    contributions,
+    window: {
+      from: scored[0].reading.timestamp,
+      to: scored[scored.length - 1].reading.timestamp,
+      readings: scored.length
+    }
+  };
+};
+
+// What a detector was fitted on, as reported with each score
+const describeDetector = (detector) => ({
+  metrics: detector.metrics,
+  normalHours: detector.normalHours,
+  from: detector.from,
+  to: detector.to
+});
+
+module.exports = {
+  ANOMALY_METRICS,
+  ANOMALY_HISTORY_DAYS,
+  ANOMALY_WINDOW_HOURS,
+  splitLatestWindow,
+  fitAnomalyDetector,
+  scoreAnomalyWindow,
+  describeDetector
+};
@@ -0,0 +1,88 @@
+// src/shared/anomalyDetector.test.js - Per-machine isolation forests and the windows they flag
+const { splitLatestWindow, fitAnomalyDetector, scoreAnomalyWindow, describeDetector } = require('./anomalyDetector');
+const { createRandom } = require('./fleetSimulator');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2025, 2, 1);
+
+// A machine running steadily, with a little noise, every hour from START
+const steadyReadings = (hours, { from = 0, seed = 'steady', overrides = {} } = {}) => {
+  const random = createRandom(seed);
+  return Array.from({ length: hours }, (_, i) => Object.assign({
+    equipmentId: 'GEN-101',
+    timestamp: new Date(START + (from + i) * HOUR_MS).toISOString(),
+    temperature: 180 + random() * 4,
+    vibration: 0.3 + random() * 0.02,
+    pressure: 40 + random(),
+    current: 50 + random() * 2,
+    oilPressure: 45 + random(),
+    rpm: null
+  }, overrides));
+};
+
+const history = steadyReadings(240);
+const detector = fitAnomalyDetector(history);
+
+test('a detector learns the sensors the machine reports and what is normal for them', () => {
+  expect(detector.metrics).toEqual(['temperature', 'vibration', 'pressure', 'current', 'oilPressure']);
+  expect(detector.normal.temperature).toBeGreaterThan(180);
+  expect(detector.normal.temperature).toBeLessThan(184);
+  expect(detector.threshold).toBeLessThanOrEqual(detector.highestNormalScore);
+  expect(describeDetector(detector)).toEqual({
+    metrics: detector.metrics,
+    normalHours: 240,
+    from: history[0].timestamp,
+    to: history[239].timestamp
+  });
+});
+
+test('hours leading up to a failure are not normal history, and too little history gets no detector', () => {
+  // A work order placed at midday of 2025-03-05: every hour of the week up to it is left out
+  const fitted = fitAnomalyDetector(history, [{ date: '2025-03-05' }]);
+  expect(fitted.normalHours).toBe(240 - 109);
+  expect(fitted.from).toBe('2025-03-05T13:00:00.000Z');
+
+  expect(fitAnomalyDetector(history.slice(0, 71))).toBeNull();
+  expect(fitAnomalyDetector(steadyReadings(100), [{ date: '2025-03-05' }])).toBeNull();
+});
+
+test('a window like the machine\'s normal operation is not flagged', () => {
+  const result = scoreAnomalyWindow(detector, steadyReadings(6, { from: 240, seed: 'later' }));
+
+  expect(result.anomalous).toBe(false);
+  expect(result.severity).toBeNull();
+  expect(result.window.readings).toBe(6);
+});
+
+test('an overheating window is flagged with the temperature as its largest contribution', () => {
+  const result = scoreAnomalyWindow(detector, steadyReadings(6, { from: 240, overrides: { temperature: 230 } }));
+
+  expect(result.anomalous).toBe(true);
+  expect(result.severity).toBe('high');
+  expect(result.score).toBeGreaterThan(result.threshold);
+  expect(result.contributions[0]).toMatchObject({ metric: 'temperature', value: 230 });
+  expect(result.contributions.every(contribution => contribution.share <= result.contributions[0].share)).toBe(true);
+  expect(result.contributions.reduce((sum, contribution) => sum + contribution.share, 0)).toBeCloseTo(1, 2);
+});
+
+test('detectors survive a round trip through JSON and score windows the same way', () => {
+  const window = steadyReadings(6, { from: 240, overrides: { vibration: 0.6 } });
+  const cached = JSON.parse(JSON.stringify(detector));
+
+  expect(scoreAnomalyWindow(cached, window)).toEqual(scoreAnomalyWindow(detector, window));
+  expect(fitAnomalyDetector(history)).toEqual(detector);
+});
+
+test('windows without the detector\'s metrics are not scored', () => {
+  expect(scoreAnomalyWindow(detector, steadyReadings(6, { from: 240, overrides: { temperature: null } }))).toBeNull();
+  expect(scoreAnomalyWindow(detector, [])).toBeNull();
+});
+
+test('the latest window ends at the last hour that reported, not the current empty one', () => {
+  const readings = steadyReadings(30).concat({ equipmentId: 'GEN-101', timestamp: new Date(START + 30 * HOUR_MS).toISOString() });
+  const { history: before, window } = splitLatestWindow(readings);
+
+  expect(window).toEqual(readings.slice(24, 30));
+  expect(before).toHaveLength(24);
+  expect(splitLatestWindow([{ timestamp: readings[0].timestamp }])).toEqual({ history: [], window: [] });
+});
@@ -0,0 +1,166 @@
+// src/shared/failureModel.js - The predictive-maintenance network and its inputs
+//
+// Shared by the in-browser trainer and the server trainer (backend-api/ml) so both build the
+// same network from the same features. TensorFlow.js is passed in rather than required:
+// the browser bundles @tensorflow/tfjs, the server may use the native tfjs-node bindings.
+
+// Readings the features are computed from
+const FAILURE_INPUT_METRICS = ['temperature', 'vibration', 'pressure', 'current', 'operatingHours'];
+
+// Each sensor reading is divided by its scale so the inputs are roughly 0..1. A saved model
+// keeps the scales it was trained with, since it only works on inputs scaled the same way.
+const FEATURE_SCALES = {
+  temperature: 100,
+  vibration: 3,
+  pressure: 200,
+  current: 30,
+  operatingHours: 10000
+};
+
+// Inputs in model order
+const FAILURE_FEATURES = [
+  { name: 'temperature', scale: (reading, scales) => reading.temperature / scales.temperature },
+  { name: 'vibration', scale: (reading, scales) => reading.vibration / scales.vibration },
+  { name: 'pressure', scale: (reading, scales) => reading.pressure / scales.pressure },
+  { name: 'current', scale: (reading, scales) => reading.current / scales.current },
+  // Time of day as a point on a circle, so 23:00 and 00:00 are neighbours
+  { name: 'hourSin', scale: reading => Math.sin(2 * Math.PI * new Date(reading.timestamp).getUTCHours() / 24) },
+  { name: 'hourCos', scale: reading => Math.cos(2 * Math.PI * new Date(reading.timestamp).getUTCHours() / 24) },
+  { name: 'operatingHours', scale: (reading, scales) => reading.operatingHours / scales.operatingHours }
+];
+
+// Feature vector for an hourly reading ({ timestamp, temperature, vibration, ... }), or null
+// when a sensor the model needs has no value
+const toFailureFeatures = (reading, scales = FEATURE_SCALES) => {
+  if (FAILURE_INPUT_METRICS.some(key => reading[key] === null || reading[key] === undefined || !Number.isFinite(Number(reading[key])))) {
+    return null;
+  }
+  return FAILURE_FEATURES.map(feature => feature.scale(reading, scales));
+};
+
+// Binary classifier: probability that the machine needs unplanned maintenance soon
+const createFailureModel = (tf) => {
+  const model = tf.sequential({
+    layers: [
+      tf.layers.dense({ inputShape: [FAILURE_FEATURES.length], units: 64, activation: 'relu' }),
+      tf.layers.dropout({ rate: 0.3 }),
+      tf.layers.dense({ units: 32, activation: 'relu' }),
+      tf.layers.dropout({ rate: 0.2 }),
+      tf.layers.dense({ units: 16, activation: 'relu' }),
+      tf.layers.dense({ units: 1, activation: 'sigmoid' })
+    ]
+  });
+
+  model.compile({
+    optimizer: tf.train.adam(0.001),
+    loss: 'binaryCrossentropy',
+    metrics: ['accuracy']
+  });
+
+  return model;
+};
+
+// Probability cut-offs for the risk levels predictions report. A model can carry its own,
+// chosen on its held-out threshold curve (see evaluateClassifier)
+const RISK_THRESHOLDS = { high: 0.7, medium: 0.4 };
+
+const riskLevelFor = (probability, thresholds = RISK_THRESHOLDS) => (
+  probability >= thresholds.high ? 'high' : probability >= thresholds.medium ? 'medium' : 'low'
+);
+
+// Accuracy, precision, recall, F1 and false positive rate (as fractions) of a confusion matrix
+const metricsFromConfusion = ({ truePositives, falsePositives, trueNegatives, falseNegatives }) => {
+  const total = truePositives + falsePositives + trueNegatives + falseNegatives;
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+
+  return {
+    accuracy: total > 0 ? (truePositives + trueNegatives) / total : 0,
+    precision,
+    recall,
+    f1Score: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+    falsePositiveRate: falsePositives + trueNegatives > 0 ? falsePositives / (falsePositives + trueNegatives) : 0
+  };
+};
+
+// Accuracy, precision, recall and F1 (as fractions) of probabilities against 0/1 labels
+const classificationMetrics = (labels, probabilities, threshold = 0.5) => {
+  const confusion = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+  labels.forEach((label, i) => {
+    const predicted = probabilities[i] >= threshold;
+    if (predicted && label) confusion.truePositives++;
+    else if (predicted) confusion.falsePositives++;
+    else if (label) confusion.falseNegatives++;
+    else confusion.trueNegatives++;
+  });
+
+  return Object.assign(metricsFromConfusion(confusion), { threshold, confusion });
+};
+
+// Confusion matrix at every threshold 0, 1/steps, ..., 1 (a prediction is positive when its
+// probability is at least the threshold). Enough to draw ROC and precision/recall curves and
+// to read off the metrics of any cut-off without the raw predictions.
+const thresholdCurve = (labels, probabilities, steps = 100) => {
+  const positives = new Array(steps + 1).fill(0);
+  const negatives = new Array(steps + 1).fill(0);
+  labels.forEach((label, i) => {
+    const bin = Math.min(steps, Math.max(0, Math.floor(probabilities[i] * steps)));
+    if (label) positives[bin]++;
+    else negatives[bin]++;
+  });
+
+  const totalPositives = positives.reduce((sum, count) => sum + count, 0);
+  const totalNegatives = negatives.reduce((sum, count) => sum + count, 0);
+  const curve = new Array(steps + 1);
+  let truePositives = 0;
+  let falsePositives = 0;
+  for (let bin = steps; bin >= 0; bin--) {
+    truePositives += positives[bin];
+    falsePositives += negatives[bin];
+    curve[bin] = {
+      threshold: bin / steps,
+      truePositives,
+      falsePositives,
+      trueNegatives: totalNegatives - falsePositives,
+      falseNegatives: totalPositives - truePositives
+    };
+  }
+  return curve;
+};
+
+// Area under the ROC curve of a threshold curve: 0.5 is guessing, 1 a perfect ranking
+const rocAuc = (curve) => {
+  const points = [{ falsePositiveRate: 0, recall: 0 }]
+    .concat(curve.slice().reverse().map(metricsFromConfusion));
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].falsePositiveRate - points[i - 1].falsePositiveRate) * (points[i].recall + points[i - 1].recall) / 2;
+  }
+  return area;
+};
+
+// Everything the apps show about a model, measured on held-out samples: the metrics at
+// `threshold`, ROC AUC and the threshold curve
+const evaluateClassifier = (labels, probabilities, threshold = 0.5) => {
+  const curve = thresholdCurve(labels, probabilities);
+  return Object.assign(classificationMetrics(labels, probabilities, threshold), {
+    rocAuc: rocAuc(curve),
+    samples: labels.length,
+    positives: labels.filter(Boolean).length,
+    curve
+  });
+};
+
+module.exports = {
+  FAILURE_INPUT_METRICS,
+  FEATURE_SCALES,
+  FAILURE_FEATURES,
+  toFailureFeatures,
+  createFailureModel,
+  RISK_THRESHOLDS,
+  riskLevelFor,
+  metricsFromConfusion,
+  classificationMetrics,
+  thresholdCurve,
+  evaluateClassifier
+};
@@ -0,0 +1,72 @@
+// src/shared/featureAttribution.js - Why the failure model scored a reading as it did
+//
+// Integrated gradients: the difference between the model's failure probability for a reading
+// and for a baseline reading is split between the inputs by averaging the model's gradient
+// along the straight line from the baseline to the reading. The contributions add up to that
+// difference, so they explain the model's own answer rather than fixed sensor limits. The
+// baseline is the average healthy hour the model was trained on, saved with the model.
+// Shared by the server's prediction scoring and the in-browser predictions; TensorFlow.js is
+// passed in, as in failureModel.js.
+const { FAILURE_FEATURES } = require('./failureModel');
+
+// Points along the path the gradient is averaged over
+const ATTRIBUTION_STEPS = 32;
+
+// How each input is named to technicians
+const FEATURE_LABELS = {
+  temperature: 'Temperature',
+  vibration: 'Vibration',
+  pressure: 'Pressure',
+  current: 'Current',
+  hourSin: 'Time of day (sine)',
+  hourCos: 'Time of day (cosine)',
+  operatingHours: 'Operating hours'
+};
+
+// The baseline saved with a model: the mean features of its healthy training samples
+// ({ features, label }), or of all of them when none is labelled healthy
+const attributionBaselineFor = (samples) => {
+  const healthy = samples.filter(sample => sample.label === 0);
+  const reference = healthy.length > 0 ? healthy : samples;
+  if (reference.length === 0) return null;
+
+  return FAILURE_FEATURES.map((_, i) => Number((reference.reduce((sum, sample) => sum + sample.features[i], 0) / reference.length).toFixed(6)));
+};
+
+// Explain one prediction of a failure model from its (scaled) feature vector. Resolves with
+// { method, baselineProbability, probability, contributions }, where each contribution is
+// { feature, label, contribution } in probability units (positive raises the risk), largest
+// first by size.
+const explainPrediction = async (tf, model, features, baseline, { steps = ATTRIBUTION_STEPS } = {}) => {
+  const [meanGradients, endpoints] = tf.tidy(() => {
+    const input = tf.tensor2d([features]);
+    const start = tf.tensor2d([baseline]);
+    // The midpoints of `steps` equal segments of the path from the baseline to the reading
+    const alphas = tf.range(0, steps).add(0.5).div(steps).reshape([steps, 1]);
+    const path = start.add(alphas.mul(input.sub(start)));
+    const gradients = tf.grad(x => model.apply(x, { training: false }).sum())(path);
+    return [gradients.mean(0), model.apply(tf.concat([start, input]), { training: false })];
+  });
+  const [gradients, [baselineProbability, probability]] = await Promise.all([meanGradients.data(), endpoints.data()]);
+  tf.dispose([meanGradients, endpoints]);
+
+  const contributions = FAILURE_FEATURES.map((feature, i) => ({
+    feature: feature.name,
+    label: FEATURE_LABELS[feature.name],
+    contribution: Number(((features[i] - baseline[i]) * gradients[i]).toFixed(4))
+  }));
+
+  return {
+    method: 'integrated_gradients',
+    baselineProbability: Number(baselineProbability.toFixed(4)),
+    probability: Number(probability.toFixed(4)),
+    contributions: contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+  };
+};
+
+module.exports = {
+  ATTRIBUTION_STEPS,
+  FEATURE_LABELS,
+  attributionBaselineFor,
+  explainPrediction
+};
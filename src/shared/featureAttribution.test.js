@@ -0,0 +1,73 @@
+// src/shared/featureAttribution.test.js - Integrated-gradient explanations of failure predictions
+const tf = require('@tensorflow/tfjs');
+const { FAILURE_FEATURES } = require('./failureModel');
+const { FEATURE_LABELS, attributionBaselineFor, explainPrediction } = require('./featureAttribution');
+
+const baseline = [1.5, 0.1, 0.2, 1.5, 0, 1, 0.1];
+const features = [2.2, 0.4, 0.25, 1.5, 0.5, 0.8, 0.12];
+
+// Helper function to build a one-layer model with the given input weights
+const denseModel = (weights, activation) => {
+  const model = tf.sequential({
+    layers: [tf.layers.dense({ inputShape: [FAILURE_FEATURES.length], units: 1, activation })]
+  });
+  model.setWeights([tf.tensor2d(weights.map(weight => [weight])), tf.tensor1d([-1])]);
+  return model;
+};
+
+const sumOf = (contributions) => contributions.reduce((sum, { contribution }) => sum + contribution, 0);
+
+beforeAll(async () => {
+  await tf.setBackend('cpu');
+});
+
+test('the baseline is the mean healthy sample, or the mean of all samples when none is healthy', () => {
+  const samples = [
+    { features: [1, 1, 1, 1, 1, 1, 1], label: 0 },
+    { features: [3, 3, 3, 3, 3, 3, 3], label: 0 },
+    { features: [9, 9, 9, 9, 9, 9, 9], label: 1 }
+  ];
+
+  expect(attributionBaselineFor(samples)).toEqual([2, 2, 2, 2, 2, 2, 2]);
+  expect(attributionBaselineFor(samples.slice(2))).toEqual([9, 9, 9, 9, 9, 9, 9]);
+  expect(attributionBaselineFor([])).toBeNull();
+});
+
+test('a linear model\'s contributions are each input\'s weight times its change from the baseline', async () => {
+  const weights = [0.5, 2, -1, 3, 0, 0, 0.25];
+  const model = denseModel(weights, 'linear');
+
+  const explanation = await explainPrediction(tf, model, features, baseline);
+  const byFeature = Object.fromEntries(explanation.contributions.map(({ feature, contribution }) => [feature, contribution]));
+
+  expect(explanation.method).toBe('integrated_gradients');
+  FAILURE_FEATURES.forEach(({ name }, i) => {
+    expect(byFeature[name]).toBeCloseTo(weights[i] * (features[i] - baseline[i]), 3);
+  });
+  // Unchanged inputs contribute nothing, whatever their weight
+  expect(byFeature.current).toBe(0);
+  model.dispose();
+});
+
+test('contributions add up to the change in failure probability and come largest first', async () => {
+  const model = denseModel([1.2, 3, -2, 0.8, 0.4, -0.6, 2], 'sigmoid');
+
+  const explanation = await explainPrediction(tf, model, features, baseline);
+  const sizes = explanation.contributions.map(({ contribution }) => Math.abs(contribution));
+
+  expect(sumOf(explanation.contributions)).toBeCloseTo(explanation.probability - explanation.baselineProbability, 2);
+  expect(sizes).toEqual([...sizes].sort((a, b) => b - a));
+  expect(explanation.contributions[0].feature).toBe('vibration');
+  expect(explanation.contributions.every(({ feature, label }) => label === FEATURE_LABELS[feature])).toBe(true);
+  model.dispose();
+});
+
+test('explaining a prediction leaves no tensors behind', async () => {
+  const model = denseModel([1, 1, 1, 1, 1, 1, 1], 'sigmoid');
+  const before = tf.memory().numTensors;
+
+  await explainPrediction(tf, model, features, baseline, { steps: 8 });
+
+  expect(tf.memory().numTensors).toBe(before);
+  model.dispose();
+});
@@ -0,0 +1,327 @@
+// src/shared/fleetSimulator.js - Deterministic fleet simulator shared by the frontend and backend
+//
+// Every value is a pure function of (seed, site or equipment ID, timestamp), so the same seed
+// yields the same fleet, readings and predictions in the browser fallback, the backend mock
+// repository and the seeded SQLite store. Written as CommonJS with no dependencies so that
+// backend-api can require it directly (CRA cannot import from outside src/).
+//
+// Physical model: each machine is serviced on a fixed interval. Between services wear grows
+// quadratically, pushing temperature, vibration and current up and oil pressure down. If wear
+// reaches 1 before the next service the machine fails and is repaired, which resets wear.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Service cycles and operating hours are counted from this fixed point
+const EPOCH_MS = Date.UTC(2024, 0, 1);
+
+const DEFAULT_SEED = 'multiquip';
+
+// FNV-1a hash of any string, used to derive PRNG seeds
+const hashSeed = (value) => {
+  let hash = 2166136261;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const CATEGORIES = [
+  { id: 'CAT-GEN', name: 'Generators', prefix: 'GEN', fuelType: 'Diesel', models: ['DCA-25SSIU4F', 'DCA-45SSIU4F', 'DCA-70SSJU4F'] },
+  { id: 'CAT-PMP', name: 'Water Pumps', prefix: 'PMP', fuelType: 'Gasoline', models: ['QP-3TH', 'QP-4TH', 'ST-2040'] },
+  { id: 'CAT-COM', name: 'Compactors', prefix: 'COM', fuelType: 'Diesel', models: ['MVC-88VTHW', 'MVH-308DSC', 'MTX-60HD'] },
+  { id: 'CAT-MIX', name: 'Mixers', prefix: 'MIX', fuelType: 'Gasoline', models: ['MC-94SH8', 'WM-70SH8', 'MC-64SE'] }
+];
+
+const SITES = [
+  { id: 'SITE-001', name: 'Downtown Infrastructure Project', manager: 'Sarah Johnson', lat: 34.0522, lng: -118.2437, equipmentCount: 45, areas: ['Excavation', 'Staging', 'Storage', 'Concrete', 'Assembly', 'Access'] },
+  { id: 'SITE-002', name: 'Highway Expansion Phase 2', manager: 'Mike Rodriguez', lat: 34.1478, lng: -118.1445, equipmentCount: 38, areas: ['Excavation', 'Staging', 'Paving', 'Access'] },
+  { id: 'SITE-003', name: 'Commercial Complex Build', manager: 'Emily Chen', lat: 33.9416, lng: -118.4085, equipmentCount: 44, areas: ['Excavation', 'Staging', 'Storage', 'Concrete', 'Assembly', 'Access', 'Foundation', 'Structure'] }
+];
+
+// Reading field, EQUIPMENT_METRICS type and unit for every simulated sensor
+const METRICS = [
+  { key: 'temperature', type: 'Temperature', unit: '°F', digits: 1 },
+  { key: 'vibration', type: 'Vibration', unit: 'g', digits: 3 },
+  { key: 'pressure', type: 'Pressure', unit: 'PSI', digits: 1 },
+  { key: 'current', type: 'Current', unit: 'A', digits: 1 },
+  { key: 'oilPressure', type: 'Oil Pressure', unit: 'PSI', digits: 1 },
+  { key: 'rpm', type: 'RPM', unit: 'RPM', digits: 0 },
+  { key: 'fuelLevel', type: 'Fuel Level', unit: '%', digits: 1 }
+];
+
+// Every machine's hour meter, recorded alongside the sensors as cumulative operating hours
+const OPERATING_HOURS_METRIC = { key: 'operatingHours', type: 'Operating Hours', unit: 'h', digits: 1 };
+
+// Every machine reports the four core sensors; engines add oil pressure, RPM and fuel level
+const SENSORS_BY_CATEGORY = {
+  Generators: ['temperature', 'vibration', 'pressure', 'current', 'oilPressure', 'rpm', 'fuelLevel'],
+  'Water Pumps': ['temperature', 'vibration', 'pressure', 'current'],
+  Compactors: ['temperature', 'vibration', 'pressure', 'current', 'oilPressure', 'rpm', 'fuelLevel'],
+  Mixers: ['temperature', 'vibration', 'pressure', 'current', 'rpm']
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const toHour = (timestamp) => Math.floor(new Date(timestamp).getTime() / HOUR_MS);
+
+// Look up a known site, or derive a stable one from the name
+const getSite = (siteName, seed = DEFAULT_SEED) => {
+  const known = SITES.find(site => site.name === siteName);
+  if (known) return known;
+
+  const random = createRandom(`${seed}:site:${siteName}`);
+  return {
+    id: `SITE-${String(100 + Math.floor(random() * 900))}`,
+    name: siteName,
+    manager: null,
+    lat: 34.0522 + (random() - 0.5) * 0.2,
+    lng: -118.2437 + (random() - 0.5) * 0.2,
+    equipmentCount: 10 + Math.floor(random() * 16),
+    areas: SITES[0].areas
+  };
+};
+
+// Per-machine constants; derived from the ID alone so readings can be produced without the site
+const getEquipmentProfile = (equipmentId, seed = DEFAULT_SEED) => {
+  const random = createRandom(`${seed}:profile:${equipmentId}`);
+  const prefix = String(equipmentId).split('-')[0];
+  const category = CATEGORIES.find(c => c.prefix === prefix) || CATEGORIES[Math.floor(random() * CATEGORIES.length)];
+  // About one machine in seven is prone to failing before its next service
+  const failureProne = random() < 0.15;
+
+  return {
+    equipmentId,
+    category,
+    sensors: SENSORS_BY_CATEGORY[category.name],
+    serviceIntervalHours: Math.round(360 + random() * 480),
+    servicePhaseHours: Math.floor(random() * 840),
+    wearRate: failureProne ? 1.2 + random() * 0.6 : 0.3 + random() * 0.5,
+    // Fraction of the day the machine runs
+    utilization: 0.1 + random() * 0.15,
+    baseOperatingHours: Math.round(200 + random() * 3000),
+    refuelIntervalHours: 48 + Math.floor(random() * 48),
+    offsets: {
+      temperature: (random() - 0.5) * 6,
+      vibration: (random() - 0.5) * 0.2,
+      pressure: (random() - 0.5) * 16,
+      current: (random() - 0.5) * 4,
+      oilPressure: (random() - 0.5) * 6,
+      rpm: (random() - 0.5) * 100
+    }
+  };
+};
+
+// Service cycle `cycle` of a machine: when it starts and ends, and when (if ever) it fails
+const getServiceCycle = (equipmentId, cycle, seed = DEFAULT_SEED) => {
+  const profile = getEquipmentProfile(equipmentId, seed);
+  const interval = profile.serviceIntervalHours;
+  // Each cycle wears at a slightly different rate
+  const severity = profile.wearRate * (0.6 + createRandom(`${seed}:cycle:${equipmentId}:${cycle}`)() * 0.8);
+  const startMs = EPOCH_MS + (cycle * interval + profile.servicePhaseHours) * HOUR_MS;
+
+  return {
+    startMs,
+    endMs: startMs + interval * HOUR_MS,
+    severity,
+    // Wear reaches 1 at interval / sqrt(severity) hours, before the next service only if severity > 1
+    failureMs: severity > 1 ? startMs + Math.floor(interval / Math.sqrt(severity)) * HOUR_MS : null
+  };
+};
+
+const getCycleIndex = (equipmentId, timestamp, seed = DEFAULT_SEED) => {
+  const profile = getEquipmentProfile(equipmentId, seed);
+  const hour = toHour(timestamp) - toHour(EPOCH_MS) - profile.servicePhaseHours;
+  return Math.floor(hour / profile.serviceIntervalHours);
+};
+
+// Wear and maintenance timeline of a machine at a point in time
+const getMaintenanceState = (equipmentId, timestamp = Date.now(), { seed = DEFAULT_SEED } = {}) => {
+  const profile = getEquipmentProfile(equipmentId, seed);
+  const time = new Date(timestamp).getTime();
+  const cycle = getServiceCycle(equipmentId, getCycleIndex(equipmentId, time, seed), seed);
+  const failed = cycle.failureMs !== null && time >= cycle.failureMs;
+  // The repair after a failure resets wear, which then grows again from zero
+  const wearStartMs = failed ? cycle.failureMs : cycle.startMs;
+  const wearHours = toHour(time) - toHour(wearStartMs);
+  const toIso = (ms) => new Date(ms).toISOString();
+
+  return {
+    wear: cycle.severity * Math.pow(wearHours / profile.serviceIntervalHours, 2),
+    lastServiceAt: toIso(cycle.startMs),
+    nextServiceAt: toIso(cycle.endMs),
+    lastFailureAt: failed ? toIso(cycle.failureMs) : null,
+    predictedFailureAt: cycle.failureMs !== null && !failed ? toIso(cycle.failureMs) : null
+  };
+};
+
+// Services and failures of one machine between two points in time, oldest first
+const getMaintenanceEvents = (equipmentId, from, to, { seed = DEFAULT_SEED } = {}) => {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  const events = [];
+
+  for (let index = getCycleIndex(equipmentId, fromMs, seed); index <= getCycleIndex(equipmentId, toMs, seed); index++) {
+    const cycle = getServiceCycle(equipmentId, index, seed);
+    if (cycle.startMs >= fromMs && cycle.startMs <= toMs) {
+      events.push({ type: 'SERVICE', timestamp: new Date(cycle.startMs).toISOString() });
+    }
+    if (cycle.failureMs !== null && cycle.failureMs >= fromMs && cycle.failureMs <= toMs) {
+      events.push({ type: 'FAILURE', timestamp: new Date(cycle.failureMs).toISOString() });
+    }
+  }
+
+  return events;
+};
+
+// One hourly reading; sensors the machine does not have are null
+const simulateReading = (equipmentId, timestamp, { seed = DEFAULT_SEED } = {}) => {
+  const profile = getEquipmentProfile(equipmentId, seed);
+  const hour = toHour(timestamp);
+  const random = createRandom(`${seed}:reading:${equipmentId}:${hour}`);
+  const noise = (amplitude) => (random() - 0.5) * 2 * amplitude;
+  const { wear } = getMaintenanceState(equipmentId, hour * HOUR_MS, { seed });
+  const hourOfDay = new Date(hour * HOUR_MS).getUTCHours();
+  // Ambient heat and load peak mid-afternoon (Pacific time)
+  const daily = Math.sin((2 * Math.PI * (hourOfDay - 16)) / 24);
+  const { offsets } = profile;
+
+  const values = {
+    temperature: 75 + offsets.temperature + daily * 4 + noise(1.5) + wear * 18,
+    vibration: Math.max(0.05, 0.6 + offsets.vibration + daily * 0.05 + noise(0.05) + Math.pow(wear, 1.5) * 1.3),
+    pressure: 125 + offsets.pressure + daily * 6 + noise(3) - wear * 20,
+    current: 18 + offsets.current + daily * 1.5 + noise(0.8) + wear * 5,
+    oilPressure: 50 + offsets.oilPressure + noise(1) - wear * 12,
+    rpm: 1800 + offsets.rpm + noise(20) + wear * 60,
+    fuelLevel: 100 - (((hour % profile.refuelIntervalHours) + profile.refuelIntervalHours) % profile.refuelIntervalHours) / profile.refuelIntervalHours * 85 + noise(1.5)
+  };
+
+  const reading = {
+    equipmentId,
+    timestamp: new Date(hour * HOUR_MS).toISOString()
+  };
+  METRICS.forEach(metric => {
+    reading[metric.key] = profile.sensors.includes(metric.key) ? round(values[metric.key], metric.digits) : null;
+  });
+  reading.operatingHours = round(profile.baseOperatingHours + (hour - toHour(EPOCH_MS)) * profile.utilization, 1);
+
+  return reading;
+};
+
+// Hourly readings for the last `days` days, oldest first
+const simulateSensorSeries = (equipmentId, { days = 7, now = Date.now(), seed = DEFAULT_SEED } = {}) => {
+  const latestHour = toHour(now);
+  const readings = [];
+  for (let hour = latestHour - days * 24 + 1; hour <= latestHour; hour++) {
+    readings.push(simulateReading(equipmentId, hour * HOUR_MS, { seed }));
+  }
+  return readings;
+};
+
+// Stable equipment list for a site, in the EQUIPMENT row shape the API returns
+const simulateSiteEquipment = (siteName, { now = Date.now(), seed = DEFAULT_SEED } = {}) => {
+  const site = getSite(siteName, seed);
+  const siteNumber = SITES.includes(site) ? SITES.indexOf(site) + 1 : 4 + (hashSeed(`${seed}:${siteName}`) % 5);
+  const random = createRandom(`${seed}:equipment:${site.name}`);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  const equipment = [];
+  for (let i = 0; i < site.equipmentCount; i++) {
+    const category = pick(CATEGORIES);
+    const equipmentId = `${category.prefix}-${siteNumber}${String(i + 1).padStart(2, '0')}`;
+    const profile = getEquipmentProfile(equipmentId, seed);
+    const state = getMaintenanceState(equipmentId, now, { seed });
+    const areaIndex = Math.floor(random() * site.areas.length);
+    const latitude = site.lat + (random() - 0.5) * 0.01;
+    const longitude = site.lng + (random() - 0.5) * 0.01;
+    const installDaysAgo = 120 + Math.floor(random() * 1400);
+    const modelNumber = pick(category.models);
+    const idleChance = random();
+
+    // Status follows wear; a machine is in the shop for its first 8 hours after a service or failure
+    const sinceRepair = now - new Date(state.lastFailureAt || state.lastServiceAt).getTime();
+    let status = 'operational';
+    if (state.wear > 0.85) status = 'critical';
+    else if (state.wear > 0.65 || sinceRepair < 8 * HOUR_MS) status = 'maintenance';
+    else if (idleChance < 0.08) status = 'idle';
+
+    equipment.push({
+      EQUIPMENT_ID: equipmentId,
+      EQUIPMENT_NAME: `${category.name.replace(/s$/, '')} ${equipmentId}`,
+      EQUIPMENT_TYPE: category.name,
+      CATEGORY_ID: category.id,
+      CATEGORY_NAME: category.name,
+      SITE_ID: site.id,
+      SITE_NAME: site.name,
+      AREA_ID: `${site.id}-A${areaIndex + 1}`,
+      AREA_NAME: site.areas[areaIndex],
+      STATUS: status,
+      GPS_LATITUDE: round(latitude, 6),
+      GPS_LONGITUDE: round(longitude, 6),
+      UPTIME_PERCENTAGE: round(Math.min(99.5, 100 - profile.wearRate * 6 - profile.utilization * 2), 1),
+      OPERATING_HOURS: simulateReading(equipmentId, now, { seed }).operatingHours,
+      MANUFACTURER: 'MULTIQUIP',
+      MODEL_NUMBER: modelNumber,
+      INSTALL_DATE: new Date(now - installDaysAgo * DAY_MS).toISOString().split('T')[0]
+    });
+  }
+
+  return equipment;
+};
+
+// Failure-risk prediction derived from the machine's current wear
+const simulatePrediction = (equipmentId, { now = Date.now(), seed = DEFAULT_SEED } = {}) => {
+  const state = getMaintenanceState(equipmentId, now, { seed });
+  const random = createRandom(`${seed}:prediction:${equipmentId}:${toHour(now)}`);
+
+  const failureProbability = Math.min(99, Math.max(1, state.wear * 90 + random() * 8));
+  const riskLevel = failureProbability > 70 ? 'high' : failureProbability > 40 ? 'medium' : 'low';
+  const dueAt = Math.min(
+    new Date(state.nextServiceAt).getTime(),
+    state.predictedFailureAt ? new Date(state.predictedFailureAt).getTime() : Infinity
+  );
+  const daysUntilMaintenance = Math.max(1, Math.floor((dueAt - now) / DAY_MS));
+
+  return {
+    equipmentId,
+    failureProbability: failureProbability.toFixed(1),
+    riskLevel,
+    daysUntilMaintenance,
+    recommendedAction: riskLevel === 'high' ? 'Schedule immediate maintenance' :
+                      riskLevel === 'medium' ? 'Plan maintenance within 2 weeks' :
+                      'Continue normal operations',
+    confidence: (85 + random() * 13).toFixed(1),
+    lastUpdated: new Date(now).toISOString()
+  };
+};
+
+module.exports = {
+  DEFAULT_SEED,
+  CATEGORIES,
+  SITES,
+  METRICS,
+  OPERATING_HOURS_METRIC,
+  SENSORS_BY_CATEGORY,
+  hashSeed,
+  createRandom,
+  getSite,
+  getEquipmentProfile,
+  getMaintenanceState,
+  getMaintenanceEvents,
+  simulateReading,
+  simulateSensorSeries,
+  simulateSiteEquipment,
+  simulatePrediction
+};
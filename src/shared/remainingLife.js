@@ -0,0 +1,225 @@
+// src/shared/remainingLife.js - Remaining useful life regression
+//
+// Estimates how long a machine will run before its next breakdown or corrective repair from
+// its last day of readings: the latest values, how they have been trending and how hard the
+// machine is being used. The network predicts days; the interval around each estimate comes
+// from the errors it made on held-out hours, and days convert to operating hours at the
+// machine's recent utilization. Shared by the server trainer and the in-browser trainer.
+const { FEATURE_SCALES, FAILURE_FEATURES, toFailureFeatures } = require('./failureModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours of readings behind each estimate
+const LIFE_WINDOW_HOURS = 24;
+// Lives are capped: a machine a month or more from failure looks like any other healthy one
+const MAX_LIFE_DAYS = 30;
+// Share of held-out lives the prediction interval should contain
+const LIFE_INTERVAL_COVERAGE = 0.8;
+
+const LIFE_TREND_METRICS = ['temperature', 'vibration', 'pressure', 'current'];
+
+// Inputs in model order: the failure model's features, each sensor's trend and utilization
+const LIFE_FEATURES = FAILURE_FEATURES.map(feature => feature.name)
+  .concat(LIFE_TREND_METRICS.map(metric => `${metric}Trend`), ['utilization']);
+
+// Helper function to fit a least-squares slope, in units per day, through a window's values
+const trendPerDay = (window, metric) => {
+  const points = window
+    .filter(reading => reading[metric] !== null && reading[metric] !== undefined && Number.isFinite(Number(reading[metric])))
+    .map(reading => ({ x: new Date(reading.timestamp).getTime() / DAY_MS, y: Number(reading[metric]) }));
+  if (points.length < 2) return 0;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const spread = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  return spread > 0 ? points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / spread : 0;
+};
+
+// Share of the window's wall-clock hours the machine ran, from its operating hours meter
+const windowUtilization = (window) => {
+  const first = window[0];
+  const last = window[window.length - 1];
+  const elapsedHours = (new Date(last.timestamp) - new Date(first.timestamp)) / HOUR_MS;
+  if (!(elapsedHours > 0) || !Number.isFinite(Number(first.operatingHours)) || !Number.isFinite(Number(last.operatingHours))) return null;
+  return Math.min(1, Math.max(0, (last.operatingHours - first.operatingHours) / elapsedHours));
+};
+
+// Feature vector for a window of hourly readings (oldest first, ending at the hour being
+// estimated), or null when the latest reading is incomplete or the window is too short
+const toRemainingLifeFeatures = (window, scales = FEATURE_SCALES) => {
+  if (window.length < 2) return null;
+  const latest = toFailureFeatures(window[window.length - 1], scales);
+  const utilization = windowUtilization(window);
+  if (!latest || utilization === null) return null;
+
+  return latest
+    .concat(LIFE_TREND_METRICS.map(metric => trendPerDay(window, metric) / scales[metric]))
+    .concat([utilization]);
+};
+
+// The last windowHours of readings (oldest first) up to the latest complete one, e.g. from
+// getSensorData(), where the current hour may not have reported yet
+const latestWindow = (readings, windowHours = LIFE_WINDOW_HOURS) => {
+  let end = readings.length - 1;
+  while (end >= 0 && !toFailureFeatures(readings[end])) end--;
+  if (end < 0) return [];
+
+  const endTime = new Date(readings[end].timestamp).getTime();
+  return readings.slice(0, end + 1).filter(reading => new Date(reading.timestamp).getTime() > endTime - windowHours * HOUR_MS);
+};
+
+// Helper function to group readings by machine, oldest first
+const readingsByEquipment = (readings) => {
+  const groups = new Map();
+  readings.forEach(reading => {
+    const group = groups.get(reading.equipmentId) || [];
+    group.push(reading);
+    groups.set(reading.equipmentId, group);
+  });
+  groups.forEach(group => group.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+  return groups;
+};
+
+// Work orders carry a date only; place each one at midday of that date (as in trainingSet.js)
+const failureTime = (date) => new Date(`${String(date).slice(0, 10)}T12:00:00Z`).getTime();
+
+// Build samples ({ equipmentId, timestamp, features, days, utilization }, oldest first) from
+// repository.getTrainingData() output. `days` is the time to the machine's next unplanned work
+// order, capped at maxDays. Hours with no failure after them are only kept once maxDays have
+// been observed; until then their life is unknown rather than long.
+const buildRemainingLifeSet = ({ readings, failures }, { maxDays = MAX_LIFE_DAYS, windowHours = LIFE_WINDOW_HOURS, observedUntil = Date.now() } = {}) => {
+  const failuresByEquipment = new Map();
+  failures.forEach(failure => {
+    const times = failuresByEquipment.get(failure.equipmentId) || [];
+    times.push(failureTime(failure.date));
+    failuresByEquipment.set(failure.equipmentId, times);
+  });
+
+  const samples = [];
+  readingsByEquipment(readings).forEach((history, equipmentId) => {
+    const failureTimes = (failuresByEquipment.get(equipmentId) || []).sort((a, b) => a - b);
+    const times = history.map(reading => new Date(reading.timestamp).getTime());
+    let windowStart = 0;
+
+    history.forEach((reading, index) => {
+      const time = times[index];
+      while (times[windowStart] <= time - windowHours * HOUR_MS) windowStart++;
+
+      const nextFailure = failureTimes.find(failureAt => failureAt > time);
+      const observedDays = ((nextFailure === undefined ? observedUntil : nextFailure) - time) / DAY_MS;
+      if (nextFailure === undefined && observedDays < maxDays) return;
+
+      const window = history.slice(windowStart, index + 1);
+      const features = toRemainingLifeFeatures(window);
+      if (!features) return;
+
+      samples.push({
+        equipmentId,
+        timestamp: reading.timestamp,
+        features,
+        days: Math.min(maxDays, observedDays),
+        utilization: windowUtilization(window)
+      });
+    });
+  });
+
+  return samples.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Regression network: the output is the life as a fraction of maxDays
+const createRemainingLifeModel = (tf) => {
+  const model = tf.sequential({
+    layers: [
+      tf.layers.dense({ inputShape: [LIFE_FEATURES.length], units: 32, activation: 'relu' }),
+      tf.layers.dropout({ rate: 0.2 }),
+      tf.layers.dense({ units: 16, activation: 'relu' }),
+      tf.layers.dense({ units: 1, activation: 'sigmoid' })
+    ]
+  });
+
+  model.compile({
+    optimizer: tf.train.adam(0.001),
+    loss: 'meanSquaredError'
+  });
+
+  return model;
+};
+
+// Helper function to read a quantile off sorted values
+const quantile = (sorted, q) => (sorted.length === 0 ? 0 : sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))]);
+
+// Mean absolute error and the prediction interval, measured on held-out lives (oldest first).
+// The earlier half calibrates: its median error becomes the `bias` added to every estimate and
+// its error quantiles the interval's offsets, so the corrected estimate always lies inside the
+// interval. Coverage is checked on the later half, so it is not the one the interval was fitted to.
+// The error measures are of the corrected estimates, as toRemainingLife() reports them.
+const evaluateRemainingLife = (actualDays, predictedDays, { maxDays = MAX_LIFE_DAYS, coverage = LIFE_INTERVAL_COVERAGE } = {}) => {
+  const errors = actualDays.map((days, i) => days - predictedDays[i]);
+  const half = Math.floor(errors.length / 2);
+  const calibration = errors.slice(0, half).sort((a, b) => a - b);
+  const interval = {
+    low: quantile(calibration, (1 - coverage) / 2),
+    high: quantile(calibration, (1 + coverage) / 2)
+  };
+  const bias = quantile(calibration, 0.5);
+  const checked = errors.slice(half);
+  const covered = checked.filter(error => error >= interval.low && error <= interval.high).length;
+  const correctedErrors = actualDays.map((days, i) => days - Math.min(maxDays, Math.max(0, predictedDays[i] + bias)));
+
+  return {
+    meanAbsoluteError: correctedErrors.length > 0 ? correctedErrors.reduce((sum, error) => sum + Math.abs(error), 0) / correctedErrors.length : 0,
+    rootMeanSquaredError: correctedErrors.length > 0 ? Math.sqrt(correctedErrors.reduce((sum, error) => sum + error * error, 0) / correctedErrors.length) : 0,
+    bias,
+    interval,
+    targetCoverage: coverage,
+    intervalCoverage: checked.length > 0 ? covered / checked.length : 0,
+    samples: errors.length,
+    maxDays
+  };
+};
+
+// Turn a model output into the estimate the apps show: days with their interval and the same
+// in operating hours at the machine's utilization. `lifeMetrics` is evaluateRemainingLife() output;
+// metrics saved before it measured a bias leave the estimate uncorrected and widen the interval
+// to contain it.
+const toRemainingLife = (fraction, lifeMetrics, utilization) => {
+  const maxDays = lifeMetrics.maxDays || MAX_LIFE_DAYS;
+  const clamp = (days) => Math.min(maxDays, Math.max(0, days));
+  const predicted = fraction * maxDays;
+  const bias = lifeMetrics.bias || 0;
+  const days = clamp(predicted + bias);
+  const daysLow = clamp(predicted + Math.min(bias, lifeMetrics.interval.low));
+  const daysHigh = clamp(predicted + Math.max(bias, lifeMetrics.interval.high));
+  const hoursPerDay = 24 * (utilization || 0);
+
+  return {
+    days: Number(days.toFixed(1)),
+    daysLow: Number(daysLow.toFixed(1)),
+    daysHigh: Number(daysHigh.toFixed(1)),
+    operatingHours: Math.round(days * hoursPerDay),
+    operatingHoursLow: Math.round(daysLow * hoursPerDay),
+    operatingHoursHigh: Math.round(daysHigh * hoursPerDay),
+    coverage: lifeMetrics.targetCoverage,
+    // The model can't tell lives beyond maxDays apart: read daysHigh as "at least"
+    capped: daysHigh >= maxDays
+  };
+};
+
+// Maintenance is due before the early end of the interval, at least a day out
+const daysUntilMaintenanceFor = (remainingLife) => Math.max(1, Math.floor(remainingLife.daysLow));
+
+module.exports = {
+  LIFE_WINDOW_HOURS,
+  MAX_LIFE_DAYS,
+  LIFE_INTERVAL_COVERAGE,
+  LIFE_FEATURES,
+  windowUtilization,
+  latestWindow,
+  toRemainingLifeFeatures,
+  buildRemainingLifeSet,
+  createRemainingLifeModel,
+  evaluateRemainingLife,
+  toRemainingLife,
+  daysUntilMaintenanceFor
+};
@@ -0,0 +1,76 @@
+// src/shared/remainingLife.test.js - Remaining-life estimates and their intervals
+const {
+  MAX_LIFE_DAYS,
+  evaluateRemainingLife,
+  toRemainingLife,
+  daysUntilMaintenanceFor
+} = require('./remainingLife');
+
+// A model that reads lives about five days short, with some spread
+const actualDays = Array.from({ length: 200 }, (_, i) => 10 + (i * 37) % 60);
+const predictedDays = actualDays.map((days, i) => days - 5 + ((i * 13) % 7) - 3);
+
+test('evaluateRemainingLife measures the bias and an interval around it', () => {
+  const metrics = evaluateRemainingLife(actualDays, predictedDays);
+
+  expect(metrics.bias).toBeGreaterThanOrEqual(4);
+  expect(metrics.bias).toBeLessThanOrEqual(6);
+  expect(metrics.interval.low).toBeLessThanOrEqual(metrics.bias);
+  expect(metrics.interval.high).toBeGreaterThanOrEqual(metrics.bias);
+  expect(metrics.intervalCoverage).toBeGreaterThan(0.7);
+  expect(metrics.samples).toBe(200);
+  expect(metrics.maxDays).toBe(MAX_LIFE_DAYS);
+});
+
+test('evaluateRemainingLife measures the errors of the bias-corrected estimates', () => {
+  // Lives within the cap, as training samples are
+  const lives = Array.from({ length: 200 }, (_, i) => 6 + (i * 7) % 23);
+  const estimates = lives.map((days, i) => days - 5 + ((i * 13) % 7) - 3);
+  const metrics = evaluateRemainingLife(lives, estimates);
+  const uncorrected = lives.reduce((sum, days, i) => sum + Math.abs(days - estimates[i]), 0) / lives.length;
+
+  expect(uncorrected).toBeGreaterThan(4);
+  expect(metrics.meanAbsoluteError).toBeLessThan(2);
+  expect(metrics.rootMeanSquaredError).toBeGreaterThanOrEqual(metrics.meanAbsoluteError);
+  expect(metrics.rootMeanSquaredError).toBeLessThan(2.5);
+
+  // Corrected estimates past the cap are measured at the cap, as they are shown
+  const capped = evaluateRemainingLife([30, 30, 30, 30], [28, 28, 28, 28]);
+  expect(capped.bias).toBe(2);
+  expect(capped.meanAbsoluteError).toBe(0);
+});
+
+test('toRemainingLife corrects the estimate by the bias and keeps it inside its interval', () => {
+  const metrics = evaluateRemainingLife(actualDays, predictedDays);
+  const life = toRemainingLife(0.25, metrics, 0.5);
+
+  expect(life.days).toBeCloseTo(0.25 * MAX_LIFE_DAYS + metrics.bias, 1);
+  expect(life.operatingHours).toBe(Math.round(life.days * 12));
+  expect(life.coverage).toBe(metrics.targetCoverage);
+
+  for (let fraction = 0; fraction <= 1; fraction += 0.05) {
+    const { days, daysLow, daysHigh } = toRemainingLife(fraction, metrics, 0.5);
+    expect(daysLow).toBeLessThanOrEqual(days);
+    expect(days).toBeLessThanOrEqual(daysHigh);
+    expect(daysLow).toBeGreaterThanOrEqual(0);
+    expect(daysHigh).toBeLessThanOrEqual(MAX_LIFE_DAYS);
+  }
+});
+
+test('metrics saved without a bias widen the interval to hold the uncorrected estimate', () => {
+  const legacy = { maxDays: 90, interval: { low: 2, high: 9 }, targetCoverage: 0.8 };
+  const life = toRemainingLife(0.5, legacy, 0.5);
+
+  expect(life.days).toBe(45);
+  expect(life.daysLow).toBe(45);
+  expect(life.daysHigh).toBe(54);
+});
+
+test('lives at the cap are flagged and maintenance is due before the early end of the interval', () => {
+  const metrics = { maxDays: 90, bias: 1, interval: { low: -6, high: 4 }, targetCoverage: 0.8 };
+  expect(toRemainingLife(1, metrics, 0.5).capped).toBe(true);
+  expect(toRemainingLife(0.5, metrics, 0.5).capped).toBe(false);
+
+  expect(daysUntilMaintenanceFor(toRemainingLife(0.5, metrics, 0.5))).toBe(39);
+  expect(daysUntilMaintenanceFor(toRemainingLife(0, metrics, 0.5))).toBe(1);
+});
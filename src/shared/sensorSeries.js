@@ -0,0 +1,183 @@
+// src/shared/sensorSeries.js - Time buckets and aggregations for sensor trend queries
+//
+// A series query asks for one equipment unit's metrics over a time range, bucketed by minute,
+// hour or day, with one or more aggregations (avg/min/max/p95/last) per metric. The backend
+// answers hourly and daily buckets from its rollup tables; the mock backend and the browser
+// fallback aggregate simulated readings with simulateSeries() below, so every data source
+// returns the same shape:
+//   { equipmentId, bucket, from, to, metrics: { temperature: ['avg', 'max'] },
+//     points: [{ timestamp, temperature: { avg, max } }, ...] }
+// Buckets without data are included with null values, so charts show gaps instead of
+// joining distant points.
+const { METRICS, OPERATING_HOURS_METRIC, DEFAULT_SEED, simulateReading } = require('./fleetSimulator');
+
+const BUCKET_SIZES = {
+  '1m': { ms: 60 * 1000, datePart: 'MINUTE' },
+  '1h': { ms: 60 * 60 * 1000, datePart: 'HOUR' },
+  '1d': { ms: 24 * 60 * 60 * 1000, datePart: 'DAY' }
+};
+
+const AGGREGATIONS = ['avg', 'min', 'max', 'p95', 'last'];
+
+// Every metric a series can include: the sensors plus the hour meter
+const SERIES_METRICS = [...METRICS, OPERATING_HOURS_METRIC];
+
+// Keeps a response small enough to chart; a year of hourly points still fits
+const MAX_SERIES_BUCKETS = 10000;
+const DEFAULT_RANGE_MS = 7 * BUCKET_SIZES['1d'].ms;
+
+// Buckets are aligned to UTC, like DATE_TRUNC on the warehouse
+const bucketStart = (time, bucket) => {
+  const { ms } = BUCKET_SIZES[bucket];
+  return Math.floor(new Date(time).getTime() / ms) * ms;
+};
+
+// Validate a series request and fill in the defaults. Throws an Error with `status: 400`
+// describing the first problem found.
+const parseSeriesQuery = ({ equipmentId, from, to, bucket = '1h', metrics, aggregations } = {}) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!equipmentId) throw invalid('equipmentId is required');
+  if (!BUCKET_SIZES[bucket]) throw invalid(`bucket must be one of ${Object.keys(BUCKET_SIZES).join(', ')}`);
+
+  const toMs = to === undefined ? Date.now() : new Date(to).getTime();
+  const fromMs = from === undefined ? toMs - DEFAULT_RANGE_MS : new Date(from).getTime();
+  if (isNaN(fromMs) || isNaN(toMs)) throw invalid('from and to must be valid dates');
+  if (fromMs > toMs) throw invalid('from must be before to');
+
+  const first = bucketStart(fromMs, bucket);
+  const last = bucketStart(toMs, bucket);
+  const bucketCount = (last - first) / BUCKET_SIZES[bucket].ms + 1;
+  if (bucketCount > MAX_SERIES_BUCKETS) {
+    throw invalid(`The range covers ${bucketCount} ${bucket} buckets; the limit is ${MAX_SERIES_BUCKETS}. Use a larger bucket or a shorter range.`);
+  }
+
+  // metrics: ['temperature', ...] with `aggregations` applied to each, or { temperature: ['avg', 'max'] }
+  const defaultAggregations = aggregations || ['avg'];
+  const requested = Array.isArray(metrics) || metrics === undefined
+    ? Object.fromEntries((metrics || SERIES_METRICS.map(metric => metric.key)).map(key => [key, defaultAggregations]))
+    : metrics;
+
+  const metricAggregations = {};
+  Object.entries(requested).forEach(([key, metricAggs]) => {
+    if (!SERIES_METRICS.some(metric => metric.key === key)) {
+      throw invalid(`Unknown metric "${key}". Available: ${SERIES_METRICS.map(metric => metric.key).join(', ')}`);
+    }
+    const list = [].concat(metricAggs);
+    const unknown = list.find(aggregation => !AGGREGATIONS.includes(aggregation));
+    if (unknown) throw invalid(`Unknown aggregation "${unknown}". Available: ${AGGREGATIONS.join(', ')}`);
+    metricAggregations[key] = [...new Set(list)];
+  });
+  if (Object.keys(metricAggregations).length === 0) throw invalid('Request at least one metric');
+
+  return {
+    equipmentId,
+    bucket,
+    from: new Date(first).toISOString(),
+    // End of the last bucket (exclusive)
+    to: new Date(last + BUCKET_SIZES[bucket].ms).toISOString(),
+    metrics: metricAggregations
+  };
+};
+
+// Same interpolation as PERCENTILE_CONT
+const percentile = (values, fraction) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = fraction * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Helper function to round an aggregate to its metric's precision, keeping nulls
+const roundTo = (value, digits) => (value === null || value === undefined ? null : Number(Number(value).toFixed(digits)));
+
+// Build a series response from per-bucket statistics:
+// statsByBucket.get(`${bucketMs}|${metricKey}`) -> { count, sum, min, max, p95, last }
+const buildSeries = (query, statsByBucket) => {
+  const { ms } = BUCKET_SIZES[query.bucket];
+  const points = [];
+
+  for (let time = new Date(query.from).getTime(); time < new Date(query.to).getTime(); time += ms) {
+    const point = { timestamp: new Date(time).toISOString() };
+    Object.entries(query.metrics).forEach(([key, aggregations]) => {
+      const { digits } = SERIES_METRICS.find(metric => metric.key === key);
+      const stats = statsByBucket.get(`${time}|${key}`);
+      point[key] = Object.fromEntries(aggregations.map(aggregation => {
+        if (!stats || !stats.count) return [aggregation, null];
+        const value = aggregation === 'avg' ? stats.sum / stats.count : stats[aggregation];
+        return [aggregation, roundTo(value, digits)];
+      }));
+    });
+    points.push(point);
+  }
+
+  return {
+    equipmentId: query.equipmentId,
+    bucket: query.bucket,
+    from: query.from,
+    to: query.to,
+    metrics: query.metrics,
+    points
+  };
+};
+
+// Aggregate raw readings ({ timestamp, temperature, vibration, ... } as the simulator makes
+// them) into a series for a parsed query
+const aggregateReadings = (readings, query) => {
+  const fromMs = new Date(query.from).getTime();
+  const toMs = new Date(query.to).getTime();
+  const samples = new Map();
+
+  readings.forEach(reading => {
+    const time = new Date(reading.timestamp).getTime();
+    if (time < fromMs || time >= toMs) return;
+
+    Object.keys(query.metrics).forEach(key => {
+      if (reading[key] === null || reading[key] === undefined) return;
+      const mapKey = `${bucketStart(time, query.bucket)}|${key}`;
+      if (!samples.has(mapKey)) samples.set(mapKey, []);
+      samples.get(mapKey).push({ time, value: Number(reading[key]) });
+    });
+  });
+
+  const statsByBucket = new Map();
+  samples.forEach((bucketSamples, mapKey) => {
+    const values = bucketSamples.map(sample => sample.value);
+    statsByBucket.set(mapKey, {
+      count: values.length,
+      sum: values.reduce((total, value) => total + value, 0),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      p95: percentile(values, 0.95),
+      last: bucketSamples.reduce((latest, sample) => (sample.time >= latest.time ? sample : latest)).value
+    });
+  });
+
+  return buildSeries(query, statsByBucket);
+};
+
+// Series of simulated hourly readings, used when there is no warehouse to query. Buckets in
+// the future stay empty.
+const simulateSeries = (query, { now = Date.now(), seed = DEFAULT_SEED } = {}) => {
+  const hourMs = BUCKET_SIZES['1h'].ms;
+  const end = Math.min(new Date(query.to).getTime(), now);
+  const readings = [];
+  for (let hour = bucketStart(query.from, '1h'); hour < end; hour += hourMs) {
+    readings.push(simulateReading(query.equipmentId, hour, { seed }));
+  }
+  return aggregateReadings(readings, query);
+};
+
+module.exports = {
+  BUCKET_SIZES,
+  AGGREGATIONS,
+  SERIES_METRICS,
+  MAX_SERIES_BUCKETS,
+  bucketStart,
+  parseSeriesQuery,
+  percentile,
+  buildSeries,
+  aggregateReadings,
+  simulateSeries
+};
@@ -0,0 +1,79 @@
+// src/shared/sensorSnapshot.js - Latest reading of each metric, with its age
+//
+// A snapshot says what a machine is doing right now and how old that knowledge is:
+//   { equipmentId, asOf, stale, readings: { temperature: { value, unit, recordedAt, ageMinutes, stale } } }
+// Metrics the machine never reported are left out of `readings`. The backend builds snapshots
+// from EQUIPMENT_METRICS; the mock backend and the browser fallback from the simulator.
+const { SERIES_METRICS } = require('./sensorSeries');
+const { DEFAULT_SEED, simulateReading } = require('./fleetSimulator');
+
+// Readings arrive hourly; anything older than two hours means the machine stopped reporting
+const STALE_READING_MS = 2 * 60 * 60 * 1000;
+
+// Build a snapshot from { metricKey: { value, unit, recordedAt } }
+const buildSensorSnapshot = (equipmentId, latest, { now = Date.now() } = {}) => {
+  const readings = {};
+  SERIES_METRICS.forEach(metric => {
+    const reading = latest[metric.key];
+    if (!reading || reading.value === null || reading.value === undefined) return;
+
+    const recordedAt = new Date(reading.recordedAt).toISOString();
+    const ageMs = Math.max(0, now - new Date(recordedAt).getTime());
+    readings[metric.key] = {
+      value: Number(Number(reading.value).toFixed(metric.digits)),
+      unit: reading.unit || metric.unit,
+      recordedAt,
+      ageMinutes: Math.floor(ageMs / 60000),
+      stale: ageMs > STALE_READING_MS
+    };
+  });
+
+  const timestamps = Object.values(readings).map(reading => reading.recordedAt).sort();
+  const asOf = timestamps.length > 0 ? timestamps[timestamps.length - 1] : null;
+  return {
+    equipmentId,
+    asOf,
+    // Even the newest reading is old (or there is none): the machine isn't reporting
+    stale: asOf === null || now - new Date(asOf).getTime() > STALE_READING_MS,
+    readings
+  };
+};
+
+// Snapshot of the current simulated hour, used when there is no warehouse to query
+const simulateSensorSnapshot = (equipmentId, { now = Date.now(), seed = DEFAULT_SEED } = {}) => {
+  const reading = simulateReading(equipmentId, now, { seed });
+  const latest = Object.fromEntries(SERIES_METRICS.map(metric => [
+    metric.key,
+    { value: reading[metric.key], unit: metric.unit, recordedAt: reading.timestamp }
+  ]));
+  return buildSensorSnapshot(equipmentId, latest, { now });
+};
+
+// Attach a snapshot to a prediction: `sensors` keeps the flat values the UI has always read
+// (null when the machine has no such reading) and `sensorSnapshot` adds when each was recorded.
+// Object.assign rather than spread: the browser build would turn a spread into an ES import,
+// which stops this CommonJS module's exports from being seen.
+const withSensorSnapshot = (prediction, snapshot) => Object.assign({}, prediction, {
+  sensors: Object.fromEntries(['temperature', 'vibration', 'pressure', 'current'].map(key => [
+    key,
+    snapshot.readings[key] ? snapshot.readings[key].value : null
+  ])),
+  sensorSnapshot: snapshot
+});
+
+// The reading the failure model is fed from a snapshot: each metric's latest value, stamped
+// with the newest of them. Null for a machine that never reported.
+const snapshotReading = (snapshot) => {
+  if (!snapshot || !snapshot.asOf) return null;
+  const reading = { timestamp: snapshot.asOf };
+  Object.keys(snapshot.readings).forEach(key => { reading[key] = snapshot.readings[key].value; });
+  return reading;
+};
+
+module.exports = {
+  STALE_READING_MS,
+  buildSensorSnapshot,
+  snapshotReading,
+  simulateSensorSnapshot,
+  withSensorSnapshot
+};
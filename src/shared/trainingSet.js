@@ -0,0 +1,93 @@
+// src/shared/trainingSet.js - Labelled samples for the failure model
+//
+// Every hourly reading becomes a sample labelled 1 when its machine had an unplanned work
+// order (a breakdown or corrective repair) within the following horizon. Readings too recent
+// for their horizon to have played out are left out rather than guessed as healthy.
+// Shared by the server trainer (backend-api/ml) and the in-browser trainer, so both label
+// history the same way.
+const { toFailureFeatures } = require('./failureModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Work orders carry a date only; place each one at midday of that date
+const failureTime = (date) => new Date(`${String(date).slice(0, 10)}T12:00:00Z`).getTime();
+
+// Build samples ({ equipmentId, timestamp, features, label }, oldest first) from
+// repository.getTrainingData() output
+const buildTrainingSet = ({ readings, failures }, { horizonDays, labelledUntil = Date.now() }) => {
+  const horizonMs = horizonDays * DAY_MS;
+  const failuresByEquipment = new Map();
+  failures.forEach(failure => {
+    const times = failuresByEquipment.get(failure.equipmentId) || [];
+    times.push(failureTime(failure.date));
+    failuresByEquipment.set(failure.equipmentId, times);
+  });
+
+  const samples = [];
+  readings.forEach(reading => {
+    const time = new Date(reading.timestamp).getTime();
+    if (time + horizonMs > labelledUntil) return;
+
+    const features = toFailureFeatures(reading);
+    if (!features) return;
+
+    const failureTimes = failuresByEquipment.get(reading.equipmentId) || [];
+    samples.push({
+      equipmentId: reading.equipmentId,
+      timestamp: reading.timestamp,
+      features,
+      label: failureTimes.some(failureAt => failureAt > time && failureAt <= time + horizonMs) ? 1 : 0
+    });
+  });
+
+  return samples.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Validate on the most recent hours, train on everything before them, so validation
+// measures how the model does on a period it has never seen
+const splitByTime = (samples, validationFraction = 0.2) => {
+  const cutoff = samples[Math.floor(samples.length * (1 - validationFraction))]?.timestamp;
+  return {
+    train: samples.filter(sample => sample.timestamp < cutoff),
+    validation: samples.filter(sample => sample.timestamp >= cutoff),
+    cutoff
+  };
+};
+
+// Helper function to keep an evenly spaced subset when there are more samples than needed
+const thinSamples = (samples, maxSamples) => {
+  if (samples.length <= maxSamples) return samples;
+  const stride = samples.length / maxSamples;
+  return Array.from({ length: maxSamples }, (_, i) => samples[Math.floor(i * stride)]);
+};
+
+// Keep every failure sample and an evenly spaced subset of the healthy ones, at most
+// `negativesPerPositive` per failure, so the model can't do well by always answering "healthy".
+// Only balance the training split: validation should see failures as rarely as they happen.
+const balanceSamples = (samples, negativesPerPositive = 3) => {
+  const positives = samples.filter(sample => sample.label === 1);
+  const negatives = samples.filter(sample => sample.label === 0);
+  if (positives.length === 0) return samples;
+
+  return positives
+    .concat(thinSamples(negatives, positives.length * negativesPerPositive))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Counts reported with a training run
+const describeSamples = (samples) => ({
+  samples: samples.length,
+  failures: samples.filter(sample => sample.label === 1).length,
+  equipment: new Set(samples.map(sample => sample.equipmentId)).size,
+  from: samples.length > 0 ? samples[0].timestamp : null,
+  to: samples.length > 0 ? samples[samples.length - 1].timestamp : null
+});
+
+module.exports = {
+  buildTrainingSet,
+  splitByTime,
+  thinSamples,
+  balanceSamples,
+  describeSamples
+};
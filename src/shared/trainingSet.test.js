@@ -0,0 +1,78 @@
+// src/shared/trainingSet.test.js - Training samples split by time and balanced between failing and healthy hours
+const { buildTrainingSet, splitByTime, balanceSamples, describeSamples } = require('./trainingSet');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2025, 2, 1);
+
+// Two machines reporting every hour, failing at the given hour indexes
+const samplesFor = (hours, failingHours = []) => ['GEN-101', 'GEN-102'].flatMap(equipmentId => (
+  Array.from({ length: hours }, (_, hour) => ({
+    equipmentId,
+    timestamp: new Date(START + hour * HOUR_MS).toISOString(),
+    features: [hour],
+    label: failingHours.includes(hour) ? 1 : 0
+  }))
+)).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+test('splitByTime validates on the most recent hours and never splits an hour across both sets', () => {
+  const samples = samplesFor(10);
+  const { train, validation, cutoff } = splitByTime(samples);
+
+  expect(cutoff).toBe(new Date(START + 8 * HOUR_MS).toISOString());
+  expect(train).toHaveLength(16);
+  expect(validation).toHaveLength(4);
+  expect(train.every(sample => sample.timestamp < cutoff)).toBe(true);
+  expect(validation.every(sample => sample.timestamp >= cutoff)).toBe(true);
+  // Both machines' readings of the cutoff hour are held out together
+  expect(validation.map(sample => sample.equipmentId).sort()).toEqual(['GEN-101', 'GEN-101', 'GEN-102', 'GEN-102']);
+
+  expect(splitByTime(samples, 0.5).validation).toHaveLength(10);
+});
+
+test('splitByTime of no samples leaves both sets empty', () => {
+  expect(splitByTime([])).toEqual({ train: [], validation: [], cutoff: undefined });
+});
+
+test('balanceSamples keeps every failure and evenly spaced healthy hours, oldest first', () => {
+  const samples = samplesFor(50, [20, 21]);
+  const balanced = balanceSamples(samples);
+  const counts = describeSamples(balanced);
+
+  expect(counts.failures).toBe(4);
+  expect(counts.samples).toBe(4 + 4 * 3);
+  expect(counts.equipment).toBe(2);
+  // Healthy hours are drawn from across the history, not just its start
+  const healthyHours = balanced.filter(sample => sample.label === 0).map(sample => sample.features[0]);
+  expect(Math.min(...healthyHours)).toBeLessThan(10);
+  expect(Math.max(...healthyHours)).toBeGreaterThan(40);
+  expect(balanced.map(sample => sample.timestamp)).toEqual([...balanced.map(sample => sample.timestamp)].sort());
+
+  expect(describeSamples(balanceSamples(samples, 1)).samples).toBe(8);
+});
+
+test('balanceSamples leaves samples without failures or with few healthy hours as they are', () => {
+  const healthy = samplesFor(5);
+  expect(balanceSamples(healthy)).toBe(healthy);
+
+  const mostlyFailing = samplesFor(4, [0, 1, 2]);
+  expect(balanceSamples(mostlyFailing)).toHaveLength(8);
+});
+
+test('buildTrainingSet labels the hours before a failure and leaves out the unlabelled recent hours', () => {
+  const readings = Array.from({ length: 72 }, (_, hour) => ({
+    equipmentId: 'GEN-101',
+    timestamp: new Date(START + hour * HOUR_MS).toISOString(),
+    temperature: 180, vibration: 0.3, pressure: 40, current: 50, oilPressure: 45, rpm: 1800, fuelLevel: 70, operatingHours: 1000 + hour
+  }));
+  const failures = [{ equipmentId: 'GEN-101', date: '2025-03-02' }];
+
+  const samples = buildTrainingSet({ readings, failures }, { horizonDays: 1, labelledUntil: START + 72 * HOUR_MS });
+
+  // Hours whose horizon ends after labelledUntil can't be labelled yet
+  expect(samples).toHaveLength(49);
+  expect(samples[samples.length - 1].timestamp).toBe('2025-03-03T00:00:00.000Z');
+  // Failure placed at midday of 2025-03-02: hours from midday on the 1st up to it are failing
+  const failing = samples.filter(sample => sample.label === 1).map(sample => sample.timestamp);
+  expect(failing[0]).toBe('2025-03-01T12:00:00.000Z');
+  expect(failing[failing.length - 1]).toBe('2025-03-02T11:00:00.000Z');
+});